@@ -114,6 +114,11 @@ const isCacheAvailable = () => {
   return redisClient && redisClient.isOpen;
 };
 
+// Live client for callers that need raw commands (INCR, SET NX...) - null when Redis is down
+const getRedisClient = () => {
+  return isCacheAvailable() ? redisClient : null;
+};
+
 // Close Redis connection
 const closeRedis = async () => {
   if (redisClient && redisClient.isOpen) {
@@ -129,6 +134,7 @@ module.exports = {
   deleteCache,
   deleteCachePattern,
   isCacheAvailable,
+  getRedisClient,
   closeRedis,
   redisClient
 };
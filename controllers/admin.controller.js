@@ -1,13 +1,21 @@
 const User = require('../models/User.model');
 const Business = require('../models/Business.model');
-const BusinessOwner = require('../models/BusinessOwner.model');
 const SuspendedAccount = require('../models/SuspendedAccount.model');
 const Review = require('../models/Review.model');
 const Coupon = require('../models/Coupon.model');
 const Notification = require('../models/Notification.model');
+const Impersonation = require('../models/Impersonation.model');
+const ImpersonationRequest = require('../models/ImpersonationRequest.model');
+const ReviewRevision = require('../models/ReviewRevision.model');
 const { sendPushNotification, sendBulkNotifications } = require('../utils/notification');
 const { sendEmail } = require('../utils/emailService');
 const { generateBusinessQRCode } = require('../utils/qrcode');
+const { applyReviewRatingChange, rebuildBusinessRatings } = require('../utils/rating');
+const { isNewlyApproved, completeReviewApproval } = require('../utils/reviewRewards');
+const { revokeAllSessions } = require('../utils/session');
+const { getAdminRoles, getAdminPermissions } = require('../utils/adminAccess');
+const { clearAuthFailures } = require('../utils/authThrottle');
+const { startImpersonation, endImpersonation } = require('../utils/impersonation');
 
 // @desc    Get admin dashboard stats
 // @route   GET /api/admin/dashboard
@@ -15,7 +23,7 @@ const { generateBusinessQRCode } = require('../utils/qrcode');
 exports.getDashboardStats = async (req, res, next) => {
   try {
     // Get counts
-    const totalUsers = await User.countDocuments({ role: 'customer' });
+    const totalUsers = await User.countDocuments({ roles: 'customer' });
     const totalBusinesses = await Business.countDocuments();
     const activeBusinesses = await Business.countDocuments({ status: 'active' });
     const pendingBusinesses = await Business.countDocuments({ status: 'pending' });
@@ -87,18 +95,22 @@ exports.getDashboardStats = async (req, res, next) => {
 };
 
 // @desc    Get all users
-// @route   GET /api/admin/users
+// @route   GET /api/admin/users?locked=true&verified=false
 // @access  Private (Admin)
 exports.getAllUsers = async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
-    const { role, status, search } = req.query;
+    const { role, status, search, locked, verified } = req.query;
 
     const query = {};
-    if (role) query.role = role;
+    if (role) query.roles = role;
     if (status) query.status = status;
+    // Accounts currently locked out after failed sign-ins
+    if (locked === 'true') query.lockedUntil = { $gt: new Date() };
+    // verified=false lists accounts that haven't confirmed their email
+    if (verified === 'true' || verified === 'false') query.emailVerified = verified === 'true';
     if (search) {
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
@@ -114,11 +126,13 @@ exports.getAllUsers = async (req, res, next) => {
       .limit(limit);
 
     const total = await User.countDocuments(query);
+    const lockedCount = await User.countDocuments({ lockedUntil: { $gt: new Date() } });
 
     res.status(200).json({
       success: true,
       count: users.length,
       total,
+      lockedCount,
       page,
       pages: Math.ceil(total / limit),
       users
@@ -218,7 +232,7 @@ exports.createBusiness = async (req, res, next) => {
     // Find or require owner
     let owner;
     if (ownerId) {
-      owner = await BusinessOwner.findById(ownerId);
+      owner = await User.findById(ownerId);
       if (!owner) {
         return res.status(404).json({
           success: false,
@@ -234,22 +248,30 @@ exports.createBusiness = async (req, res, next) => {
         });
       }
       
-      // Check if owner already exists
-      owner = await BusinessOwner.findOne({ email: email.toLowerCase() });
+      // Check if an account already exists (it may be a customer account)
+      owner = await User.findOne({ email: email.toLowerCase() });
       if (!owner) {
         // Create new owner with temporary password
         const tempPassword = Math.random().toString(36).slice(-12);
-        owner = await BusinessOwner.create({
+        owner = await User.create({
           name: ownerName,
           email: email.toLowerCase(),
           phone: phone,
           passwordHash: tempPassword, // Will be hashed by pre-save hook
+          role: 'business',
+          roles: ['business'],
           emailVerified: true, // Admin created, auto-verify
           phoneVerified: true
         });
       }
     }
 
+    // Owning a business makes the account a business owner
+    if (!owner.hasRole('business')) {
+      owner.addRole('business');
+      await owner.save();
+    }
+
     // Check if business already exists
     const existingBusiness = await Business.findOne({ owner: owner._id });
     if (existingBusiness) {
@@ -481,7 +503,7 @@ exports.updateBusinessKYC = async (req, res, next) => {
     }
 
     // Get business owner
-    const owner = await BusinessOwner.findById(business.owner);
+    const owner = await User.findById(business.owner);
 
     if (action === 'approve') {
       business.kycStatus = 'approved';
@@ -675,6 +697,11 @@ exports.updateUserStatus = async (req, res, next) => {
     user.status = status;
     await user.save();
 
+    // Log the user out everywhere
+    if (status === 'suspended') {
+      await revokeAllSessions(user._id, 'account_suspended');
+    }
+
     res.status(200).json({
       success: true,
       message: 'User status updated successfully',
@@ -693,10 +720,13 @@ exports.getAllReviews = async (req, res, next) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
-    const { status } = req.query;
+    const { status, hasReply, replyStatus } = req.query;
 
     const query = {};
     if (status) query.status = status;
+    if (hasReply === 'true') query.businessReply = { $ne: null };
+    if (hasReply === 'false') query.businessReply = null;
+    if (replyStatus) query['businessReply.status'] = replyStatus;
 
     const reviews = await Review.find(query)
       .populate('user', 'name email')
@@ -720,6 +750,38 @@ exports.getAllReviews = async (req, res, next) => {
   }
 };
 
+// @desc    Full edit history of a review (oldest first)
+// @route   GET /api/admin/reviews/:id/revisions
+// @access  Private (Admin)
+exports.getReviewRevisions = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id)
+      .select('user business rating comment images videos status editCount editedAt createdAt')
+      .populate('user', 'name email')
+      .populate('business', 'name');
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const revisions = await ReviewRevision.find({ review: review._id })
+      .populate('editor', 'name email')
+      .sort({ revision: 1 });
+
+    res.status(200).json({
+      success: true,
+      review,
+      count: revisions.length,
+      revisions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update review status
 // @route   PUT /api/admin/reviews/:id/status
 // @access  Private (Admin)
@@ -727,21 +789,88 @@ exports.updateReviewStatus = async (req, res, next) => {
   try {
     const { status } = req.body;
 
-    const review = await Review.findById(req.params.id);
+    const current = await Review.findById(req.params.id);
 
-    if (!review) {
+    if (!current) {
       return res.status(404).json({
         success: false,
         message: 'Review not found'
       });
     }
 
-    review.status = status;
-    await review.save();
+    // Only move from the status we read - two moderators acting at once must not both apply the rating change
+    const previous = { status: current.status, rating: current.rating };
+    const review = await Review.findOneAndUpdate(
+      { _id: current._id, status: previous.status, rating: previous.rating },
+      { $set: { status } },
+      { new: true, runValidators: true }
+    );
+
+    if (!review) {
+      return res.status(409).json({
+        success: false,
+        message: 'This review was changed at the same time. Please reload it and try again.'
+      });
+    }
+
+    // Approving or rejecting changes whether the review counts towards the rating
+    await applyReviewRatingChange(review.business, previous, review);
+
+    // A flagged review that is approved gets the coupon and owner notification it was held back from
+    let coupon = null;
+    if (isNewlyApproved(previous, review)) {
+      const [business, reviewer] = await Promise.all([
+        Business.findById(review.business),
+        User.findById(review.user).select('name')
+      ]);
+      if (business && reviewer) {
+        ({ coupon } = await completeReviewApproval(review, business, reviewer));
+      }
+    }
 
     res.status(200).json({
       success: true,
       message: 'Review status updated successfully',
+      review,
+      ...(coupon && { coupon })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Moderate a business owner reply (hide or restore)
+// @route   PUT /api/admin/reviews/:id/reply
+// @access  Private (Admin)
+exports.moderateReviewReply = async (req, res, next) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!['visible', 'hidden'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be 'visible' or 'hidden'"
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review || !review.businessReply) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review reply not found'
+      });
+    }
+
+    review.businessReply.status = status;
+    review.businessReply.moderatedBy = req.user.id;
+    review.businessReply.moderatedAt = new Date();
+    review.businessReply.moderationReason = reason || null;
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: status === 'hidden' ? 'Reply hidden successfully' : 'Reply restored successfully',
       review
     });
   } catch (error) {
@@ -749,6 +878,61 @@ exports.updateReviewStatus = async (req, res, next) => {
   }
 };
 
+// @desc    Remove a business owner reply
+// @route   DELETE /api/admin/reviews/:id/reply
+// @access  Private (Admin)
+exports.deleteReviewReply = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review || !review.businessReply) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review reply not found'
+      });
+    }
+
+    review.businessReply = null;
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rebuild business rating aggregates from approved reviews
+// @route   POST /api/admin/ratings/rebuild
+// @access  Private (Admin)
+exports.rebuildRatings = async (req, res, next) => {
+  try {
+    const { businessId } = req.body;
+
+    if (businessId) {
+      const business = await Business.findById(businessId);
+      if (!business) {
+        return res.status(404).json({
+          success: false,
+          message: 'Business not found'
+        });
+      }
+    }
+
+    const rebuilt = await rebuildBusinessRatings(businessId || null);
+
+    res.status(200).json({
+      success: true,
+      message: `Rebuilt ratings for ${rebuilt} business${rebuilt === 1 ? '' : 'es'}`,
+      rebuilt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Send push notification (ENHANCED - Full Admin Control)
 // @route   POST /api/admin/notifications/send
 // @access  Private (Admin)
@@ -773,15 +957,12 @@ exports.sendNotification = async (req, res, next) => {
 
     let sentCount = 0;
     let recipientList = [];
-    
-    // Load BusinessOwner model once (used in multiple cases)
-    const BusinessOwner = require('../models/BusinessOwner.model');
 
     switch (recipientType) {
       case 'all_users':
         // Get ALL active users (not just those with push tokens)
         const allUsers = await User.find({ 
-          role: 'customer',
+          roles: 'customer',
           status: 'active'
         }).select('_id pushToken');
         
@@ -805,7 +986,8 @@ exports.sendNotification = async (req, res, next) => {
 
       case 'all_businesses':
         // Get ALL active business owners (not just those with push tokens)
-        const allBusinessOwners = await BusinessOwner.find({ 
+        const allBusinessOwners = await User.find({ 
+          roles: 'business',
           status: 'active'
         }).select('_id pushToken');
         
@@ -886,16 +1068,11 @@ exports.sendNotification = async (req, res, next) => {
       
       const notificationPromises = allRecipients.map(async (recipientId) => {
         try {
-          // Determine if recipient is User or BusinessOwner based on recipientType
-          const sentToModel = (recipientType === 'all_businesses' || recipientType === 'specific_business') 
-            ? 'BusinessOwner' 
-            : 'User';
-          
           const notification = await Notification.create({
             title,
             message,
             sentTo: recipientId,
-            sentToModel,
+            sentToModel: 'User',
             sentBy: req.user.id,
             type: 'admin_broadcast',
             data: data || {},
@@ -937,6 +1114,64 @@ exports.sendNotification = async (req, res, next) => {
   }
 };
 
+// @desc    Lift a failed sign-in lockout
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private (Admin)
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, { lockedUntil: null }, { new: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await clearAuthFailures(user.email);
+    await clearAuthFailures(user.phone);
+
+    console.log(`🔓 Account ${user.email} unlocked by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark an account's email as verified (e.g. confirmed over a support ticket)
+// @route   POST /api/admin/users/:id/verify-email
+// @access  Private (Admin)
+exports.verifyUserEmail = async (req, res, next) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { emailVerified: true }, $unset: { emailVerificationToken: 1, emailVerificationExpire: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log(`📧 Email for ${user.email} manually verified by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email marked as verified',
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Delete user
 // @route   DELETE /api/admin/users/:id
 // @access  Private (Admin)
@@ -1084,6 +1319,9 @@ exports.suspendUser = async (req, res, next) => {
     await user.save();
     console.log(`✅ Updated user status to suspended for ${user.email}`);
 
+    // Log the user out everywhere
+    await revokeAllSessions(user._id, 'account_suspended');
+
     // Send notification
     await sendPushNotification(
       user._id,
@@ -1125,7 +1363,7 @@ exports.suspendBusiness = async (req, res, next) => {
       });
     }
 
-    const owner = await BusinessOwner.findById(business.owner._id);
+    const owner = await User.findById(business.owner._id);
 
     if (!owner) {
       return res.status(404).json({
@@ -1160,6 +1398,7 @@ exports.suspendBusiness = async (req, res, next) => {
     // Update business owner status
     owner.status = 'suspended';
     await owner.save();
+    await revokeAllSessions(owner._id, 'account_suspended');
 
     // Update business status
     business.status = 'suspended';
@@ -1212,9 +1451,10 @@ exports.unsuspendAccount = async (req, res, next) => {
 
     // Restore original account based on account type
     if (suspendedAccount.accountType === 'user' || suspendedAccount.accountType === 'businessOwner') {
-      const UserModel = suspendedAccount.accountType === 'user' ? User : BusinessOwner;
-      
-      const account = await UserModel.findById(suspendedAccount.originalAccountId);
+      // Both account types live in the users collection (old business owner IDs are kept in legacyIds)
+      const account = await User.findOne({
+        $or: [{ _id: suspendedAccount.originalAccountId }, { legacyIds: suspendedAccount.originalAccountId }]
+      });
       
       if (account) {
         account.status = 'active';
@@ -1379,3 +1619,252 @@ exports.deleteCoupon = async (req, res, next) => {
   }
 };
 
+
+// Super admins - explicit, or admins from before sub-roles existed
+const SUPER_ADMIN_QUERY = {
+  roles: 'admin',
+  status: { $ne: 'deleted' },
+  $or: [
+    { adminRoles: 'super_admin' },
+    { adminRoles: { $exists: false } },
+    { adminRoles: { $size: 0 } }
+  ]
+};
+
+// @desc    Get the signed-in admin's sub-roles and permissions
+// @route   GET /api/admin/me/permissions
+// @access  Private (Admin)
+exports.getMyAdminPermissions = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      adminRoles: getAdminRoles(req.user),
+      permissions: getAdminPermissions(req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all admin accounts with their sub-roles
+// @route   GET /api/admin/admins
+// @access  Private (Super admin)
+exports.getAdmins = async (req, res, next) => {
+  try {
+    const admins = await User.find({ roles: 'admin' })
+      .select('-passwordHash')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: admins.length,
+      admins: admins.map(admin => ({
+        id: admin._id,
+        name: admin.name,
+        email: admin.email,
+        status: admin.status,
+        adminRoles: getAdminRoles(admin),
+        permissions: getAdminPermissions(admin)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Assign admin sub-roles to an account (an empty list removes admin access)
+// @route   PUT /api/admin/admins/:id/roles
+// @access  Private (Super admin)
+exports.updateAdminRoles = async (req, res, next) => {
+  try {
+    const { adminRoles } = req.body;
+    const user = await User.findById(req.params.id);
+
+    if (!user || user.status === 'deleted') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Never leave the platform without someone who can assign roles
+    const wasSuperAdmin = getAdminRoles(user).includes('super_admin');
+    if (wasSuperAdmin && !adminRoles.includes('super_admin')) {
+      const otherSuperAdmins = await User.countDocuments({ ...SUPER_ADMIN_QUERY, _id: { $ne: user._id } });
+      if (otherSuperAdmins === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove the last super admin'
+        });
+      }
+    }
+
+    if (adminRoles.length === 0) {
+      user.removeRole('admin');
+      user.adminRoles = undefined;
+    } else {
+      user.addRole('admin');
+      user.adminRoles = adminRoles;
+    }
+
+    await user.save();
+
+    console.log(`🛡️  Admin roles for ${user.email} set to [${adminRoles.join(', ')}] by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: adminRoles.length === 0 ? 'Admin access removed' : 'Admin roles updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        roles: user.getRoles(),
+        adminRoles: getAdminRoles(user),
+        permissions: getAdminPermissions(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Issue a short-lived token to act as an account (support reproducing what a user sees)
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private (Super admin)
+exports.impersonateUser = async (req, res, next) => {
+  try {
+    const target = await User.findById(req.params.id);
+
+    const result = await startImpersonation(req.user, target, req.body, req);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Impersonating ${target.name}. Destructive actions are blocked and every request is audited.`,
+      token: result.token,
+      impersonation: {
+        id: result.impersonation._id,
+        user: { id: target._id, name: target.name, email: target.email },
+        userType: result.impersonation.userType,
+        reason: result.impersonation.reason,
+        expiresAt: result.impersonation.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get impersonations (filter by admin, user or active)
+// @route   GET /api/admin/impersonations
+// @access  Private (Super admin)
+exports.getImpersonations = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.admin) query.admin = req.query.admin;
+    if (req.query.user) query.user = req.query.user;
+    if (req.query.active === 'true') {
+      query.endedAt = null;
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    const [impersonations, total] = await Promise.all([
+      Impersonation.find(query)
+        .populate('admin', 'name email')
+        .populate('user', 'name email')
+        .populate('endedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Impersonation.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: impersonations.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      impersonations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Audit trail of requests made while impersonating
+// @route   GET /api/admin/impersonations/:id/requests
+// @access  Private (Super admin)
+exports.getImpersonationRequests = async (req, res, next) => {
+  try {
+    const impersonation = await Impersonation.findById(req.params.id)
+      .populate('admin', 'name email')
+      .populate('user', 'name email');
+
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const [requests, total] = await Promise.all([
+      ImpersonationRequest.find({ impersonation: impersonation._id })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-impersonation -admin -user'),
+      ImpersonationRequest.countDocuments({ impersonation: impersonation._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      impersonation,
+      count: requests.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      requests
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    End an impersonation before it expires
+// @route   POST /api/admin/impersonations/:id/end
+// @access  Private (Super admin)
+exports.endImpersonation = async (req, res, next) => {
+  try {
+    const impersonation = await endImpersonation(req.params.id, req.user._id);
+
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation not found or already ended'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended',
+      impersonation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
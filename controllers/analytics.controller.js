@@ -1,6 +1,8 @@
 const Review = require('../models/Review.model');
 const Coupon = require('../models/Coupon.model');
 const Business = require('../models/Business.model');
+const { getBusinessAccess } = require('../utils/businessAccess');
+const { hasAdminPermission } = require('../utils/adminAccess');
 
 // @desc    Get business analytics
 // @route   GET /api/business/:id/analytics
@@ -19,8 +21,8 @@ exports.getBusinessAnalytics = async (req, res, next) => {
       });
     }
 
-    // Check authorization
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Owner, staff with dashboard access, or an admin who can see businesses
+    if (!(await getBusinessAccess(business, req.user, 'dashboard:view')) && !hasAdminPermission(req.user, 'businesses:view')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view these analytics'
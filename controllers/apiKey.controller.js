@@ -0,0 +1,176 @@
+const ApiKey = require('../models/ApiKey.model');
+const ApiKeyUsage = require('../models/ApiKeyUsage.model');
+const { generateApiKey } = require('../utils/apiKeys');
+const logger = require('../utils/logger');
+
+// Active keys a business can hold at once
+const MAX_API_KEYS_PER_BUSINESS = parseInt(process.env.MAX_API_KEYS_PER_BUSINESS) || 10;
+
+// @desc    List a business's API keys
+// @route   GET /api/api-keys/business/:businessId
+// @access  Private (Business owner)
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const filter = { business: req.business._id };
+    if (req.query.includeRevoked !== 'true') {
+      filter.revokedAt = null;
+    }
+
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: keys.length,
+      apiKeys: keys.map(key => key.toSummary())
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create an API key (the full key is only returned in this response)
+// @route   POST /api/api-keys/business/:businessId
+// @access  Private (Business owner)
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+
+    const activeKeys = await ApiKey.countDocuments({ business: req.business._id, revokedAt: null });
+    if (activeKeys >= MAX_API_KEYS_PER_BUSINESS) {
+      return res.status(400).json({
+        success: false,
+        message: `A business can have at most ${MAX_API_KEYS_PER_BUSINESS} active API keys. Revoke one you no longer use first.`
+      });
+    }
+
+    const { key, keyHash, prefix } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      business: req.business._id,
+      createdBy: req.user._id,
+      name,
+      prefix,
+      keyHash,
+      scopes,
+      ...(rateLimitPerMinute && { rateLimitPerMinute }),
+      expiresAt: expiresAt || null
+    });
+
+    logger.info(`🔑 API key ${apiKey._id} (${scopes.join(', ')}) created for business ${req.business._id} by ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it won\'t be shown again.',
+      key,
+      apiKey: apiKey.toSummary()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename an API key or change its scopes / rate limit
+// @route   PUT /api/api-keys/business/:businessId/:keyId
+// @access  Private (Business owner)
+exports.updateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.keyId,
+      business: req.business._id,
+      revokedAt: null
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const { name, scopes, rateLimitPerMinute } = req.body;
+    if (name !== undefined) apiKey.name = name;
+    if (scopes !== undefined) apiKey.scopes = scopes;
+    if (rateLimitPerMinute !== undefined) apiKey.rateLimitPerMinute = rateLimitPerMinute;
+
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'API key updated',
+      apiKey: apiKey.toSummary()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke an API key (takes effect immediately)
+// @route   DELETE /api/api-keys/business/:businessId/:keyId
+// @access  Private (Business owner)
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.keyId, business: req.business._id, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or already revoked'
+      });
+    }
+
+    logger.info(`🔑 API key ${apiKey._id} revoked for business ${req.business._id} by ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      apiKey: apiKey.toSummary()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Audit trail of requests made with an API key
+// @route   GET /api/api-keys/business/:businessId/:keyId/usage
+// @access  Private (Business owner)
+exports.getApiKeyUsage = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.keyId, business: req.business._id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const [usage, total] = await Promise.all([
+      ApiKeyUsage.find({ apiKey: apiKey._id })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-apiKey -business'),
+      ApiKeyUsage.countDocuments({ apiKey: apiKey._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      apiKey: apiKey.toSummary(),
+      count: usage.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      usage
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,14 +1,64 @@
 const User = require('../models/User.model');
-const BusinessOwner = require('../models/BusinessOwner.model');
 const SuspendedAccount = require('../models/SuspendedAccount.model');
-const { generateToken } = require('../utils/jwt');
+const { createSession, rotateRefreshToken, revokeSession, revokeAllSessions } = require('../utils/session');
+const Session = require('../models/Session.model');
+const { generateChallengeToken, isAdminTwoFactorRequired } = require('../utils/twoFactor');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const { sendOTPEmail, sendPasswordResetEmail } = require('../utils/emailService');
+const { issueOtp, verifyOtp, markVerified, consumeVerified } = require('../utils/otp');
+const { queueSms } = require('../utils/smsService');
+const { formatPhoneNumber, maskPhoneNumber } = require('../utils/phone');
+const { recordLogin, denyLogin } = require('../utils/loginAlerts');
+const { getLockoutRemainingSeconds, recordAuthFailure, clearAuthFailures } = require('../utils/authThrottle');
+const { sendVerificationEmail, verifyEmailToken, isPlaceholderEmail } = require('../utils/emailVerification');
+const { startMagicLinkCooldown, sendMagicLink, consumeMagicLink } = require('../utils/magicLink');
+const { isDeletionPending, cancelAccountDeletion } = require('../utils/accountDeletion');
+const { endImpersonation } = require('../utils/impersonation');
+
+// Cooldown / lockout responses from the OTP service
+const sendOtpError = (res, error) => {
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    ...(error.attemptsRemaining !== undefined && { attemptsRemaining: error.attemptsRemaining }),
+    ...(error.retryAfter && { retryAfter: error.retryAfter })
+  });
+};
+
+// Temporarily locked after repeated failed sign-ins - returns true if the response was sent
+const sendAccountLocked = (res, user) => {
+  const retryAfter = getLockoutRemainingSeconds(user);
+  if (retryAfter === 0) return false;
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    message: `Too many failed sign-in attempts. This account is locked for ${Math.ceil(retryAfter / 60)} more minute(s) - or reset your password to unlock it now.`,
+    accountLocked: true,
+    retryAfter
+  });
+  return true;
+};
 
-// In-memory OTP storage (in production, use Redis)
-const otpStore = new Map();
-const emailOtpStore = new Map();
+// Accounts with confirmed TOTP enrolment log in in two steps
+const requiresTwoFactor = (user) => !!(user.settings?.twoFactorAuth && user.twoFactor?.enabledAt);
+
+// First step passed - ask for the authenticator code (POST /api/auth/2fa/verify)
+const sendTwoFactorChallenge = (res, user, userType) => {
+  return res.status(200).json({
+    success: true,
+    requiresTwoFactor: true,
+    message: 'Enter the code from your authenticator app',
+    challengeToken: generateChallengeToken(user._id, userType)
+  });
+};
+
+// Check the login's device in the background - new devices trigger an alert
+const checkLoginDevice = (user, session, req) => {
+  recordLogin(user, session, req).catch(error => logger.error('Failed to check login device:', error));
+};
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -72,109 +122,81 @@ exports.register = async (req, res, next) => {
       });
     }
 
-    // Check if email exists in SAME ROLE collection only (allow same email for different roles)
-    console.log(`\n📧 Email Validation for role: ${userRole}`);
+    // One account per person - signing up for a second role adds it to the existing account
+    console.log(`\n📧 Email/phone validation for role: ${userRole}`);
     const normalizedEmail = email.toLowerCase();
+    const roleLabel = userRole === 'business' ? 'business owner' : 'customer';
 
-    if (userRole === 'business') {
-      // Check if email already exists as business owner (SAME ROLE - BLOCK)
-      const existingBusinessOwnerByEmail = await BusinessOwner.findOne({ email: normalizedEmail });
-      if (existingBusinessOwnerByEmail) {
-        console.log(`❌ Email ${normalizedEmail} already registered as business owner`);
+    const existingByEmail = await User.findOne({ email: normalizedEmail }).select('+passwordHash');
+    const existingByPhone = await User.findOne({ phone }).select('+passwordHash');
+    const existingAccount = existingByEmail || existingByPhone;
+
+    if (existingAccount) {
+      const field = existingByEmail ? 'email' : 'phone';
+
+      if (existingByEmail && existingByPhone && !existingByEmail._id.equals(existingByPhone._id)) {
+        console.log(`❌ Email ${normalizedEmail} and phone ${phone} belong to different accounts`);
         return res.status(400).json({
           success: false,
-          message: 'This email is already registered as a business owner. Please login or use a different email.',
-          field: 'email'
+          message: 'This phone number is already registered to a different account. Please use a different phone number.',
+          field: 'phone'
         });
       }
-      // Allow if email exists as customer (DIFFERENT ROLE - ALLOW)
-      const existingUserByEmail = await User.findOne({ email: normalizedEmail });
-      if (existingUserByEmail) {
-        console.log(`✅ Email ${normalizedEmail} exists as customer, but allowing business account creation (different role)`);
-      } else {
-        console.log(`✅ Email ${normalizedEmail} is available for business registration`);
-      }
-    } else {
-      // Check if email already exists as customer (SAME ROLE - BLOCK)
-      const existingUserByEmail = await User.findOne({ email: normalizedEmail });
-      if (existingUserByEmail) {
-        console.log(`❌ Email ${normalizedEmail} already registered as customer`);
+
+      if (existingAccount.hasRole(userRole)) {
+        console.log(`❌ ${field} already registered as ${roleLabel}`);
         return res.status(400).json({
           success: false,
-          message: 'This email is already registered as a customer. Please login or use a different email.',
-          field: 'email'
+          message: `This ${field === 'email' ? 'email' : 'phone number'} is already registered as a ${roleLabel}. Please login or use a different ${field === 'email' ? 'email' : 'phone number'}.`,
+          field
         });
       }
-      // Allow if email exists as business owner (DIFFERENT ROLE - ALLOW)
-      const existingBusinessOwnerByEmail = await BusinessOwner.findOne({ email: normalizedEmail });
-      if (existingBusinessOwnerByEmail) {
-        console.log(`✅ Email ${normalizedEmail} exists as business owner, but allowing customer account creation (different role)`);
-      } else {
-        console.log(`✅ Email ${normalizedEmail} is available for customer registration`);
+
+      // Different role on an existing account - the account password proves it's the same person
+      if (!(await existingAccount.comparePassword(password))) {
+        console.log(`❌ ${field} belongs to an existing account - password did not match`);
+        return res.status(409).json({
+          success: false,
+          message: `You already have a HashView account with this ${field === 'email' ? 'email' : 'phone number'}. Enter that account's password to add a ${roleLabel} profile to it.`,
+          field,
+          canAddRole: true
+        });
       }
-    }
 
-    // Check if phone exists in SAME ROLE collection only (allow same phone for different roles)
-    console.log(`\n📱 Phone Validation for role: ${userRole}`);
-
-    if (userRole === 'business') {
-      // Check if phone already exists as business owner (SAME ROLE - BLOCK duplicate)
-      const existingBusinessOwnerByPhone = await BusinessOwner.findOne({ phone });
-      if (existingBusinessOwnerByPhone) {
-        console.log(`❌ Phone ${phone} already registered as business owner (duplicate business account blocked)`);
-        // Check if they also have a customer account with same phone
-        const existingCustomerByPhone = await User.findOne({ phone });
-        if (existingCustomerByPhone) {
-          return res.status(400).json({
-            success: false,
-            message: 'You already have a business account with this phone number. You cannot create duplicate business accounts. Please login to your existing business account.',
-            field: 'phone',
-            hasBothAccounts: true
-          });
-        } else {
-          return res.status(400).json({
-            success: false,
-            message: 'This phone number is already registered as a business owner. Please login to your existing account or use a different phone number to create a new business account.',
-            field: 'phone'
-          });
-        }
+      if (existingAccount.status !== 'active') {
+        return res.status(403).json({
+          success: false,
+          message: 'Account is not active. Please contact support.'
+        });
       }
-      // Allow if phone exists as customer (DIFFERENT ROLE - ALLOW)
-      const existingUserByPhone = await User.findOne({ phone });
-      if (existingUserByPhone) {
-        console.log(`✅ Phone ${phone} exists as customer, allowing business account creation (different role - same user)`);
-      } else {
-        console.log(`✅ Phone ${phone} is available for business registration`);
+
+      existingAccount.addRole(userRole);
+      await existingAccount.save();
+      logger.info(`Added ${userRole} role to account ${existingAccount._id}`);
+
+      if (requiresTwoFactor(existingAccount)) {
+        return sendTwoFactorChallenge(res, existingAccount, userRole);
       }
-    } else {
-      // Check if phone already exists as customer (SAME ROLE - BLOCK duplicate)
-      const existingUserByPhone = await User.findOne({ phone });
-      if (existingUserByPhone) {
-        console.log(`❌ Phone ${phone} already registered as customer (duplicate customer account blocked)`);
-        // Check if they also have a business account with same phone
-        const existingBusinessByPhone = await BusinessOwner.findOne({ phone });
-        if (existingBusinessByPhone) {
-          return res.status(400).json({
-            success: false,
-            message: 'You already have a customer account with this phone number. You cannot create duplicate customer accounts. Please login to your existing customer account.',
-            field: 'phone',
-            hasBothAccounts: true
-          });
-        } else {
-          return res.status(400).json({
-            success: false,
-            message: 'This phone number is already registered as a customer. Please login to your existing account or use a different phone number to create a new customer account.',
-            field: 'phone'
-          });
+
+      const { token, refreshToken } = await createSession(existingAccount, userRole, req);
+
+      return res.status(200).json({
+        success: true,
+        message: `${userRole === 'business' ? 'Business' : 'Customer'} profile added to your existing account`,
+        token,
+        refreshToken,
+        user: {
+          _id: existingAccount._id,
+          name: existingAccount.name,
+          email: existingAccount.email,
+          phone: existingAccount.phone,
+          role: userRole,
+          roles: existingAccount.getRoles(),
+          profileImage: existingAccount.profileImage,
+          emailVerified: existingAccount.emailVerified,
+          phoneVerified: existingAccount.phoneVerified
         }
-      }
-      // Allow if phone exists as business owner (DIFFERENT ROLE - ALLOW)
-      const existingBusinessOwnerByPhone = await BusinessOwner.findOne({ phone });
-      if (existingBusinessOwnerByPhone) {
-        console.log(`✅ Phone ${phone} exists as business owner, allowing customer account creation (different role - same user)`);
-      } else {
-        console.log(`✅ Phone ${phone} is available for customer registration`);
-      }
+      });
     }
 
     console.log(`✅ Email and phone are available for ${userRole} registration`);
@@ -246,75 +268,60 @@ exports.register = async (req, res, next) => {
 
     const addressPayload = buildAddressPayload();
 
-    let user;
-    let token;
-
-    // Create business owner in separate collection
-    if (userRole === 'business') {
-      console.log('Creating business owner with data:', { name, email, phone, role: userRole });
-      const businessOwnerData = {
-        name,
-        email: email.toLowerCase(),
-        phone,
-        passwordHash: password,
-        role: 'business'
-      };
-
-      if (addressPayload) {
-        businessOwnerData.address = {
-          ...addressPayload,
-          country: addressPayload.country || 'United Kingdom'
-        };
-      }
-
-      user = await BusinessOwner.create(businessOwnerData);
-      console.log('✅ Business owner created successfully:', user._id);
+    console.log('Creating account with data:', { name, email, phone, role: userRole });
+    const userCreatePayload = {
+      name,
+      email: normalizedEmail,
+      phone,
+      passwordHash: password,
+      role: userRole,
+      roles: [userRole]
+    };
 
-      // Generate token with userType to identify collection
-      token = generateToken(user._id, 'business');
-    } else {
-      // Create customer in User collection
-      console.log('Creating customer with data:', { name, email, phone, role: userRole });
-      const userCreatePayload = {
-        name,
-        email: email.toLowerCase(),
-        phone,
-        passwordHash: password,
-        role: userRole
+    if (addressPayload) {
+      userCreatePayload.address = {
+        ...addressPayload,
+        country: addressPayload.country || 'United Kingdom'
       };
-
-      if (addressPayload) {
-        userCreatePayload.address = {
-          ...addressPayload,
-          country: addressPayload.country || 'United Kingdom'
-        };
+      if (userRole === 'customer') {
         userCreatePayload.location = {
           type: 'Point',
           coordinates: [0, 0],
           address: addressPayload.fullAddress || manualFullAddress || ''
         };
       }
+    }
 
-      user = await User.create(userCreatePayload);
-      console.log('✅ Customer created successfully:', user._id);
+    const user = await User.create(userCreatePayload);
+    console.log(`✅ ${roleLabel} account created successfully:`, user._id);
 
-      // Generate token with userType
-      token = generateToken(user._id, 'customer');
-    }
+    // Start a session acting as the role the account signed up for
+    const { token, refreshToken } = await createSession(user, userRole, req);
 
-    // Welcome message (email sending can be added later if needed)
     logger.info(`New user registered: ${email} as ${userRole}`);
 
+    // Verification link - signup still succeeds if the email can't be sent (the user can resend it)
+    let emailVerificationSent = false;
+    try {
+      const verification = await sendVerificationEmail(user, { force: true });
+      emailVerificationSent = !!verification.sent;
+    } catch (error) {
+      logger.error(`Failed to send verification email to ${email}:`, error);
+    }
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
+      emailVerificationSent,
       user: {
         _id: user._id,
         name: user.name,
         email: user.email,
         phone: user.phone,
         role: user.role,
+        roles: user.getRoles(),
         profileImage: user.profileImage,
         emailVerified: user.emailVerified,
         phoneVerified: user.phoneVerified
@@ -344,48 +351,26 @@ exports.login = async (req, res, next) => {
 
     console.log('\n🔐 Login attempt:', { email, requestedRole: role });
 
-    let user = null;
-    let userType = null;
-
-    // If role is specified, search in the appropriate collection first
-    if (role === 'business') {
-      // Try BusinessOwner collection first (with businesses populated)
-      user = await BusinessOwner.findOne({ email }).select('+passwordHash').populate('businesses');
-      if (user) {
-        userType = 'business';
-        console.log(`✅ Found business account for ${email}`);
-      } else {
-        // Fallback to User collection (in case admin/customer trying business login)
-        user = await User.findOne({ email }).select('+passwordHash');
-        if (user) {
-          userType = user.role === 'admin' ? 'admin' : 'customer';
-          console.log(`⚠️  Found ${userType} account for ${email}, but business login was requested`);
-        }
-      }
-    } else {
-      // Try User collection first (customer or admin)
-      user = await User.findOne({ email }).select('+passwordHash');
-
-      if (user) {
-        userType = user.role === 'admin' ? 'admin' : 'customer';
-        console.log(`✅ Found ${userType} account for ${email}`);
-      } else {
-        // Fallback to BusinessOwner collection (with businesses populated)
-        user = await BusinessOwner.findOne({ email }).select('+passwordHash').populate('businesses');
-        if (user) {
-          userType = 'business';
-          console.log(`⚠️  Found business account for ${email}, but customer login was requested`);
-        }
-      }
+    const user = await User.findOne({ email }).select('+passwordHash').populate('businesses');
+
+    // Sign in as the requested role when the account holds it, otherwise as its primary role
+    const userType = user ? user.resolveRole(role) : null;
+    if (user && role && userType !== role) {
+      console.log(`⚠️  Found ${userType} account for ${email}, but ${role} login was requested`);
+    } else if (user) {
+      console.log(`✅ Found ${userType} account for ${email}`);
     }
 
     if (!user) {
+      await recordAuthFailure(email, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    if (sendAccountLocked(res, user)) return;
+
     // Check if email is suspended
     const suspendedAccount = await SuspendedAccount.findOne({
       email: email.toLowerCase(),
@@ -405,41 +390,66 @@ exports.login = async (req, res, next) => {
     const isPasswordMatch = await user.comparePassword(password);
 
     if (!isPasswordMatch) {
+      await recordAuthFailure(email, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    await clearAuthFailures(email);
+
+    // Signing back in during the deletion grace period cancels the deletion
+    const deletionPending = isDeletionPending(user);
+
     // Check if account is active
-    if (user.status !== 'active') {
+    if (user.status !== 'active' && !deletionPending) {
       return res.status(403).json({
         success: false,
         message: 'Account is not active. Please contact support.'
       });
     }
 
+    // The user reported a login they didn't make - the password is treated as compromised
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'For your security, please reset your password before signing in.',
+        passwordResetRequired: true
+      });
+    }
+
+    if (requiresTwoFactor(user)) {
+      return sendTwoFactorChallenge(res, user, userType);
+    }
+
     // Update last login
+    cancelAccountDeletion(user);
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token with userType
-    const token = generateToken(user._id, userType);
+    // Start a session (short-lived access token + refresh token)
+    const { token, refreshToken, session } = await createSession(user, userType, req);
+    checkLoginDevice(user, session, req);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      ...(deletionPending && { accountDeletionCancelled: true }),
+      ...(user.hasRole('admin') && isAdminTwoFactorRequired() && { twoFactorSetupRequired: true }),
       user: {
         _id: user._id,
         name: user.name,
         email: user.email,
         phone: user.phone,
-        role: user.role,
+        role: userType,
+        roles: user.getRoles(),
         profileImage: user.profileImage,
         emailVerified: user.emailVerified,
         phoneVerified: user.phoneVerified,
-        ...(user.role === 'business' && user.businesses && { businesses: user.businesses })
+        ...(user.hasRole('business') && user.businesses && { businesses: user.businesses })
       }
     });
   } catch (error) {
@@ -454,17 +464,29 @@ exports.sendOTP = async (req, res, next) => {
   try {
     const { phone } = req.body;
 
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
+    const to = formatPhoneNumber(phone);
+    if (!to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid phone number with country code'
+      });
+    }
 
-    // Store OTP with 5 minute expiry
-    otpStore.set(phone, {
-      otp,
-      expiresAt: Date.now() + 5 * 60 * 1000
-    });
+    // Valid for 5 minutes, with a resend cooldown
+    const result = await issueOtp('phone_login', phone);
+    if (result.error) {
+      return sendOtpError(res, result.error);
+    }
+    const otp = result.code;
 
-    // In production, send OTP via SMS service (Twilio, etc.)
-    logger.info(`OTP for ${phone}: ${otp}`);
+    // Delivered in the background (retried if the provider fails)
+    await queueSms(
+      to,
+      `${otp} is your HashView verification code. It expires in ${Math.round(result.expiresIn / 60)} minutes. Do not share it with anyone.`,
+      { purpose: 'otp', expiresAt: new Date(Date.now() + result.expiresIn * 1000) }
+    );
+
+    logger.info(`OTP queued for ${maskPhoneNumber(to)}`);
 
     res.status(200).json({
       success: true,
@@ -484,41 +506,20 @@ exports.loginWithPhone = async (req, res, next) => {
   try {
     const { phone, otp } = req.body;
 
-    // Verify OTP
-    const storedOTP = otpStore.get(phone);
-
-    if (!storedOTP) {
-      return res.status(400).json({
-        success: false,
-        message: 'OTP not found or expired'
-      });
-    }
-
-    if (Date.now() > storedOTP.expiresAt) {
-      otpStore.delete(phone);
-      return res.status(400).json({
-        success: false,
-        message: 'OTP expired'
-      });
-    }
+    // Check the lock before the code is used up
+    if (sendAccountLocked(res, await User.findOne({ phone }).select('lockedUntil'))) return;
 
-    if (storedOTP.otp !== otp) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid OTP'
-      });
+    // Verify OTP (single use, attempt-limited)
+    const verification = await verifyOtp('phone_login', phone, otp);
+    if (!verification.valid) {
+      await recordAuthFailure(phone, req);
+      return sendOtpError(res, verification);
     }
 
-    // Find user in both collections
-    let user = await User.findOne({ phone });
-    let userType = 'customer';
+    await clearAuthFailures(phone);
 
-    if (!user) {
-      user = await BusinessOwner.findOne({ phone });
-      if (user) {
-        userType = 'business';
-      }
-    }
+    let user = await User.findOne({ phone }).populate('businesses');
+    let deletionPending = false;
 
     if (!user) {
       // Create new customer with phone
@@ -528,34 +529,47 @@ exports.loginWithPhone = async (req, res, next) => {
         phone,
         passwordHash: crypto.randomBytes(16).toString('hex'),
         phoneVerified: true,
-        role: 'customer'
+        role: 'customer',
+        roles: ['customer']
       });
-      userType = 'customer';
     } else {
+      // Signing back in during the deletion grace period cancels the deletion (after the 2FA step when enrolled)
+      deletionPending = isDeletionPending(user);
+      if (!requiresTwoFactor(user)) cancelAccountDeletion(user);
+
       user.phoneVerified = true;
       user.lastLogin = new Date();
       await user.save();
     }
 
-    // Delete OTP after successful login
-    otpStore.delete(phone);
+    // Phone login has no role picker - customer if the account has it
+    const userType = user.resolveRole('customer');
+
+    if (requiresTwoFactor(user)) {
+      return sendTwoFactorChallenge(res, user, userType);
+    }
 
-    // Generate token with userType
-    const token = generateToken(user._id, userType);
+    // Start a session (short-lived access token + refresh token)
+    const { token, refreshToken, session } = await createSession(user, userType, req);
+    checkLoginDevice(user, session, req);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      ...(deletionPending && { accountDeletionCancelled: true }),
       user: {
         _id: user._id,
         name: user.name,
         email: user.email,
         phone: user.phone,
-        role: user.role,
+        role: userType,
+        roles: user.getRoles(),
         profileImage: user.profileImage,
         emailVerified: user.emailVerified,
-        phoneVerified: user.phoneVerified
+        phoneVerified: user.phoneVerified,
+        ...(user.hasRole('business') && { businesses: user.businesses })
       }
     });
   } catch (error) {
@@ -634,15 +648,26 @@ exports.resetPassword = async (req, res, next) => {
     user.passwordHash = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    user.passwordResetRequired = false;
+    user.lockedUntil = null; // Proving access to the inbox lifts a lockout
     await user.save();
+    await clearAuthFailures(user.email);
 
-    // Generate new token
-    const authToken = generateToken(user._id);
+    // Log out every device
+    await revokeAllSessions(user._id, 'password_reset');
+
+    const userType = user.role;
+    if (requiresTwoFactor(user)) {
+      return sendTwoFactorChallenge(res, user, userType);
+    }
+
+    const { token: authToken, refreshToken } = await createSession(user, userType, req);
 
     res.status(200).json({
       success: true,
       message: 'Password reset successful',
-      token: authToken
+      token: authToken,
+      refreshToken
     });
   } catch (error) {
     next(error);
@@ -654,8 +679,7 @@ exports.resetPassword = async (req, res, next) => {
 // @access  Private
 exports.getMe = async (req, res, next) => {
   try {
-    // req.user is already populated by the auth middleware
-    // It contains the user from the correct collection (User or BusinessOwner)
+    // req.user is already populated by the auth middleware (with businesses)
     const user = req.user;
 
     if (!user) {
@@ -673,17 +697,27 @@ exports.getMe = async (req, res, next) => {
         name: user.name,
         email: user.email,
         phone: user.phone,
-        role: user.role,
+        // Role this session acts as, plus every role the account holds
+        role: req.userType || user.role,
+        roles: user.getRoles(),
         profileImage: user.profileImage,
         emailVerified: user.emailVerified,
         phoneVerified: user.phoneVerified,
         status: user.status,
         createdAt: user.createdAt,
         // Include business-specific fields if it's a business owner
-        ...(user.role === 'business' && { businesses: user.businesses }),
+        ...(user.hasRole('business') && { businesses: user.businesses }),
         // Include customer-specific fields if it's a customer
-        ...(user.role === 'customer' && { location: user.location })
-      }
+        ...(user.hasRole('customer') && { location: user.location })
+      },
+      // Support is viewing this account - the app shows a banner
+      ...(req.impersonation && {
+        impersonation: {
+          id: req.impersonation._id,
+          impersonatedBy: { id: req.impersonator._id, name: req.impersonator.name, email: req.impersonator.email },
+          expiresAt: req.impersonation.expiresAt
+        }
+      })
     });
   } catch (error) {
     next(error);
@@ -727,14 +761,12 @@ exports.sendEmailOTP = async (req, res, next) => {
     // Normalize email to lowercase
     const normalizedEmail = email.toLowerCase().trim();
 
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-
-    // Store OTP with 10 minute expiry
-    emailOtpStore.set(normalizedEmail, {
-      otp,
-      expiresAt: Date.now() + 10 * 60 * 1000
-    });
+    // Valid for 10 minutes, with a resend cooldown
+    const result = await issueOtp('email_verification', normalizedEmail);
+    if (result.error) {
+      return sendOtpError(res, result.error);
+    }
+    const otp = result.code;
 
     // Send OTP via Email (SendGrid API or SMTP)
     const emailConfigured = process.env.SENDGRID_API_KEY ||
@@ -751,12 +783,11 @@ exports.sendEmailOTP = async (req, res, next) => {
     } else {
       console.log('\n⚠️  Email service not configured - Email not sent');
       console.log('Add BREVO_API_KEY or SMTP credentials to environment variables');
+      if (process.env.NODE_ENV === 'development') {
+        console.log(`🔐 EMAIL OTP for ${normalizedEmail}: ${otp}`);
+      }
     }
 
-    // Always log OTP to console for backup/testing
-    console.log(`\n🔐 EMAIL OTP for ${normalizedEmail}: ${otp}`);
-    console.log(`⏰ Expires in 10 minutes`);
-    console.log(`📝 Stored in emailOtpStore with key: ${normalizedEmail}\n`);
     logger.info(`Email OTP process completed for ${normalizedEmail}`);
 
     res.status(200).json({
@@ -786,62 +817,23 @@ exports.verifyEmailOTP = async (req, res, next) => {
     const normalizedEmail = email.toLowerCase().trim();
     const normalizedOTP = otp.trim();
 
-    // Debug logging
-    console.log(`\n🔍 Verifying OTP for email: ${normalizedEmail}`);
-    console.log(`🔍 Received OTP: ${normalizedOTP}`);
-    console.log(`🔍 Available OTPs in store:`, Array.from(emailOtpStore.keys()));
-
-    // Verify OTP
-    const storedOTP = emailOtpStore.get(normalizedEmail);
-
-    if (!storedOTP) {
-      console.log(`❌ No OTP found for email: ${normalizedEmail}\n`);
-      return res.status(400).json({
-        success: false,
-        message: 'OTP not found or expired'
-      });
-    }
-
-    console.log(`🔍 Stored OTP: ${storedOTP.otp}`);
-    console.log(`🔍 Expiry time: ${new Date(storedOTP.expiresAt).toLocaleString()}`);
-
-    if (Date.now() > storedOTP.expiresAt) {
-      console.log(`❌ OTP expired for ${normalizedEmail}\n`);
-      emailOtpStore.delete(normalizedEmail);
-      return res.status(400).json({
-        success: false,
-        message: 'OTP expired'
-      });
-    }
-
-    if (storedOTP.otp !== normalizedOTP) {
-      console.log(`❌ Invalid OTP. Expected: ${storedOTP.otp}, Got: ${normalizedOTP}\n`);
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid OTP'
-      });
+    // Verify OTP (single use, attempt-limited)
+    const verification = await verifyOtp('email_verification', normalizedEmail, normalizedOTP);
+    if (!verification.valid) {
+      await recordAuthFailure(normalizedEmail, req);
+      return sendOtpError(res, verification);
     }
 
     console.log(`✅ OTP verified successfully for ${normalizedEmail}\n`);
 
     // Mark as verified for password reset (valid for 5 minutes)
-    emailOtpStore.set(`verified_${normalizedEmail}`, {
-      verified: true,
-      expiresAt: Date.now() + 5 * 60 * 1000
-    });
-
-    // Delete OTP after successful verification
-    emailOtpStore.delete(normalizedEmail);
+    await markVerified('email_verification', normalizedEmail);
 
-    // Update user's email verification status if user exists in either collection
-    let user = await User.findOne({ email: normalizedEmail });
-    if (!user) {
-      user = await BusinessOwner.findOne({ email: normalizedEmail });
-    }
-    if (user) {
-      user.emailVerified = true;
-      await user.save();
-    }
+    // Update the account's email verification status if it exists
+    await User.updateOne(
+      { email: normalizedEmail },
+      { $set: { emailVerified: true }, $unset: { emailVerificationToken: 1, emailVerificationExpire: 1 } }
+    );
 
     res.status(200).json({
       success: true,
@@ -869,34 +861,16 @@ exports.resetPasswordWithOTP = async (req, res, next) => {
     // Normalize email
     const normalizedEmail = email.toLowerCase().trim();
 
-    // Check if email was verified via OTP
-    const verificationRecord = emailOtpStore.get(`verified_${normalizedEmail}`);
-
-    if (!verificationRecord) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please verify your email with OTP first'
-      });
-    }
-
-    if (Date.now() > verificationRecord.expiresAt) {
-      emailOtpStore.delete(`verified_${normalizedEmail}`);
+    // Check if email was verified via OTP (used up here, so one verification = one reset)
+    if (!(await consumeVerified('email_verification', normalizedEmail))) {
+      await recordAuthFailure(normalizedEmail, req);
       return res.status(400).json({
         success: false,
-        message: 'Verification expired. Please request a new OTP'
+        message: 'Please verify your email with OTP first (verification is valid for 5 minutes)'
       });
     }
 
-    // Find user in both collections
-    let user = await User.findOne({ email: normalizedEmail }).select('+passwordHash');
-    let userType = 'customer';
-
-    if (!user) {
-      user = await BusinessOwner.findOne({ email: normalizedEmail }).select('+passwordHash');
-      if (user) {
-        userType = 'business';
-      }
-    }
+    const user = await User.findOne({ email: normalizedEmail }).select('+passwordHash');
 
     if (!user) {
       return res.status(404).json({
@@ -907,13 +881,22 @@ exports.resetPasswordWithOTP = async (req, res, next) => {
 
     // Update password
     user.passwordHash = password;
+    user.passwordResetRequired = false;
+    user.lockedUntil = null; // Proving access to the inbox lifts a lockout
     await user.save();
+    await clearAuthFailures(user.email);
+
+    // Log out every device
+    await revokeAllSessions(user._id, 'password_reset');
 
-    // Clear verification record
-    emailOtpStore.delete(`verified_${normalizedEmail}`);
+    const userType = user.role;
 
-    // Generate auth token with userType
-    const token = generateToken(user._id, userType);
+    // A password reset doesn't skip the second factor
+    if (requiresTwoFactor(user)) {
+      return sendTwoFactorChallenge(res, user, userType);
+    }
+
+    const { token, refreshToken } = await createSession(user, userType, req);
 
     console.log(`✅ Password reset successful for ${normalizedEmail}`);
 
@@ -921,6 +904,7 @@ exports.resetPasswordWithOTP = async (req, res, next) => {
       success: true,
       message: 'Password reset successful',
       token,
+      refreshToken,
       user: user.getPublicProfile()
     });
   } catch (error) {
@@ -937,3 +921,379 @@ exports.resetPasswordWithOTP = async (req, res, next) => {
   }
 };
 
+
+// @desc    Exchange a refresh token for a new access token (refresh token is rotated)
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res, next) => {
+  try {
+    // Logging out of an impersonation ends it, so the token can't be used again - the user stays logged in
+    if (req.impersonation) {
+      await endImpersonation(req.impersonation._id, req.impersonator._id);
+    } else if (req.sessionId) {
+      await revokeSession(req.sessionId, 'logout', req.user._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List active sessions ("where you're logged in")
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device createdIp lastSeenIp lastSeenAt createdAt')
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: req.sessionId ? session._id.toString() === req.sessionId : false
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of my sessions (log a device out)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await revokeSession(req.params.id, 'user_revoked', req.user._id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out of every other device
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const count = await revokeAllSessions(req.user._id, 'user_revoked', {
+      exceptSessionId: req.sessionId
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Logged out of ${count} other session(s)`,
+      count
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Minimal page for links opened from emails when no app/website page is configured
+// (LOGIN_ALERT_URL, EMAIL_VERIFICATION_URL)
+const renderAuthPage = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title} - HashView</title>
+</head>
+<body style="font-family: Arial, sans-serif; background-color: #f3f4f6; padding: 40px 20px;">
+  <div style="max-width: 480px; margin: 0 auto; background: #ffffff; border-radius: 12px; padding: 30px;">
+    <h2 style="color: #2D1B69;">${title}</h2>
+    ${body}
+  </div>
+</body>
+</html>`;
+
+// @desc    Confirmation page for the "this wasn't me" link in a new-device alert
+// @route   GET /api/auth/login-alerts/deny?token=
+// @access  Public
+exports.getLoginAlertPage = async (req, res, next) => {
+  try {
+    // Email scanners follow links - nothing happens until the button is pressed
+    const token = /^[a-f0-9]{64}$/.test(req.query.token || '') ? req.query.token : '';
+
+    res.status(200).type('html').send(renderAuthPage(
+      "Wasn't you?",
+      `<p>We'll sign out every device on your account, and you'll need to reset your password before signing in with it again.</p>
+      <form method="POST" action="/api/auth/login-alerts/deny">
+        <input type="hidden" name="token" value="${token}">
+        <button type="submit" style="background-color: #EF4444; color: #ffffff; border: none; padding: 12px 20px; border-radius: 8px; font-size: 16px;">Secure my account</button>
+      </form>`
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report a login as not made by the account holder - signs out everywhere and forces a password reset
+// @route   POST /api/auth/login-alerts/deny
+// @access  Public (token from the alert)
+exports.denyLoginAlert = async (req, res, next) => {
+  try {
+    const result = await denyLogin(req.body.token, req);
+    const fromForm = req.is('application/x-www-form-urlencoded');
+
+    if (result.error) {
+      if (fromForm) {
+        return res.status(result.error.status).type('html').send(renderAuthPage(
+          'Link expired',
+          '<p>This link is invalid, expired or has already been used. If you still don\'t recognise a sign-in, reset your password from the app.</p>'
+        ));
+      }
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    const message = 'Your account has been secured. Every device has been signed out - reset your password to sign in again.';
+
+    if (fromForm) {
+      return res.status(200).type('html').send(renderAuthPage('Account secured', `<p>${message}</p>`));
+    }
+
+    res.status(200).json({
+      success: true,
+      message,
+      passwordResetRequired: true
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify email address from the signup link
+// @route   GET /api/auth/verify-email?token=  (link in the email)
+// @route   POST /api/auth/verify-email        (app / website, body: { token })
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const fromLink = req.method === 'GET';
+    const result = await verifyEmailToken(fromLink ? req.query.token : req.body.token);
+
+    if (result.error) {
+      if (fromLink) {
+        return res.status(result.error.status).type('html').send(renderAuthPage(
+          'Link expired',
+          '<p>This verification link is invalid or has expired. Request a new one from your account settings in the app.</p>'
+        ));
+      }
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    if (fromLink) {
+      return res.status(200).type('html').send(renderAuthPage(
+        'Email verified',
+        '<p>Thanks - your email address is confirmed. You can go back to the HashView app.</p>'
+      ));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      user: result.user.getPublicProfile()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerificationEmail = async (req, res, next) => {
+  try {
+    const result = await sendVerificationEmail(req.user);
+
+    if (result.error) {
+      if (result.error.retryAfter) res.set('Retry-After', String(result.error.retryAfter));
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message,
+        ...(result.error.retryAfter && { retryAfter: result.error.retryAfter })
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`,
+      expiresAt: result.expiresAt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Email a passwordless sign-in link
+// @route   POST /api/auth/magic-link
+// @access  Public
+exports.requestMagicLink = async (req, res, next) => {
+  try {
+    const email = req.body.email.toLowerCase().trim();
+    const { role } = req.body;
+
+    const cooldown = await startMagicLinkCooldown(email);
+    if (cooldown.error) {
+      return sendOtpError(res, cooldown.error);
+    }
+
+    // Same response whether or not the address has an account, so it can't be used to look accounts up
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, we\'ve sent it a sign-in link'
+    };
+
+    const user = await User.findOne({ email });
+    if (!user || (user.status !== 'active' && !isDeletionPending(user)) || isPlaceholderEmail(user.email)) {
+      return res.status(200).json(response);
+    }
+
+    const suspendedAccount = await SuspendedAccount.findOne({ email, status: 'suspended' });
+    if (suspendedAccount) {
+      logger.warn(`Magic link not sent: ${email} is suspended`);
+      return res.status(200).json(response);
+    }
+
+    await sendMagicLink(user, user.resolveRole(role));
+    logger.info(`🔗 Magic link sent to user ${user._id}`);
+
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign in with a magic link (the app passes on the token from the link)
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+exports.loginWithMagicLink = async (req, res, next) => {
+  try {
+    const result = await consumeMagicLink(req.body.token);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    const user = await User.findById(result.userId).populate('businesses');
+    // Signing back in during the deletion grace period cancels the deletion
+    const deletionPending = isDeletionPending(user);
+
+    if (!user || (user.status !== 'active' && !deletionPending)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not active. Please contact support.'
+      });
+    }
+
+    // The account may have been suspended after the link was sent
+    const suspendedAccount = await SuspendedAccount.findOne({
+      email: user.email.toLowerCase(),
+      status: 'suspended'
+    });
+
+    if (suspendedAccount) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been suspended. Please contact support for assistance.',
+        reason: suspendedAccount.reason
+      });
+    }
+
+    const userType = user.resolveRole(result.userType);
+
+    // Using the link proves access to the inbox
+    user.emailVerified = true;
+    user.lockedUntil = null; // Proving access to the inbox lifts a lockout
+    await clearAuthFailures(user.email);
+
+    if (requiresTwoFactor(user)) {
+      await user.save();
+      return sendTwoFactorChallenge(res, user, userType);
+    }
+
+    cancelAccountDeletion(user);
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Start a session (short-lived access token + refresh token)
+    const { token, refreshToken, session } = await createSession(user, userType, req);
+    checkLoginDevice(user, session, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      ...(deletionPending && { accountDeletionCancelled: true }),
+      ...(user.hasRole('admin') && isAdminTwoFactorRequired() && { twoFactorSetupRequired: true }),
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        role: userType,
+        roles: user.getRoles(),
+        profileImage: user.profileImage,
+        emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified,
+        ...(user.hasRole('business') && user.businesses && { businesses: user.businesses })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
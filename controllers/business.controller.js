@@ -1,7 +1,20 @@
 const Business = require('../models/Business.model');
 const Review = require('../models/Review.model');
 const { generateBusinessQRCode } = require('../utils/qrcode');
-const { getNearbyQuery, calculateDistance } = require('../utils/geolocation');
+const { getNearbyQuery } = require('../utils/geolocation');
+const { findBusinesses, buildBusinessFilter, tokenize } = require('../utils/search');
+const {
+  getOpeningStatus,
+  applyOpeningHoursFilters,
+  isValidTimeZone,
+  validateHoursExceptions
+} = require('../utils/openingHours');
+const { generateVisitSecret, getCurrentVisitCode, VISIT_CODE_STEP_SECONDS } = require('../utils/visitCode');
+const { signQRPayload } = require('../utils/qrSigning');
+const { hasAdminPermission } = require('../utils/adminAccess');
+
+// Fetch extra candidates when filtering on opening hours, since that filter runs after the query
+const HOURS_FILTER_CANDIDATE_MULTIPLIER = 4;
 const { syncGoogleRatingsForBusiness } = require('../controllers/externalReviews.controller');
 const { cloudinary } = require('../config/cloudinary');
 
@@ -318,7 +331,7 @@ exports.uploadDocuments = async (req, res, next) => {
 // @access  Public
 exports.getNearbyBusinesses = async (req, res, next) => {
   try {
-    const { latitude, longitude, radius, category, ratingSource, minRating, distance, search, query: legacyQuery } = req.query;
+    const { latitude, longitude, radius, category, ratingSource, minRating, distance, search, query: legacyQuery, openNow, opensAt } = req.query;
 
     console.log('🌍 getNearbyBusinesses request:', {
       latitude,
@@ -362,80 +375,19 @@ exports.getNearbyBusinesses = async (req, res, next) => {
     }
 
     // Show only active businesses on user home page
-    const query = {
-      status: 'active', // Only show active businesses
-      location: {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [parseFloat(longitude), parseFloat(latitude)]
-          },
-          $maxDistance: maxDistance
-        }
-      }
-    };
-
-    // Search query (backend handles case-insensitive search)
     const searchTerm = search || legacyQuery;
-    if (searchTerm && searchTerm.trim() !== '') {
-      query.$or = [
-        { name: { $regex: searchTerm.trim(), $options: 'i' } },
-        { description: { $regex: searchTerm.trim(), $options: 'i' } },
-        { 'address.fullAddress': { $regex: searchTerm.trim(), $options: 'i' } },
-        { 'address.city': { $regex: searchTerm.trim(), $options: 'i' } },
-        { 'address.area': { $regex: searchTerm.trim(), $options: 'i' } },
-        { 'address.state': { $regex: searchTerm.trim(), $options: 'i' } }
-      ];
-    }
-
-    if (category && category !== 'all') {
-      const trimmedCategory = category.trim();
-      query.category = {
-        $regex: new RegExp(`^${escapeRegExp(trimmedCategory)}$`, 'i')
-      };
-    }
-
-    // Server-side star-based rating filters
-    if (ratingSource && minRating) {
-      const minRatingValue = parseFloat(minRating);
-
-      // Filter by specific rating source and star level
-      if (ratingSource === 'hashview') {
-        query['rating.average'] = { $gte: minRatingValue };
-      } else if (ratingSource === 'google') {
-        query['externalProfiles.googleBusiness.rating'] = { $gte: minRatingValue };
-      } else if (ratingSource === 'tripadvisor') {
-        query['externalProfiles.tripAdvisor.rating'] = { $gte: minRatingValue };
-      }
-    }
-
-    console.log(`   🔍 Executing MongoDB $near query with maxDistance: ${maxDistance}m`);
-    const businesses = await Business.find(query)
-      .select('-documents')
-      .limit(50);
-
-    console.log(`   📊 MongoDB returned ${businesses.length} businesses`);
-
-    // Calculate distance for each business and add to response
-    const businessesWithDistance = businesses.map((business, index) => {
-      const businessObj = business.toObject();
-      if (business.location && business.location.coordinates) {
-        const distanceInMeters = calculateDistance(
-          parseFloat(latitude),
-          parseFloat(longitude),
-          business.location.coordinates[1], // latitude
-          business.location.coordinates[0]  // longitude
-        );
-        const distanceInKm = distanceInMeters / 1000;
-        businessObj.distance = distanceInKm; // Convert to KM for frontend
-
-        // Log first 3 businesses
-        if (index < 3) {
-          console.log(`      ${index + 1}. ${business.name}: ${distanceInKm.toFixed(2)}km (${distanceInMeters.toFixed(0)}m)`);
-        }
-      }
-      return businessObj;
+    const hoursFilter = openNow === 'true' || !!opensAt;
+    const candidates = await findBusinesses({
+      filter: buildBusinessFilter({ category, ratingSource, minRating }),
+      term: searchTerm,
+      location: {
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        maxDistance
+      },
+      limit: hoursFilter ? 50 * HOURS_FILTER_CANDIDATE_MULTIPLIER : 50
     });
+    const businessesWithDistance = applyOpeningHoursFilters(candidates, { openNow, opensAt }).slice(0, 50);
 
     console.log(`   ✅ Found ${businessesWithDistance.length} businesses within ${maxDistance / 1000}km`);
     if (businessesWithDistance.length > 0) {
@@ -450,11 +402,14 @@ exports.getNearbyBusinesses = async (req, res, next) => {
       count: businessesWithDistance.length,
       businesses: businessesWithDistance,
       filters: {
+        search: searchTerm || null,
         ratingSource: ratingSource || null,
         minRating: minRating || null,
         category: category || null,
         distance: distance || null,
-        maxDistance: `${maxDistance / 1000}km`
+        maxDistance: `${maxDistance / 1000}km`,
+        openNow: openNow === 'true',
+        opensAt: opensAt || null
       }
     });
   } catch (error) {
@@ -466,60 +421,23 @@ exports.getNearbyBusinesses = async (req, res, next) => {
 // @desc    Get all active businesses (without location filter)
 // @route   GET /api/business/all
 // @access  Public
-const escapeRegExp = (string) => {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-};
-
 exports.getAllActiveBusinesses = async (req, res, next) => {
   try {
-    const { category, limit, ratingSource, minRating, search, query: legacyQuery } = req.query;
+    const { category, limit, ratingSource, minRating, search, query: legacyQuery, sortBy, openNow, opensAt } = req.query;
 
     console.log('📋 getAllActiveBusinesses request:', { category, ratingSource, minRating, limit, search: search || legacyQuery });
 
-    const query = { status: 'active' };
-
-    // Search query (backend handles case-insensitive search)
     const searchTerm = search || legacyQuery;
-    if (searchTerm && searchTerm.trim() !== '') {
-      query.$or = [
-        { name: { $regex: searchTerm.trim(), $options: 'i' } },
-        { description: { $regex: searchTerm.trim(), $options: 'i' } },
-        { 'address.fullAddress': { $regex: searchTerm.trim(), $options: 'i' } },
-        { 'address.city': { $regex: searchTerm.trim(), $options: 'i' } },
-        { 'address.area': { $regex: searchTerm.trim(), $options: 'i' } },
-        { 'address.state': { $regex: searchTerm.trim(), $options: 'i' } }
-      ];
-    }
-
-    if (category && category !== 'all') {
-      const trimmedCategory = category.trim();
-      query.category = {
-        $regex: new RegExp(`^${escapeRegExp(trimmedCategory)}$`, 'i')
-      };
-    }
-
-    // Server-side star-based rating filters
-    if (ratingSource && minRating) {
-      const minRatingValue = parseFloat(minRating);
-
-      console.log(`   🎯 Applying ${ratingSource} rating filter: ≥${minRatingValue} stars`);
-
-      // Filter by specific rating source and star level
-      if (ratingSource === 'hashview') {
-        query['rating.average'] = { $gte: minRatingValue };
-      } else if (ratingSource === 'google') {
-        query['externalProfiles.googleBusiness.rating'] = { $gte: minRatingValue };
-      } else if (ratingSource === 'tripadvisor') {
-        query['externalProfiles.tripAdvisor.rating'] = { $gte: minRatingValue };
-      }
-    }
-
-    console.log('   📊 MongoDB query:', JSON.stringify(query, null, 2));
-
-    const businesses = await Business.find(query)
-      .select('-documents')
-      .limit(parseInt(limit) || 100)
-      .sort({ 'rating.average': -1 }); // Sort by highest rated first
+    const maxResults = parseInt(limit) || 100;
+    const hoursFilter = openNow === 'true' || !!opensAt;
+    const candidates = await findBusinesses({
+      filter: buildBusinessFilter({ category, ratingSource, minRating }),
+      term: searchTerm,
+      limit: hoursFilter ? maxResults * HOURS_FILTER_CANDIDATE_MULTIPLIER : maxResults,
+      // Sort by highest rated first (sortBy=score uses the Bayesian-weighted score)
+      sort: sortBy === 'score' ? { 'rating.bayesian': -1 } : { 'rating.average': -1 }
+    });
+    const businesses = applyOpeningHoursFilters(candidates, { openNow, opensAt }).slice(0, maxResults);
 
     console.log(`   ✅ Found ${businesses.length} businesses`);
     businesses.forEach((b, i) => {
@@ -533,7 +451,9 @@ exports.getAllActiveBusinesses = async (req, res, next) => {
       filters: {
         ratingSource: ratingSource || null,
         minRating: minRating || null,
-        category: category || null
+        category: category || null,
+        openNow: openNow === 'true',
+        opensAt: opensAt || null
       }
     });
   } catch (error) {
@@ -555,81 +475,40 @@ exports.searchBusinesses = async (req, res, next) => {
       minRating,
       latitude,      // User's location for distance sorting
       longitude,
-      limit          // Limit results (for autocomplete)
+      limit,         // Limit results (for autocomplete)
+      sortBy,        // 'score' ranks by Bayesian-weighted rating instead of distance/average
+      openNow,       // 'true' to only return businesses open right now
+      opensAt        // ISO datetime or "HH:MM" (business local time) the business must be open at
     } = req.query;
 
     console.log('🔍 Search request:', { search, query, latitude, longitude, limit });
 
-    // Show only active businesses for user search
-    const searchQuery = { status: 'active' };
-
-    // Real-time search by name or location
     const searchTerm = search || query;
-    if (searchTerm) {
-      searchQuery.$or = [
-        { name: { $regex: searchTerm, $options: 'i' } },
-        { description: { $regex: searchTerm, $options: 'i' } },
-        { 'address.fullAddress': { $regex: searchTerm, $options: 'i' } },
-        { 'address.city': { $regex: searchTerm, $options: 'i' } },
-        { 'address.area': { $regex: searchTerm, $options: 'i' } },
-        { 'address.state': { $regex: searchTerm, $options: 'i' } }
-      ];
-    }
+    const hasLocation = !!(latitude && longitude);
 
-    if (category && category !== 'all') {
-      const trimmedCategory = category.trim();
-      searchQuery.category = {
-        $regex: new RegExp(`^${escapeRegExp(trimmedCategory)}$`, 'i')
-      };
-    }
+    const maxResults = parseInt(limit) || 50; // Default 50, or use limit param for autocomplete
+    const hoursFilter = openNow === 'true' || !!opensAt;
 
-    if (city) {
-      searchQuery['address.city'] = { $regex: city, $options: 'i' };
-    }
-
-    // Server-side star-based rating filters
-    if (ratingSource && minRating) {
-      const minRatingValue = parseFloat(minRating);
-
-      // Filter by specific rating source and star level
-      if (ratingSource === 'hashview') {
-        searchQuery['rating.average'] = { $gte: minRatingValue };
-      } else if (ratingSource === 'google') {
-        searchQuery['externalProfiles.googleBusiness.rating'] = { $gte: minRatingValue };
-      } else if (ratingSource === 'tripadvisor') {
-        searchQuery['externalProfiles.tripAdvisor.rating'] = { $gte: minRatingValue };
+    const candidates = await findBusinesses({
+      filter: buildBusinessFilter({ category, city, ratingSource, minRating }),
+      term: searchTerm,
+      location: hasLocation ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) } : null,
+      limit: hoursFilter ? maxResults * HOURS_FILTER_CANDIDATE_MULTIPLIER : maxResults
+    });
+    const businesses = applyOpeningHoursFilters(candidates, { openNow, opensAt }).slice(0, maxResults);
+
+    if (sortBy === 'score') {
+      // Bayesian-weighted rating, so a single 5-star review doesn't outrank an established business
+      businesses.sort((a, b) => (b.rating?.bayesian || 0) - (a.rating?.bayesian || 0));
+    } else if (!tokenize(searchTerm).length) {
+      // No search term - nearest first, or highest rated without a location
+      if (hasLocation) {
+        businesses.sort((a, b) => a.distance - b.distance);
+      } else {
+        businesses.sort((a, b) => (b.rating?.average || 0) - (a.rating?.average || 0));
       }
     }
 
-    // Fetch businesses
-    let businesses = await Business.find(searchQuery)
-      .select('-documents')
-      .limit(parseInt(limit) || 50); // Default 50, or use limit param for autocomplete
-
-    // Calculate distance if user location provided
-    if (latitude && longitude) {
-      const userLat = parseFloat(latitude);
-      const userLon = parseFloat(longitude);
-
-      // Add distance to each business
-      businesses = businesses.map(business => {
-        const businessLat = business.location.coordinates[1];
-        const businessLon = business.location.coordinates[0];
-        const distance = calculateDistance(userLat, userLon, businessLat, businessLon);
-
-        return {
-          ...business.toObject(),
-          distance: distance / 1000 // Convert to kilometers
-        };
-      });
-
-      // Sort by distance (nearest first)
-      businesses.sort((a, b) => a.distance - b.distance);
-    } else {
-      // No location provided, sort by rating
-      businesses.sort((a, b) => (b.rating?.average || 0) - (a.rating?.average || 0));
-    }
-
     console.log(`✅ Found ${businesses.length} businesses`);
 
     res.status(200).json({
@@ -641,7 +520,10 @@ exports.searchBusinesses = async (req, res, next) => {
         ratingSource: ratingSource || null,
         minRating: minRating || null,
         category: category || null,
-        hasLocation: !!(latitude && longitude)
+        sortBy: sortBy || null,
+        openNow: openNow === 'true',
+        opensAt: opensAt || null,
+        hasLocation
       }
     });
   } catch (error) {
@@ -666,15 +548,19 @@ exports.getBusiness = async (req, res, next) => {
     }
 
     // Calculate if business is open NOW (backend handles all logic)
-    const isOpenNow = checkIfBusinessIsOpen(business.openingHours);
+    const openingStatus = getOpeningStatus(business);
 
     res.status(200).json({
       success: true,
       business: {
         ...business.toObject(),
-        isOpenNow: isOpenNow.isOpen,
-        openStatus: isOpenNow.status,
-        nextStateChange: isOpenNow.nextChange
+        isOpen: openingStatus.isOpen,
+        closesAt: openingStatus.closesAt,
+        nextOpen: openingStatus.nextOpen,
+        // Kept for older app versions
+        isOpenNow: openingStatus.isOpen,
+        openStatus: openingStatus.status,
+        nextStateChange: openingStatus.isOpen ? openingStatus.localCloseTime || null : openingStatus.localOpenTime || null
       }
     });
   } catch (error) {
@@ -682,88 +568,13 @@ exports.getBusiness = async (req, res, next) => {
   }
 };
 
-// Helper function to check if business is open NOW (server-side logic)
-function checkIfBusinessIsOpen(openingHours) {
-  if (!openingHours) {
-    return { isOpen: null, status: 'Hours not set', nextChange: null };
-  }
-
-  const now = new Date();
-  const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const currentDay = days[now.getDay()];
-  const todayHours = openingHours[currentDay];
-
-  if (!todayHours || todayHours.closed || todayHours.open === 'Closed') {
-    return { isOpen: false, status: 'Closed today', nextChange: null };
-  }
-
-  // Parse time strings (e.g., "09:00 AM")
-  const parseTime = (timeStr) => {
-    if (!timeStr || timeStr === 'Closed') return null;
-    const [time, period] = timeStr.split(' ');
-    let [hours, minutes] = time.split(':').map(Number);
-
-    if (period === 'PM' && hours !== 12) hours += 12;
-    if (period === 'AM' && hours === 12) hours = 0;
-
-    return hours * 60 + minutes; // Return minutes since midnight
-  };
-
-  const currentMinutes = now.getHours() * 60 + now.getMinutes();
-  const openMinutes = parseTime(todayHours.open);
-  const closeMinutes = parseTime(todayHours.close);
-
-  if (openMinutes === null || closeMinutes === null) {
-    return { isOpen: null, status: 'Hours not set', nextChange: null };
-  }
-
-  const isOpen = currentMinutes >= openMinutes && currentMinutes < closeMinutes;
-
-  let status, nextChange;
-  if (isOpen) {
-    status = `Open • Closes at ${todayHours.close}`;
-    nextChange = todayHours.close;
-  } else if (currentMinutes < openMinutes) {
-    status = `Closed • Opens at ${todayHours.open}`;
-    nextChange = todayHours.open;
-  } else {
-    status = 'Closed';
-    // Find next opening day
-    for (let i = 1; i <= 7; i++) {
-      const nextDayIndex = (now.getDay() + i) % 7;
-      const nextDay = days[nextDayIndex];
-      const nextDayHours = openingHours[nextDay];
-
-      if (nextDayHours && !nextDayHours.closed && nextDayHours.open !== 'Closed') {
-        status = `Closed • Opens ${nextDay.charAt(0).toUpperCase() + nextDay.slice(1)} at ${nextDayHours.open}`;
-        break;
-      }
-    }
-  }
-
-  return { isOpen, status, nextChange };
-}
-
 // @desc    Get business dashboard data
 // @route   GET /api/business/:id/dashboard
-// @access  Private (Business owner)
+// @access  Private (Business owner, Manager, Marketer, Admin)
 exports.getBusinessDashboard = async (req, res, next) => {
   try {
-    const business = await Business.findById(req.params.id);
-
-    if (!business) {
-      return res.status(404).json({
-        success: false,
-        message: 'Business not found'
-      });
-    }
-
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
+    // Access (owner, admin or staff with dashboard:view) is checked by authorizeBusiness
+    const business = req.business;
 
     // Get reviews
     const reviews = await Review.find({ business: business._id })
@@ -893,6 +704,67 @@ exports.getBusinessByQRCode = async (req, res, next) => {
   }
 };
 
+// Load a business with its visit code secret, creating the secret on first use
+const getVisitSecret = async (businessId) => {
+  const business = await Business.findById(businessId).select('+visitCodeSecret');
+  if (!business || business.visitCodeSecret) return business;
+
+  // Conditional update so two devices opening the screen together agree on one secret
+  await Business.updateOne(
+    { _id: businessId, visitCodeSecret: null },
+    { visitCodeSecret: generateVisitSecret() }
+  );
+  return Business.findById(businessId).select('+visitCodeSecret');
+};
+
+// @desc    Get the current rotating proof-of-visit code (shown on an owner device)
+// @route   GET /api/business/:id/visit-code
+// @access  Private (Business owner, Manager, Cashier)
+exports.getVisitCode = async (req, res, next) => {
+  try {
+    const business = await getVisitSecret(req.business._id);
+    const { code, expiresAt } = getCurrentVisitCode(business.visitCodeSecret);
+
+    // Dynamic QR - the previous code is still accepted for one more step
+    const qrData = signQRPayload(
+      { type: 'visit', businessId: business._id.toString(), code },
+      { expiresAt: new Date(expiresAt.getTime() + VISIT_CODE_STEP_SECONDS * 1000) }
+    );
+
+    res.status(200).json({
+      success: true,
+      code,
+      qrData,
+      expiresAt,
+      stepSeconds: VISIT_CODE_STEP_SECONDS,
+      reviewVerification: business.reviewVerification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rotate the proof-of-visit secret (invalidates printed or leaked codes)
+// @route   POST /api/business/:id/visit-code/rotate
+// @access  Private (Business owner)
+exports.rotateVisitCodeSecret = async (req, res, next) => {
+  try {
+    await Business.updateOne(
+      { _id: req.business._id },
+      { visitCodeSecret: generateVisitSecret() }
+    );
+
+    console.log(`🔑 Visit code secret rotated for business ${req.business._id} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Visit code secret rotated. Previous codes no longer work.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update business images (logo, cover, gallery)
 // @route   PUT /api/business/:id/images
 // @access  Private (Business owner)
@@ -908,7 +780,7 @@ exports.updateBusinessImages = async (req, res, next) => {
     }
 
     // Verify ownership
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (business.owner.toString() !== req.user.id && !hasAdminPermission(req.user, 'businesses:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this business'
@@ -1037,9 +909,28 @@ exports.updateBusiness = async (req, res, next) => {
       });
     }
 
-    const allowedUpdates = ['name', 'description', 'email', 'phone', 'address', 'category', 'openingHours', 'socialMedia', 'website'];
+    const allowedUpdates = [
+      'name', 'description', 'email', 'phone', 'address', 'category', 'openingHours', 'socialMedia', 'website',
+      'timezone', 'specialHours', 'holidayClosures', 'reviewVerification'
+    ];
     const updates = {};
 
+    // Opening hours exceptions
+    if (req.body.timezone !== undefined && !isValidTimeZone(req.body.timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timezone. Use an IANA name such as Asia/Kolkata.'
+      });
+    }
+
+    const hoursError = validateHoursExceptions(req.body);
+    if (hoursError) {
+      return res.status(400).json({
+        success: false,
+        message: hoursError
+      });
+    }
+
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         updates[field] = req.body[field];
@@ -1136,7 +1027,7 @@ exports.updateTripAdvisorRating = async (req, res, next) => {
     }
 
     // Authorization check - must be business owner or admin
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (business.owner.toString() !== req.user.id && !hasAdminPermission(req.user, 'businesses:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this business'
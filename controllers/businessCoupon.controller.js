@@ -1,29 +1,16 @@
 const Coupon = require('../models/Coupon.model');
-const Business = require('../models/Business.model');
+const { getBusinessAccess } = require('../utils/businessAccess');
+const { redeemCouponAtomically } = require('../utils/couponRedemption');
+const { verifyQRPayload } = require('../utils/qrSigning');
 
 // @desc    Get all coupons for a business
 // @route   GET /api/business-coupons/business/:businessId
-// @access  Private (Business owner, Admin)
+// @access  Private (Business owner, Manager, Marketer, Admin)
 exports.getBusinessCoupons = async (req, res, next) => {
   try {
     const { businessId } = req.params;
 
-    // Check authorization
-    const business = await Business.findById(businessId);
-    if (!business) {
-      return res.status(404).json({
-        success: false,
-        message: 'Business not found'
-      });
-    }
-
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to view these coupons'
-      });
-    }
-
+    // Access is checked by authorizeBusiness('coupons:view')
     const coupons = await Coupon.find({ business: businessId, type: 'business' })
       .sort({ createdAt: -1 });
 
@@ -63,7 +50,7 @@ exports.getCoupon = async (req, res, next) => {
 
 // @desc    Create new coupon
 // @route   POST /api/business-coupons
-// @access  Private (Business owner)
+// @access  Private (Business owner, Manager, Marketer)
 exports.createCoupon = async (req, res, next) => {
   try {
     const {
@@ -83,21 +70,7 @@ exports.createCoupon = async (req, res, next) => {
       terms
     } = req.body;
 
-    // Check authorization
-    const business = await Business.findById(businessId);
-    if (!business) {
-      return res.status(404).json({
-        success: false,
-        message: 'Business not found'
-      });
-    }
-
-    if (business.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to create coupons for this business'
-      });
-    }
+    // Access is checked by authorizeBusiness('coupons:manage')
 
     // Check if code already exists
     const existingCoupon = await Coupon.findOne({ 
@@ -149,7 +122,7 @@ exports.createCoupon = async (req, res, next) => {
 
 // @desc    Update coupon
 // @route   PUT /api/business-coupons/:id
-// @access  Private (Business owner)
+// @access  Private (Business owner, Manager, Marketer)
 exports.updateCoupon = async (req, res, next) => {
   try {
     let coupon = await Coupon.findById(req.params.id);
@@ -162,8 +135,8 @@ exports.updateCoupon = async (req, res, next) => {
     }
 
     // Check authorization
-    const business = await Business.findById(coupon.business);
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    const access = await getBusinessAccess(coupon.business, req.user, 'coupons:manage');
+    if (!access) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this coupon'
@@ -204,7 +177,7 @@ exports.updateCoupon = async (req, res, next) => {
 
 // @desc    Delete coupon
 // @route   DELETE /api/business-coupons/:id
-// @access  Private (Business owner)
+// @access  Private (Business owner, Manager, Marketer)
 exports.deleteCoupon = async (req, res, next) => {
   try {
     const coupon = await Coupon.findById(req.params.id);
@@ -217,8 +190,8 @@ exports.deleteCoupon = async (req, res, next) => {
     }
 
     // Check authorization
-    const business = await Business.findById(coupon.business);
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    const access = await getBusinessAccess(coupon.business, req.user, 'coupons:manage');
+    if (!access) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this coupon'
@@ -238,7 +211,7 @@ exports.deleteCoupon = async (req, res, next) => {
 
 // @desc    Toggle coupon active status
 // @route   PATCH /api/business-coupons/:id/toggle-status
-// @access  Private (Business owner)
+// @access  Private (Business owner, Manager, Marketer)
 exports.toggleCouponStatus = async (req, res, next) => {
   try {
     const coupon = await Coupon.findById(req.params.id);
@@ -251,8 +224,8 @@ exports.toggleCouponStatus = async (req, res, next) => {
     }
 
     // Check authorization
-    const business = await Business.findById(coupon.business);
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    const access = await getBusinessAccess(coupon.business, req.user, 'coupons:manage');
+    if (!access) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this coupon'
@@ -274,10 +247,23 @@ exports.toggleCouponStatus = async (req, res, next) => {
 
 // @desc    Verify coupon code (for customers)
 // @route   POST /api/business-coupons/verify
-// @access  Public
+// @access  Public (or API key with coupons:verify - businessId defaults to the key's business)
 exports.verifyCouponCode = async (req, res, next) => {
   try {
-    const { code, businessId } = req.body;
+    const { code } = req.body;
+    let { businessId } = req.body;
+
+    // An API key can only check its own business's coupons
+    if (req.apiKey) {
+      const keyBusinessId = req.apiKey.business._id.toString();
+      if (businessId && businessId.toString() !== keyBusinessId) {
+        return res.status(403).json({
+          success: false,
+          message: 'This API key belongs to a different business'
+        });
+      }
+      businessId = keyBusinessId;
+    }
 
     const coupon = await Coupon.findOne({ 
       code: code.toUpperCase(),
@@ -311,10 +297,10 @@ exports.verifyCouponCode = async (req, res, next) => {
 
 // @desc    Scan and redeem coupon QR code
 // @route   POST /api/business-coupons/scan-redeem
-// @access  Private (Business owner)
+// @access  Private (Business owner, Manager, Cashier, or API key with coupons:redeem)
 exports.scanAndRedeemCoupon = async (req, res, next) => {
   try {
-    const { qrCodeData } = req.body; // QR code data as JSON string
+    const { qrCodeData } = req.body; // Signed QR string (or legacy JSON)
 
     if (!qrCodeData) {
       return res.status(400).json({
@@ -323,25 +309,18 @@ exports.scanAndRedeemCoupon = async (req, res, next) => {
       });
     }
 
-    // Parse QR code data
-    let parsedData;
-    try {
-      parsedData = typeof qrCodeData === 'string' ? JSON.parse(qrCodeData) : qrCodeData;
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid QR code format'
-      });
-    }
+    // Verify the QR signature - unsigned coupon codes are always rejected
+    const verification = verifyQRPayload(qrCodeData, { type: 'coupon' });
 
-    // Validate QR code structure
-    if (parsedData.type !== 'coupon' || !parsedData.couponId) {
+    if (!verification.valid || !verification.data.couponId) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid coupon QR code'
+        message: verification.error || 'Invalid coupon QR code'
       });
     }
 
+    const parsedData = verification.data;
+
     // Find the coupon
     const coupon = await Coupon.findById(parsedData.couponId)
       .populate('business', 'name owner')
@@ -354,82 +333,63 @@ exports.scanAndRedeemCoupon = async (req, res, next) => {
       });
     }
 
-    // Check authorization - business owner must own the business
-    if (coupon.business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to redeem this coupon'
-      });
-    }
-
-    // Check if coupon is already redeemed
-    if (coupon.status === 'redeemed') {
+    if (parsedData.code && parsedData.code !== coupon.code) {
       return res.status(400).json({
         success: false,
-        message: 'This coupon has already been redeemed',
-        coupon: {
-          _id: coupon._id,
-          code: coupon.code,
-          status: coupon.status,
-          redeemedAt: coupon.redeemedAt,
-          user: coupon.user
-        }
+        message: 'Invalid coupon QR code'
       });
     }
 
-    // Check if coupon is expired
-    if (coupon.status === 'expired' || (coupon.validUntil && new Date() > coupon.validUntil)) {
-      // Auto-expire if not already expired
-      if (coupon.status !== 'expired') {
-        coupon.status = 'expired';
-        await coupon.save();
+    // Check authorization - owner or staff with redeem permission (cashier, manager),
+    // or an API key (already checked for coupons:redeem) belonging to the coupon's business
+    let redeemer;
+    if (req.apiKey) {
+      if (!coupon.business || coupon.business._id.toString() !== req.apiKey.business._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to redeem this coupon'
+        });
       }
-      return res.status(400).json({
-        success: false,
-        message: 'This coupon has expired',
-        coupon: {
-          _id: coupon._id,
-          code: coupon.code,
-          status: coupon.status,
-          validUntil: coupon.validUntil
-        }
-      });
-    }
 
-    // Check if coupon is valid
-    if (!coupon.isValid()) {
-      return res.status(400).json({
-        success: false,
-        message: 'This coupon is not valid',
-        coupon: {
-          _id: coupon._id,
-          code: coupon.code,
-          status: coupon.status
-        }
-      });
+      redeemer = {
+        redeemedBy: req.apiKey.createdBy,
+        redeemedByModel: 'User',
+        redeemedByRole: 'api_key',
+        redeemedByApiKey: req.apiKey._id
+      };
+    } else {
+      const access = await getBusinessAccess(coupon.business, req.user, 'coupons:redeem');
+      if (!access) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to redeem this coupon'
+        });
+      }
+
+      redeemer = {
+        redeemedBy: req.user.id,
+        redeemedByModel: 'User',
+        redeemedByRole: access.role,
+        redeemedByStaff: access.staff ? access.staff._id : null
+      };
     }
 
-    // Redeem the coupon
-    coupon.status = 'redeemed';
-    coupon.redeemedAt = new Date();
-    coupon.redeemedBy = req.user.id;
-    await coupon.save();
+    // Check and redeem in one conditional update so concurrent scans can't double-redeem
+    const result = await redeemCouponAtomically(coupon, redeemer);
 
-    // Update template redemption count if this is a review_reward coupon
-    if (coupon.type === 'review_reward') {
-      const couponTemplate = await Coupon.findOne({
-        business: coupon.business._id,
-        type: 'business',
-        isActive: true
+    if (result.error) {
+      const { status, message, coupon: details } = result.error;
+      return res.status(status).json({
+        success: false,
+        message,
+        ...(details && { coupon: { ...details, user: coupon.user } })
       });
-
-      if (couponTemplate) {
-        await Coupon.findByIdAndUpdate(couponTemplate._id, {
-          $inc: { redemptionCount: 1 }
-        });
-      }
     }
 
+    coupon.status = result.coupon.status;
+    coupon.redeemedAt = result.coupon.redeemedAt;
+    coupon.redeemedByRole = result.coupon.redeemedByRole;
+
     // Send notification to user
     const { sendPushNotification } = require('../utils/notification');
     if (coupon.user) {
@@ -449,6 +409,7 @@ exports.scanAndRedeemCoupon = async (req, res, next) => {
         code: coupon.code,
         status: coupon.status,
         redeemedAt: coupon.redeemedAt,
+        redeemedByRole: coupon.redeemedByRole,
         user: coupon.user,
         business: coupon.business
       }
@@ -460,26 +421,12 @@ exports.scanAndRedeemCoupon = async (req, res, next) => {
 
 // @desc    Get coupon redemption statistics for a business
 // @route   GET /api/business-coupons/redemption-stats/:businessId
-// @access  Private (Business owner)
+// @access  Private (Business owner, Manager, Marketer, Admin)
 exports.getRedemptionStats = async (req, res, next) => {
   try {
     const { businessId } = req.params;
 
-    // Check authorization
-    const business = await Business.findById(businessId);
-    if (!business) {
-      return res.status(404).json({
-        success: false,
-        message: 'Business not found'
-      });
-    }
-
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to view these statistics'
-      });
-    }
+    // Access is checked by authorizeBusiness('coupons:view')
 
     // Get coupon template
     const couponTemplate = await Coupon.findOne({
@@ -520,6 +467,7 @@ exports.getRedemptionStats = async (req, res, next) => {
       status: 'redeemed'
     })
       .populate('user', 'name email phone')
+      .populate('redeemedBy', 'name')
       .sort({ redeemedAt: -1 })
       .limit(10);
 
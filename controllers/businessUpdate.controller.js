@@ -1,5 +1,5 @@
 const BusinessUpdate = require('../models/BusinessUpdate.model');
-const Business = require('../models/Business.model');
+const { getBusinessAccess } = require('../utils/businessAccess');
 
 // @desc    Get all updates/offers for a business
 // @route   GET /api/business/:businessId/updates
@@ -32,29 +32,15 @@ exports.getBusinessUpdates = async (req, res, next) => {
   }
 };
 
-// @desc    Create update/offer (Business owner only)
+// @desc    Create update/offer (Business owner or staff)
 // @route   POST /api/business/:businessId/updates
-// @access  Private (Business owner)
+// @access  Private (Business owner, Manager, Marketer)
 exports.createBusinessUpdate = async (req, res, next) => {
   try {
     const { businessId } = req.params;
     const { type, title, description, image, discountType, discountValue, validUntil } = req.body;
 
-    // Verify business ownership
-    const business = await Business.findById(businessId);
-    if (!business) {
-      return res.status(404).json({
-        success: false,
-        message: 'Business not found'
-      });
-    }
-
-    if (business.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to add updates for this business'
-      });
-    }
+    // Access is checked by authorizeBusiness('updates:manage')
 
     const update = await BusinessUpdate.create({
       business: businessId,
@@ -80,7 +66,7 @@ exports.createBusinessUpdate = async (req, res, next) => {
 
 // @desc    Update business update/offer
 // @route   PUT /api/business/updates/:updateId
-// @access  Private (Business owner)
+// @access  Private (Business owner, Manager, Marketer)
 exports.updateBusinessUpdate = async (req, res, next) => {
   try {
     let update = await BusinessUpdate.findById(req.params.updateId);
@@ -92,9 +78,9 @@ exports.updateBusinessUpdate = async (req, res, next) => {
       });
     }
 
-    // Verify ownership
-    const business = await Business.findById(update.business);
-    if (business.owner.toString() !== req.user.id) {
+    // Verify owner or staff access
+    const access = await getBusinessAccess(update.business, req.user, 'updates:manage');
+    if (!access) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -125,7 +111,7 @@ exports.updateBusinessUpdate = async (req, res, next) => {
 
 // @desc    Delete business update/offer
 // @route   DELETE /api/business/updates/:updateId
-// @access  Private (Business owner)
+// @access  Private (Business owner, Manager, Marketer)
 exports.deleteBusinessUpdate = async (req, res, next) => {
   try {
     const update = await BusinessUpdate.findById(req.params.updateId);
@@ -137,9 +123,9 @@ exports.deleteBusinessUpdate = async (req, res, next) => {
       });
     }
 
-    // Verify ownership
-    const business = await Business.findById(update.business);
-    if (business.owner.toString() !== req.user.id) {
+    // Verify owner or staff access
+    const access = await getBusinessAccess(update.business, req.user, 'updates:manage');
+    if (!access) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
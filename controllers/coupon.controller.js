@@ -1,8 +1,21 @@
 const Coupon = require('../models/Coupon.model');
 const Business = require('../models/Business.model');
 const { isCouponValid, calculateDiscount, generateCouponCode } = require('../utils/coupon');
+const { redeemCouponAtomically } = require('../utils/couponRedemption');
+const { isCurrentQR, createCouponQRData } = require('../utils/qrSigning');
+const { getBusinessAccess } = require('../utils/businessAccess');
+const { hasAdminPermission } = require('../utils/adminAccess');
 const crypto = require('crypto');
 
+
+// Owner or staff of the business with the permission, or an admin who can manage coupons
+const getCouponAccess = async (business, user, permission) => {
+  const access = await getBusinessAccess(business, user, permission);
+  if (access) return access;
+
+  return hasAdminPermission(user, 'coupons:manage') ? { business, role: 'admin', staff: null } : null;
+};
+
 // @desc    Get user coupons
 // @route   GET /api/coupons
 // @access  Private
@@ -20,18 +33,10 @@ exports.getCoupons = async (req, res, next) => {
       .populate('business', 'name logo address phone email category')
       .sort({ createdAt: -1 });
     
-    // Ensure qrCodeData is included for all coupons
+    // Ensure every coupon has signed QR code data (legacy or rotated-out codes are re-issued)
     for (const coupon of coupons) {
-      if (!coupon.qrCodeData && coupon._id) {
-        // Generate QR code data if missing
-        const qrCodeData = JSON.stringify({
-          type: 'coupon',
-          couponId: coupon._id.toString(),
-          code: coupon.code,
-          businessId: coupon.business?._id?.toString() || '',
-          userId: coupon.user?.toString() || '',
-          timestamp: new Date().toISOString()
-        });
+      if (!isCurrentQR(coupon.qrCodeData) && coupon._id) {
+        const qrCodeData = createCouponQRData(coupon);
         coupon.qrCodeData = qrCodeData;
         // Optionally save it to database
         await Coupon.findByIdAndUpdate(coupon._id, { qrCodeData });
@@ -75,8 +80,8 @@ exports.createCoupon = async (req, res, next) => {
       });
     }
 
-    // Check authorization - must be business owner or admin
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check authorization - must be the owner, staff who manage coupons, or an admin
+    if (!(await getCouponAccess(business, req.user, 'coupons:manage'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to create coupons for this business'
@@ -153,7 +158,7 @@ exports.getCoupon = async (req, res, next) => {
     }
 
     // Check authorization
-    if (coupon.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (coupon.user._id.toString() !== req.user.id && !hasAdminPermission(req.user, 'coupons:view')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this coupon'
@@ -171,7 +176,7 @@ exports.getCoupon = async (req, res, next) => {
 
 // @desc    Verify coupon by code
 // @route   POST /api/coupons/verify
-// @access  Private (Business owner)
+// @access  Private (Business owner, Staff, Admin)
 exports.verifyCoupon = async (req, res, next) => {
   try {
     const { code } = req.body;
@@ -190,7 +195,7 @@ exports.verifyCoupon = async (req, res, next) => {
     // Get business to check ownership
     const business = await Business.findById(coupon.business._id);
     
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!(await getCouponAccess(business, req.user, 'coupons:redeem'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to verify this coupon'
@@ -218,7 +223,7 @@ exports.verifyCoupon = async (req, res, next) => {
 
 // @desc    Redeem coupon
 // @route   POST /api/coupons/:id/redeem
-// @access  Private (Business owner)
+// @access  Private (Business owner, Staff, Admin)
 exports.redeemCoupon = async (req, res, next) => {
   try {
     const coupon = await Coupon.findById(req.params.id)
@@ -233,32 +238,34 @@ exports.redeemCoupon = async (req, res, next) => {
 
     // Check business ownership
     const business = await Business.findById(coupon.business._id);
+    const access = await getCouponAccess(business, req.user, 'coupons:redeem');
     
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!access) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to redeem this coupon'
       });
     }
 
-    // Validate coupon
-    if (!isCouponValid(coupon)) {
-      return res.status(400).json({
+    // Validate and redeem in one conditional update
+    const result = await redeemCouponAtomically(coupon, {
+      redeemedBy: req.user.id,
+      redeemedByModel: 'User',
+      redeemedByRole: access.role,
+      redeemedByStaff: access.staff ? access.staff._id : null
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
         success: false,
-        message: 'Coupon is expired or already redeemed'
+        message: result.error.message
       });
     }
 
-    // Redeem coupon
-    coupon.status = 'redeemed';
-    coupon.redeemedAt = new Date();
-    coupon.redeemedBy = req.user.id;
-    await coupon.save();
-
     res.status(200).json({
       success: true,
       message: 'Coupon redeemed successfully',
-      coupon
+      coupon: result.coupon
     });
   } catch (error) {
     next(error);
@@ -267,7 +274,7 @@ exports.redeemCoupon = async (req, res, next) => {
 
 // @desc    Get business coupons
 // @route   GET /api/coupons/business/:businessId
-// @access  Private (Business owner)
+// @access  Private (Business owner, Staff, Admin)
 exports.getBusinessCoupons = async (req, res, next) => {
   try {
     const business = await Business.findById(req.params.businessId);
@@ -279,7 +286,7 @@ exports.getBusinessCoupons = async (req, res, next) => {
       });
     }
 
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!(await getCouponAccess(business, req.user, 'coupons:view'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
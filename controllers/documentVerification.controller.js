@@ -1,7 +1,8 @@
 const Business = require('../models/Business.model');
-const BusinessOwner = require('../models/BusinessOwner.model');
+const User = require('../models/User.model');
 const logger = require('../utils/logger');
 const { sendEmail } = require('../utils/emailService');
+const { hasAdminPermission } = require('../utils/adminAccess');
 
 // @desc    Upload ID proof document
 // @route   POST /api/verification/upload-id/:businessId
@@ -260,7 +261,7 @@ exports.submitForVerification = async (req, res, next) => {
     await business.save();
 
     // Send notification email
-    const owner = await BusinessOwner.findById(business.owner);
+    const owner = await User.findById(business.owner);
     if (owner) {
       await sendEmail({
         to: owner.email,
@@ -322,7 +323,7 @@ exports.getVerificationStatusInApp = async (req, res, next) => {
       });
     }
 
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (business.owner.toString() !== req.user.id && !hasAdminPermission(req.user, 'businesses:kyc')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -1,5 +1,6 @@
 const Business = require('../models/Business.model');
 const axios = require('axios');
+const { hasAdminPermission } = require('../utils/adminAccess');
 
 // Helper function to sync Google ratings (can be called from anywhere)
 const syncGoogleRatingsForBusiness = async (businessId, ratingsOnly = true) => {
@@ -169,7 +170,7 @@ exports.syncGoogleReviews = async (req, res, next) => {
     }
 
     // Verify ownership
-    if (req.user.role !== 'admin' && business.owner.toString() !== req.user.id) {
+    if (!hasAdminPermission(req.user, 'businesses:manage') && business.owner.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to sync reviews for this business'
@@ -241,7 +242,7 @@ exports.syncTripAdvisorReviews = async (req, res, next) => {
     }
 
     // Verify ownership
-    if (req.user.role !== 'admin' && business.owner.toString() !== req.user.id) {
+    if (!hasAdminPermission(req.user, 'businesses:manage') && business.owner.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to sync reviews for this business'
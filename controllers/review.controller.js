@@ -1,105 +1,138 @@
+const mongoose = require('mongoose');
 const Review = require('../models/Review.model');
 const Business = require('../models/Business.model');
-const Coupon = require('../models/Coupon.model');
+const SuspiciousActivity = require('../models/SuspiciousActivity.model');
 const { isWithinGeofence } = require('../utils/geolocation');
-const { generateCouponCode, calculateCouponExpiry } = require('../utils/coupon');
+const { verifyVisitCode, generateVisitToken, verifyVisitToken, resolveReviewVerification } = require('../utils/visitCode');
+const { calculateCouponExpiry } = require('../utils/coupon');
 const { sendPushNotification } = require('../utils/notification');
 const { generateCouponQRCode } = require('../utils/qrcode');
+const { verifyQRPayload } = require('../utils/qrSigning');
+const { scoreReview } = require('../utils/reviewRisk');
+const { applyReviewRatingChange } = require('../utils/rating');
+const { encodeActivityCursor, decodeActivityCursor, buildActivityFilter } = require('../utils/suspiciousActivity');
+const { completeReviewApproval } = require('../utils/reviewRewards');
+const { getBusinessAccess } = require('../utils/businessAccess');
+const { hasAdminPermission } = require('../utils/adminAccess');
+const { REVIEW_EDIT_WINDOW_DAYS, getEditWindowEndsAt, isWithinEditWindow, editReview } = require('../utils/reviewRevisions');
 const logger = require('../utils/logger');
 
-// In-memory suspicious behavior log (in production, use MongoDB collection)
-const suspiciousActivityLog = [];
-
 // Helper function to log suspicious behavior
-async function logSuspiciousBehavior(userId, eventType, metadata) {
+async function logSuspiciousBehavior(userId, eventType, metadata = {}) {
+  const { businessId, deviceId, ipAddress, ...details } = metadata;
+
   const logEntry = {
     userId,
     eventType,
-    metadata,
-    timestamp: new Date(),
-    ipAddress: metadata.ipAddress || null
+    businessId: businessId || null,
+    deviceId: deviceId || null,
+    ipAddress: ipAddress || null,
+    metadata: details,
+    timestamp: new Date()
   };
 
-  // Store in memory (in production, save to database)
-  suspiciousActivityLog.push(logEntry);
-
-  // Keep only last 1000 entries
-  if (suspiciousActivityLog.length > 1000) {
-    suspiciousActivityLog.shift();
-  }
-
   // Log to file
   logger.warn(`🚨 Suspicious Activity: ${eventType}`, logEntry);
 
-  // TODO: In production, save to SuspiciousActivity collection
-  // await SuspiciousActivity.create(logEntry);
-
-  return logEntry;
-}
-
-// @desc    Get suspicious activities (Admin only)
-// @route   GET /api/reviews/admin/suspicious-activities
-// @access  Private/Admin
-exports.getSuspiciousActivities = async (req, res, next) => {
+  // Persist to SuspiciousActivity collection (never block the request on a logging failure)
   try {
-    // Return in-memory suspicious activity log
-    const activities = suspiciousActivityLog
-      .sort((a, b) => b.timestamp - a.timestamp) // Most recent first
-      .slice(0, 100); // Last 100 entries
-
-    res.status(200).json({
-      success: true,
-      count: activities.length,
-      total: suspiciousActivityLog.length,
-      activities
-    });
+    return await SuspiciousActivity.create(logEntry);
   } catch (error) {
-    next(error);
+    logger.error('Failed to persist suspicious activity:', error);
+    return logEntry;
   }
+}
+
+// Replies hidden by an admin are not shown publicly
+const withVisibleReply = (review) => {
+  const data = review.toObject();
+  if (data.businessReply && data.businessReply.status === 'hidden') {
+    data.businessReply = null;
+  }
+  return data;
 };
 
-// @desc    Get flagged reviews (Admin only)
-// @route   GET /api/reviews/admin/flagged
-// @access  Private/Admin
-exports.getFlaggedReviews = async (req, res, next) => {
+// Failed visit code attempts allowed per user before check-in is paused
+const VISIT_CODE_MAX_ATTEMPTS = 5;
+const VISIT_CODE_ATTEMPT_WINDOW_MINUTES = 10;
+
+// @desc    Check in with a business's rotating visit code and get a visit token
+// @route   POST /api/reviews/visit
+// @access  Private
+exports.checkInVisit = async (req, res, next) => {
   try {
-    const flaggedReviews = await Review.find({
-      $or: [
-        { status: 'flagged' },
-        { 'securityMetadata.isMockLocation': true },
-        { 'securityMetadata.suspiciousActivitiesCount': { $gte: 3 } },
-        { 'securityMetadata.locationAccuracy': { $gt: 50 } },
-        { 'securityMetadata.motionDetected': false }
-      ]
-    })
-      .populate('user', 'name email phoneNumber')
-      .populate('business', 'name address')
-      .sort({ createdAt: -1 })
-      .limit(50);
+    let { business: businessId, code } = req.body;
 
-    res.status(200).json({
-      success: true,
-      count: flaggedReviews.length,
-      reviews: flaggedReviews
+    // Scanned dynamic QR carries the business and the code
+    if (req.body.qrData) {
+      const verification = verifyQRPayload(req.body.qrData, { type: 'visit' });
+
+      if (!verification.valid || verification.legacy) {
+        return res.status(400).json({
+          success: false,
+          message: verification.error || 'Invalid visit QR code'
+        });
+      }
+
+      businessId = verification.data.businessId;
+      code = verification.data.code;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(businessId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid business'
+      });
+    }
+
+    // Stop guessing - the code is only 6 digits
+    const recentFailures = await SuspiciousActivity.countDocuments({
+      userId: req.user.id,
+      eventType: 'VISIT_CODE_INVALID',
+      timestamp: { $gte: new Date(Date.now() - VISIT_CODE_ATTEMPT_WINDOW_MINUTES * 60 * 1000) }
     });
-  } catch (error) {
-    next(error);
-  }
-};
 
-// @desc    Clear suspicious activities log (Admin only)
-// @route   DELETE /api/reviews/admin/suspicious-activities
-// @access  Private/Admin
-exports.clearSuspiciousActivities = async (req, res, next) => {
-  try {
-    const count = suspiciousActivityLog.length;
-    suspiciousActivityLog.length = 0; // Clear array
+    if (recentFailures >= VISIT_CODE_MAX_ATTEMPTS) {
+      return res.status(429).json({
+        success: false,
+        message: `Too many incorrect codes. Please try again in ${VISIT_CODE_ATTEMPT_WINDOW_MINUTES} minutes.`
+      });
+    }
+
+    const business = await Business.findById(businessId).select('+visitCodeSecret');
+
+    if (!business || business.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    if (!verifyVisitCode(code, business.visitCodeSecret)) {
+      await logSuspiciousBehavior(req.user.id, 'VISIT_CODE_INVALID', {
+        businessId: business._id,
+        ipAddress: req.ip
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired visit code'
+      });
+    }
 
-    logger.info(`🧹 Suspicious activities log cleared by admin (${count} entries removed)`);
+    const { visitToken, expiresAt } = generateVisitToken(req.user.id, business._id);
+
+    logger.info(`📍 Visit checked in - User: ${req.user.id}, Business: ${business._id}`);
 
     res.status(200).json({
       success: true,
-      message: `Cleared ${count} suspicious activity entries`
+      message: 'Visit confirmed. You can now review this business.',
+      visitToken,
+      expiresAt,
+      business: {
+        _id: business._id,
+        name: business.name
+      }
     });
   } catch (error) {
     next(error);
@@ -118,6 +151,7 @@ exports.createReview = async (req, res, next) => {
       emotion, // Add emotion field
       latitude,
       longitude,
+      visitToken, // Proof-of-visit token from scanning the business's rotating code
       images,
       videos, // Videos array with URLs from Cloudinary
       // 🔒 COMPREHENSIVE SECURITY METADATA from frontend
@@ -134,6 +168,13 @@ exports.createReview = async (req, res, next) => {
     // Geofencing security validation
     console.log(`🔒 Review attempt - User: ${req.user.id}, Business: ${businessId}`);
 
+    // Indexed context attached to every suspicious activity logged for this submission
+    const activityContext = {
+      businessId,
+      deviceId: deviceFingerprint?.deviceId || null,
+      ipAddress: req.ip
+    };
+
     // Get business
     const business = await Business.findById(businessId);
 
@@ -162,8 +203,8 @@ exports.createReview = async (req, res, next) => {
 
     if (todayReviewCount >= 5) {
       await logSuspiciousBehavior(req.user.id, 'RATE_LIMIT_EXCEEDED', {
-        reviewCount: todayReviewCount,
-        businessId: businessId
+        ...activityContext,
+        reviewCount: todayReviewCount
       });
 
       return res.status(429).json({
@@ -188,112 +229,139 @@ exports.createReview = async (req, res, next) => {
 
     // Frontend metadata removed - doing real validation on backend now!
 
-    // Verify geofencing - user must be within business radius
     const businessLat = business.location.coordinates[1];
     const businessLon = business.location.coordinates[0];
+    const hasLocation = latitude !== undefined && longitude !== undefined;
 
-    // Verify geofencing
-    const withinGeofence = isWithinGeofence(
-      latitude,
-      longitude,
-      businessLat,
-      businessLon,
-      business.radius
-    );
-
-    const { calculateDistance } = require('../utils/geolocation');
-    const actualDistance = calculateDistance(latitude, longitude, businessLat, businessLon);
-
-    if (!withinGeofence) {
-      await logSuspiciousBehavior(req.user.id, 'GEOFENCE_VIOLATION', {
-        businessId: businessId,
-        distance: actualDistance,
-        allowedRadius: business.radius
-      });
-
-      return res.status(403).json({
-        success: false,
-        message: `You must be within ${business.radius}m of the business to post a review. You are currently ${actualDistance.toFixed(0)}m away.`
-      });
+    // Proof-of-visit token must be bound to this user and business
+    const hasVisitToken = !!verifyVisitToken(visitToken, req.user.id, businessId);
+    if (visitToken && !hasVisitToken) {
+      await logSuspiciousBehavior(req.user.id, 'INVALID_VISIT_TOKEN', activityContext);
     }
 
-    // 🔒 COMPREHENSIVE SECURITY VALIDATION
-
-    // GPS Accuracy check
-    if (locationAccuracy && locationAccuracy > 50) {
-      await logSuspiciousBehavior(req.user.id, 'POOR_GPS_ACCURACY', {
-        businessId: businessId,
-        accuracy: locationAccuracy
-      });
+    // Verify geofencing - user must be within business radius
+    let withinGeofence = false;
+    let actualDistance;
+    if (hasLocation) {
+      withinGeofence = isWithinGeofence(
+        latitude,
+        longitude,
+        businessLat,
+        businessLon,
+        business.radius
+      );
 
-      return res.status(400).json({
-        success: false,
-        message: `GPS accuracy is too low (${Math.round(locationAccuracy)}m). Please improve your GPS signal and try again.`
-      });
+      const { calculateDistance } = require('../utils/geolocation');
+      actualDistance = calculateDistance(latitude, longitude, businessLat, businessLon);
     }
 
-    // Verification time check (informational)
-    if (verificationTime !== undefined && verificationTime !== 30) {
-      await logSuspiciousBehavior(req.user.id, 'VERIFICATION_TIME_MISMATCH', {
-        businessId: businessId,
-        verificationTime: verificationTime
-      });
-    }
+    // Each business decides which evidence is required (geofence, visit code or either)
+    const verificationMode = business.reviewVerification || 'geofence';
+    const verification = resolveReviewVerification(verificationMode, { hasVisitToken, withinGeofence });
+
+    if (!verification.allowed) {
+      if (hasLocation && !withinGeofence) {
+        await logSuspiciousBehavior(req.user.id, 'GEOFENCE_VIOLATION', {
+          ...activityContext,
+          distance: actualDistance,
+          allowedRadius: business.radius,
+          verificationMode
+        });
+      }
 
-    // Mock Location detection
-    if (isMockLocation === true) {
-      await logSuspiciousBehavior(req.user.id, 'MOCK_LOCATION_DETECTED', {
-        businessId: businessId,
-        devicePlatform: devicePlatform
-      });
+      let message;
+      if (verification.reason === 'visit_code_required') {
+        message = 'This business requires you to scan its in-store visit code before posting a review.';
+      } else if (!hasLocation) {
+        message = verificationMode === 'either'
+          ? 'Please share your location or scan the in-store visit code to post a review.'
+          : 'Please share your location to post a review.';
+      } else {
+        message = `You must be within ${business.radius}m of the business to post a review. You are currently ${actualDistance.toFixed(0)}m away.`;
+      }
 
       return res.status(403).json({
         success: false,
-        message: 'Mock/fake GPS location detected. Please disable any location spoofing apps and use your real GPS location.'
+        message,
+        reviewVerification: verificationMode
       });
     }
 
-    // Location History check
-    if (locationHistoryCount !== undefined && locationHistoryCount < 5) {
-      await logSuspiciousBehavior(req.user.id, 'INSUFFICIENT_LOCATION_HISTORY', {
-        businessId: businessId,
-        locationHistoryCount: locationHistoryCount
-      });
-    }
+    // Without GPS the visit code places the customer at the business
+    const reviewLat = hasLocation ? latitude : businessLat;
+    const reviewLon = hasLocation ? longitude : businessLon;
 
-    // Suspicious Activities check
+    // 🔒 COMPREHENSIVE SECURITY VALIDATION
+    // Frontend-reported suspicious events are logged individually for the audit trail
     if (suspiciousActivities && suspiciousActivities.length > 0) {
       for (const activity of suspiciousActivities) {
         await logSuspiciousBehavior(req.user.id, `FRONTEND_${activity.type}`, {
-          businessId: businessId,
-          ...activity.metadata,
+          ...activityContext,
+          // Kept apart so client data can't overwrite the indexed context the admin filters rely on
+          clientMetadata: activity.metadata,
           timestamp: activity.timestamp
         });
       }
-
-      if (suspiciousActivities.length >= 3) {
-        return res.status(403).json({
-          success: false,
-          message: 'Multiple security concerns detected. Your submission has been flagged for review by our team.'
-        });
-      }
     }
 
-    // Device Fingerprint check
-    if (deviceFingerprint) {
-      const sameDeviceReviews = await Review.countDocuments({
+    // Gather server-side signals for risk scoring
+    let deviceReviewsToday = 0;
+    let deviceOtherAccountCount = 0;
+    if (deviceFingerprint?.deviceId) {
+      deviceReviewsToday = await Review.countDocuments({
         user: req.user.id,
         'securityMetadata.deviceFingerprint.deviceId': deviceFingerprint.deviceId,
         createdAt: { $gte: today }
       });
 
-      if (sameDeviceReviews >= 3) {
-        await logSuspiciousBehavior(req.user.id, 'MULTIPLE_DEVICE_REVIEWS', {
-          businessId: businessId,
-          deviceId: deviceFingerprint.deviceId,
-          reviewCount: sameDeviceReviews
-        });
-      }
+      const otherAccounts = await Review.distinct('user', {
+        'securityMetadata.deviceFingerprint.deviceId': deviceFingerprint.deviceId,
+        user: { $ne: req.user._id }
+      });
+      deviceOtherAccountCount = otherAccounts.length;
+    }
+
+    const previousReview = await Review.findOne({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .select('geolocation createdAt');
+
+    const risk = scoreReview({
+      latitude: reviewLat,
+      longitude: reviewLon,
+      locationAccuracy,
+      verificationTime,
+      isMockLocation,
+      devicePlatform,
+      locationHistoryCount,
+      suspiciousActivitiesCount: suspiciousActivities?.length || 0,
+      accountCreatedAt: req.user.createdAt,
+      deviceReviewsToday,
+      deviceOtherAccountCount,
+      actualDistance,
+      businessRadius: business.radius,
+      previousReview: previousReview ? {
+        coordinates: previousReview.geolocation?.coordinates,
+        createdAt: previousReview.createdAt
+      } : null
+    });
+
+    // Log every signal that fired
+    for (const signal of risk.signals.filter(s => s.value > 0)) {
+      await logSuspiciousBehavior(req.user.id, signal.eventType, {
+        ...activityContext,
+        riskSignal: signal.name,
+        value: signal.value,
+        points: signal.points,
+        ...signal.detail
+      });
+    }
+
+    if (risk.flagged) {
+      await logSuspiciousBehavior(req.user.id, 'REVIEW_FLAGGED', {
+        ...activityContext,
+        riskScore: risk.score,
+        threshold: risk.threshold
+      });
     }
 
     // Create review with comprehensive security metadata
@@ -305,11 +373,12 @@ exports.createReview = async (req, res, next) => {
       emotion: emotion || null, // Add emotion field
       geolocation: {
         type: 'Point',
-        coordinates: [longitude, latitude]
+        coordinates: [reviewLon, reviewLat]
       },
       images: images || [],
       videos: videos || [],
-      verified: true,
+      verified: !risk.flagged,
+      status: risk.flagged ? 'flagged' : 'approved',
       // Store all security metadata for auditing
       securityMetadata: {
         locationAccuracy: locationAccuracy,
@@ -322,7 +391,13 @@ exports.createReview = async (req, res, next) => {
         devicePlatform: devicePlatform,
         actualDistance: actualDistance,
         businessRadius: business.radius,
-        submittedAt: new Date()
+        verificationMethod: verification.method,
+        submittedAt: new Date(),
+        riskScore: risk.score,
+        riskThreshold: risk.threshold,
+        riskSignals: risk.signals.filter(s => s.value > 0).map(({ name, weight, value, points, detail }) => ({
+          name, weight, value, points, detail
+        }))
       }
     });
 
@@ -331,133 +406,33 @@ exports.createReview = async (req, res, next) => {
       reviewId: review._id,
       userId: req.user.id,
       businessId: businessId,
-      distance: actualDistance.toFixed(2),
-      businessRadius: business.radius
-    });
-
-    // Update business rating
-    const reviews = await Review.find({ business: businessId });
-    const avgRating = reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length;
-
-    business.rating.average = avgRating;
-    business.rating.count = reviews.length;
-    business.reviewCount = reviews.length;
-    await business.save();
-
-    // Get active coupon template for this business (type='business' coupons)
-    const couponTemplate = await Coupon.findOne({
-      business: businessId,
-      type: 'business',
-      isActive: true
-    });
-
-    // Check if redemption limit is reached
-    if (couponTemplate && couponTemplate.redemptionLimit !== null) {
-      // Count how many review_reward coupons have been redeemed for this template
-      const redeemedCount = await Coupon.countDocuments({
-        business: businessId,
-        type: 'review_reward',
-        status: 'redeemed'
-      });
-
-      if (redeemedCount >= couponTemplate.redemptionLimit) {
-        // Redemption limit reached, don't issue coupon
-        logger.info(`Redemption limit reached for business ${businessId}. Template limit: ${couponTemplate.redemptionLimit}, Redeemed: ${redeemedCount}`);
-        // Still create the review, just without coupon
-        res.status(201).json({
-          success: true,
-          message: 'Review posted successfully. Coupon redemption limit reached.',
-          review
-        });
-        return;
-      }
-    }
-
-    // Generate coupon as reward (2 hours validity)
-    const couponCode = generateCouponCode();
-    const couponExpiry = new Date();
-    couponExpiry.setHours(couponExpiry.getHours() + 2); // 2 hours validity
-
-    // Use template values or defaults
-    const rewardType = couponTemplate?.rewardType || 'percentage';
-    const rewardValue = couponTemplate?.rewardValue || 10;
-    const description = couponTemplate?.description || 'Thank you for your review! Enjoy your reward. Valid for 2 hours.';
-    const minPurchaseAmount = couponTemplate?.minPurchaseAmount || 0;
-    const maxDiscountAmount = couponTemplate?.maxDiscountAmount || null;
-
-    // Create coupon first (we'll update QR code after)
-    const coupon = await Coupon.create({
-      type: 'review_reward',
-      business: businessId,
-      user: req.user.id,
-      review: review._id,
-      code: couponCode,
-      rewardType,
-      rewardValue,
-      description,
-      validFrom: new Date(),
-      validUntil: couponExpiry,
-      minPurchaseAmount,
-      maxDiscountAmount,
-      status: 'active',
-      terms: 'Valid for 2 hours from time of issue. Can be used once.'
+      distance: actualDistance !== undefined ? actualDistance.toFixed(2) : null,
+      businessRadius: business.radius,
+      verificationMethod: verification.method,
+      riskScore: risk.score,
+      status: review.status
     });
 
-    // Generate QR code data with actual coupon ID
-    const qrCodeData = JSON.stringify({
-      type: 'coupon',
-      couponId: coupon._id.toString(),
-      code: couponCode,
-      businessId: businessId.toString(),
-      userId: req.user.id.toString(),
-      reviewId: review._id.toString(),
-      timestamp: new Date().toISOString()
-    });
-
-    // Update coupon with QR code data
-    coupon.qrCodeData = qrCodeData;
-    await coupon.save();
-
-    // Increment template usage count (for analytics)
-    if (couponTemplate) {
-      await Coupon.findByIdAndUpdate(couponTemplate._id, {
-        $inc: { usageCount: 1 }
+    // Flagged reviews are held for moderation - no rating update or coupon until approved
+    if (risk.flagged) {
+      return res.status(202).json({
+        success: true,
+        message: 'Your review has been submitted and is pending verification by our team.',
+        review
       });
     }
 
-    review.couponAwarded = true;
-    review.coupon = coupon._id;
-    await review.save();
-
-    // Send notification to user
-    const couponMessage = rewardType === 'percentage'
-      ? `You've earned a ${rewardValue}% discount coupon! Valid for 2 hours.`
-      : rewardType === 'fixed'
-        ? `You've earned a ₹${rewardValue} discount coupon! Valid for 2 hours.`
-        : rewardType === 'buy1get1'
-          ? `You've earned a Buy 1 Get 1 coupon! Valid for 2 hours.`
-          : `You've earned a free drink coupon! Valid for 2 hours.`;
-
-    await sendPushNotification(
-      req.user.id,
-      'Coupon Earned! 🎉',
-      couponMessage,
-      { type: 'coupon', couponId: coupon._id.toString() }
-    );
+    // Update business rating
+    await applyReviewRatingChange(businessId, null, review);
 
-    // Notify business owner
-    await sendPushNotification(
-      business.owner,
-      'New Review',
-      `${req.user.name} left a ${rating}-star review for ${business.name}`,
-      { type: 'review', reviewId: review._id.toString() }
-    );
+    // Reward coupon for the reviewer, notification for the owner
+    const { coupon, limitReached } = await completeReviewApproval(review, business, req.user);
 
     res.status(201).json({
       success: true,
-      message: 'Review posted successfully',
+      message: limitReached ? 'Review posted successfully. Coupon redemption limit reached.' : 'Review posted successfully',
       review,
-      coupon
+      ...(coupon && { coupon })
     });
   } catch (error) {
     next(error);
@@ -466,9 +441,17 @@ exports.createReview = async (req, res, next) => {
 
 // @desc    Get reviews for a business
 // @route   GET /api/reviews/business/:businessId
-// @access  Public
+// @access  Public (or API key with reviews:read)
 exports.getBusinessReviews = async (req, res, next) => {
   try {
+    // An API key can only pull its own business's reviews
+    if (req.apiKey && req.apiKey.business._id.toString() !== req.params.businessId) {
+      return res.status(403).json({
+        success: false,
+        message: 'This API key belongs to a different business'
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
@@ -493,7 +476,8 @@ exports.getBusinessReviews = async (req, res, next) => {
       total,
       page,
       pages: Math.ceil(total / limit),
-      reviews
+      // "Edited" marker - the revisions themselves are only shown to admins
+      reviews: reviews.map(review => ({ ...withVisibleReply(review), edited: review.editCount > 0 }))
     });
   } catch (error) {
     next(error);
@@ -518,14 +502,14 @@ exports.getReview = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      review
+      review: withVisibleReply(review)
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Update review
+// @desc    Update review (the author within the edit window, or an admin) - every edit is kept as a revision
 // @route   PUT /api/reviews/:id
 // @access  Private
 exports.updateReview = async (req, res, next) => {
@@ -539,24 +523,50 @@ exports.updateReview = async (req, res, next) => {
       });
     }
 
-    if (review.user.toString() !== req.user.id) {
+    const isAuthor = review.user.toString() === req.user.id;
+
+    if (!isAuthor && !hasAdminPermission(req.user, 'reviews:moderate')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this review'
       });
     }
 
-    const { rating, comment } = req.body;
+    const { rating, comment, images, videos, reason } = req.body;
 
-    if (rating) review.rating = rating;
-    if (comment) review.comment = comment;
+    // Authors can't rewrite a review long after posting it (e.g. dropping a 5 to a 1 after a dispute)
+    if (isAuthor && !isWithinEditWindow(review)) {
+      return res.status(403).json({
+        success: false,
+        message: `Reviews can only be edited within ${REVIEW_EDIT_WINDOW_DAYS} days of posting`,
+        editWindowEndedAt: getEditWindowEndsAt(review)
+      });
+    }
 
-    await review.save();
+    if (!isAuthor && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for editing someone else\'s review'
+      });
+    }
+
+    const result = await editReview(
+      review,
+      { rating, comment, images, videos },
+      { user: req.user, role: isAuthor ? 'user' : 'admin', reason, ipAddress: req.ip }
+    );
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Review updated successfully',
-      review
+      message: result.revision ? 'Review updated successfully' : 'No changes to save',
+      review: result.review
     });
   } catch (error) {
     next(error);
@@ -577,14 +587,19 @@ exports.deleteReview = async (req, res, next) => {
       });
     }
 
-    if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (review.user.toString() !== req.user.id && !hasAdminPermission(req.user, 'reviews:moderate')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this review'
       });
     }
 
-    await review.deleteOne();
+    // The deleted document is the review as it was at that moment, so a status change or a
+    // second delete racing with this one can't make the rating change count twice
+    const deleted = await Review.findOneAndDelete({ _id: review._id });
+    if (deleted) {
+      await applyReviewRatingChange(deleted.business, deleted, null);
+    }
 
     res.status(200).json({
       success: true,
@@ -631,41 +646,208 @@ exports.markHelpful = async (req, res, next) => {
   }
 };
 
+// Load a review and confirm the requester is the owner (or a manager) of the reviewed business
+const findReviewForOwner = async (req, res) => {
+  const review = await Review.findById(req.params.id).populate('business', 'name owner');
+
+  if (!review) {
+    res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+    return null;
+  }
+
+  const access = review.business ? await getBusinessAccess(review.business, req.user, 'reviews:reply') : null;
+  if (!access || access.role === 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to reply to reviews for this business'
+    });
+    return null;
+  }
+
+  return review;
+};
+
+// @desc    Reply to a review as the business owner
+// @route   POST /api/reviews/:id/reply
+// @access  Private (Business owner, Manager)
+exports.createReply = async (req, res, next) => {
+  try {
+    const review = await findReviewForOwner(req, res);
+    if (!review) return;
+
+    if (review.businessReply) {
+      return res.status(400).json({
+        success: false,
+        message: 'This review already has a reply. Edit the existing reply instead.'
+      });
+    }
+
+    review.businessReply = {
+      text: req.body.text,
+      repliedBy: req.user.id,
+      repliedAt: new Date()
+    };
+    await review.save();
+
+    // Notify the reviewer
+    try {
+      await sendPushNotification(
+        review.user,
+        `${review.business.name} replied to your review`,
+        req.body.text.length > 100 ? `${req.body.text.substring(0, 97)}...` : req.body.text,
+        {
+          type: 'review',
+          reviewId: review._id.toString(),
+          businessId: review.business._id.toString()
+        }
+      );
+    } catch (notificationError) {
+      logger.error('Failed to send review reply notification:', notificationError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply posted successfully',
+      review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Edit the business owner reply
+// @route   PUT /api/reviews/:id/reply
+// @access  Private (Business owner, Manager)
+exports.updateReply = async (req, res, next) => {
+  try {
+    const review = await findReviewForOwner(req, res);
+    if (!review) return;
+
+    if (!review.businessReply) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reply not found'
+      });
+    }
+
+    review.businessReply.text = req.body.text;
+    review.businessReply.editedAt = new Date();
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply updated successfully',
+      review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete the business owner reply
+// @route   DELETE /api/reviews/:id/reply
+// @access  Private (Business owner, Manager)
+exports.deleteReply = async (req, res, next) => {
+  try {
+    const review = await findReviewForOwner(req, res);
+    if (!review) return;
+
+    if (!review.businessReply) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reply not found'
+      });
+    }
+
+    review.businessReply = null;
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get suspicious activities (Admin only)
 // @route   GET /api/reviews/admin/suspicious-activities
 // @access  Private (Admin)
 exports.getSuspiciousActivities = async (req, res, next) => {
   try {
-    const { limit = 100, eventType } = req.query;
-
-    let activities = [...suspiciousActivityLog];
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
-    // Filter by event type if specified
-    if (eventType) {
-      activities = activities.filter(a => a.eventType === eventType);
+    const { filter, error } = buildActivityFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
     }
 
-    // Sort by most recent first
-    activities.sort((a, b) => b.timestamp - a.timestamp);
+    // Cursor pagination - fetch entries older than the last one returned
+    const pageFilter = { ...filter };
+    if (req.query.cursor) {
+      const cursor = decodeActivityCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+      pageFilter.$or = [
+        { timestamp: { $lt: cursor.timestamp } },
+        { timestamp: cursor.timestamp, _id: { $lt: cursor.id } }
+      ];
+    }
 
-    // Limit results
-    activities = activities.slice(0, parseInt(limit));
+    const activities = await SuspiciousActivity.find(pageFilter)
+      .populate('userId', 'name email phone')
+      .populate('businessId', 'name')
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = activities.length > limit;
+    if (hasMore) activities.pop();
+
+    // Per-event-type aggregates for the whole filtered set (not just this page)
+    const byTypeResults = await SuspiciousActivity.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: '$eventType',
+          count: { $sum: 1 },
+          uniqueUsers: { $addToSet: '$userId' },
+          lastSeen: { $max: '$timestamp' }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
 
-    // Get summary statistics
     const stats = {
-      total: suspiciousActivityLog.length,
+      total: 0,
       byType: {}
     };
 
-    suspiciousActivityLog.forEach(activity => {
-      stats.byType[activity.eventType] = (stats.byType[activity.eventType] || 0) + 1;
+    byTypeResults.forEach(result => {
+      stats.total += result.count;
+      stats.byType[result._id] = {
+        count: result.count,
+        uniqueUsers: result.uniqueUsers.filter(Boolean).length,
+        lastSeen: result.lastSeen
+      };
     });
 
     res.status(200).json({
       success: true,
       count: activities.length,
       stats,
-      activities
+      activities,
+      nextCursor: hasMore ? encodeActivityCursor(activities[activities.length - 1]) : null
     });
   } catch (error) {
     next(error);
@@ -681,29 +863,20 @@ exports.getFlaggedReviews = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    // Find reviews with suspicious metadata
-    const flaggedReviews = await Review.find({
-      $or: [
-        { 'metadata.verificationTime': { $lt: 10 } }, // Quick submissions
-        { 'metadata.locationAccuracy': { $gt: 50 } }, // Poor GPS
-        { 'metadata.locationHistoryCount': { $lt: 2 } }, // Single location
-        { 'metadata.isMockLocation': true } // Mock location
-      ]
-    })
+    // Reviews held by the risk engine, highest risk first
+    const filter = { status: 'flagged' };
+    if (req.query.minScore !== undefined) {
+      filter['securityMetadata.riskScore'] = { $gte: parseInt(req.query.minScore) || 0 };
+    }
+
+    const flaggedReviews = await Review.find(filter)
       .populate('user', 'name email phone')
       .populate('business', 'name address')
-      .sort({ createdAt: -1 })
+      .sort({ 'securityMetadata.riskScore': -1, createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Review.countDocuments({
-      $or: [
-        { 'metadata.verificationTime': { $lt: 10 } },
-        { 'metadata.locationAccuracy': { $gt: 50 } },
-        { 'metadata.locationHistoryCount': { $lt: 2 } },
-        { 'metadata.isMockLocation': true }
-      ]
-    });
+    const total = await Review.countDocuments(filter);
 
     res.status(200).json({
       success: true,
@@ -718,22 +891,36 @@ exports.getFlaggedReviews = async (req, res, next) => {
   }
 };
 
-// @desc    Clear suspicious activity log (Admin only)
+// @desc    Archive suspicious activity entries (Admin only)
 // @route   DELETE /api/reviews/admin/suspicious-activities
 // @access  Private (Admin)
 exports.clearSuspiciousActivities = async (req, res, next) => {
   try {
-    const clearedCount = suspiciousActivityLog.length;
-    suspiciousActivityLog.length = 0; // Clear array
+    // Accepts the same filters as the list endpoint; archives everything unarchived by default
+    const { filter, error } = buildActivityFilter({ ...req.query, includeArchived: 'false' });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
 
-    logger.info(`🧹 Suspicious activity log cleared by admin (${clearedCount} entries)`);
+    const result = await SuspiciousActivity.updateMany(filter, {
+      $set: {
+        archived: true,
+        archivedAt: new Date(),
+        archivedBy: req.user.id
+      }
+    });
+
+    logger.info(`🧹 Suspicious activity entries archived by admin ${req.user.id} (${result.modifiedCount} entries)`);
 
     res.status(200).json({
       success: true,
-      message: `Cleared ${clearedCount} suspicious activity entries`
+      message: `Archived ${result.modifiedCount} suspicious activity entries`,
+      archivedCount: result.modifiedCount
     });
   } catch (error) {
     next(error);
   }
 };
-
@@ -0,0 +1,300 @@
+const BusinessStaff = require('../models/BusinessStaff.model');
+const User = require('../models/User.model');
+const { STAFF_ROLES } = require('../utils/businessAccess');
+const { sendPushNotification } = require('../utils/notification');
+const { sendEmail } = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+// Invitations addressed to the logged-in user's email or phone - only contacts the user has verified,
+// otherwise anyone could sign up with an invitee's address and take the invitation
+const invitationQuery = (user) => {
+  const targets = [];
+  if (user.email && user.emailVerified) targets.push({ email: user.email.toLowerCase() });
+  if (user.phone && user.phoneVerified) targets.push({ phone: user.phone });
+  return targets;
+};
+
+// @desc    List staff for a business
+// @route   GET /api/staff/business/:businessId
+// @access  Private (Business owner, Manager)
+exports.getBusinessStaff = async (req, res, next) => {
+  try {
+    const staff = await BusinessStaff.find({
+      business: req.business._id,
+      status: { $in: ['pending', 'active'] }
+    })
+      .populate('user', 'name email phone profileImage')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: staff.length,
+      staff
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite a staff member by email or phone
+// @route   POST /api/staff/business/:businessId
+// @access  Private (Business owner)
+exports.inviteStaff = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    const email = req.body.email ? req.body.email.toLowerCase().trim() : null;
+    const phone = req.body.phone ? req.body.phone.trim() : null;
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${STAFF_ROLES.join(', ')}`
+      });
+    }
+
+    if (!email && !phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email or phone number'
+      });
+    }
+
+    const business = req.business;
+    const contact = [];
+    if (email) contact.push({ email });
+    if (phone) contact.push({ phone });
+
+    const existing = await BusinessStaff.findOne({
+      business: business._id,
+      status: { $in: ['pending', 'active'] },
+      $or: contact
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: existing.status === 'active'
+          ? 'This person is already a staff member'
+          : 'An invitation is already pending for this person'
+      });
+    }
+
+    const staff = await BusinessStaff.create({
+      business: business._id,
+      email,
+      phone,
+      role,
+      invitedBy: req.user.id
+    });
+
+    // Let an existing HashView user know straight away (only if they can see the invitation)
+    const invitee = await User.findOne({
+      $or: [
+        ...(email ? [{ email, emailVerified: true }] : []),
+        ...(phone ? [{ phone, phoneVerified: true }] : [])
+      ]
+    });
+    if (invitee) {
+      try {
+        await sendPushNotification(
+          invitee._id,
+          'Staff invitation',
+          `${business.name} has invited you to join as ${role}.`,
+          { type: 'general', staffInvitationId: staff._id.toString(), businessId: business._id.toString() }
+        );
+      } catch (notificationError) {
+        logger.error('Failed to send staff invitation notification:', notificationError);
+      }
+    }
+
+    if (email) {
+      try {
+        await sendEmail({
+          to: email,
+          subject: `You're invited to join ${business.name} on HashView`,
+          html: `
+            <h2>You've been invited!</h2>
+            <p><strong>${business.name}</strong> has invited you to join their team on HashView as a <strong>${role}</strong>.</p>
+            <p>Log in to the HashView app with this email address (or create an account), verify it, and accept the invitation from your profile.</p>
+          `
+        });
+      } catch (emailError) {
+        logger.error('Failed to send staff invitation email:', emailError);
+      }
+    }
+
+    logger.info(`👥 Staff invited to business ${business._id} as ${role} by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff invitation sent',
+      staff
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a staff member's role
+// @route   PUT /api/staff/business/:businessId/:staffId
+// @access  Private (Business owner)
+exports.updateStaffRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${STAFF_ROLES.join(', ')}`
+      });
+    }
+
+    const staff = await BusinessStaff.findOneAndUpdate(
+      {
+        _id: req.params.staffId,
+        business: req.business._id,
+        status: { $in: ['pending', 'active'] }
+      },
+      { role },
+      { new: true }
+    );
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff role updated',
+      staff
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a staff member or cancel an invitation
+// @route   DELETE /api/staff/business/:businessId/:staffId
+// @access  Private (Business owner)
+exports.removeStaff = async (req, res, next) => {
+  try {
+    const staff = await BusinessStaff.findOneAndUpdate(
+      {
+        _id: req.params.staffId,
+        business: req.business._id,
+        status: { $in: ['pending', 'active'] }
+      },
+      { status: 'revoked', revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff access removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my pending staff invitations
+// @route   GET /api/staff/invitations
+// @access  Private
+exports.getMyInvitations = async (req, res, next) => {
+  try {
+    const targets = invitationQuery(req.user);
+
+    const invitations = targets.length > 0
+      ? await BusinessStaff.find({ status: 'pending', $or: targets })
+        .populate('business', 'name logo category')
+        .sort({ createdAt: -1 })
+      : [];
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept or decline a staff invitation
+// @route   POST /api/staff/invitations/:id/respond
+// @access  Private
+exports.respondToInvitation = async (req, res, next) => {
+  try {
+    const { accept } = req.body;
+
+    if (!req.user.hasRole('customer')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff invitations must be accepted with a customer account'
+      });
+    }
+
+    const targets = invitationQuery(req.user);
+    const invitation = targets.length > 0
+      ? await BusinessStaff.findOne({ _id: req.params.id, status: 'pending', $or: targets })
+      : null;
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (accept === true) {
+      invitation.status = 'active';
+      invitation.user = req.user.id;
+      invitation.acceptedAt = new Date();
+    } else {
+      invitation.status = 'declined';
+    }
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      message: accept === true ? 'Invitation accepted' : 'Invitation declined',
+      staff: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get businesses I work at as staff
+// @route   GET /api/staff/my-businesses
+// @access  Private
+exports.getMyStaffBusinesses = async (req, res, next) => {
+  try {
+    const memberships = await BusinessStaff.find({ user: req.user.id, status: 'active' })
+      .populate('business', 'name logo category address status');
+
+    res.status(200).json({
+      success: true,
+      count: memberships.length,
+      businesses: memberships
+        .filter(membership => membership.business)
+        .map(membership => ({
+          staffId: membership._id,
+          role: membership.role,
+          business: membership.business
+        }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,6 @@
 const SupportTicket = require('../models/SupportTicket.model');
 const { sendEmail } = require('../utils/emailService');
+const { hasAdminPermission } = require('../utils/adminAccess');
 
 // @desc    Submit a support ticket
 // @route   POST /api/support/ticket
@@ -91,8 +92,8 @@ exports.getTicket = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the ticket or is admin
-    if (ticket.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns the ticket or is a support admin
+    if (ticket.user._id.toString() !== req.user.id && !hasAdminPermission(req.user, 'support:tickets')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this ticket'
@@ -131,8 +132,8 @@ exports.addTicketResponse = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the ticket or is admin
-    if (ticket.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns the ticket or is a support admin
+    if (ticket.user.toString() !== req.user.id && !hasAdminPermission(req.user, 'support:tickets')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to respond to this ticket'
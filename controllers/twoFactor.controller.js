@@ -0,0 +1,386 @@
+const QRCode = require('qrcode');
+const User = require('../models/User.model');
+const SuspiciousActivity = require('../models/SuspiciousActivity.model');
+const { createSession } = require('../utils/session');
+const { recordLogin } = require('../utils/loginAlerts');
+const { isDeletionPending, cancelAccountDeletion } = require('../utils/accountDeletion');
+const {
+  isAdminTwoFactorRequired,
+  generateTwoFactorSecret,
+  buildOtpauthUri,
+  verifyTwoFactorCode,
+  generateRecoveryCodes,
+  findRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+  verifyChallengeToken
+} = require('../utils/twoFactor');
+const logger = require('../utils/logger');
+
+// Failed codes allowed per user before two-factor verification is paused
+const MAX_FAILED_ATTEMPTS = 5;
+const FAILED_ATTEMPT_WINDOW_MINUTES = 15;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+// settings.twoFactorAuth could be toggled before enrolment existed - only a confirmed secret counts
+const isEnrolled = (account) => !!(account.settings?.twoFactorAuth && account.twoFactor?.enabledAt);
+
+// Reload the logged-in account with its two-factor secrets
+const loadAccount = (user, extraFields = '') => {
+  return User.findById(user._id).select(`${SECRET_FIELDS} ${extraFields}`.trim());
+};
+
+const countRecentFailures = (userId) => {
+  return SuspiciousActivity.countDocuments({
+    userId,
+    eventType: 'TWO_FACTOR_FAILED',
+    timestamp: { $gte: new Date(Date.now() - FAILED_ATTEMPT_WINDOW_MINUTES * 60 * 1000) }
+  });
+};
+
+const logFailure = async (userId, req) => {
+  try {
+    await SuspiciousActivity.create({
+      userId,
+      eventType: 'TWO_FACTOR_FAILED',
+      ipAddress: req.ip
+    });
+  } catch (error) {
+    logger.error('Failed to persist suspicious activity:', error);
+  }
+};
+
+/**
+ * Check an authenticator code or recovery code and consume it
+ * Consumption is a conditional update so the same code can't be used twice in parallel.
+ * @returns {Promise<Object|null>} { method, recoveryCodesRemaining } or null if invalid
+ */
+const consumeSecondFactor = async (account, { code, recoveryCode }) => {
+  const Model = account.constructor;
+
+  if (code) {
+    const counter = verifyTwoFactorCode(
+      code,
+      decryptSecret(account.twoFactor.secret),
+      account.twoFactor.lastUsedCounter
+    );
+    if (counter === null) return null;
+
+    const result = await Model.updateOne(
+      {
+        _id: account._id,
+        $or: [
+          { 'twoFactor.lastUsedCounter': null },
+          { 'twoFactor.lastUsedCounter': { $lt: counter } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedCounter': counter } }
+    );
+    if (result.modifiedCount === 0) return null;
+
+    return { method: 'totp' };
+  }
+
+  const entry = findRecoveryCode(recoveryCode, account.twoFactor.recoveryCodes);
+  if (!entry) return null;
+
+  const result = await Model.updateOne(
+    { _id: account._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash: entry.hash, usedAt: null } } },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+  if (result.modifiedCount === 0) return null;
+
+  const recoveryCodesRemaining = account.twoFactor.recoveryCodes.filter(c => !c.usedAt).length - 1;
+  logger.info(`🔑 Recovery code used by ${account._id} (${recoveryCodesRemaining} left)`);
+
+  return { method: 'recovery_code', recoveryCodesRemaining };
+};
+
+// @desc    Get two-factor status
+// @route   GET /api/auth/2fa/status
+// @access  Private
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.user);
+
+    res.status(200).json({
+      success: true,
+      enabled: isEnrolled(account),
+      enabledAt: account.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: (account.twoFactor?.recoveryCodes || []).filter(c => !c.usedAt).length,
+      required: account.hasRole('admin') && isAdminTwoFactorRequired()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start two-factor enrolment (returns secret, otpauth URI and QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.user);
+
+    if (isEnrolled(account)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateTwoFactorSecret();
+    const otpauthUri = buildOtpauthUri(secret, account.email || account.phone);
+
+    account.twoFactor.pendingSecret = encryptSecret(secret);
+    await account.save();
+
+    const qrCode = await QRCode.toDataURL(otpauthUri, {
+      errorCorrectionLevel: 'M',
+      width: 300,
+      margin: 1
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri,
+      qrCode
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm enrolment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.user);
+    const pendingSecret = decryptSecret(account.twoFactor?.pendingSecret);
+
+    if (!pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const counter = verifyTwoFactorCode(req.body.code, pendingSecret);
+    if (counter === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Check the time on your phone and try again.'
+      });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+
+    account.twoFactor.secret = account.twoFactor.pendingSecret;
+    account.twoFactor.pendingSecret = null;
+    account.twoFactor.recoveryCodes = hashed;
+    account.twoFactor.lastUsedCounter = counter;
+    account.twoFactor.enabledAt = new Date();
+    account.settings.twoFactorAuth = true;
+    await account.save();
+
+    logger.info(`🔐 Two-factor authentication enabled for ${account._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Save these recovery codes somewhere safe - they will not be shown again.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (req.user.hasRole('admin') && isAdminTwoFactorRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin accounts must keep two-factor authentication enabled'
+      });
+    }
+
+    const account = await loadAccount(req.user, '+passwordHash');
+
+    if (!isEnrolled(account)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await account.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await consumeSecondFactor(account, { code, recoveryCode }))) {
+      await logFailure(account._id, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await account.constructor.updateOne(
+      { _id: account._id },
+      {
+        $set: {
+          'settings.twoFactorAuth': false,
+          'twoFactor.secret': null,
+          'twoFactor.pendingSecret': null,
+          'twoFactor.recoveryCodes': [],
+          'twoFactor.lastUsedCounter': null,
+          'twoFactor.enabledAt': null
+        }
+      }
+    );
+
+    logger.info(`🔓 Two-factor authentication disabled for ${account._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.user);
+
+    if (!isEnrolled(account)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await consumeSecondFactor(account, { code: req.body.code }))) {
+      await logFailure(account._id, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+    await account.constructor.updateOne(
+      { _id: account._id },
+      { $set: { 'twoFactor.recoveryCodes': hashed } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Second step of login - exchange challenge token + code for a session
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge has expired. Please log in again.'
+      });
+    }
+
+    const account = await User.findById(challenge.sub).select(SECRET_FIELDS);
+
+    // Accounts in their deletion grace period can still sign in (which cancels the deletion)
+    const deletionPending = isDeletionPending(account);
+
+    if (!account || (account.status !== 'active' && !deletionPending) || !isEnrolled(account)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is no longer valid. Please log in again.'
+      });
+    }
+
+    if ((await countRecentFailures(account._id)) >= MAX_FAILED_ATTEMPTS) {
+      return res.status(429).json({
+        success: false,
+        message: `Too many incorrect codes. Please try again in ${FAILED_ATTEMPT_WINDOW_MINUTES} minutes.`
+      });
+    }
+
+    const factor = await consumeSecondFactor(account, { code, recoveryCode });
+    if (!factor) {
+      await logFailure(account._id, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    cancelAccountDeletion(account);
+    await User.updateOne(
+      { _id: account._id },
+      {
+        lastLogin: new Date(),
+        ...(deletionPending && { status: account.status, deletionRequestedAt: null, deletionScheduledFor: null })
+      }
+    );
+
+    const userType = account.resolveRole(challenge.userType);
+    if (account.hasRole('business')) {
+      await account.populate('businesses');
+    }
+
+    const { token, refreshToken, session } = await createSession(account, userType, req);
+    recordLogin(account, session, req).catch(error => logger.error('Failed to check login device:', error));
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      ...(deletionPending && { accountDeletionCancelled: true }),
+      ...(factor.method === 'recovery_code' && { recoveryCodesRemaining: factor.recoveryCodesRemaining }),
+      user: {
+        _id: account._id,
+        name: account.name,
+        email: account.email,
+        phone: account.phone,
+        role: userType,
+        roles: account.getRoles(),
+        profileImage: account.profileImage,
+        emailVerified: account.emailVerified,
+        phoneVerified: account.phoneVerified,
+        ...(account.hasRole('business') && account.businesses && { businesses: account.businesses })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
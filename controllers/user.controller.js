@@ -1,13 +1,20 @@
 const User = require('../models/User.model');
 const Review = require('../models/Review.model');
 const Coupon = require('../models/Coupon.model');
+const { isCurrentQR, createCouponQRData } = require('../utils/qrSigning');
+const { createSession, revokeAllSessions } = require('../utils/session');
+const { scheduleAccountDeletion, ACCOUNT_DELETION_GRACE_DAYS } = require('../utils/accountDeletion');
+const DataExport = require('../models/DataExport.model');
+const { checkExportAllowed, processDataExport, buildDownloadUrl, getArchiveUrl } = require('../utils/dataExport');
+const { verifyDataExportToken } = require('../utils/jwt');
+const logger = require('../utils/logger');
 
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
 exports.getProfile = async (req, res, next) => {
   try {
-    // req.user is already populated by auth middleware from correct collection
+    // req.user is already populated by auth middleware (with businesses)
     const user = req.user;
 
     res.status(200).json({
@@ -17,14 +24,15 @@ exports.getProfile = async (req, res, next) => {
         name: user.name,
         email: user.email,
         phone: user.phone,
-        role: user.role,
+        role: req.userType || user.role,
+        roles: user.getRoles(),
         profileImage: user.profileImage,
         emailVerified: user.emailVerified,
         phoneVerified: user.phoneVerified,
         status: user.status,
         createdAt: user.createdAt,
-        ...(user.role === 'business' && { businesses: user.businesses }),
-        ...(user.role === 'customer' && { location: user.location })
+        ...(user.hasRole('business') && { businesses: user.businesses }),
+        ...(user.hasRole('customer') && { location: user.location })
       }
     });
   } catch (error) {
@@ -45,8 +53,8 @@ exports.updateProfile = async (req, res, next) => {
     if (name) user.name = name;
     if (phone) user.phone = phone;
     
-    // Only update location for customers (User collection has location field)
-    if (location && user.role === 'customer') {
+    // Location is only used for customer features (nearby businesses)
+    if (location && user.hasRole('customer')) {
       user.location = {
         type: 'Point',
         coordinates: [location.longitude, location.latitude],
@@ -64,14 +72,15 @@ exports.updateProfile = async (req, res, next) => {
         name: user.name,
         email: user.email,
         phone: user.phone,
-        role: user.role,
+        role: req.userType || user.role,
+        roles: user.getRoles(),
         profileImage: user.profileImage,
         emailVerified: user.emailVerified,
         phoneVerified: user.phoneVerified,
         status: user.status,
         createdAt: user.createdAt,
-        ...(user.role === 'business' && { businesses: user.businesses }),
-        ...(user.role === 'customer' && { location: user.location })
+        ...(user.hasRole('business') && { businesses: user.businesses }),
+        ...(user.hasRole('customer') && { location: user.location })
       }
     });
   } catch (error) {
@@ -126,18 +135,10 @@ exports.getUserCoupons = async (req, res, next) => {
       .populate('business', 'name logo address phone email category')
       .sort({ createdAt: -1 });
     
-    // Ensure qrCodeData is included for all coupons
+    // Ensure every coupon has signed QR code data (legacy or rotated-out codes are re-issued)
     for (const coupon of coupons) {
-      if (!coupon.qrCodeData && coupon._id) {
-        // Generate QR code data if missing
-        const qrCodeData = JSON.stringify({
-          type: 'coupon',
-          couponId: coupon._id.toString(),
-          code: coupon.code,
-          businessId: coupon.business?._id?.toString() || '',
-          userId: coupon.user?.toString() || '',
-          timestamp: new Date().toISOString()
-        });
+      if (!isCurrentQR(coupon.qrCodeData) && coupon._id) {
+        const qrCodeData = createCouponQRData(coupon);
         coupon.qrCodeData = qrCodeData;
         // Optionally save it to database
         await Coupon.findByIdAndUpdate(coupon._id, { qrCodeData });
@@ -170,18 +171,10 @@ exports.getRewardHistory = async (req, res, next) => {
       .skip(skip)
       .limit(limit);
     
-    // Ensure qrCodeData is included for all coupons
+    // Ensure every coupon has signed QR code data (legacy or rotated-out codes are re-issued)
     for (const coupon of coupons) {
-      if (!coupon.qrCodeData && coupon._id) {
-        // Generate QR code data if missing
-        const qrCodeData = JSON.stringify({
-          type: 'coupon',
-          couponId: coupon._id.toString(),
-          code: coupon.code,
-          businessId: coupon.business?._id?.toString() || '',
-          userId: coupon.user?.toString() || '',
-          timestamp: new Date().toISOString()
-        });
+      if (!isCurrentQR(coupon.qrCodeData) && coupon._id) {
+        const qrCodeData = createCouponQRData(coupon);
         coupon.qrCodeData = qrCodeData;
         // Optionally save it to database
         await Coupon.findByIdAndUpdate(coupon._id, { qrCodeData });
@@ -235,25 +228,6 @@ exports.uploadProfileImage = async (req, res, next) => {
   }
 };
 
-// @desc    Delete user account
-// @route   DELETE /api/users/account
-// @access  Private
-exports.deleteAccount = async (req, res, next) => {
-  try {
-    // req.user is already populated by auth middleware
-    const user = req.user;
-    user.status = 'inactive';
-    await user.save();
-
-    res.status(200).json({
-      success: true,
-      message: 'Account deactivated successfully'
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
 // @desc    Change password
 // @route   POST /api/users/change-password
 // @access  Private
@@ -298,11 +272,18 @@ exports.changePassword = async (req, res, next) => {
 
     // Update password (pre-save hook will hash it)
     user.passwordHash = newPassword;
+    user.passwordResetRequired = false;
     await user.save();
 
+    // Log out every device (including stolen ones), then start a fresh session here
+    await revokeAllSessions(user._id, 'password_changed');
+    const { token, refreshToken } = await createSession(user, req.userType || user.role, req);
+
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token,
+      refreshToken
     });
   } catch (error) {
     next(error);
@@ -316,11 +297,7 @@ exports.updateAccountSettings = async (req, res, next) => {
   try {
     const updates = req.body;
     
-    // Find user (check both User and BusinessOwner models)
-    let user = await User.findById(req.user.id);
-    if (!user) {
-      user = await BusinessOwner.findById(req.user.id);
-    }
+    const user = await User.findById(req.user.id);
 
     if (!user) {
       return res.status(404).json({
@@ -334,9 +311,25 @@ exports.updateAccountSettings = async (req, res, next) => {
       user.settings = {};
     }
 
+    // Two-factor authentication needs enrolment with a code - it can't be switched on or off here
+    // (clearing a flag left over from before enrolment existed is still allowed)
+    if (updates.twoFactorAuth !== undefined) {
+      const enrolled = !!user.twoFactor?.enabledAt;
+      if (!!updates.twoFactorAuth !== enrolled) {
+        if (!updates.twoFactorAuth && !enrolled) {
+          user.settings.twoFactorAuth = false;
+        } else {
+          return res.status(400).json({
+            success: false,
+            message: 'Use /api/auth/2fa/setup and /api/auth/2fa/disable to change two-factor authentication'
+          });
+        }
+      }
+    }
+
     // Update allowed settings
     const allowedSettings = [
-      'twoFactorAuth', 'loginAlerts', 'dataSharing', 
+      'loginAlerts', 'dataSharing', 
       'marketingEmails', 'pushNotifications', 'emailNotifications'
     ];
 
@@ -358,75 +351,99 @@ exports.updateAccountSettings = async (req, res, next) => {
   }
 };
 
-// @desc    Export user data
-// @route   POST /api/user/export-data
+// @desc    Request a copy of all personal data (ZIP of JSON + CSV, emailed as a download link)
+// @route   POST /api/users/export-data
 // @access  Private
 exports.exportUserData = async (req, res, next) => {
   try {
-    const { sendEmail } = require('../utils/emailService');
-    const Review = require('../models/Review.model');
-
-    // Find user (check both models)
-    let user = await User.findById(req.user.id).select('-passwordHash');
-    let isBusinessOwner = false;
-    
-    if (!user) {
-      user = await BusinessOwner.findById(req.user.id).select('-passwordHash').populate('businesses');
-      isBusinessOwner = true;
-    }
-
-    if (!user) {
-      return res.status(404).json({
+    const allowed = await checkExportAllowed(req.user._id);
+    if (allowed.error) {
+      if (allowed.error.retryAfter) res.set('Retry-After', String(allowed.error.retryAfter));
+      return res.status(allowed.error.status).json({
         success: false,
-        message: 'User not found'
+        message: allowed.error.message,
+        ...(allowed.error.retryAfter && { retryAfter: allowed.error.retryAfter })
       });
     }
 
-    // Gather user data
-    const userData = {
-      profile: user.toObject(),
-      reviews: [],
-      coupons: []
-    };
+    const dataExport = await DataExport.create({
+      user: req.user._id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null
+    });
 
-    // Get user's reviews if customer
-    if (!isBusinessOwner) {
-      userData.reviews = await Review.find({ user: req.user.id });
-    }
+    logger.info(`📦 Data export ${dataExport._id} requested by user ${req.user._id} from ${req.ip}`);
 
-    // Get user's coupons if customer
-    if (!isBusinessOwner) {
-      const Coupon = require('../models/Coupon.model');
-      userData.coupons = await Coupon.find({ user: req.user.id });
-    }
+    // Built in the background - the queue job picks it up again if this fails
+    processDataExport(dataExport._id).catch(error => logger.error('Failed to build data export:', error));
 
-    // Send email with data
-    try {
-      await sendEmail({
-        to: user.email,
-        subject: 'Your HashView Personal Data Export',
-        html: `
-          <h2>Personal Data Export</h2>
-          <p>Hi ${user.name},</p>
-          <p>As requested, here is your personal data:</p>
-          <pre>${JSON.stringify(userData, null, 2)}</pre>
-          <p>This data includes your profile information, reviews, and coupons.</p>
-          <p>If you have any questions, please contact our support team.</p>
-          <p>Best regards,<br/>HashView Team</p>
-        `
-      });
+    res.status(202).json({
+      success: true,
+      message: `We're preparing your data. We'll email a download link to ${req.user.email} when it's ready.`,
+      export: {
+        _id: dataExport._id,
+        status: dataExport.status,
+        createdAt: dataExport.createdAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List my data export requests
+// @route   GET /api/users/data-exports
+// @access  Private
+exports.getDataExports = async (req, res, next) => {
+  try {
+    const dataExports = await DataExport.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .select('-publicId -ipAddress -userAgent -error');
+
+    res.status(200).json({
+      success: true,
+      count: dataExports.length,
+      exports: dataExports.map(dataExport => ({
+        ...dataExport.toObject(),
+        ...(dataExport.status === 'ready' && { downloadUrl: buildDownloadUrl(dataExport) })
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-      res.status(200).json({
-        success: true,
-        message: 'Data export sent to your email'
+// @desc    Download a data export (signed link from the email)
+// @route   GET /api/users/data-exports/:id/download?token=
+// @access  Public (signed link)
+exports.downloadDataExport = async (req, res, next) => {
+  try {
+    const decoded = verifyDataExportToken(req.query.token);
+
+    if (!decoded || decoded.jti !== req.params.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'This download link is invalid or has expired'
       });
-    } catch (emailError) {
-      console.error('Failed to send data export email:', emailError);
-      res.status(500).json({
+    }
+
+    const dataExport = await DataExport.findOneAndUpdate(
+      { _id: decoded.jti, user: decoded.sub, status: 'ready', expiresAt: { $gt: new Date() } },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!dataExport) {
+      return res.status(410).json({
         success: false,
-        message: 'Failed to send data export email'
+        message: 'This export has expired. Please request a new one from your account settings.'
       });
     }
+
+    logger.info(`📦 Data export ${dataExport._id} downloaded (${dataExport.downloadCount}) from ${req.ip}`);
+
+    res.redirect(getArchiveUrl(dataExport));
   } catch (error) {
     next(error);
   }
@@ -437,14 +454,7 @@ exports.exportUserData = async (req, res, next) => {
 // @access  Private
 exports.deactivateAccount = async (req, res, next) => {
   try {
-    // Find user (check both models)
-    let user = await User.findById(req.user.id);
-    let isBusinessOwner = false;
-    
-    if (!user) {
-      user = await BusinessOwner.findById(req.user.id);
-      isBusinessOwner = true;
-    }
+    const user = await User.findById(req.user.id);
 
     if (!user) {
       return res.status(404).json({
@@ -458,10 +468,10 @@ exports.deactivateAccount = async (req, res, next) => {
     await user.save();
 
     // If business owner, deactivate all their businesses
-    if (isBusinessOwner && user.businesses) {
+    if (user.hasRole('business')) {
       const Business = require('../models/Business.model');
       await Business.updateMany(
-        { _id: { $in: user.businesses } },
+        { owner: user._id },
         { status: 'inactive' }
       );
     }
@@ -475,8 +485,8 @@ exports.deactivateAccount = async (req, res, next) => {
   }
 };
 
-// @desc    Delete account permanently
-// @route   DELETE /api/user/account
+// @desc    Request account deletion (starts the grace period)
+// @route   DELETE /api/users/account
 // @access  Private
 exports.deleteAccount = async (req, res, next) => {
   try {
@@ -489,14 +499,7 @@ exports.deleteAccount = async (req, res, next) => {
       });
     }
 
-    // Find user (check both models)
-    let user = await User.findById(req.user.id);
-    let isBusinessOwner = false;
-    
-    if (!user) {
-      user = await BusinessOwner.findById(req.user.id);
-      isBusinessOwner = true;
-    }
+    const user = await User.findById(req.user.id).select('+passwordHash');
 
     if (!user) {
       return res.status(404).json({
@@ -514,36 +517,14 @@ exports.deleteAccount = async (req, res, next) => {
       });
     }
 
-    // If business owner, delete all their businesses first
-    if (isBusinessOwner && user.businesses && user.businesses.length > 0) {
-      const Business = require('../models/Business.model');
-      await Business.deleteMany({ _id: { $in: user.businesses } });
-    }
-
-    // Delete user's reviews if customer
-    if (!isBusinessOwner) {
-      const Review = require('../models/Review.model');
-      await Review.deleteMany({ user: req.user.id });
-    }
-
-    // Delete user's coupons
-    const Coupon = require('../models/Coupon.model');
-    await Coupon.deleteMany({ user: req.user.id });
-
-    // Delete user's support tickets
-    const SupportTicket = require('../models/SupportTicket.model');
-    await SupportTicket.deleteMany({ user: req.user.id });
-
-    // Delete the user
-    if (isBusinessOwner) {
-      await BusinessOwner.findByIdAndDelete(req.user.id);
-    } else {
-      await User.findByIdAndDelete(req.user.id);
-    }
+    // Nothing is removed yet - the account is purged after the grace period (utils/syncJobs.js)
+    await scheduleAccountDeletion(user);
 
     res.status(200).json({
       success: true,
-      message: 'Account deleted permanently'
+      message: `Your account will be permanently deleted on ${user.deletionScheduledFor.toDateString()}. Sign in again before then to cancel.`,
+      deletionScheduledFor: user.deletionScheduledFor,
+      gracePeriodDays: ACCOUNT_DELETION_GRACE_DAYS
     });
   } catch (error) {
     next(error);
@@ -1,8 +1,9 @@
 const Business = require('../models/Business.model');
-const BusinessOwner = require('../models/BusinessOwner.model');
+const User = require('../models/User.model');
 const diditService = require('../utils/didit');
 const logger = require('../utils/logger');
 const { sendEmail } = require('../utils/emailService');
+const { hasAdminPermission } = require('../utils/adminAccess');
 
 // @desc    Initiate Didit verification for business
 // @route   POST /api/verification/initiate/:businessId
@@ -18,8 +19,8 @@ exports.initiateVerification = async (req, res, next) => {
       });
     }
 
-    // Verify ownership (unless admin)
-    if (req.user.role !== 'admin' && business.owner.toString() !== req.user.id) {
+    // Verify ownership (unless a KYC admin)
+    if (!hasAdminPermission(req.user, 'businesses:kyc') && business.owner.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to initiate verification for this business'
@@ -27,7 +28,7 @@ exports.initiateVerification = async (req, res, next) => {
     }
 
     // Get business owner details
-    const owner = await BusinessOwner.findById(business.owner);
+    const owner = await User.findById(business.owner);
 
     if (!owner) {
       return res.status(404).json({
@@ -103,8 +104,8 @@ exports.getVerificationStatus = async (req, res, next) => {
       });
     }
 
-    // Verify ownership (unless admin)
-    if (req.user.role !== 'admin' && business.owner.toString() !== req.user.id) {
+    // Verify ownership (unless an admin who can see businesses)
+    if (!hasAdminPermission(req.user, 'businesses:view') && business.owner.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view verification status'
@@ -278,7 +279,7 @@ exports.handleDiditWebhook = async (req, res, next) => {
         await business.save();
 
         // Send notification to business owner
-        const owner = await BusinessOwner.findById(business.owner);
+        const owner = await User.findById(business.owner);
         if (owner && status === 'verified') {
           await sendEmail({
             to: owner.email,
@@ -330,8 +331,8 @@ exports.resendVerificationLink = async (req, res, next) => {
       });
     }
 
-    // Verify ownership
-    if (req.user.role !== 'admin' && business.owner.toString() !== req.user.id) {
+    // Verify ownership (unless a KYC admin)
+    if (!hasAdminPermission(req.user, 'businesses:kyc') && business.owner.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -345,7 +346,7 @@ exports.resendVerificationLink = async (req, res, next) => {
       });
     }
 
-    const owner = await BusinessOwner.findById(business.owner);
+    const owner = await User.findById(business.owner);
 
     // Send email with verification link
     await sendEmail({
@@ -1,6 +1,108 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User.model');
-const BusinessOwner = require('../models/BusinessOwner.model');
+const Business = require('../models/Business.model');
+const ApiKey = require('../models/ApiKey.model');
+const ApiKeyUsage = require('../models/ApiKeyUsage.model');
+const Impersonation = require('../models/Impersonation.model');
+const ImpersonationRequest = require('../models/ImpersonationRequest.model');
+const { getBusinessAccess } = require('../utils/businessAccess');
+const { hasAdminPermission } = require('../utils/adminAccess');
+const { isEmailVerificationRequired } = require('../utils/emailVerification');
+const { isAccessTokenActive } = require('../utils/session');
+const { isAdminTwoFactorRequired } = require('../utils/twoFactor');
+const { getActiveImpersonation } = require('../utils/impersonation');
+const {
+  hashApiKey,
+  extractApiKey,
+  isWellFormedApiKey,
+  isApiKeyActive,
+  hasApiKeyScope
+} = require('../utils/apiKeys');
+const { apiKeyLimiter } = require('./rateLimit.middleware');
+const logger = require('../utils/logger');
+
+// Verify a sign-in access token. Purpose tokens (2FA challenge, magic link, data export download...)
+// are signed with the same secret but must never authenticate a request.
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose || !decoded.id) {
+    throw new Error('Not an access token');
+  }
+  return decoded;
+};
+
+// Load the account behind a token
+// Tokens issued before business owner accounts were merged may carry the owner's old ID
+const findAccount = async (decoded) => {
+  const account = await User.findById(decoded.id).populate('businesses');
+  if (account) return account;
+
+  return User.findOne({ legacyIds: decoded.id }).populate('businesses');
+};
+
+// Attach the account and the role this session acts as (old tokens may say 'business' for a merged account)
+const attachAccount = (req, account, decoded) => {
+  req.user = account;
+  req.userType = account.resolveRole(decoded.userType);
+  req.sessionId = decoded.sid || null;
+};
+
+// Every request made while impersonating goes into the impersonation's audit trail once the response is sent
+const recordImpersonationRequest = (req, res, impersonation) => {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    const blocked = !!req.impersonationBlocked;
+
+    ImpersonationRequest.create({
+      impersonation: impersonation._id,
+      admin: impersonation.admin._id,
+      user: impersonation.user,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      blocked,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null
+    }).catch(error => logger.error(`Failed to record request for impersonation ${impersonation._id}:`, error));
+
+    Impersonation.updateOne({ _id: impersonation._id }, { $inc: { requestCount: 1, blockedCount: blocked ? 1 : 0 } })
+      .catch(error => logger.error(`Failed to update impersonation ${impersonation._id}:`, error));
+  });
+};
+
+// Impersonation tokens (imp claim) only work while the impersonation is live - the real admin
+// is attached as req.impersonator. Returns false for an ended or expired impersonation.
+const attachImpersonation = async (req, res, decoded, account) => {
+  if (!decoded.imp) return true;
+
+  const impersonation = await getActiveImpersonation(decoded, account);
+  if (!impersonation) return false;
+
+  req.impersonation = impersonation;
+  req.impersonator = impersonation.admin;
+  res.set('X-Impersonated-By', impersonation.admin._id.toString());
+  recordImpersonationRequest(req, res, impersonation);
+  return true;
+};
+
+// Admins must enrol in two-factor authentication before using admin access
+const sendAdminTwoFactorRequired = (req, res) => {
+  if (
+    req.user.hasRole('admin') &&
+    isAdminTwoFactorRequired() &&
+    !(req.user.settings?.twoFactorAuth && req.user.twoFactor?.enabledAt)
+  ) {
+    res.status(403).json({
+      success: false,
+      message: 'Admin accounts must enable two-factor authentication. Set it up at /api/auth/2fa/setup.',
+      twoFactorSetupRequired: true
+    });
+    return true;
+  }
+  return false;
+};
 
 // Optional auth - Try to attach user if token exists, but don't fail if not
 exports.optionalAuth = async (req, res, next) => {
@@ -19,17 +121,12 @@ exports.optionalAuth = async (req, res, next) => {
 
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyAccessToken(token);
 
-      // Get user from appropriate collection based on userType
-      if (decoded.userType === 'business') {
-        req.user = await BusinessOwner.findById(decoded.id).select('-passwordHash').populate('businesses');
-      } else {
-        req.user = await User.findById(decoded.id).select('-passwordHash');
-        
-        if (!req.user) {
-          req.user = await BusinessOwner.findById(decoded.id).select('-passwordHash').populate('businesses');
-        }
+      const account = await findAccount(decoded);
+
+      if (account && (await isAccessTokenActive(decoded, account, req)) && (await attachImpersonation(req, res, decoded, account))) {
+        attachAccount(req, account, decoded);
       }
     } catch (error) {
       // Invalid token, but continue anyway
@@ -62,35 +159,40 @@ exports.protect = async (req, res, next) => {
 
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from appropriate collection based on userType
-      if (decoded.userType === 'business') {
-        req.user = await BusinessOwner.findById(decoded.id).select('-passwordHash').populate('businesses');
-      } else {
-        // For customer, admin, or old tokens without userType
-        req.user = await User.findById(decoded.id).select('-passwordHash');
-        
-        // If not found in User collection, try BusinessOwner (for backward compatibility)
-        if (!req.user) {
-          req.user = await BusinessOwner.findById(decoded.id).select('-passwordHash').populate('businesses');
-        }
-      }
+      const decoded = verifyAccessToken(token);
+
+      const account = await findAccount(decoded);
 
-      if (!req.user) {
+      if (!account) {
         return res.status(401).json({
           success: false,
           message: 'User not found'
         });
       }
 
-      if (req.user.status !== 'active') {
+      if (account.status !== 'active') {
         return res.status(403).json({
           success: false,
           message: 'Account is not active'
         });
       }
 
+      // Revoked sessions (logout, password change, suspension) can't keep using their access token
+      if (!(await isAccessTokenActive(decoded, account, req))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or was revoked. Please log in again.'
+        });
+      }
+
+      if (!(await attachImpersonation(req, res, decoded, account))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation has ended or expired'
+        });
+      }
+      attachAccount(req, account, decoded);
+
       next();
     } catch (error) {
       return res.status(401).json({
@@ -108,9 +210,9 @@ exports.authorize = (...roles) => {
   return (req, res, next) => {
     console.log('🔐 Authorization Check:');
     console.log('   Required roles:', roles);
-    console.log('   User role:', req.user?.role);
+    console.log('   User roles:', req.user?.getRoles?.());
     console.log('   User ID:', req.user?.id || req.user?._id);
-    console.log('   User type:', req.user?.constructor?.modelName);
+    console.log('   User type:', req.userType);
     
     if (!req.user || !req.user.role) {
       return res.status(403).json({
@@ -119,12 +221,40 @@ exports.authorize = (...roles) => {
       });
     }
     
-    if (!roles.includes(req.user.role)) {
+    // Any role the account holds counts - a customer who also owns a business can use business routes
+    if (!roles.some(role => req.user.hasRole(role))) {
       return res.status(403).json({
         success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route. Required: ${roles.join(', ')}`
+        message: `User role '${req.user.getRoles().join(', ')}' is not authorized to access this route. Required: ${roles.join(', ')}`
       });
     }
+
+    if (sendAdminTwoFactorRequired(req, res)) return;
+    next();
+  };
+};
+
+// Admin capability check - the account must be an admin whose sub-roles grant the permission
+// (see utils/adminAccess.js), e.g. authorizeAdmin('businesses:delete')
+exports.authorizeAdmin = (permission) => {
+  return (req, res, next) => {
+    if (!req.user || !req.user.hasRole('admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    if (sendAdminTwoFactorRequired(req, res)) return;
+
+    if (!hasAdminPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Your admin role is not authorized to perform this action (requires ${permission})`,
+        requiredPermission: permission
+      });
+    }
+
     next();
   };
 };
@@ -140,18 +270,13 @@ exports.optionalAuth = async (req, res, next) => {
 
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = verifyAccessToken(token);
         
-        // Get user from appropriate collection based on userType
-        if (decoded.userType === 'business') {
-          req.user = await BusinessOwner.findById(decoded.id).select('-passwordHash').populate('businesses');
-        } else {
-          req.user = await User.findById(decoded.id).select('-passwordHash');
-          
-          // If not found in User collection, try BusinessOwner
-          if (!req.user) {
-            req.user = await BusinessOwner.findById(decoded.id).select('-passwordHash').populate('businesses');
-          }
+        const account = await findAccount(decoded);
+
+        // Treat revoked sessions and ended impersonations as anonymous
+        if (account && (await isAccessTokenActive(decoded, account, req)) && (await attachImpersonation(req, res, decoded, account))) {
+          attachAccount(req, account, decoded);
         }
       } catch (error) {
         // Token invalid but continue anyway
@@ -165,3 +290,155 @@ exports.optionalAuth = async (req, res, next) => {
   }
 };
 
+
+// Grant access to the owner or staff of a business with the given permission
+// The business ID is read from req.params (businessId or id) or req.body.businessId
+exports.authorizeBusiness = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const businessId = req.params.businessId || req.params.id || req.body.businessId;
+      const business = businessId ? await Business.findById(businessId) : null;
+
+      if (!business) {
+        return res.status(404).json({
+          success: false,
+          message: 'Business not found'
+        });
+      }
+
+      const access = await getBusinessAccess(business, req.user, permission);
+
+      if (!access) {
+        return res.status(403).json({
+          success: false,
+          message: `Not authorized to perform this action for this business (requires ${permission})`
+        });
+      }
+
+      req.business = access.business;
+      req.businessRole = access.role;
+      req.staff = access.staff;
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Impersonation is for seeing what the account sees. Anything that changes the account or acts as
+// it - deleting things, profile, password and 2FA changes, posting, uploading, redeeming coupons - is refused.
+exports.blockImpersonation = (req, res, next) => {
+  if (!req.impersonation) {
+    return next();
+  }
+
+  req.impersonationBlocked = true;
+  return res.status(403).json({
+    success: false,
+    message: 'This action is not available while impersonating an account',
+    impersonating: true
+  });
+};
+
+// Actions that need a confirmed email address (posting reviews, earning rewards)
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!isEmailVerificationRequired() || req.user?.emailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address first. We can resend the link from your account settings.',
+    emailVerificationRequired: true
+  });
+};
+
+// lastUsedAt is refreshed at most this often, so a busy till doesn't write on every request
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Every request made with a key goes into its audit trail once the response is sent
+const recordApiKeyUsage = (req, res, apiKey) => {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    ApiKeyUsage.create({
+      apiKey: apiKey._id,
+      business: apiKey.business._id || apiKey.business,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null
+    }).catch(error => logger.error(`Failed to record usage for API key ${apiKey._id}:`, error));
+  });
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_INTERVAL_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip })
+      .catch(error => logger.error(`Failed to update last use of API key ${apiKey._id}:`, error));
+  }
+};
+
+// Check a business API key and attach it as req.apiKey (business populated)
+// Responds and returns false when the key can't be used for this scope
+const authenticateApiKey = async (req, res, key, scope) => {
+  const apiKey = isWellFormedApiKey(key)
+    ? await ApiKey.findOne({ keyHash: hashApiKey(key) }).populate('business', 'name status')
+    : null;
+
+  if (!apiKey || !isApiKeyActive(apiKey)) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API key'
+    });
+    return false;
+  }
+
+  recordApiKeyUsage(req, res, apiKey);
+
+  if (!hasApiKeyScope(apiKey, scope)) {
+    res.status(403).json({
+      success: false,
+      message: `This API key is not allowed to perform this action (requires ${scope})`,
+      requiredScope: scope
+    });
+    return false;
+  }
+
+  if (!apiKey.business || apiKey.business.status !== 'active') {
+    res.status(403).json({
+      success: false,
+      message: 'The business this API key belongs to is not active'
+    });
+    return false;
+  }
+
+  req.apiKey = apiKey;
+  return true;
+};
+
+// Use the API key strategy when a key is sent (X-API-Key or "Authorization: ApiKey ..."), otherwise fall back
+const apiKeyStrategy = (scope, fallback) => {
+  return async (req, res, next) => {
+    try {
+      const key = extractApiKey(req);
+      if (!key) {
+        return fallback(req, res, next);
+      }
+
+      if (await authenticateApiKey(req, res, key, scope)) {
+        next();
+      }
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Signed-in users (via protect) or a business API key with the scope, e.g. POS systems
+// Controllers must check req.apiKey.business themselves when a key is used
+exports.protectOrApiKey = (scope) => [apiKeyStrategy(scope, exports.protect), apiKeyLimiter];
+
+// Public routes that integrations can also call with a key - a key that is sent must be valid
+exports.optionalApiKey = (scope) => [apiKeyStrategy(scope, (req, res, next) => next()), apiKeyLimiter];
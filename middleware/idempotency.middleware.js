@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey.model');
+const logger = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Fingerprint a request so a reused key can be matched to the original call
+ * @param {Object} req - Express request
+ * @returns {String} sha256 hex digest
+ */
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}:${req.originalUrl}:${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Idempotency middleware for non-repeatable POST endpoints
+ * Clients send an `Idempotency-Key` header; a retry with the same key replays
+ * the original success response instead of running the handler again.
+ * Requests without the header are processed normally.
+ * @param {String} scope - Name of the operation (e.g. 'coupon:redeem')
+ * @returns {Function} Express middleware
+ */
+const idempotency = (scope) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    // Keys belong to whoever is calling - a signed-in user or a business API key
+    const caller = req.user ? req.user.id : req.apiKey.id;
+    const identity = { key, user: caller, scope };
+    const requestHash = hashRequest(req);
+
+    try {
+      await IdempotencyKey.create({ ...identity, requestHash });
+    } catch (error) {
+      if (error.code !== 11000) {
+        return next(error);
+      }
+
+      const existing = await IdempotencyKey.findOne(identity);
+
+      if (!existing) {
+        // Expired between the insert and the lookup - treat as a conflict, client can retry
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is already in progress'
+        });
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (existing.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is already in progress'
+        });
+      }
+
+      logger.info(`🔁 Idempotent replay: ${scope} key ${key} for ${req.user ? 'user' : 'API key'} ${caller}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.responseBody);
+    }
+
+    // Failed attempts release the key so the client can retry
+    let settled = false;
+    const release = () => {
+      settled = true;
+      return IdempotencyKey.deleteOne({ ...identity, status: 'processing' });
+    };
+
+    // Store the outcome once the handler responds
+    const originalJson = res.json.bind(res);
+
+    res.json = function(data) {
+      const save = res.statusCode >= 200 && res.statusCode < 300
+        ? IdempotencyKey.updateOne(identity, {
+          status: 'completed',
+          statusCode: res.statusCode,
+          responseBody: data
+        })
+        : release();
+
+      settled = true;
+      save.catch(err => logger.error('Failed to store idempotency result:', err));
+      return originalJson(data);
+    };
+
+    // A response sent any other way (an error page, res.send, res.end) can't be replayed - release the key
+    // instead of leaving it 'processing' until it expires
+    res.on('finish', () => {
+      if (settled) return;
+      release().catch(err => logger.error('Failed to release idempotency key:', err));
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotency,
+  hashRequest
+};
@@ -0,0 +1,117 @@
+const { rateLimit } = require('express-rate-limit');
+const { getStore } = require('../utils/otp');
+const { getAuthIdentifier, getFailureCount, getFailureDelayMs } = require('../utils/authThrottle');
+const logger = require('../utils/logger');
+
+const AUTH_RATE_LIMIT_WINDOW_MINUTES = parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES) || 15;
+// Sign-in requests allowed per IP address per window (shared NATs get some headroom)
+const AUTH_IP_LIMIT = parseInt(process.env.AUTH_IP_LIMIT) || 50;
+// Sign-in requests allowed per email/phone per window, from any IP
+const AUTH_ACCOUNT_LIMIT = parseInt(process.env.AUTH_ACCOUNT_LIMIT) || 20;
+
+/**
+ * express-rate-limit store backed by Redis when connected, MongoDB otherwise
+ * Counters are shared by every instance of the API, unlike the default in-memory store.
+ * @param {String} prefix - Key namespace for this limiter
+ * @returns {Object} Store
+ */
+const createRateLimitStore = (prefix) => {
+  let windowSeconds = AUTH_RATE_LIMIT_WINDOW_MINUTES * 60;
+  const buildKey = (key) => `ratelimit:${prefix}:${key}`;
+
+  return {
+    prefix,
+    localKeys: false,
+    init(options) {
+      windowSeconds = Math.ceil(options.windowMs / 1000);
+    },
+    async increment(key) {
+      const store = getStore();
+      const totalHits = await store.increment(buildKey(key), windowSeconds);
+      const ttl = await store.ttl(buildKey(key));
+      return { totalHits, resetTime: new Date(Date.now() + (ttl || windowSeconds) * 1000) };
+    },
+    async decrement(key) {
+      await getStore().decrement(buildKey(key));
+    },
+    async resetKey(key) {
+      await getStore().del(buildKey(key));
+    }
+  };
+};
+
+const limitReached = (message) => (req, res, next, options) => {
+  logger.warn(`⛔ Rate limit (${options.store.prefix}) hit on ${req.originalUrl} from ${req.ip}`);
+  res.status(options.statusCode).json({
+    success: false,
+    message,
+    retryAfter: Math.ceil(options.windowMs / 1000)
+  });
+};
+
+// Limiters let requests through if Redis and MongoDB are both unreachable - sign-in is down then anyway
+
+// Layer 1 - per IP address
+const authIpLimiter = rateLimit({
+  windowMs: AUTH_RATE_LIMIT_WINDOW_MINUTES * 60 * 1000,
+  limit: AUTH_IP_LIMIT,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  store: createRateLimitStore('auth-ip'),
+  passOnStoreError: true,
+  handler: limitReached('Too many sign-in attempts from this network. Please try again later.')
+});
+
+// Layer 2 - per account identifier (email or phone in the body), so rotating IPs doesn't help
+const authAccountLimiter = rateLimit({
+  windowMs: AUTH_RATE_LIMIT_WINDOW_MINUTES * 60 * 1000,
+  limit: AUTH_ACCOUNT_LIMIT,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  store: createRateLimitStore('auth-account'),
+  passOnStoreError: true,
+  keyGenerator: (req) => getAuthIdentifier(req.body),
+  skip: (req) => !getAuthIdentifier(req.body),
+  handler: limitReached('Too many attempts for this account. Please try again later.')
+});
+
+// Layer 3 - each recent failure for the identifier slows the next response down
+const progressiveDelay = async (req, res, next) => {
+  try {
+    const delayMs = getFailureDelayMs(await getFailureCount(getAuthIdentifier(req.body)));
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+    next();
+  } catch (error) {
+    // Throttling problems shouldn't take sign-in down
+    logger.error('Progressive delay check failed:', error);
+    next();
+  }
+};
+
+// Applied to the sign-in and code verification routes (account lockout is enforced in the controllers)
+const authProtection = [authIpLimiter, authAccountLimiter, progressiveDelay];
+
+// Business API keys - each key has its own per-minute allowance (ApiKey.rateLimitPerMinute)
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimitPerMinute,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  store: createRateLimitStore('api-key'),
+  passOnStoreError: true,
+  keyGenerator: (req) => String(req.apiKey._id),
+  // Requests signed in with a user token aren't counted here
+  skip: (req) => !req.apiKey,
+  handler: limitReached('API key rate limit exceeded. Please slow down.')
+});
+
+module.exports = {
+  createRateLimitStore,
+  authIpLimiter,
+  authAccountLimiter,
+  progressiveDelay,
+  authProtection,
+  apiKeyLimiter
+};
@@ -1,4 +1,9 @@
 const Joi = require('joi');
+const { PHONE_REGEX } = require('../utils/phone');
+const { ADMIN_ROLES } = require('../utils/adminAccess');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+const { IMPERSONATION_MAX_MINUTES } = require('../utils/impersonation');
+const { STAFF_ROLES } = require('../utils/businessAccess');
 
 // Validation middleware factory
 const validate = (schema) => {
@@ -42,7 +47,7 @@ const schemas = {
   register: Joi.object({
     name: Joi.string().min(2).max(50).required(),
     email: Joi.string().email().required(),
-    phone: Joi.string().pattern(/^\+?[0-9]{7,15}$/).required(),
+    phone: Joi.string().pattern(PHONE_REGEX).required(),
     password: Joi.string().min(6).required(),
     role: Joi.string().valid('customer', 'business').default('customer'),
     address: Joi.object({
@@ -70,8 +75,17 @@ const schemas = {
     role: Joi.string().valid('customer', 'business').optional()
   }),
 
+  requestMagicLink: Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid('customer', 'business').optional()
+  }),
+
+  magicLinkLogin: Joi.object({
+    token: Joi.string().max(2048).required()
+  }),
+
   loginWithPhone: Joi.object({
-    phone: Joi.string().pattern(/^\+?[0-9]{7,15}$/).required(),
+    phone: Joi.string().pattern(PHONE_REGEX).required(),
     otp: Joi.string().length(6).required()
   }),
 
@@ -89,6 +103,37 @@ const schemas = {
     password: Joi.string().min(6).required()
   }),
 
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required()
+  }),
+
+  // Two-factor authentication
+  twoFactorCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  twoFactorVerify: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(20)
+  }).xor('code', 'recoveryCode'),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(20)
+  }).xor('code', 'recoveryCode'),
+
+  // "This wasn't me" link from a new-device alert
+  loginAlertDeny: Joi.object({
+    token: Joi.string().hex().length(64).required()
+  }),
+
+  // Signup email verification link
+  verifyEmailToken: Joi.object({
+    token: Joi.string().hex().length(64).required()
+  }),
+
   // Review validation
   createReview: Joi.object({
     business: Joi.string().required(),
@@ -100,8 +145,10 @@ const schemas = {
       'fantastic', 'silly', 'festive', 'wonderful', 'cool',
       'amused', 'relaxed', 'positive', 'chill'
     ).optional(),
-    latitude: Joi.number().min(-90).max(90).required(),
-    longitude: Joi.number().min(-180).max(180).required(),
+    // GPS is required unless a proof-of-visit token is sent (checked against the business setting)
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional(),
+    visitToken: Joi.string().optional(),
     images: Joi.array().optional(),
     videos: Joi.array().optional(),
     // 🔒 Comprehensive security metadata (all optional)
@@ -113,6 +160,35 @@ const schemas = {
     suspiciousActivities: Joi.array().optional(),
     deviceFingerprint: Joi.object().optional(),
     devicePlatform: Joi.string().optional()
+  }).and('latitude', 'longitude'),
+
+  // Review edit - at least one field; admins editing someone else's review also give a reason
+  updateReview: Joi.object({
+    rating: Joi.number().min(1).max(5),
+    comment: Joi.string().min(10).max(500),
+    images: Joi.array().items(Joi.object({
+      url: Joi.string().uri().required(),
+      publicId: Joi.string().allow(null)
+    })),
+    videos: Joi.array().items(Joi.object({
+      url: Joi.string().uri().required(),
+      publicId: Joi.string().allow(null),
+      thumbnail: Joi.string().uri().allow(null),
+      duration: Joi.number().min(0)
+    })),
+    reason: Joi.string().trim().max(500)
+  }).or('rating', 'comment', 'images', 'videos'),
+
+  // Proof-of-visit check-in (typed code or scanned dynamic QR)
+  visitCheckIn: Joi.object({
+    business: Joi.string().optional(),
+    code: Joi.string().pattern(/^\d{6}$/).optional(),
+    qrData: Joi.string().optional()
+  }).or('code', 'qrData').with('code', 'business'),
+
+  // Business owner reply to a review
+  businessReply: Joi.object({
+    text: Joi.string().trim().min(2).max(1000).required()
   }),
 
   // Business validation
@@ -120,7 +196,7 @@ const schemas = {
     name: Joi.string().min(2).max(100).required(),
     ownerName: Joi.string().min(2).max(100).optional(),
     email: Joi.string().email().required(),
-    phone: Joi.string().pattern(/^\+?[0-9]{7,15}$/).required(),
+    phone: Joi.string().pattern(PHONE_REGEX).required(),
     category: Joi.string().valid('restaurant', 'cafe', 'retail', 'services', 'healthcare', 'education', 'entertainment', 'salon', 'hotel', 'gym', 'other').required(),
     description: Joi.string().max(500).allow('', null).optional(),
     // Accept address as string OR structured object OR manual fields
@@ -211,13 +287,49 @@ const schemas = {
   // Update profile validation
   updateProfile: Joi.object({
     name: Joi.string().min(2).max(50),
-    phone: Joi.string().pattern(/^\+?[0-9]{7,15}$/),
+    phone: Joi.string().pattern(PHONE_REGEX),
     location: Joi.object({
       latitude: Joi.number().min(-90).max(90),
       longitude: Joi.number().min(-180).max(180),
       address: Joi.string()
     })
-  })
+  }),
+
+  // Admin sub-role assignment (empty list removes admin access)
+  assignAdminRoles: Joi.object({
+    adminRoles: Joi.array().items(Joi.string().valid(...ADMIN_ROLES)).unique().required()
+  }),
+
+  impersonateUser: Joi.object({
+    reason: Joi.string().trim().min(5).max(500).required(),
+    userType: Joi.string().valid('customer', 'business'),
+    durationMinutes: Joi.number().integer().min(1).max(IMPERSONATION_MAX_MINUTES)
+  }),
+
+  // Business staff
+  inviteStaff: Joi.object({
+    email: Joi.string().trim().email(),
+    phone: Joi.string().trim().pattern(PHONE_REGEX),
+    role: Joi.string().valid(...STAFF_ROLES).required()
+  }).or('email', 'phone'),
+
+  updateStaffRole: Joi.object({
+    role: Joi.string().valid(...STAFF_ROLES).required()
+  }),
+
+  // Business API keys
+  createApiKey: Joi.object({
+    name: Joi.string().trim().min(1).max(60).required(),
+    scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+    rateLimitPerMinute: Joi.number().integer().min(1).max(600),
+    expiresAt: Joi.date().greater('now').allow(null)
+  }),
+
+  updateApiKey: Joi.object({
+    name: Joi.string().trim().min(1).max(60),
+    scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique(),
+    rateLimitPerMinute: Joi.number().integer().min(1).max(600)
+  }).min(1)
 };
 
 module.exports = { validate, schemas };
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+
+// API keys let a business's own systems (POS, website) call the API without a user login
+const apiKeySchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [60, 'Key name cannot exceed 60 characters']
+  },
+  // First characters of the key, so owners can tell keys apart (the key itself is never stored)
+  prefix: {
+    type: String,
+    required: true
+  },
+  // sha256 of the full key
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  // Requests per minute for this key
+  rateLimitPerMinute: {
+    type: Number,
+    min: 1,
+    max: 600,
+    default: 60
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ business: 1, revokedAt: 1, createdAt: -1 });
+
+// Safe to return to the owner (no hash)
+apiKeySchema.methods.toSummary = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    rateLimitPerMinute: this.rateLimitPerMinute,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
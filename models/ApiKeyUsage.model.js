@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// How long API key audit entries are kept before MongoDB expires them (TTL index)
+const RETENTION_DAYS = parseInt(process.env.API_KEY_AUDIT_RETENTION_DAYS) || 90;
+
+// Audit trail - one entry per request made with an API key
+const apiKeyUsageSchema = new mongoose.Schema({
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true
+  },
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  durationMs: Number,
+  ipAddress: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+apiKeyUsageSchema.index({ apiKey: 1, createdAt: -1 });
+apiKeyUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
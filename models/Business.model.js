@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, DATE_PATTERN, isValidTimeZone } = require('../utils/openingHours');
 
 const businessSchema = new mongoose.Schema({
   name: {
@@ -75,6 +76,18 @@ const businessSchema = new mongoose.Schema({
     min: 10,
     max: 500
   },
+  // How customers prove they visited before reviewing: GPS geofence, the rotating on-premise code, or either
+  reviewVerification: {
+    type: String,
+    enum: ['geofence', 'visit_code', 'either'],
+    default: 'geofence'
+  },
+  // Secret behind the rotating proof-of-visit code (generated on first use)
+  visitCodeSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
   images: [{
     url: String,
     publicId: String
@@ -129,6 +142,23 @@ const businessSchema = new mongoose.Schema({
     count: {
       type: Number,
       default: 0
+    },
+    // Running totals maintained atomically by utils/rating.js
+    sum: {
+      type: Number,
+      default: 0
+    },
+    histogram: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 }
+    },
+    // Bayesian-weighted score used for ranking (starts at the prior mean)
+    bayesian: {
+      type: Number,
+      default: () => parseFloat(process.env.RATING_PRIOR_MEAN) || 3.5
     }
   },
   reviewCount: {
@@ -144,6 +174,40 @@ const businessSchema = new mongoose.Schema({
     saturday: { open: String, close: String, closed: Boolean },
     sunday: { open: String, close: String, closed: Boolean }
   },
+  // IANA timezone the opening hours are expressed in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Invalid timezone'
+    }
+  },
+  // One-off hours for a specific date (overrides the weekly hours)
+  specialHours: [{
+    date: {
+      type: String,
+      required: true,
+      match: [DATE_PATTERN, 'Date must be in YYYY-MM-DD format']
+    },
+    open: String,
+    close: String,
+    closed: { type: Boolean, default: false },
+    note: String
+  }],
+  // Holiday closures (inclusive date range)
+  holidayClosures: [{
+    startDate: {
+      type: String,
+      required: true,
+      match: [DATE_PATTERN, 'Start date must be in YYYY-MM-DD format']
+    },
+    endDate: {
+      type: String,
+      match: [DATE_PATTERN, 'End date must be in YYYY-MM-DD format']
+    },
+    reason: String
+  }],
   socialMedia: {
     facebook: String,
     instagram: String,
@@ -204,6 +268,28 @@ businessSchema.index({ location: '2dsphere' }, { sparse: true });
 businessSchema.index({ owner: 1 });
 businessSchema.index({ category: 1 });
 businessSchema.index({ status: 1 });
+businessSchema.index({ status: 1, 'rating.bayesian': -1 });
+
+// Weighted text index for search (name > category > city > area > state/full address/description)
+// utils/search.js scores candidates in memory with the same weights
+const TEXT_SEARCH_WEIGHTS = {
+  name: 10,
+  category: 5,
+  'address.city': 3,
+  'address.area': 2,
+  'address.state': 1,
+  'address.fullAddress': 1,
+  description: 1
+};
+
+businessSchema.index(
+  Object.fromEntries(Object.keys(TEXT_SEARCH_WEIGHTS).map(field => [field, 'text'])),
+  { name: 'business_text_search', weights: TEXT_SEARCH_WEIGHTS }
+);
+
+const Business = mongoose.model('Business', businessSchema);
+
+Business.TEXT_SEARCH_WEIGHTS = TEXT_SEARCH_WEIGHTS;
 
-module.exports = mongoose.model('Business', businessSchema);
+module.exports = Business;
 
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const businessStaffSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  // Linked customer account (set when the invitation is accepted)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Invitation target - at least one is required
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  role: {
+    type: String,
+    enum: ['manager', 'cashier', 'marketer'],
+    required: [true, 'Staff role is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+businessStaffSchema.pre('validate', function(next) {
+  if (!this.email && !this.phone) {
+    this.invalidate('email', 'Staff invitation requires an email or phone number');
+  }
+  next();
+});
+
+// Indexes for access checks and invitation lookups
+businessStaffSchema.index({ business: 1, user: 1, status: 1 });
+businessStaffSchema.index({ user: 1, status: 1 });
+businessStaffSchema.index({ email: 1, status: 1 });
+businessStaffSchema.index({ phone: 1, status: 1 });
+
+module.exports = mongoose.model('BusinessStaff', businessStaffSchema);
@@ -53,7 +53,7 @@ const businessUpdateSchema = new mongoose.Schema({
   },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'BusinessOwner'
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -21,6 +21,12 @@ const couponSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Review'
   },
+  // Business template the reward was issued from (redemptions are counted against it)
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null
+  },
   // Coupon details
   code: {
     type: String,
@@ -97,7 +103,28 @@ const couponSchema = new mongoose.Schema({
   redeemedAt: Date,
   redeemedBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+    refPath: 'redeemedByModel'
+  },
+  redeemedByModel: {
+    type: String,
+    enum: ['User', 'BusinessOwner'],
+    default: 'User'
+  },
+  // Who scanned the coupon at the business (owner, admin, a staff role or an integration's API key)
+  redeemedByRole: {
+    type: String,
+    enum: ['owner', 'admin', 'manager', 'cashier', 'marketer', 'api_key', null],
+    default: null
+  },
+  redeemedByStaff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BusinessStaff',
+    default: null
+  },
+  redeemedByApiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
   },
   // QR Code data for coupon redemption
   qrCodeData: {
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A personal data export request (utils/dataExport.js) - also the log of who asked for what and when
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  // Where the request came from
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // The archive (Cloudinary raw, authenticated - only reachable through a signed URL)
+  publicId: {
+    type: String,
+    default: null
+  },
+  fileSize: {
+    type: Number,
+    default: null
+  },
+  // Records per section, e.g. { reviews: 12, coupons: 3 }
+  counts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // The download link stops working (and the archive is removed) after this
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, updatedAt: 1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Record of an account purge - kept so we can show what was removed and when, without keeping the person's details
+const deletionReceiptSchema = new mongoose.Schema({
+  // The purged account (now an anonymous placeholder that keeps its reviews attached)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // sha256 of the address the account used - lets support confirm a deletion to someone who still has the email
+  emailHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  roles: [String],
+  requestedAt: Date,
+  scheduledFor: Date,
+  purgedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // What the purge did
+  reviewsAnonymized: { type: Number, default: 0 },
+  chatsDeleted: { type: Number, default: 0 },
+  couponsDeleted: { type: Number, default: 0 },
+  notificationsDeleted: { type: Number, default: 0 },
+  supportTicketsDeleted: { type: Number, default: 0 },
+  businessesDeleted: { type: Number, default: 0 },
+  mediaDeleted: { type: Number, default: 0 },
+  // Cloudinary assets that could not be removed (retry by hand from here)
+  mediaFailed: [{
+    publicId: String,
+    resourceType: String,
+    error: String
+  }],
+  status: {
+    type: String,
+    enum: ['completed', 'completed_with_errors'],
+    default: 'completed'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DeletionReceipt', deletionReceiptSchema);
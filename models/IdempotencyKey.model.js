@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// How long a key (and its stored response) can be replayed
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Keys are scoped per caller (user, or API key ID for integrations) and per endpoint
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  scope: {
+    type: String,
+    required: true
+  },
+  // Fingerprint of the original request - a reused key with a different body is rejected
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+idempotencyKeySchema.index({ key: 1, user: 1, scope: 1 }, { unique: true });
+idempotencyKeySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: IDEMPOTENCY_TTL_HOURS * 60 * 60 }
+);
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
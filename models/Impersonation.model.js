@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A super admin acting as another account for support - one document per impersonation token issued
+const impersonationSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Role the token acts as (customer or business)
+  userType: {
+    type: String,
+    enum: ['customer', 'business'],
+    default: 'customer'
+  },
+  // Why support needed to see the account, e.g. a ticket reference
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  ipAddress: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  blockedCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+impersonationSchema.index({ admin: 1, createdAt: -1 });
+impersonationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
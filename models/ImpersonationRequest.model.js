@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// How long impersonation audit entries are kept before MongoDB expires them (TTL index)
+const RETENTION_DAYS = parseInt(process.env.IMPERSONATION_AUDIT_RETENTION_DAYS) || 365;
+
+// Audit trail - one entry per request made with an impersonation token
+const impersonationRequestSchema = new mongoose.Schema({
+  impersonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Impersonation',
+    required: true
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  durationMs: Number,
+  // Refused because the action isn't allowed while impersonating
+  blocked: {
+    type: Boolean,
+    default: false
+  },
+  ipAddress: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+impersonationRequestSchema.index({ impersonation: 1, createdAt: -1 });
+impersonationRequestSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ImpersonationRequest', impersonationRequestSchema);
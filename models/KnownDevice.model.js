@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Devices an account has signed in from - used to spot logins from somewhere new (utils/loginAlerts)
+const knownDeviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Fingerprint - client-sent device ID when the app provides one, otherwise browser + network
+  deviceId: {
+    type: String,
+    default: null
+  },
+  userAgentHash: {
+    type: String,
+    required: true
+  },
+  ipSubnet: {
+    type: String,
+    default: null
+  },
+  // For display in alerts and the session list
+  name: {
+    type: String,
+    default: null
+  },
+  platform: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  lastIp: {
+    type: String,
+    default: null
+  },
+  // denied = the user said the login wasn't them; the device is no longer trusted
+  status: {
+    type: String,
+    enum: ['trusted', 'denied'],
+    default: 'trusted'
+  },
+  loginCount: {
+    type: Number,
+    default: 1
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // "This wasn't me" link sent with the new-device alert (sha256 of the token, single use)
+  alert: {
+    tokenHash: { type: String, default: null, select: false },
+    session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', default: null },
+    sentAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    usedAt: { type: Date, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+knownDeviceSchema.index({ user: 1, status: 1, lastSeenAt: -1 });
+knownDeviceSchema.index({ 'alert.tokenHash': 1 }, { sparse: true });
+
+module.exports = mongoose.model('KnownDevice', knownDeviceSchema);
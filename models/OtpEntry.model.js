@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Fallback storage for the OTP service and auth throttling when Redis isn't available
+// Holds codes, attempt counters, lockouts, cooldowns and rate limit counters as short-lived key/value entries
+const otpEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Expired entries are removed automatically (reads also check expiresAt, since the TTL monitor runs once a minute)
+otpEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpEntry', otpEntrySchema);
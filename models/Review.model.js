@@ -1,5 +1,47 @@
 const mongoose = require('mongoose');
 
+// Public reply from the business owner (one per review)
+const businessReplySchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Reply text is required'],
+    trim: true,
+    minlength: [2, 'Reply must be at least 2 characters'],
+    maxlength: [1000, 'Reply cannot exceed 1000 characters']
+  },
+  repliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  repliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Admin moderation
+  status: {
+    type: String,
+    enum: ['visible', 'hidden'],
+    default: 'visible'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  moderationReason: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
 const reviewSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -78,6 +120,19 @@ const reviewSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Coupon'
   },
+  businessReply: {
+    type: businessReplySchema,
+    default: null
+  },
+  // Edits by the author or an admin - what changed each time is kept in ReviewRevision
+  editCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
   // 🔒 COMPREHENSIVE SECURITY METADATA
   securityMetadata: {
     locationAccuracy: Number, // GPS accuracy in meters
@@ -100,7 +155,17 @@ const reviewSchema = new mongoose.Schema({
     devicePlatform: String, // ios/android
     actualDistance: Number, // Actual distance from business (meters)
     businessRadius: Number, // Allowed radius at time of submission
-    submittedAt: Date
+    verificationMethod: String, // How the visit was proven: geofence or visit_code
+    submittedAt: Date,
+    riskScore: Number, // Weighted fraud risk score (0-100)
+    riskThreshold: Number, // Threshold in effect when the review was scored
+    riskSignals: [{
+      name: String,
+      weight: Number,
+      value: Number,
+      points: Number,
+      detail: mongoose.Schema.Types.Mixed
+    }]
   }
 }, {
   timestamps: true
@@ -110,6 +175,8 @@ const reviewSchema = new mongoose.Schema({
 reviewSchema.index({ business: 1, createdAt: -1 });
 reviewSchema.index({ user: 1 });
 reviewSchema.index({ geolocation: '2dsphere' });
+reviewSchema.index({ status: 1, 'securityMetadata.riskScore': -1 });
+reviewSchema.index({ 'businessReply.status': 1 });
 
 // Prevent duplicate reviews (one review per user per business per day)
 reviewSchema.index({ user: 1, business: 1, createdAt: 1 });
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// One field changed by an edit - from/to hold the old and new value (media as { url, publicId } lists)
+const revisionChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: ['rating', 'comment', 'images', 'videos'],
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Immutable record of a review edit - written once, never updated
+const reviewRevisionSchema = new mongoose.Schema({
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  // Author of the review (the editor may be an admin)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 1 for the first edit, 2 for the second...
+  revision: {
+    type: Number,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  editorRole: {
+    type: String,
+    enum: ['user', 'admin'],
+    required: true
+  },
+  changes: {
+    type: [revisionChangeSchema],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  ipAddress: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reviewRevisionSchema.index({ review: 1, revision: 1 }, { unique: true });
+reviewRevisionSchema.index({ user: 1 });
+
+// Revisions can be removed with their review's author (account purge) but never rewritten
+const rejectUpdate = function(next) {
+  next(new Error('Review revisions cannot be changed'));
+};
+
+reviewRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectUpdate(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+  reviewRevisionSchema.pre(operation, rejectUpdate);
+});
+
+module.exports = mongoose.model('ReviewRevision', reviewRevisionSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'userModel',
+    required: true
+  },
+  userModel: {
+    type: String,
+    enum: ['User', 'BusinessOwner'],
+    default: 'User'
+  },
+  // userType carried in the access token (customer, business or admin)
+  userType: {
+    type: String,
+    default: 'customer'
+  },
+  // sha256 of the current refresh token - rotated on every refresh
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  device: {
+    deviceId: { type: String, default: null },
+    name: { type: String, default: null },
+    platform: { type: String, default: null },
+    userAgent: { type: String, default: null }
+  },
+  createdIp: {
+    type: String,
+    default: null
+  },
+  lastSeenIp: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'password_changed', 'password_reset', 'account_suspended', 'refresh_token_reuse', 'login_not_recognized', 'account_deletion', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for session listing and bulk revocation
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+
+// Expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
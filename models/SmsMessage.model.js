@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// How long delivery records are kept before MongoDB expires them (TTL index)
+const RETENTION_DAYS = parseInt(process.env.SMS_RETENTION_DAYS) || 7;
+
+// Outgoing SMS queue - one document per message, worked by utils/smsService
+const smsMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required']
+  },
+  // Cleared once the message is delivered or given up on, so codes don't sit in the database
+  body: {
+    type: String,
+    default: null
+  },
+  purpose: {
+    type: String,
+    default: 'general'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'expired'],
+    default: 'queued'
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  providerMessageId: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Don't deliver after this (e.g. the OTP inside has expired)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+smsMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+smsMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SmsMessage', smsMessageSchema);
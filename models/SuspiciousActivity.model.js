@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// How long suspicious activity entries are kept before MongoDB expires them (TTL index)
+const RETENTION_DAYS = parseInt(process.env.SUSPICIOUS_ACTIVITY_RETENTION_DAYS) || 90;
+
+const suspiciousActivitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  eventType: {
+    type: String,
+    required: [true, 'Event type is required'],
+    trim: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null
+  },
+  deviceId: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Archived entries are hidden from the admin feed but kept until the TTL expires them
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for admin filtering
+suspiciousActivitySchema.index({ userId: 1, timestamp: -1 });
+suspiciousActivitySchema.index({ businessId: 1, timestamp: -1 });
+suspiciousActivitySchema.index({ eventType: 1, timestamp: -1 });
+suspiciousActivitySchema.index({ deviceId: 1 });
+suspiciousActivitySchema.index({ ipAddress: 1 });
+suspiciousActivitySchema.index({ archived: 1, timestamp: -1, _id: -1 });
+
+// Retention policy - entries are removed automatically after RETENTION_DAYS
+suspiciousActivitySchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('SuspiciousActivity', suspiciousActivitySchema);
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { PHONE_REGEX } = require('../utils/phone');
+const { ADMIN_ROLES, getAdminRoles } = require('../utils/adminAccess');
+
+// Roles an account can hold - one person can be a customer and a business owner under one login
+const ACCOUNT_ROLES = ['customer', 'business', 'admin'];
+
+// One account per person (customers, business owners and admins all live in the users collection)
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,7 +28,7 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Phone number is required'],
     unique: true,
-    match: [/^\+?[0-9]{7,15}$/, 'Please provide a valid phone number with country code']
+    match: [PHONE_REGEX, 'Please provide a valid phone number with country code']
   },
   passwordHash: {
     type: String,
@@ -29,11 +36,30 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Primary role - what the account signed up as (older clients only read this)
   role: {
     type: String,
-    enum: ['customer', 'business', 'admin'],
+    enum: ACCOUNT_ROLES,
     default: 'customer'
   },
+  // Every role the account holds (always includes role)
+  roles: {
+    type: [{ type: String, enum: ACCOUNT_ROLES }],
+    default: undefined
+  },
+  // Admin sub-roles (see utils/adminAccess.js) - only meaningful with the 'admin' role
+  // Unset on admins from before sub-roles existed, who are treated as super_admin
+  adminRoles: {
+    type: [{ type: String, enum: ADMIN_ROLES }],
+    default: undefined
+  },
+  // IDs this account was known by before business owner accounts were merged in
+  // (see utils/migrateBusinessOwners.js) - tokens issued under them still resolve here
+  legacyIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: undefined,
+    select: false
+  },
   address: {
     buildingNumber: String,
     street: String,
@@ -63,7 +89,7 @@ const userSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'inactive', 'suspended'],
+    enum: ['active', 'inactive', 'suspended', 'deleted'],
     default: 'active'
   },
   emailVerified: {
@@ -90,6 +116,57 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Temporary lockout after repeated failed sign-ins (utils/authThrottle.js)
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  // Set when the user reports a login they didn't make - password login is refused until the password is reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Account deletion (utils/accountDeletion.js) - the account is purged once deletionScheduledFor
+  // passes, unless the user signs back in first
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Access tokens issued before this are rejected (set when all sessions are revoked)
+  sessionsInvalidatedAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication (settings.twoFactorAuth is only turned on once enrolment is confirmed)
+  twoFactor: {
+    secret: { type: String, default: null, select: false }, // Encrypted
+    pendingSecret: { type: String, default: null, select: false }, // Encrypted, awaiting confirmation
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: { type: Date, default: null }
+      }],
+      select: false
+    },
+    lastUsedCounter: { type: Number, default: null }, // Stops a code being replayed
+    enabledAt: { type: Date, default: null }
+  },
   settings: {
     twoFactorAuth: {
       type: Boolean,
@@ -122,6 +199,19 @@ const userSchema = new mongoose.Schema({
 
 // Index for geospatial queries
 userSchema.index({ location: '2dsphere' });
+userSchema.index({ roles: 1 });
+userSchema.index({ legacyIds: 1 }, { sparse: true });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
+// Keep roles in step with the primary role
+userSchema.pre('validate', function(next) {
+  if (!this.roles || this.roles.length === 0) {
+    this.roles = [this.role];
+  } else if (!this.roles.includes(this.role)) {
+    this.roles.push(this.role);
+  }
+  next();
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -138,6 +228,36 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.passwordHash);
 };
 
+// All roles held (accounts saved before roles existed only have role)
+userSchema.methods.getRoles = function() {
+  return this.roles && this.roles.length > 0 ? [...this.roles] : [this.role];
+};
+
+userSchema.methods.hasRole = function(role) {
+  return this.getRoles().includes(role);
+};
+
+// Add a role (caller saves)
+userSchema.methods.addRole = function(role) {
+  if (!this.hasRole(role)) {
+    this.roles = [...this.getRoles(), role];
+  }
+};
+
+// Remove a role (caller saves) - the primary role moves to another held role, or customer
+userSchema.methods.removeRole = function(role) {
+  const remaining = this.getRoles().filter(r => r !== role);
+  this.roles = remaining.length > 0 ? remaining : ['customer'];
+  if (this.role === role) {
+    this.role = this.roles[0];
+  }
+};
+
+// Role a session acts as - the requested one if the account holds it, otherwise the primary role
+userSchema.methods.resolveRole = function(requestedRole) {
+  return requestedRole && this.hasRole(requestedRole) ? requestedRole : this.role;
+};
+
 // Method to get public profile
 userSchema.methods.getPublicProfile = function() {
   return {
@@ -146,15 +266,27 @@ userSchema.methods.getPublicProfile = function() {
     email: this.email,
     phone: this.phone,
     role: this.role,
+    roles: this.getRoles(),
     profileImage: this.profileImage,
     status: this.status,
     emailVerified: this.emailVerified,
     phoneVerified: this.phoneVerified,
     address: this.address,
     location: this.location,
+    ...(this.hasRole('business') && { businesses: this.businesses }),
+    ...(this.hasRole('admin') && { adminRoles: getAdminRoles(this) }),
     createdAt: this.createdAt
   };
 };
 
-module.exports = mongoose.model('User', userSchema);
+const User = mongoose.model('User', userSchema);
+
+// Legacy alias - documents that still say ref/refPath 'BusinessOwner' populate from the users collection
+if (!mongoose.models.BusinessOwner) {
+  mongoose.model('BusinessOwner', userSchema, 'users');
+}
+
+User.ACCOUNT_ROLES = ACCOUNT_ROLES;
+
+module.exports = User;
 
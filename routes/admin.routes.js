@@ -11,7 +11,11 @@ const {
   updateBusinessKYC,
   updateUserStatus,
   getAllReviews,
+  getReviewRevisions,
   updateReviewStatus,
+  moderateReviewReply,
+  deleteReviewReply,
+  rebuildRatings,
   sendNotification,
   deleteUser,
   deleteBusiness,
@@ -22,39 +26,66 @@ const {
   generateBusinessQRCode,
   getAllCoupons,
   toggleCouponStatus,
-  deleteCoupon
+  deleteCoupon,
+  getMyAdminPermissions,
+  getAdmins,
+  updateAdminRoles,
+  unlockUser,
+  verifyUserEmail,
+  impersonateUser,
+  getImpersonations,
+  getImpersonationRequests,
+  endImpersonation
 } = require('../controllers/admin.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, authorize, authorizeAdmin } = require('../middleware/auth.middleware');
+const { validate, schemas } = require('../middleware/validation');
 
-// All routes are admin-only
+// All routes are admin-only; each one also needs a capability from the admin's sub-roles (utils/adminAccess.js)
 router.use(protect, authorize('admin'));
 
-router.get('/dashboard', getDashboardStats);
-router.get('/users', getAllUsers);
-router.get('/businesses', getAllBusinesses);
-router.get('/businesses/:id', getBusinessById);
-router.post('/businesses', createBusiness);
-router.put('/businesses/:id', updateBusiness);
-router.put('/businesses/:id/radius', updateBusinessRadius);
-router.put('/businesses/:id/kyc', updateBusinessKYC);
-router.post('/businesses/:id/generate-qr', generateBusinessQRCode);
-router.put('/users/:id/status', updateUserStatus);
-router.get('/reviews', getAllReviews);
-router.put('/reviews/:id/status', updateReviewStatus);
-router.post('/notifications/send', sendNotification);
-router.delete('/users/:id', deleteUser);
-router.delete('/businesses/:id', deleteBusiness);
+router.get('/dashboard', authorizeAdmin('dashboard:view'), getDashboardStats);
+router.get('/users', authorizeAdmin('users:view'), getAllUsers);
+router.get('/businesses', authorizeAdmin('businesses:view'), getAllBusinesses);
+router.get('/businesses/:id', authorizeAdmin('businesses:view'), getBusinessById);
+router.post('/businesses', authorizeAdmin('businesses:manage'), createBusiness);
+router.put('/businesses/:id', authorizeAdmin('businesses:manage'), updateBusiness);
+router.put('/businesses/:id/radius', authorizeAdmin('businesses:manage'), updateBusinessRadius);
+router.put('/businesses/:id/kyc', authorizeAdmin('businesses:kyc'), updateBusinessKYC);
+router.post('/businesses/:id/generate-qr', authorizeAdmin('businesses:manage'), generateBusinessQRCode);
+router.put('/users/:id/status', authorizeAdmin('users:manage'), updateUserStatus);
+router.post('/users/:id/unlock', authorizeAdmin('users:unlock'), unlockUser);
+router.post('/users/:id/verify-email', authorizeAdmin('users:verify'), verifyUserEmail);
+router.get('/reviews', authorizeAdmin('reviews:view'), getAllReviews);
+router.get('/reviews/:id/revisions', authorizeAdmin('reviews:view'), getReviewRevisions);
+router.put('/reviews/:id/status', authorizeAdmin('reviews:moderate'), updateReviewStatus);
+router.put('/reviews/:id/reply', authorizeAdmin('reviews:moderate'), moderateReviewReply);
+router.delete('/reviews/:id/reply', authorizeAdmin('reviews:moderate'), deleteReviewReply);
+router.post('/ratings/rebuild', authorizeAdmin('ratings:rebuild'), rebuildRatings);
+router.post('/notifications/send', authorizeAdmin('notifications:broadcast'), sendNotification);
+router.delete('/users/:id', authorizeAdmin('users:delete'), deleteUser);
+router.delete('/businesses/:id', authorizeAdmin('businesses:delete'), deleteBusiness);
 
 // Suspension routes
-router.post('/users/:id/suspend', suspendUser);
-router.post('/businesses/:id/suspend', suspendBusiness);
-router.post('/suspended/:id/unsuspend', unsuspendAccount);
-router.get('/suspended', getAllSuspendedAccounts);
+router.post('/users/:id/suspend', authorizeAdmin('suspensions:manage'), suspendUser);
+router.post('/businesses/:id/suspend', authorizeAdmin('suspensions:manage'), suspendBusiness);
+router.post('/suspended/:id/unsuspend', authorizeAdmin('suspensions:manage'), unsuspendAccount);
+router.get('/suspended', authorizeAdmin('suspensions:view'), getAllSuspendedAccounts);
 
 // Coupon Management routes
-router.get('/coupons', getAllCoupons);
-router.put('/coupons/:id/status', toggleCouponStatus);
-router.delete('/coupons/:id', deleteCoupon);
+router.get('/coupons', authorizeAdmin('coupons:view'), getAllCoupons);
+router.put('/coupons/:id/status', authorizeAdmin('coupons:manage'), toggleCouponStatus);
+router.delete('/coupons/:id', authorizeAdmin('coupons:manage'), deleteCoupon);
+
+// Admin role management
+router.get('/me/permissions', getMyAdminPermissions);
+router.get('/admins', authorizeAdmin('admins:manage'), getAdmins);
+router.put('/admins/:id/roles', authorizeAdmin('admins:manage'), validate(schemas.assignAdminRoles), updateAdminRoles);
+
+// Impersonation (support acting as an account) - every request made with the token is audited
+router.post('/users/:id/impersonate', authorizeAdmin('users:impersonate'), validate(schemas.impersonateUser), impersonateUser);
+router.get('/impersonations', authorizeAdmin('users:impersonate'), getImpersonations);
+router.get('/impersonations/:id/requests', authorizeAdmin('users:impersonate'), getImpersonationRequests);
+router.post('/impersonations/:id/end', authorizeAdmin('users:impersonate'), endImpersonation);
 
 module.exports = router;
 
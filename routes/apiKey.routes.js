@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+  getApiKeyUsage
+} = require('../controllers/apiKey.controller');
+const { protect, authorizeBusiness, blockImpersonation } = require('../middleware/auth.middleware');
+const { validate, schemas } = require('../middleware/validation');
+
+// Business owner routes - no staff role has apiKeys:manage
+router.get('/business/:businessId', protect, authorizeBusiness('apiKeys:manage'), getApiKeys);
+router.post('/business/:businessId', protect, blockImpersonation, authorizeBusiness('apiKeys:manage'), validate(schemas.createApiKey), createApiKey);
+router.put('/business/:businessId/:keyId', protect, blockImpersonation, authorizeBusiness('apiKeys:manage'), validate(schemas.updateApiKey), updateApiKey);
+router.delete('/business/:businessId/:keyId', protect, blockImpersonation, authorizeBusiness('apiKeys:manage'), revokeApiKey);
+router.get('/business/:businessId/:keyId/usage', protect, authorizeBusiness('apiKeys:manage'), getApiKeyUsage);
+
+module.exports = router;
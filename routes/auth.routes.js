@@ -11,25 +11,66 @@ const {
   updatePushToken,
   sendEmailOTP,
   verifyEmailOTP,
-  resetPasswordWithOTP
+  resetPasswordWithOTP,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getLoginAlertPage,
+  denyLoginAlert,
+  verifyEmail,
+  resendVerificationEmail,
+  requestMagicLink,
+  loginWithMagicLink
 } = require('../controllers/auth.controller');
-const { protect } = require('../middleware/auth.middleware');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+} = require('../controllers/twoFactor.controller');
+const { protect, blockImpersonation } = require('../middleware/auth.middleware');
 const { validate, schemas } = require('../middleware/validation');
+const { authProtection } = require('../middleware/rateLimit.middleware');
 
-// Public routes
+// Public routes (sign-in and code checks are rate limited per IP and per account)
 router.post('/register', validate(schemas.register), register);
-router.post('/login', validate(schemas.login), login);
+router.post('/login', authProtection, validate(schemas.login), login);
 router.post('/send-otp', sendOTP);
-router.post('/login-phone', validate(schemas.loginWithPhone), loginWithPhone);
+router.post('/login-phone', authProtection, validate(schemas.loginWithPhone), loginWithPhone);
+router.post('/magic-link', authProtection, validate(schemas.requestMagicLink), requestMagicLink);
+router.post('/magic-link/verify', authProtection, validate(schemas.magicLinkLogin), loginWithMagicLink);
 router.post('/forgot-password', validate(schemas.forgotPassword), forgotPassword);
 router.post('/reset-password', validate(schemas.resetPassword), resetPassword);
-router.post('/reset-password-otp', validate(schemas.resetPasswordOTP), resetPasswordWithOTP);
+router.post('/reset-password-otp', authProtection, validate(schemas.resetPasswordOTP), resetPasswordWithOTP);
 router.post('/send-email-otp', sendEmailOTP);
-router.post('/verify-email-otp', verifyEmailOTP);
+router.post('/verify-email-otp', authProtection, verifyEmailOTP);
+router.post('/refresh', validate(schemas.refreshToken), refreshToken);
+router.post('/2fa/verify', validate(schemas.twoFactorVerify), verifyTwoFactorLogin);
+router.get('/login-alerts/deny', getLoginAlertPage);
+router.post('/login-alerts/deny', validate(schemas.loginAlertDeny), denyLoginAlert);
+router.get('/verify-email', verifyEmail);
+router.post('/verify-email', validate(schemas.verifyEmailToken), verifyEmail);
 
 // Protected routes
 router.get('/me', protect, getMe);
-router.put('/push-token', protect, updatePushToken);
+router.put('/push-token', protect, blockImpersonation, updatePushToken);
+router.post('/resend-verification', protect, blockImpersonation, resendVerificationEmail);
+// Not blocked - under impersonation, logout ends the impersonation and leaves the user's own sessions alone
+router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, blockImpersonation, revokeOtherSessions);
+router.delete('/sessions/:id', protect, blockImpersonation, revokeSession);
+
+// Two-factor authentication
+router.get('/2fa/status', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, blockImpersonation, setupTwoFactor);
+router.post('/2fa/enable', protect, blockImpersonation, validate(schemas.twoFactorCode), enableTwoFactor);
+router.post('/2fa/disable', protect, blockImpersonation, validate(schemas.twoFactorDisable), disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, blockImpersonation, validate(schemas.twoFactorCode), regenerateRecoveryCodes);
 
 module.exports = router;
 
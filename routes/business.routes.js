@@ -13,9 +13,11 @@ const {
   updateBusinessImages,
   getMyBusinesses,
   getBusinessByQRCode,
+  getVisitCode,
+  rotateVisitCodeSecret,
   updateTripAdvisorRating
 } = require('../controllers/business.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, authorize, authorizeBusiness, blockImpersonation } = require('../middleware/auth.middleware');
 const { validate, schemas } = require('../middleware/validation');
 const upload = require('../middleware/upload');
 
@@ -27,17 +29,19 @@ router.post('/qr/scan', getBusinessByQRCode);
 router.get('/:id', getBusiness);
 
 // Protected routes
-router.post('/register', protect, authorize('business'), validate(schemas.createBusiness), registerBusiness);
-router.post('/:id/documents', protect, authorize('business'), upload.fields([
+router.post('/register', protect, blockImpersonation, authorize('business'), validate(schemas.createBusiness), registerBusiness);
+router.post('/:id/documents', protect, blockImpersonation, authorize('business'), upload.fields([
   { name: 'ownerIdProof', maxCount: 1 },
   { name: 'foodSafetyCertificate', maxCount: 1 },
   { name: 'businessLicense', maxCount: 1 }
 ]), uploadDocuments);
-router.get('/:id/dashboard', protect, getBusinessDashboard);
-router.post('/:id/generate-qr', protect, authorize('business'), generateQRCode);
-router.put('/:id', protect, authorize('business'), updateBusiness);
-router.put('/:id/images', protect, authorize('business'), updateBusinessImages);
-router.put('/:id/tripadvisor-rating', protect, authorize('business', 'admin'), updateTripAdvisorRating);
+router.get('/:id/dashboard', protect, authorizeBusiness('dashboard:view'), getBusinessDashboard);
+router.post('/:id/generate-qr', protect, blockImpersonation, authorize('business'), generateQRCode);
+router.get('/:id/visit-code', protect, authorizeBusiness('visits:display'), getVisitCode);
+router.post('/:id/visit-code/rotate', protect, blockImpersonation, authorizeBusiness('visits:manage'), rotateVisitCodeSecret);
+router.put('/:id', protect, blockImpersonation, authorize('business'), updateBusiness);
+router.put('/:id/images', protect, blockImpersonation, authorize('business'), updateBusinessImages);
+router.put('/:id/tripadvisor-rating', protect, blockImpersonation, authorize('business', 'admin'), updateTripAdvisorRating);
 router.get('/my/businesses', protect, authorize('business'), getMyBusinesses);
 
 module.exports = router;
@@ -11,19 +11,20 @@ const {
   scanAndRedeemCoupon,
   getRedemptionStats
 } = require('../controllers/businessCoupon.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, authorizeBusiness, protectOrApiKey, optionalApiKey, blockImpersonation } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
 
-// Public routes
-router.post('/verify', verifyCouponCode);
+// Public routes (POS integrations can call with an API key)
+router.post('/verify', optionalApiKey('coupons:verify'), verifyCouponCode);
 
-// Protected routes
-router.get('/business/:businessId', protect, authorize('business', 'admin'), getBusinessCoupons);
-router.get('/redemption-stats/:businessId', protect, authorize('business', 'admin'), getRedemptionStats);
+// Protected routes (owner, admin or staff - checked per business)
+router.get('/business/:businessId', protect, authorizeBusiness('coupons:view'), getBusinessCoupons);
+router.get('/redemption-stats/:businessId', protect, authorizeBusiness('coupons:view'), getRedemptionStats);
 router.get('/:id', protect, getCoupon);
-router.post('/', protect, authorize('business'), createCoupon);
-router.post('/scan-redeem', protect, authorize('business', 'admin'), scanAndRedeemCoupon);
-router.put('/:id', protect, authorize('business', 'admin'), updateCoupon);
-router.delete('/:id', protect, authorize('business', 'admin'), deleteCoupon);
-router.patch('/:id/toggle-status', protect, authorize('business', 'admin'), toggleCouponStatus);
+router.post('/', protect, blockImpersonation, authorizeBusiness('coupons:manage'), createCoupon);
+router.post('/scan-redeem', protectOrApiKey('coupons:redeem'), blockImpersonation, idempotency('coupon:scan-redeem'), scanAndRedeemCoupon);
+router.put('/:id', protect, blockImpersonation, updateCoupon);
+router.delete('/:id', protect, blockImpersonation, deleteCoupon);
+router.patch('/:id/toggle-status', protect, blockImpersonation, toggleCouponStatus);
 
 module.exports = router;
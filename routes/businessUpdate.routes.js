@@ -6,15 +6,15 @@ const {
   updateBusinessUpdate,
   deleteBusinessUpdate
 } = require('../controllers/businessUpdate.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, authorizeBusiness, blockImpersonation } = require('../middleware/auth.middleware');
 
 // Public routes
 router.get('/business/:businessId/updates', getBusinessUpdates);
 
-// Protected routes (Business owner only)
-router.post('/business/:businessId/updates', protect, authorize('business'), createBusinessUpdate);
-router.put('/updates/:updateId', protect, authorize('business'), updateBusinessUpdate);
-router.delete('/updates/:updateId', protect, authorize('business'), deleteBusinessUpdate);
+// Protected routes (Business owner or staff - checked per business)
+router.post('/business/:businessId/updates', protect, blockImpersonation, authorizeBusiness('updates:manage'), createBusinessUpdate);
+router.put('/updates/:updateId', protect, blockImpersonation, updateBusinessUpdate);
+router.delete('/updates/:updateId', protect, blockImpersonation, deleteBusinessUpdate);
 
 module.exports = router;
 
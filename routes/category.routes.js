@@ -8,17 +8,17 @@ const {
   deleteCategory,
   updateCategoryCount
 } = require('../controllers/category.controller');
-const { protect, authorize, optionalAuth } = require('../middleware/auth.middleware');
+const { protect, authorizeAdmin, optionalAuth } = require('../middleware/auth.middleware');
 
 // Public routes (with optional auth for admin to see all categories)
 router.get('/', optionalAuth, getCategories);
 router.get('/:id', getCategory);
 
 // Admin routes
-router.post('/', protect, authorize('admin'), createCategory);
-router.put('/:id', protect, authorize('admin'), updateCategory);
-router.delete('/:id', protect, authorize('admin'), deleteCategory);
-router.put('/:id/update-count', protect, authorize('admin'), updateCategoryCount);
+router.post('/', protect, authorizeAdmin('categories:manage'), createCategory);
+router.put('/:id', protect, authorizeAdmin('categories:manage'), updateCategory);
+router.delete('/:id', protect, authorizeAdmin('categories:manage'), deleteCategory);
+router.put('/:id/update-count', protect, authorizeAdmin('categories:manage'), updateCategoryCount);
 
 module.exports = router;
 
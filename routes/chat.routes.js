@@ -5,14 +5,14 @@ const {
   sendMessage,
   getChatList
 } = require('../controllers/chat.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, blockImpersonation } = require('../middleware/auth.middleware');
 
 // All routes are protected
 router.use(protect);
 
 router.get('/conversations', getChatList);
 router.get('/:userId', getChatHistory);
-router.post('/', sendMessage);
+router.post('/', blockImpersonation, sendMessage);
 
 module.exports = router;
 
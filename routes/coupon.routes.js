@@ -9,18 +9,22 @@ const {
   getBusinessCoupons,
   calculateCouponDiscount
 } = require('../controllers/coupon.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, blockImpersonation } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
 
 // All routes are protected
 router.use(protect);
 
 router.get('/', getCoupons);
-router.post('/', authorize('business', 'admin'), createCoupon);
 router.get('/:id', getCoupon);
-router.post('/verify', authorize('business', 'admin'), verifyCoupon);
-router.post('/:id/redeem', authorize('business', 'admin'), redeemCoupon);
-router.get('/business/:businessId', authorize('business', 'admin'), getBusinessCoupons);
 router.post('/calculate-discount', calculateCouponDiscount);
 
+// Business routes - staff are customer accounts, so access is checked against the coupon's business
+// in the controller (owner, staff with the coupon permission, or an admin)
+router.post('/', blockImpersonation, createCoupon);
+router.post('/verify', verifyCoupon);
+router.post('/:id/redeem', blockImpersonation, idempotency('coupon:redeem'), redeemCoupon);
+router.get('/business/:businessId', getBusinessCoupons);
+
 module.exports = router;
 
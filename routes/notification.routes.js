@@ -6,15 +6,15 @@ const {
   markAllAsRead,
   deleteNotification
 } = require('../controllers/notification.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, blockImpersonation } = require('../middleware/auth.middleware');
 
 // All routes are protected
 router.use(protect);
 
 router.get('/', getNotifications);
-router.put('/:id/read', markAsRead);
-router.put('/read-all', markAllAsRead);
-router.delete('/:id', deleteNotification);
+router.put('/:id/read', blockImpersonation, markAsRead);
+router.put('/read-all', blockImpersonation, markAllAsRead);
+router.delete('/:id', blockImpersonation, deleteNotification);
 
 module.exports = router;
 
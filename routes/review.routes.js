@@ -2,32 +2,42 @@ const express = require('express');
 const router = express.Router();
 const {
   createReview,
+  checkInVisit,
   getBusinessReviews,
   getReview,
   updateReview,
   deleteReview,
   markHelpful,
+  createReply,
+  updateReply,
+  deleteReply,
   getSuspiciousActivities,
   getFlaggedReviews,
   clearSuspiciousActivities
 } = require('../controllers/review.controller');
-const { protect, optionalAuth, authorize } = require('../middleware/auth.middleware');
+const { protect, optionalAuth, optionalApiKey, authorizeAdmin, requireVerifiedEmail, blockImpersonation } = require('../middleware/auth.middleware');
 const { validate, schemas } = require('../middleware/validation');
 
 // Admin routes (must be before parameterized routes)
-router.get('/admin/suspicious-activities', protect, authorize('admin'), getSuspiciousActivities);
-router.get('/admin/flagged', protect, authorize('admin'), getFlaggedReviews);
-router.delete('/admin/suspicious-activities', protect, authorize('admin'), clearSuspiciousActivities);
+router.get('/admin/suspicious-activities', protect, authorizeAdmin('fraud:view'), getSuspiciousActivities);
+router.get('/admin/flagged', protect, authorizeAdmin('fraud:view'), getFlaggedReviews);
+router.delete('/admin/suspicious-activities', protect, authorizeAdmin('fraud:manage'), clearSuspiciousActivities);
 
 // Public routes
-router.get('/business/:businessId', optionalAuth, getBusinessReviews);
+router.get('/business/:businessId', optionalApiKey('reviews:read'), optionalAuth, getBusinessReviews);
 router.get('/:id', getReview);
 
 // Protected routes
-router.post('/', protect, validate(schemas.createReview), createReview);
-router.put('/:id', protect, updateReview);
-router.delete('/:id', protect, deleteReview);
-router.post('/:id/helpful', protect, markHelpful);
+router.post('/', protect, blockImpersonation, requireVerifiedEmail, validate(schemas.createReview), createReview);
+router.post('/visit', protect, blockImpersonation, validate(schemas.visitCheckIn), checkInVisit);
+router.put('/:id', protect, blockImpersonation, validate(schemas.updateReview), updateReview);
+router.delete('/:id', protect, blockImpersonation, deleteReview);
+router.post('/:id/helpful', protect, blockImpersonation, markHelpful);
+
+// Business owner replies
+router.post('/:id/reply', protect, blockImpersonation, validate(schemas.businessReply), createReply);
+router.put('/:id/reply', protect, blockImpersonation, validate(schemas.businessReply), updateReply);
+router.delete('/:id/reply', protect, blockImpersonation, deleteReply);
 
 module.exports = router;
 
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBusinessStaff,
+  inviteStaff,
+  updateStaffRole,
+  removeStaff,
+  getMyInvitations,
+  respondToInvitation,
+  getMyStaffBusinesses
+} = require('../controllers/staff.controller');
+const { protect, authorizeBusiness, blockImpersonation } = require('../middleware/auth.middleware');
+const { validate, schemas } = require('../middleware/validation');
+
+// Staff member routes
+router.get('/invitations', protect, getMyInvitations);
+router.post('/invitations/:id/respond', protect, blockImpersonation, respondToInvitation);
+router.get('/my-businesses', protect, getMyStaffBusinesses);
+
+// Business owner routes
+router.get('/business/:businessId', protect, authorizeBusiness('staff:view'), getBusinessStaff);
+router.post('/business/:businessId', protect, blockImpersonation, authorizeBusiness('staff:manage'), validate(schemas.inviteStaff), inviteStaff);
+router.put('/business/:businessId/:staffId', protect, blockImpersonation, authorizeBusiness('staff:manage'), validate(schemas.updateStaffRole), updateStaffRole);
+router.delete('/business/:businessId/:staffId', protect, blockImpersonation, authorizeBusiness('staff:manage'), removeStaff);
+
+module.exports = router;
@@ -8,17 +8,17 @@ const {
   getAllTickets,
   updateTicketStatus
 } = require('../controllers/support.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, authorizeAdmin, blockImpersonation } = require('../middleware/auth.middleware');
 
 // User routes
-router.post('/ticket', protect, submitSupportTicket);
+router.post('/ticket', protect, blockImpersonation, submitSupportTicket);
 router.get('/my-tickets', protect, getMyTickets);
 router.get('/ticket/:id', protect, getTicket);
-router.post('/ticket/:id/response', protect, addTicketResponse);
+router.post('/ticket/:id/response', protect, blockImpersonation, addTicketResponse);
 
 // Admin routes
-router.get('/admin/tickets', protect, authorize('admin'), getAllTickets);
-router.put('/admin/ticket/:id/status', protect, authorize('admin'), updateTicketStatus);
+router.get('/admin/tickets', protect, authorizeAdmin('support:tickets'), getAllTickets);
+router.put('/admin/ticket/:id/status', protect, authorizeAdmin('support:tickets'), updateTicketStatus);
 
 module.exports = router;
 
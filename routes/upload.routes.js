@@ -11,26 +11,26 @@ const {
   deleteFile,
   getUploadStats
 } = require('../controllers/upload.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, authorize, authorizeAdmin, blockImpersonation } = require('../middleware/auth.middleware');
 
 // Profile image upload (all authenticated users)
-router.post('/profile', protect, uploadProfileImage);
+router.post('/profile', protect, blockImpersonation, uploadProfileImage);
 
 // Business-specific uploads (business owners only)
-router.post('/business/logo', protect, authorize('business'), uploadBusinessLogo);
-router.post('/business/cover', protect, authorize('business'), uploadBusinessCover);
-router.post('/business/documents', protect, authorize('business'), uploadBusinessDocuments);
-router.post('/business/gallery', protect, authorize('business'), uploadBusinessGallery);
+router.post('/business/logo', protect, blockImpersonation, authorize('business'), uploadBusinessLogo);
+router.post('/business/cover', protect, blockImpersonation, authorize('business'), uploadBusinessCover);
+router.post('/business/documents', protect, blockImpersonation, authorize('business'), uploadBusinessDocuments);
+router.post('/business/gallery', protect, blockImpersonation, authorize('business'), uploadBusinessGallery);
 
 // Review media uploads (customers only)
-router.post('/review/photos', protect, uploadReviewPhotos);
-router.post('/review/videos', protect, uploadReviewVideos);
+router.post('/review/photos', protect, blockImpersonation, uploadReviewPhotos);
+router.post('/review/videos', protect, blockImpersonation, uploadReviewVideos);
 
 // Delete file (owner or admin)
-router.delete('/:publicId', protect, deleteFile);
+router.delete('/:publicId', protect, blockImpersonation, deleteFile);
 
 // Upload statistics (admin only)
-router.get('/stats', protect, authorize('admin'), getUploadStats);
+router.get('/stats', protect, authorizeAdmin('uploads:view'), getUploadStats);
 
 module.exports = router;
 
@@ -10,27 +10,33 @@ const {
   uploadProfileImage,
   updateAccountSettings,
   exportUserData,
+  getDataExports,
+  downloadDataExport,
   deactivateAccount,
   deleteAccount
 } = require('../controllers/user.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, blockImpersonation } = require('../middleware/auth.middleware');
 const { uploadProfile } = require('../config/cloudinary');
 
-// All routes require authentication
+// Signed download link from the data export email
+router.get('/data-exports/:id/download', downloadDataExport);
+
+// All other routes require authentication
 router.use(protect);
 
 router.get('/profile', getProfile);
-router.put('/profile', updateProfile);
+router.put('/profile', blockImpersonation, updateProfile);
 router.get('/reviews', getUserReviews);
 router.get('/coupons', getUserCoupons);
 router.get('/rewards', getRewardHistory);
 
 // New profile management routes
-router.post('/change-password', changePassword);
-router.post('/upload-profile-image', uploadProfile.single('profileImage'), uploadProfileImage);
-router.put('/account-settings', updateAccountSettings);
-router.post('/export-data', exportUserData);
-router.put('/deactivate', deactivateAccount);
-router.delete('/account', deleteAccount);
+router.post('/change-password', blockImpersonation, changePassword);
+router.post('/upload-profile-image', blockImpersonation, uploadProfile.single('profileImage'), uploadProfileImage);
+router.put('/account-settings', blockImpersonation, updateAccountSettings);
+router.post('/export-data', blockImpersonation, exportUserData);
+router.get('/data-exports', getDataExports);
+router.put('/deactivate', blockImpersonation, deactivateAccount);
+router.delete('/account', blockImpersonation, deleteAccount);
 
 module.exports = router;
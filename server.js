@@ -17,12 +17,14 @@ const businessUpdateRoutes = require('./routes/businessUpdate.routes');
 const reviewRoutes = require('./routes/review.routes');
 const couponRoutes = require('./routes/coupon.routes');
 const businessCouponRoutes = require('./routes/businessCoupon.routes');
+const staffRoutes = require('./routes/staff.routes');
 const categoryRoutes = require('./routes/category.routes');
 const adminRoutes = require('./routes/admin.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const chatRoutes = require('./routes/chat.routes');
 const uploadRoutes = require('./routes/upload.routes');
 const externalReviewsRoutes = require('./routes/externalReviews.routes');
+const apiKeyRoutes = require('./routes/apiKey.routes');
 
 
 // Import middleware
@@ -54,6 +56,13 @@ const io = socketIO(server, {
   }
 });
 
+// Behind a load balancer req.ip is the balancer's address unless proxies are trusted (e.g. TRUST_PROXY=1)
+// Per-IP rate limits depend on this
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(compression()); // Compress responses
@@ -87,6 +96,7 @@ app.use('/api', businessUpdateRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/coupons', couponRoutes);
 app.use('/api/business-coupons', businessCouponRoutes);
+app.use('/api/staff', staffRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/notifications', notificationRoutes);
@@ -94,6 +104,7 @@ app.use('/api/chat', chatRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/external-reviews', externalReviewsRoutes);
 app.use('/api/support', supportRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 // Socket.IO for real-time chat
 const chatSocket = require('./sockets/chat.socket');
@@ -0,0 +1,78 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const account = {
+  _id: 'user1',
+  id: 'user1',
+  role: 'admin',
+  status: 'active',
+  getRoles: () => ['admin'],
+  hasRole: (role) => role === 'admin',
+  resolveRole: (role) => role || 'admin'
+};
+
+jest.mock('../../../models/User.model', () => ({
+  findById: () => ({ populate: async () => account }),
+  findOne: () => ({ populate: async () => null })
+}));
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../../../models/Session.model');
+const { protect, optionalAuth } = require('../../../middleware/auth.middleware');
+const { generateToken } = require('../../../utils/jwt');
+const { generateChallengeToken } = require('../../../utils/twoFactor');
+
+const run = async (middleware, token) => {
+  const req = { headers: { authorization: `Bearer ${token}` }, get: () => null, ip: '127.0.0.1' };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+};
+
+describe('Auth Middleware', () => {
+  const sessionId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    const session = { revokedAt: null, expiresAt: new Date(Date.now() + 60000), lastSeenAt: new Date(), lastSeenIp: '127.0.0.1' };
+    jest.spyOn(Session, 'findById').mockReturnValue({ select: () => ({ lean: async () => session }) });
+  });
+
+  describe('protect', () => {
+    it('should accept an access token', async () => {
+      const { req, nextCalled } = await run(protect, generateToken('user1', 'admin', sessionId));
+
+      expect(nextCalled).toBe(true);
+      expect(req.user).toBe(account);
+    });
+
+    it('should reject a token without a session issued after the legacy cut-off', async () => {
+      const token = jwt.sign({ id: 'user1', userType: 'admin' }, process.env.JWT_SECRET, { expiresIn: '7d' });
+
+      const { res, nextCalled } = await run(protect, token);
+
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should reject a two-factor challenge token', async () => {
+      const { res, nextCalled } = await run(protect, generateChallengeToken('user1', 'admin'));
+
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe('optionalAuth', () => {
+    it('should treat a two-factor challenge token as anonymous', async () => {
+      const { req, nextCalled } = await run(optionalAuth, generateChallengeToken('user1', 'admin'));
+
+      expect(nextCalled).toBe(true);
+      expect(req.user).toBeFalsy();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { EventEmitter } = require('events');
+const IdempotencyKey = require('../../../models/IdempotencyKey.model');
+const { idempotency } = require('../../../middleware/idempotency.middleware');
+
+const makeRequest = () => ({
+  method: 'POST',
+  originalUrl: '/api/coupons/abc/redeem',
+  body: {},
+  user: { id: 'user1' },
+  get: (header) => (header === 'Idempotency-Key' ? 'key-1' : undefined)
+});
+
+const makeResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; res.emit('finish'); return res; };
+  res.end = () => { res.emit('finish'); return res; };
+  res.set = jest.fn();
+  return res;
+};
+
+describe('Idempotency Middleware', () => {
+  const identity = { key: 'key-1', user: 'user1', scope: 'coupon:redeem' };
+
+  beforeEach(() => {
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue({});
+    jest.spyOn(IdempotencyKey, 'updateOne').mockResolvedValue({});
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockResolvedValue({});
+  });
+
+  it('should store a successful response for replay', async () => {
+    const res = makeResponse();
+    await idempotency('coupon:redeem')(makeRequest(), res, () => res.status(200).json({ success: true }));
+
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(identity, expect.objectContaining({ status: 'completed', statusCode: 200 }));
+    expect(IdempotencyKey.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('should release the key when the handler fails', async () => {
+    const res = makeResponse();
+    await idempotency('coupon:redeem')(makeRequest(), res, () => res.status(500).json({ success: false }));
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledTimes(1);
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ ...identity, status: 'processing' });
+  });
+
+  it('should release the key when the response is not sent as JSON', async () => {
+    const res = makeResponse();
+    await idempotency('coupon:redeem')(makeRequest(), res, () => res.status(502).end());
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ ...identity, status: 'processing' });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,52 @@
+const {
+  isDeletionPending,
+  getCloudinaryPublicId,
+  cancelAccountDeletion
+} = require('../../../utils/accountDeletion');
+
+describe('Account Deletion Utils', () => {
+  describe('isDeletionPending', () => {
+    it('should be true only during the grace period', () => {
+      expect(isDeletionPending({ status: 'inactive', deletionScheduledFor: new Date() })).toBe(true);
+      expect(isDeletionPending({ status: 'inactive', deletionScheduledFor: null })).toBe(false);
+      expect(isDeletionPending({ status: 'deleted', deletionScheduledFor: new Date() })).toBe(false);
+      expect(isDeletionPending(null)).toBe(false);
+    });
+  });
+
+  describe('cancelAccountDeletion', () => {
+    it('should reactivate an account in its grace period', () => {
+      const user = { _id: 'u1', status: 'inactive', deletionRequestedAt: new Date(), deletionScheduledFor: new Date() };
+
+      expect(cancelAccountDeletion(user)).toBe(true);
+      expect(user).toMatchObject({ status: 'active', deletionRequestedAt: null, deletionScheduledFor: null });
+    });
+
+    it('should leave other inactive accounts alone', () => {
+      const user = { _id: 'u1', status: 'inactive', deletionScheduledFor: null };
+
+      expect(cancelAccountDeletion(user)).toBe(false);
+      expect(user.status).toBe('inactive');
+    });
+  });
+
+  describe('getCloudinaryPublicId', () => {
+    it('should read the public ID after the version', () => {
+      expect(getCloudinaryPublicId('https://res.cloudinary.com/demo/image/upload/v1712345678/hashview/profiles/abc123.jpg'))
+        .toBe('hashview/profiles/abc123');
+    });
+
+    it('should skip transformations', () => {
+      expect(getCloudinaryPublicId('https://res.cloudinary.com/demo/image/upload/c_fill,w_500/v17/hashview/reviews/photos/x.webp'))
+        .toBe('hashview/reviews/photos/x');
+      expect(getCloudinaryPublicId('https://res.cloudinary.com/demo/image/upload/c_fill,w_500/hashview/profiles/abc.png'))
+        .toBe('hashview/profiles/abc');
+    });
+
+    it('should ignore URLs that are not Cloudinary uploads', () => {
+      expect(getCloudinaryPublicId('https://via.placeholder.com/150')).toBeNull();
+      expect(getCloudinaryPublicId('https://res.cloudinary.com/demo/image/fetch/abc.jpg')).toBeNull();
+      expect(getCloudinaryPublicId(undefined)).toBeNull();
+    });
+  });
+});
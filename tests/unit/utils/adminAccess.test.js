@@ -0,0 +1,79 @@
+const {
+  ADMIN_ROLES,
+  ADMIN_PERMISSIONS,
+  getAdminRoles,
+  getAdminPermissions,
+  hasAdminPermission
+} = require('../../../utils/adminAccess');
+
+// Minimal stand-in for a User document
+const account = (roles, adminRoles) => ({
+  adminRoles,
+  hasRole: (role) => roles.includes(role)
+});
+
+describe('Admin Access Utils', () => {
+  describe('getAdminRoles', () => {
+    it('should treat admins without sub-roles as super admins', () => {
+      expect(getAdminRoles(account(['admin']))).toEqual(['super_admin']);
+      expect(getAdminRoles(account(['admin'], []))).toEqual(['super_admin']);
+    });
+
+    it('should ignore sub-roles on accounts without the admin role', () => {
+      expect(getAdminRoles(account(['customer'], ['support']))).toEqual([]);
+      expect(getAdminRoles(null)).toEqual([]);
+    });
+  });
+
+  describe('hasAdminPermission', () => {
+    it('should allow super admins everything', () => {
+      const superAdmin = account(['admin'], ['super_admin']);
+      ADMIN_PERMISSIONS.forEach(permission => {
+        expect(hasAdminPermission(superAdmin, permission)).toBe(true);
+      });
+    });
+
+    it('should keep support agents to tickets and read-only views', () => {
+      const agent = account(['admin'], ['support']);
+      expect(hasAdminPermission(agent, 'support:tickets')).toBe(true);
+      expect(hasAdminPermission(agent, 'businesses:view')).toBe(true);
+      expect(hasAdminPermission(agent, 'businesses:delete')).toBe(false);
+      expect(hasAdminPermission(agent, 'notifications:broadcast')).toBe(false);
+    });
+
+    it('should combine the permissions of several sub-roles', () => {
+      const admin = account(['admin'], ['moderator', 'kyc_reviewer']);
+      expect(hasAdminPermission(admin, 'reviews:moderate')).toBe(true);
+      expect(hasAdminPermission(admin, 'businesses:kyc')).toBe(true);
+      expect(hasAdminPermission(admin, 'coupons:manage')).toBe(false);
+    });
+
+    it('should only let super admins manage admin roles', () => {
+      ADMIN_ROLES.filter(role => role !== 'super_admin').forEach(role => {
+        expect(hasAdminPermission(account(['admin'], [role]), 'admins:manage')).toBe(false);
+      });
+    });
+
+    it('should only let super admins impersonate accounts', () => {
+      expect(hasAdminPermission(account(['admin'], ['super_admin']), 'users:impersonate')).toBe(true);
+      ADMIN_ROLES.filter(role => role !== 'super_admin').forEach(role => {
+        expect(hasAdminPermission(account(['admin'], [role]), 'users:impersonate')).toBe(false);
+      });
+    });
+
+    it('should deny non-admins', () => {
+      expect(hasAdminPermission(account(['customer', 'business']), 'dashboard:view')).toBe(false);
+    });
+  });
+
+  describe('getAdminPermissions', () => {
+    it('should only return known permissions', () => {
+      expect(getAdminPermissions(account(['admin'], ['finance']))).toEqual(
+        expect.arrayContaining(['coupons:view', 'coupons:manage'])
+      );
+      getAdminPermissions(account(['admin'], ['finance'])).forEach(permission => {
+        expect(ADMIN_PERMISSIONS).toContain(permission);
+      });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  API_KEY_SCOPES,
+  hashApiKey,
+  generateApiKey,
+  extractApiKey,
+  isWellFormedApiKey,
+  isApiKeyActive,
+  hasApiKeyScope
+} = require('../../../utils/apiKeys');
+
+// Minimal stand-in for an Express request
+const request = (headers) => ({ headers });
+
+describe('API Key Utils', () => {
+  describe('generateApiKey', () => {
+    it('should generate well-formed, unique keys', () => {
+      const first = generateApiKey();
+      const second = generateApiKey();
+
+      expect(isWellFormedApiKey(first.key)).toBe(true);
+      expect(first.key).not.toBe(second.key);
+    });
+
+    it('should return the hash and a short prefix of the key', () => {
+      const { key, keyHash, prefix } = generateApiKey();
+
+      expect(keyHash).toBe(hashApiKey(key));
+      expect(keyHash).not.toContain(key);
+      expect(key.startsWith(prefix)).toBe(true);
+      expect(prefix).toHaveLength(14);
+    });
+  });
+
+  describe('isWellFormedApiKey', () => {
+    it('should reject anything that is not one of our keys', () => {
+      expect(isWellFormedApiKey('hv_live_123')).toBe(false);
+      expect(isWellFormedApiKey(`hv_test_${'a'.repeat(48)}`)).toBe(false);
+      expect(isWellFormedApiKey(null)).toBe(false);
+    });
+  });
+
+  describe('extractApiKey', () => {
+    it('should read the X-API-Key header', () => {
+      expect(extractApiKey(request({ 'x-api-key': ' hv_live_abc ' }))).toBe('hv_live_abc');
+    });
+
+    it('should read an ApiKey authorization header', () => {
+      expect(extractApiKey(request({ authorization: 'ApiKey hv_live_abc' }))).toBe('hv_live_abc');
+    });
+
+    it('should ignore bearer tokens and missing headers', () => {
+      expect(extractApiKey(request({ authorization: 'Bearer some.jwt.token' }))).toBeNull();
+      expect(extractApiKey(request({}))).toBeNull();
+    });
+  });
+
+  describe('isApiKeyActive', () => {
+    it('should accept keys that are not revoked or expired', () => {
+      expect(isApiKeyActive({ revokedAt: null, expiresAt: null })).toBe(true);
+      expect(isApiKeyActive({ revokedAt: null, expiresAt: new Date(Date.now() + 60000) })).toBe(true);
+    });
+
+    it('should reject revoked and expired keys', () => {
+      expect(isApiKeyActive({ revokedAt: new Date(), expiresAt: null })).toBe(false);
+      expect(isApiKeyActive({ revokedAt: null, expiresAt: new Date(Date.now() - 1000) })).toBe(false);
+      expect(isApiKeyActive(null)).toBe(false);
+    });
+  });
+
+  describe('hasApiKeyScope', () => {
+    it('should only allow granted scopes', () => {
+      const apiKey = { scopes: ['coupons:verify'] };
+
+      expect(hasApiKeyScope(apiKey, 'coupons:verify')).toBe(true);
+      expect(hasApiKeyScope(apiKey, 'coupons:redeem')).toBe(false);
+      expect(hasApiKeyScope({}, 'coupons:verify')).toBe(false);
+    });
+
+    it('should know every scope used by the routes', () => {
+      expect(API_KEY_SCOPES).toEqual(expect.arrayContaining(['coupons:verify', 'coupons:redeem', 'reviews:read']));
+    });
+  });
+});
@@ -0,0 +1,110 @@
+// In-memory stand-in for the Redis client behind the throttling counters
+const mockEntries = new Map();
+const mockClient = {
+  async get(key) {
+    return mockEntries.has(key) ? mockEntries.get(key).value : null;
+  },
+  async del(key) {
+    return mockEntries.delete(key) ? 1 : 0;
+  },
+  async exists(key) {
+    return mockEntries.has(key) ? 1 : 0;
+  },
+  async incr(key) {
+    const count = Number(mockEntries.get(key)?.value || 0) + 1;
+    mockEntries.set(key, { value: String(count), ttl: mockEntries.get(key)?.ttl });
+    return count;
+  },
+  async decr(key) {
+    const count = Number(mockEntries.get(key)?.value || 0) - 1;
+    mockEntries.set(key, { value: String(count), ttl: mockEntries.get(key)?.ttl });
+    return count;
+  },
+  async expire(key, ttl) {
+    if (mockEntries.has(key)) mockEntries.get(key).ttl = ttl;
+  },
+  async ttl(key) {
+    return mockEntries.has(key) ? mockEntries.get(key).ttl : -2;
+  }
+};
+
+jest.mock('../../../config/redis', () => ({
+  getRedisClient: () => mockClient
+}));
+
+const {
+  getAuthIdentifier,
+  getFailureDelayMs,
+  getFailureCount,
+  getLockoutRemainingSeconds,
+  clearAuthFailures
+} = require('../../../utils/authThrottle');
+const { createRateLimitStore } = require('../../../middleware/rateLimit.middleware');
+const { getStore } = require('../../../utils/otp');
+
+describe('Auth Throttle Utils', () => {
+  beforeEach(() => {
+    mockEntries.clear();
+  });
+
+  describe('getAuthIdentifier', () => {
+    it('should key requests on the normalised email or phone', () => {
+      expect(getAuthIdentifier({ email: ' User@Example.com ' })).toBe('user@example.com');
+      expect(getAuthIdentifier({ phone: '+91 98765-43210' })).toBe('+919876543210');
+      expect(getAuthIdentifier({ password: 'secret' })).toBeNull();
+      expect(getAuthIdentifier({ email: { $gt: '' } })).toBeNull();
+    });
+  });
+
+  describe('getFailureDelayMs', () => {
+    it('should only slow down after a few failures, doubling up to a cap', () => {
+      expect(getFailureDelayMs(0)).toBe(0);
+      expect(getFailureDelayMs(2)).toBe(0);
+      expect(getFailureDelayMs(3)).toBe(1000);
+      expect(getFailureDelayMs(4)).toBe(2000);
+      expect(getFailureDelayMs(5)).toBe(4000);
+      expect(getFailureDelayMs(50)).toBe(8000);
+    });
+  });
+
+  describe('getLockoutRemainingSeconds', () => {
+    it('should report the time left on a lockout', () => {
+      expect(getLockoutRemainingSeconds({ lockedUntil: null })).toBe(0);
+      expect(getLockoutRemainingSeconds({ lockedUntil: new Date(Date.now() - 1000) })).toBe(0);
+      expect(getLockoutRemainingSeconds({ lockedUntil: new Date(Date.now() + 90 * 1000) })).toBeGreaterThanOrEqual(89);
+    });
+  });
+
+  describe('failure counters', () => {
+    it('should read and clear failures per identifier', async () => {
+      await getStore().increment('auth:failures:user@example.com', 900);
+      await getStore().increment('auth:failures:user@example.com', 900);
+
+      expect(await getFailureCount('USER@example.com')).toBe(2);
+      expect(await getFailureCount('other@example.com')).toBe(0);
+
+      await clearAuthFailures('user@example.com');
+      expect(await getFailureCount('user@example.com')).toBe(0);
+    });
+  });
+
+  describe('createRateLimitStore', () => {
+    it('should count hits per key within the window', async () => {
+      const store = createRateLimitStore('test');
+      store.init({ windowMs: 60 * 1000 });
+
+      await store.increment('1.2.3.4');
+      const { totalHits, resetTime } = await store.increment('1.2.3.4');
+
+      expect(totalHits).toBe(2);
+      expect(resetTime.getTime()).toBeGreaterThan(Date.now());
+      expect((await store.increment('5.6.7.8')).totalHits).toBe(1);
+
+      await store.decrement('1.2.3.4');
+      expect((await store.increment('1.2.3.4')).totalHits).toBe(2);
+
+      await store.resetKey('1.2.3.4');
+      expect((await store.increment('1.2.3.4')).totalHits).toBe(1);
+    });
+  });
+});
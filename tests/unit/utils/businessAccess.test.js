@@ -0,0 +1,34 @@
+const { hasBusinessPermission, STAFF_ROLES } = require('../../../utils/businessAccess');
+
+describe('Business Access Utils', () => {
+  describe('hasBusinessPermission', () => {
+    it('should allow owners and admins everything', () => {
+      expect(hasBusinessPermission('owner', 'staff:manage')).toBe(true);
+      expect(hasBusinessPermission('admin', 'coupons:redeem')).toBe(true);
+    });
+
+    it('should only allow cashiers to redeem coupons', () => {
+      expect(hasBusinessPermission('cashier', 'coupons:redeem')).toBe(true);
+      expect(hasBusinessPermission('cashier', 'coupons:manage')).toBe(false);
+      expect(hasBusinessPermission('cashier', 'updates:manage')).toBe(false);
+      expect(hasBusinessPermission('cashier', 'dashboard:view')).toBe(false);
+    });
+
+    it('should let marketers manage offers but not redeem coupons', () => {
+      expect(hasBusinessPermission('marketer', 'updates:manage')).toBe(true);
+      expect(hasBusinessPermission('marketer', 'coupons:manage')).toBe(true);
+      expect(hasBusinessPermission('marketer', 'coupons:redeem')).toBe(false);
+    });
+
+    it('should not let any staff role manage staff', () => {
+      STAFF_ROLES.forEach(role => {
+        expect(hasBusinessPermission(role, 'staff:manage')).toBe(false);
+      });
+    });
+
+    it('should deny unknown roles', () => {
+      expect(hasBusinessPermission('customer', 'coupons:redeem')).toBe(false);
+      expect(hasBusinessPermission(null, 'coupons:redeem')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Coupon = require('../../../models/Coupon.model');
+const { buildRedeemableFilter, redeemCouponAtomically } = require('../../../utils/couponRedemption');
+
+describe('Coupon Redemption Utils', () => {
+  const now = new Date('2025-01-15T12:00:00Z');
+
+  describe('buildRedeemableFilter', () => {
+    it('should only match active review reward coupons inside their validity window', () => {
+      const filter = buildRedeemableFilter('review_reward', now);
+
+      expect(filter.type).toBe('review_reward');
+      expect(filter.status).toBe('active');
+      expect(filter.$and).toEqual([
+        { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+        { $or: [{ validUntil: null }, { validUntil: { $gt: now } }] }
+      ]);
+    });
+
+    it('should enforce the usage limit for business coupons', () => {
+      const filter = buildRedeemableFilter('business', now);
+
+      expect(filter.status).toEqual({ $nin: ['inactive', 'cancelled', 'expired'] });
+      expect(filter.$and).toContainEqual({
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+        ]
+      });
+    });
+  });
+
+  describe('redeemCouponAtomically', () => {
+    const business = new mongoose.Types.ObjectId();
+
+    it('should count the redemption against the template the reward came from', async () => {
+      const template = new mongoose.Types.ObjectId();
+      const coupon = { _id: new mongoose.Types.ObjectId(), type: 'review_reward', business, template, status: 'redeemed' };
+      jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(coupon);
+      jest.spyOn(Coupon, 'findByIdAndUpdate').mockResolvedValue({ _id: template, redemptionCount: 3 });
+
+      const result = await redeemCouponAtomically({ _id: coupon._id, type: 'review_reward' }, { redeemedBy: new mongoose.Types.ObjectId() });
+
+      expect(result.coupon).toBe(coupon);
+      expect(Coupon.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(Coupon.findByIdAndUpdate).toHaveBeenCalledWith(template, { $inc: { redemptionCount: 1 } }, { new: true });
+    });
+
+    it('should not count rewards that have no template against the active one', async () => {
+      const coupon = { _id: new mongoose.Types.ObjectId(), type: 'review_reward', business, template: null, status: 'redeemed' };
+      jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(coupon);
+      jest.spyOn(Coupon, 'findByIdAndUpdate');
+
+      await redeemCouponAtomically({ _id: coupon._id, type: 'review_reward' }, {});
+
+      expect(Coupon.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(Coupon.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { flattenRecord, toCsv, buildExportFiles } = require('../../../utils/dataExport');
+
+describe('Data Export Utils', () => {
+  describe('flattenRecord', () => {
+    it('should use dot-notation columns for nested objects and keep arrays as JSON', () => {
+      expect(flattenRecord({
+        name: 'Test',
+        address: { city: 'London', geo: { lat: 1 } },
+        roles: ['customer', 'business']
+      })).toEqual({
+        name: 'Test',
+        'address.city': 'London',
+        'address.geo.lat': 1,
+        roles: '["customer","business"]'
+      });
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should include every column found in any record', () => {
+      const csv = toCsv([{ a: 1 }, { b: 2 }]);
+      expect(csv).toBe('a,b\r\n1,\r\n,2\r\n');
+    });
+
+    it('should quote commas, quotes and line breaks', () => {
+      const csv = toCsv([{ comment: 'Great, "really"\ngreat' }]);
+      expect(csv).toBe('comment\r\n"Great, ""really""\ngreat"\r\n');
+    });
+
+    it('should stop spreadsheet apps running cells as formulas', () => {
+      const csv = toCsv([{ comment: '=HYPERLINK("http://evil")' }]);
+      expect(csv).toContain(`"'=HYPERLINK(""http://evil"")"`);
+    });
+
+    it('should return an empty file for an empty section', () => {
+      expect(toCsv([])).toBe('');
+    });
+  });
+
+  describe('buildExportFiles', () => {
+    it('should produce data.json, a CSV per section and a README', () => {
+      const files = buildExportFiles({
+        profile: { name: 'Test' },
+        reviews: [{ rating: 5 }, { rating: 4 }]
+      }, new Date('2026-01-01T00:00:00Z'));
+
+      expect(files.map(file => file.name)).toEqual(['data.json', 'csv/profile.csv', 'csv/reviews.csv', 'README.txt']);
+
+      const data = JSON.parse(files[0].content);
+      expect(data.generatedAt).toBe('2026-01-01T00:00:00.000Z');
+      expect(data.reviews).toHaveLength(2);
+      expect(files[2].content).toBe('rating\r\n5\r\n4\r\n');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const {
+  isEmailVerificationRequired,
+  isPlaceholderEmail,
+  hashVerificationToken,
+  sendVerificationEmail,
+  verifyEmailToken
+} = require('../../../utils/emailVerification');
+
+describe('Email Verification Utils', () => {
+  const originalRequired = process.env.EMAIL_VERIFICATION_REQUIRED;
+
+  afterEach(() => {
+    if (originalRequired === undefined) delete process.env.EMAIL_VERIFICATION_REQUIRED;
+    else process.env.EMAIL_VERIFICATION_REQUIRED = originalRequired;
+  });
+
+  describe('isEmailVerificationRequired', () => {
+    it('should be on unless explicitly turned off', () => {
+      delete process.env.EMAIL_VERIFICATION_REQUIRED;
+      expect(isEmailVerificationRequired()).toBe(true);
+
+      process.env.EMAIL_VERIFICATION_REQUIRED = 'false';
+      expect(isEmailVerificationRequired()).toBe(false);
+    });
+  });
+
+  describe('isPlaceholderEmail', () => {
+    it('should spot the addresses given to phone sign-ups', () => {
+      expect(isPlaceholderEmail('+919876543210@hashview.temp')).toBe(true);
+      expect(isPlaceholderEmail('user@example.com')).toBe(false);
+      expect(isPlaceholderEmail(undefined)).toBe(false);
+    });
+  });
+
+  describe('hashVerificationToken', () => {
+    it('should store a digest rather than the token', () => {
+      const token = 'a'.repeat(64);
+      expect(hashVerificationToken(token)).toMatch(/^[a-f0-9]{64}$/);
+      expect(hashVerificationToken(token)).not.toBe(token);
+      expect(hashVerificationToken(token)).toBe(hashVerificationToken(token));
+    });
+  });
+
+  describe('sendVerificationEmail', () => {
+    it('should refuse accounts that are already verified or have no real address', async () => {
+      expect((await sendVerificationEmail({ emailVerified: true, email: 'user@example.com' })).error.status).toBe(400);
+      expect((await sendVerificationEmail({ emailVerified: false, email: '+919876543210@hashview.temp' })).error.message)
+        .toMatch(/add an email address/);
+    });
+  });
+
+  describe('verifyEmailToken', () => {
+    it('should reject malformed tokens without a lookup', async () => {
+      expect((await verifyEmailToken('not-a-token')).error.status).toBe(400);
+      expect((await verifyEmailToken({ $ne: null })).error.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { getImpersonationError } = require('../../../utils/impersonation');
+
+const account = (id, roles = ['customer'], status = 'active') => ({
+  _id: id,
+  status,
+  hasRole: (role) => roles.includes(role)
+});
+
+describe('Impersonation Utils', () => {
+  describe('getImpersonationError', () => {
+    const admin = account('admin1', ['admin']);
+
+    it('should allow active customer and business accounts', () => {
+      expect(getImpersonationError(admin, account('u1'))).toBeNull();
+      expect(getImpersonationError(admin, account('u2', ['customer', 'business']))).toBeNull();
+    });
+
+    it('should treat missing and deleted accounts as not found', () => {
+      expect(getImpersonationError(admin, null).status).toBe(404);
+      expect(getImpersonationError(admin, account('u1', ['customer'], 'deleted')).status).toBe(404);
+    });
+
+    it('should refuse to impersonate yourself', () => {
+      expect(getImpersonationError(admin, account('admin1', ['admin'])).status).toBe(400);
+    });
+
+    it('should never impersonate admin accounts', () => {
+      expect(getImpersonationError(admin, account('admin2', ['customer', 'admin'])).status).toBe(403);
+    });
+
+    it('should refuse inactive accounts', () => {
+      expect(getImpersonationError(admin, account('u1', ['customer'], 'suspended')).status).toBe(400);
+      expect(getImpersonationError(admin, account('u1', ['customer'], 'inactive')).status).toBe(400);
+    });
+  });
+});
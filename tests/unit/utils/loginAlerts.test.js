@@ -0,0 +1,64 @@
+const {
+  getIpSubnet,
+  normalizeUserAgent,
+  matchKnownDevice,
+  describeDevice
+} = require('../../../utils/loginAlerts');
+
+describe('Login Alert Utils', () => {
+  describe('getIpSubnet', () => {
+    it('should reduce IPv4 addresses to their /24', () => {
+      expect(getIpSubnet('203.0.113.57')).toBe('203.0.113.0/24');
+      expect(getIpSubnet('::ffff:203.0.113.57')).toBe('203.0.113.0/24');
+    });
+
+    it('should reduce IPv6 addresses to their /48', () => {
+      expect(getIpSubnet('2001:db8:abcd:12::1')).toBe('2001:db8:abcd::/48');
+      expect(getIpSubnet('2001:0db8:0000:0012:0000:0000:0000:0001')).toBe('2001:db8:0::/48');
+      expect(getIpSubnet('2001:db8::1')).toBe('2001:db8:0::/48');
+    });
+
+    it('should return null for missing or invalid addresses', () => {
+      expect(getIpSubnet(undefined)).toBeNull();
+      expect(getIpSubnet('not-an-ip')).toBeNull();
+    });
+  });
+
+  describe('normalizeUserAgent', () => {
+    it('should ignore browser and OS version changes', () => {
+      const before = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/119.0.6045.105 Safari/537.36';
+      const after = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0.6099.71 Safari/537.36';
+
+      expect(normalizeUserAgent(before)).toBe(normalizeUserAgent(after));
+      expect(normalizeUserAgent(before)).not.toBe(normalizeUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) Safari/604.1'));
+    });
+  });
+
+  describe('matchKnownDevice', () => {
+    const phone = { deviceId: 'device-1', userAgentHash: 'app', ipSubnet: '203.0.113.0/24' };
+    const browser = { deviceId: null, userAgentHash: 'chrome', ipSubnet: '198.51.100.0/24' };
+
+    it('should recognise an app by its device ID on any network', () => {
+      expect(matchKnownDevice({ deviceId: 'device-1', userAgentHash: 'app', ipSubnet: '192.0.2.0/24' }, [phone, browser])).toBe(phone);
+      expect(matchKnownDevice({ deviceId: 'device-2', userAgentHash: 'app', ipSubnet: '203.0.113.0/24' }, [phone])).toBeNull();
+    });
+
+    it('should recognise a browser by browser and network together', () => {
+      expect(matchKnownDevice({ deviceId: null, userAgentHash: 'chrome', ipSubnet: '198.51.100.0/24' }, [phone, browser])).toBe(browser);
+      expect(matchKnownDevice({ deviceId: null, userAgentHash: 'chrome', ipSubnet: '192.0.2.0/24' }, [phone, browser])).toBeNull();
+      expect(matchKnownDevice({ deviceId: null, userAgentHash: 'firefox', ipSubnet: '198.51.100.0/24' }, [browser])).toBeNull();
+    });
+
+    it('should not match anything when there are no known devices', () => {
+      expect(matchKnownDevice({ deviceId: 'device-1' }, [])).toBeNull();
+    });
+  });
+
+  describe('describeDevice', () => {
+    it('should prefer the device name sent by the app', () => {
+      expect(describeDevice({ name: 'Pixel 8', platform: 'android' })).toBe('Pixel 8 (android)');
+      expect(describeDevice({ platform: 'web' })).toBe('web browser');
+      expect(describeDevice({})).toBe('unknown device');
+    });
+  });
+});
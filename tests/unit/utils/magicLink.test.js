@@ -0,0 +1,114 @@
+// In-memory stand-in for the Redis client used by the OTP store
+const mockEntries = new Map();
+const mockClient = {
+  async get(key) {
+    return mockEntries.has(key) ? mockEntries.get(key).value : null;
+  },
+  async setEx(key, ttl, value) {
+    mockEntries.set(key, { value, ttl });
+  },
+  async set(key, value, options = {}) {
+    if (options.NX && mockEntries.has(key)) return null;
+    mockEntries.set(key, { value, ttl: options.EX });
+    return 'OK';
+  },
+  async del(key) {
+    return mockEntries.delete(key) ? 1 : 0;
+  },
+  async ttl(key) {
+    return mockEntries.has(key) ? mockEntries.get(key).ttl : -2;
+  }
+};
+
+jest.mock('../../../config/redis', () => ({
+  getRedisClient: () => mockClient
+}));
+
+const mockSendEmail = jest.fn();
+jest.mock('../../../utils/emailService', () => ({
+  sendEmail: (...args) => mockSendEmail(...args)
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const {
+  startMagicLinkCooldown,
+  sendMagicLink,
+  consumeMagicLink
+} = require('../../../utils/magicLink');
+
+const user = { _id: '64b7f0c2a1b2c3d4e5f60718', name: 'Test', email: 'user@example.com' };
+
+// Pull the token out of the link in the last email sent
+const lastLinkToken = () => {
+  const { html } = mockSendEmail.mock.calls[mockSendEmail.mock.calls.length - 1][0];
+  return html.match(/token=([^"\s]+)/)[1];
+};
+
+describe('Magic Link Utils', () => {
+  beforeEach(() => {
+    mockEntries.clear();
+    mockSendEmail.mockReset();
+  });
+
+  describe('startMagicLinkCooldown', () => {
+    it('should allow one request per address per cooldown', async () => {
+      expect(await startMagicLinkCooldown('User@Example.com')).toEqual({});
+
+      const second = await startMagicLinkCooldown('user@example.com');
+      expect(second.error.status).toBe(429);
+      expect(second.error.retryAfter).toBeGreaterThan(0);
+    });
+  });
+
+  describe('sendMagicLink / consumeMagicLink', () => {
+    it('should email a link that signs in as the requested role', async () => {
+      await sendMagicLink(user, 'business');
+      expect(mockSendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: user.email }));
+
+      const result = await consumeMagicLink(lastLinkToken());
+      expect(result).toEqual({ userId: user._id, userType: 'business' });
+    });
+
+    it('should only work once', async () => {
+      await sendMagicLink(user, 'customer');
+      const token = lastLinkToken();
+
+      expect((await consumeMagicLink(token)).userId).toBe(user._id);
+      expect((await consumeMagicLink(token)).error.message).toMatch(/already been used/);
+    });
+
+    it('should cancel the previous link when a new one is sent', async () => {
+      await sendMagicLink(user, 'customer');
+      const first = lastLinkToken();
+      await sendMagicLink(user, 'customer');
+      const second = lastLinkToken();
+
+      expect((await consumeMagicLink(first)).error.status).toBe(400);
+      expect((await consumeMagicLink(second)).userId).toBe(user._id);
+    });
+
+    it('should reject tokens that are tampered with, expired or for another purpose', async () => {
+      await sendMagicLink(user, 'customer');
+      const token = lastLinkToken();
+
+      expect((await consumeMagicLink(`${token}x`)).error.status).toBe(400);
+      expect((await consumeMagicLink({ $ne: null })).error.status).toBe(400);
+
+      const expired = jwt.sign(
+        { purpose: 'magic_link', sub: user._id, jti: 'abc', exp: Math.floor(Date.now() / 1000) - 10 },
+        process.env.JWT_SECRET
+      );
+      expect((await consumeMagicLink(expired)).error.status).toBe(400);
+
+      const challenge = jwt.sign({ purpose: 'two_factor_challenge', id: user._id, jti: 'abc' }, process.env.JWT_SECRET);
+      expect((await consumeMagicLink(challenge)).error.status).toBe(400);
+    });
+
+    it('should not put the account ID where an access token would look for it', async () => {
+      await sendMagicLink(user, 'customer');
+      expect(jwt.decode(lastLinkToken()).id).toBeUndefined();
+    });
+  });
+});
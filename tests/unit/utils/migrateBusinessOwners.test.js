@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { planOwnerMigration, buildMergeUpdate, rewriteReferences } = require('../../../utils/migrateBusinessOwners');
+const Review = require('../../../models/Review.model');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Business Owner Migration', () => {
+  describe('planOwnerMigration', () => {
+    it('should copy owners with no matching account', () => {
+      expect(planOwnerMigration({ _id: id() }, null, null)).toEqual({ action: 'insert' });
+    });
+
+    it('should merge into the account with the same email or phone', () => {
+      const account = { _id: id() };
+
+      expect(planOwnerMigration({ _id: id() }, account, null)).toEqual({ action: 'merge', target: account });
+      expect(planOwnerMigration({ _id: id() }, null, account)).toEqual({ action: 'merge', target: account });
+      expect(planOwnerMigration({ _id: id() }, account, { _id: account._id })).toEqual({ action: 'merge', target: account });
+    });
+
+    it('should refuse to merge when email and phone point at different accounts', () => {
+      expect(planOwnerMigration({ _id: id() }, { _id: id() }, { _id: id() }).action).toBe('conflict');
+    });
+  });
+
+  describe('buildMergeUpdate', () => {
+    it('should add the business role, legacy ID and businesses without touching the password', () => {
+      const owner = { _id: id(), businesses: [id()], emailVerified: true, pushToken: 'ExponentPushToken[x]', passwordHash: 'owner-hash' };
+      const target = { _id: id(), role: 'customer', emailVerified: false, pushToken: null };
+
+      const update = buildMergeUpdate(owner, target);
+
+      expect(update.$addToSet.roles.$each).toEqual(['customer', 'business']);
+      expect(update.$addToSet.legacyIds).toBe(owner._id);
+      expect(update.$addToSet.businesses.$each).toEqual(owner.businesses);
+      expect(update.$set).toEqual({ emailVerified: true, pushToken: 'ExponentPushToken[x]' });
+      expect(JSON.stringify(update)).not.toContain('owner-hash');
+    });
+
+    it('should not overwrite values the account already has', () => {
+      const update = buildMergeUpdate(
+        { _id: id(), emailVerified: true, pushToken: 'owner-token' },
+        { _id: id(), role: 'customer', emailVerified: true, pushToken: 'customer-token' }
+      );
+
+      expect(update.$set).toBeUndefined();
+    });
+  });
+
+  describe('rewriteReferences', () => {
+    it('should move a business reply from the owner ID to the merged account', async () => {
+      const ownerId = id();
+      const accountId = id();
+      const review = { _id: id(), businessReply: { text: 'Thanks for visiting', repliedBy: ownerId } };
+
+      const collections = new Set(mongoose.modelNames().map(name => mongoose.model(name).collection));
+      collections.forEach(collection => jest.spyOn(collection, 'updateMany').mockResolvedValue({ modifiedCount: 0 }));
+      Review.collection.updateMany.mockImplementation(async (filter, update) => {
+        const [[path, value]] = Object.entries(filter);
+        if (path === 'businessReply.repliedBy' && review.businessReply.repliedBy.equals(value)) {
+          review.businessReply.repliedBy = update.$set[path];
+          return { modifiedCount: 1 };
+        }
+        return { modifiedCount: 0 };
+      });
+
+      await rewriteReferences(ownerId, accountId);
+
+      expect(review.businessReply.repliedBy).toBe(accountId);
+      expect(review.businessReply.text).toBe('Thanks for visiting');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const {
+  parseTime,
+  isValidTimeZone,
+  getOpeningStatus,
+  applyOpeningHoursFilters,
+  validateHoursExceptions
+} = require('../../../utils/openingHours');
+
+describe('Opening Hours Utils', () => {
+  const weekdays = (open, close) => ({
+    monday: { open, close, closed: false },
+    tuesday: { open, close, closed: false },
+    wednesday: { open, close, closed: false },
+    thursday: { open, close, closed: false },
+    friday: { open, close, closed: false },
+    saturday: { open, close, closed: false },
+    sunday: { open: null, close: null, closed: true }
+  });
+
+  // Wednesday 15 January 2025 - London is on GMT (UTC+0)
+  const wednesdayAt = (time) => new Date(`2025-01-15T${time}:00Z`);
+
+  describe('parseTime', () => {
+    it('should parse 24-hour and 12-hour formats', () => {
+      expect(parseTime('09:30')).toBe(570);
+      expect(parseTime('9:30 AM')).toBe(570);
+      expect(parseTime('12:00 AM')).toBe(0);
+      expect(parseTime('12:00 PM')).toBe(720);
+      expect(parseTime('11:15 pm')).toBe(1395);
+      expect(parseTime('24:00')).toBe(1440);
+    });
+
+    it('should return null for closed or invalid values', () => {
+      expect(parseTime('Closed')).toBeNull();
+      expect(parseTime('25:00')).toBeNull();
+      expect(parseTime('13:00 PM')).toBeNull();
+      expect(parseTime(undefined)).toBeNull();
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    it('should accept IANA timezones and reject unknown names', () => {
+      expect(isValidTimeZone('Europe/London')).toBe(true);
+      expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+    });
+  });
+
+  describe('getOpeningStatus', () => {
+    const business = { timezone: 'Europe/London', openingHours: weekdays('09:00', '17:00') };
+
+    it('should report open with the closing time', () => {
+      const status = getOpeningStatus(business, wednesdayAt('12:00'));
+
+      expect(status.isOpen).toBe(true);
+      expect(status.closesAt.toISOString()).toBe('2025-01-15T17:00:00.000Z');
+      expect(status.nextOpen).toBeNull();
+    });
+
+    it('should report the next opening time when closed', () => {
+      const status = getOpeningStatus(business, wednesdayAt('18:00'));
+
+      expect(status.isOpen).toBe(false);
+      expect(status.nextOpen.toISOString()).toBe('2025-01-16T09:00:00.000Z');
+    });
+
+    it('should skip closed days when finding the next opening', () => {
+      // Saturday evening -> Sunday closed -> Monday 09:00
+      const status = getOpeningStatus(business, new Date('2025-01-18T20:00:00Z'));
+
+      expect(status.nextOpen.toISOString()).toBe('2025-01-20T09:00:00.000Z');
+    });
+
+    it('should use the business timezone', () => {
+      const kolkata = { timezone: 'Asia/Kolkata', openingHours: weekdays('09:00', '17:00') };
+
+      // 12:00 UTC is 17:30 in Kolkata (UTC+5:30)
+      expect(getOpeningStatus(kolkata, wednesdayAt('12:00')).isOpen).toBe(false);
+      // 04:00 UTC is 09:30 in Kolkata
+      expect(getOpeningStatus(kolkata, wednesdayAt('04:00')).isOpen).toBe(true);
+    });
+
+    it('should fall back to India time when the business has no timezone', () => {
+      const legacy = { openingHours: weekdays('09:00', '17:00') };
+
+      expect(getOpeningStatus(legacy, wednesdayAt('04:00')).isOpen).toBe(true);
+      expect(getOpeningStatus(legacy, wednesdayAt('12:00')).isOpen).toBe(false);
+    });
+
+    it('should handle overnight hours past midnight', () => {
+      const bar = { timezone: 'Europe/London', openingHours: weekdays('18:00', '02:00') };
+
+      const status = getOpeningStatus(bar, new Date('2025-01-16T01:00:00Z'));
+
+      expect(status.isOpen).toBe(true);
+      expect(status.closesAt.toISOString()).toBe('2025-01-16T02:00:00.000Z');
+    });
+
+    it('should apply special hours for a date', () => {
+      const special = {
+        ...business,
+        specialHours: [{ date: '2025-01-15', open: '10:00', close: '13:00', closed: false }]
+      };
+
+      expect(getOpeningStatus(special, wednesdayAt('14:00')).isOpen).toBe(false);
+      expect(getOpeningStatus(special, wednesdayAt('12:00')).closesAt.toISOString()).toBe('2025-01-15T13:00:00.000Z');
+    });
+
+    it('should close for holiday closures', () => {
+      const holiday = {
+        ...business,
+        holidayClosures: [{ startDate: '2025-01-14', endDate: '2025-01-16', reason: 'Staff holiday' }]
+      };
+
+      const status = getOpeningStatus(holiday, wednesdayAt('12:00'));
+
+      expect(status.isOpen).toBe(false);
+      expect(status.nextOpen.toISOString()).toBe('2025-01-17T09:00:00.000Z');
+    });
+
+    it('should return null when hours are not set', () => {
+      expect(getOpeningStatus({}, wednesdayAt('12:00')).isOpen).toBeNull();
+    });
+
+    it('should respect daylight saving time', () => {
+      // 1 July: London is on BST (UTC+1), so 08:30 UTC is 09:30 local
+      const status = getOpeningStatus(business, new Date('2025-07-01T08:30:00Z'));
+
+      expect(status.isOpen).toBe(true);
+      expect(status.closesAt.toISOString()).toBe('2025-07-01T16:00:00.000Z');
+    });
+  });
+
+  describe('applyOpeningHoursFilters', () => {
+    const businesses = () => [
+      { name: 'Cafe', timezone: 'Europe/London', openingHours: weekdays('07:00', '15:00') },
+      { name: 'Bar', timezone: 'Europe/London', openingHours: weekdays('18:00', '02:00') },
+      { name: 'Unknown' }
+    ];
+
+    it('should add opening fields without filtering by default', () => {
+      const result = applyOpeningHoursFilters(businesses(), {}, wednesdayAt('12:00'));
+
+      expect(result).toHaveLength(3);
+      expect(result[0].isOpen).toBe(true);
+      expect(result[1].isOpen).toBe(false);
+      expect(result[2].isOpen).toBeNull();
+    });
+
+    it('should filter to businesses open now', () => {
+      const result = applyOpeningHoursFilters(businesses(), { openNow: 'true' }, wednesdayAt('12:00'));
+
+      expect(result.map(b => b.name)).toEqual(['Cafe']);
+    });
+
+    it('should filter by a local opening time', () => {
+      const result = applyOpeningHoursFilters(businesses(), { opensAt: '20:00' }, wednesdayAt('12:00'));
+
+      expect(result.map(b => b.name)).toEqual(['Bar']);
+    });
+  });
+
+  describe('validateHoursExceptions', () => {
+    it('should accept valid exceptions', () => {
+      expect(validateHoursExceptions({
+        specialHours: [{ date: '2025-12-24', open: '09:00', close: '13:00' }],
+        holidayClosures: [{ startDate: '2025-12-25', endDate: '2025-12-26' }]
+      })).toBeNull();
+    });
+
+    it('should reject invalid dates and times', () => {
+      expect(validateHoursExceptions({ specialHours: [{ date: '24/12/2025', closed: true }] })).not.toBeNull();
+      expect(validateHoursExceptions({ specialHours: [{ date: '2025-12-24', open: 'noon' }] })).not.toBeNull();
+      expect(validateHoursExceptions({
+        holidayClosures: [{ startDate: '2025-12-26', endDate: '2025-12-25' }]
+      })).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+// In-memory stand-in for the Redis client used by the OTP service
+const mockEntries = new Map();
+const mockClient = {
+  async get(key) {
+    return mockEntries.has(key) ? mockEntries.get(key).value : null;
+  },
+  async setEx(key, ttl, value) {
+    mockEntries.set(key, { value, ttl });
+  },
+  async set(key, value, options = {}) {
+    if (options.NX && mockEntries.has(key)) return null;
+    mockEntries.set(key, { value, ttl: options.EX });
+    return 'OK';
+  },
+  async del(key) {
+    return mockEntries.delete(key) ? 1 : 0;
+  },
+  async incr(key) {
+    const count = Number(mockEntries.get(key)?.value || 0) + 1;
+    mockEntries.set(key, { value: String(count), ttl: mockEntries.get(key)?.ttl });
+    return count;
+  },
+  async expire(key, ttl) {
+    if (mockEntries.has(key)) mockEntries.get(key).ttl = ttl;
+  },
+  async ttl(key) {
+    return mockEntries.has(key) ? mockEntries.get(key).ttl : -2;
+  }
+};
+
+jest.mock('../../../config/redis', () => ({
+  getRedisClient: () => mockClient
+}));
+
+const {
+  OTP_MAX_ATTEMPTS,
+  generateOtpCode,
+  normalizeIdentifier,
+  hashOtpCode,
+  issueOtp,
+  verifyOtp,
+  markVerified,
+  consumeVerified
+} = require('../../../utils/otp');
+
+describe('OTP Utils', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  beforeEach(() => {
+    mockEntries.clear();
+  });
+
+  describe('generateOtpCode', () => {
+    it('should generate zero-padded numeric codes', () => {
+      for (let i = 0; i < 50; i++) {
+        expect(generateOtpCode()).toMatch(/^\d{6}$/);
+      }
+      expect(generateOtpCode(4)).toMatch(/^\d{4}$/);
+    });
+  });
+
+  describe('hashOtpCode', () => {
+    it('should bind the hash to purpose and identifier', () => {
+      const hash = hashOtpCode('phone_login', '+91 98765 43210', '123456');
+
+      expect(hash).toBe(hashOtpCode('phone_login', '+919876543210', '123456'));
+      expect(hash).not.toBe(hashOtpCode('email_verification', '+919876543210', '123456'));
+      expect(hash).not.toBe(hashOtpCode('phone_login', '+919876543211', '123456'));
+      expect(hash).not.toContain('123456');
+    });
+
+    it('should normalise emails case-insensitively', () => {
+      expect(normalizeIdentifier('  User@Example.COM ')).toBe('user@example.com');
+    });
+  });
+
+  describe('issueOtp / verifyOtp', () => {
+    it('should accept the issued code once and store only its hash', async () => {
+      const { code } = await issueOtp('phone_login', '+919876543210');
+
+      const stored = [...mockEntries.values()].map(entry => entry.value).join(' ');
+      expect(stored).not.toContain(code);
+
+      expect((await verifyOtp('phone_login', '+919876543210', code)).valid).toBe(true);
+      expect((await verifyOtp('phone_login', '+919876543210', code)).valid).toBe(false);
+    });
+
+    it('should enforce the resend cooldown', async () => {
+      await issueOtp('email_verification', 'user@example.com');
+      const second = await issueOtp('email_verification', 'user@example.com');
+
+      expect(second.error.status).toBe(429);
+      expect(second.error.retryAfter).toBeGreaterThan(0);
+    });
+
+    it('should lock the identifier after too many wrong codes', async () => {
+      const { code } = await issueOtp('phone_login', '+919876543210');
+      const wrong = code === '000000' ? '111111' : '000000';
+
+      for (let i = 1; i < OTP_MAX_ATTEMPTS; i++) {
+        const result = await verifyOtp('phone_login', '+919876543210', wrong);
+        expect(result.status).toBe(400);
+        expect(result.attemptsRemaining).toBe(OTP_MAX_ATTEMPTS - i);
+      }
+
+      const locked = await verifyOtp('phone_login', '+919876543210', wrong);
+      expect(locked.status).toBe(429);
+
+      // Even the right code is refused while locked, and no new code can be requested
+      expect((await verifyOtp('phone_login', '+919876543210', code)).status).toBe(429);
+      expect((await issueOtp('phone_login', '+919876543210')).error.status).toBe(429);
+    });
+  });
+
+  describe('markVerified / consumeVerified', () => {
+    it('should allow a verification to be used only once', async () => {
+      await markVerified('email_verification', 'user@example.com');
+
+      expect(await consumeVerified('email_verification', 'user@example.com')).toBe(true);
+      expect(await consumeVerified('email_verification', 'user@example.com')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const {
+  PHONE_REGEX,
+  parsePhoneNumber,
+  formatPhoneNumber,
+  maskPhoneNumber
+} = require('../../../utils/phone');
+
+describe('Phone Utils', () => {
+  describe('parsePhoneNumber', () => {
+    it('should normalise numbers with a country code to E.164', () => {
+      expect(parsePhoneNumber('+91 98765-43210')).toEqual({ valid: true, e164: '+919876543210', country: 'IN' });
+      expect(parsePhoneNumber('0044 7911 123456').e164).toBe('+447911123456');
+      expect(parsePhoneNumber('+14155552671').country).toBe('US');
+    });
+
+    it('should treat numbers without a country code as the default country', () => {
+      expect(formatPhoneNumber('9876543210', 'IN')).toBe('+919876543210');
+      expect(formatPhoneNumber('09876543210', 'IN')).toBe('+919876543210');
+      expect(formatPhoneNumber('919876543210', 'IN')).toBe('+919876543210');
+      expect(formatPhoneNumber('07911123456', 'GB')).toBe('+447911123456');
+    });
+
+    it('should reject numbers that break a known numbering plan', () => {
+      expect(parsePhoneNumber('+911234567890').valid).toBe(false);
+      expect(parsePhoneNumber('+4412345678').valid).toBe(false);
+    });
+
+    it('should accept valid E.164 numbers for other countries', () => {
+      expect(parsePhoneNumber('+33612345678')).toEqual({ valid: true, e164: '+33612345678', country: null });
+    });
+
+    it('should reject anything the app-wide phone regex rejects', () => {
+      expect(PHONE_REGEX.test('abc')).toBe(false);
+      expect(formatPhoneNumber('abc')).toBeNull();
+      expect(formatPhoneNumber('+12345')).toBeNull();
+      expect(formatPhoneNumber('')).toBeNull();
+    });
+  });
+
+  describe('maskPhoneNumber', () => {
+    it('should keep only the prefix and last four digits', () => {
+      expect(maskPhoneNumber('+919876543210')).toBe('+91******3210');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const {
+  loadSigningKeys,
+  isLegacyAccepted,
+  isCurrentQR,
+  signQRPayload,
+  verifyQRPayload
+} = require('../../../utils/qrSigning');
+
+describe('QR Signing Utils', () => {
+  const env = { QR_SIGNING_KEYS: 'k1:first-secret,k2:second-secret', QR_SIGNING_KEY_ID: 'k2' };
+  const now = new Date('2025-01-15T12:00:00Z');
+  const coupon = { type: 'coupon', couponId: 'abc123', code: 'RWD-1' };
+
+  describe('loadSigningKeys', () => {
+    it('should parse keys and pick the active key', () => {
+      const { keys, activeKid } = loadSigningKeys(env);
+
+      expect(Object.keys(keys)).toEqual(['k1', 'k2']);
+      expect(activeKid).toBe('k2');
+    });
+
+    it('should fall back to a key derived from JWT_SECRET', () => {
+      expect(loadSigningKeys({ JWT_SECRET: 'jwt' }).activeKid).toBe('default');
+      expect(loadSigningKeys({}).activeKid).toBeNull();
+    });
+  });
+
+  describe('signQRPayload / verifyQRPayload', () => {
+    it('should round-trip a signed payload with kid and iat', () => {
+      const qr = signQRPayload(coupon, { now, env });
+      const result = verifyQRPayload(qr, { type: 'coupon', now, env });
+
+      expect(result.valid).toBe(true);
+      expect(result.legacy).toBe(false);
+      expect(result.data).toMatchObject({ ...coupon, kid: 'k2', iat: 1736942400 });
+    });
+
+    it('should reject a tampered payload', () => {
+      const [prefix, , signature] = signQRPayload(coupon, { now, env }).split('.');
+      const forged = Buffer.from(JSON.stringify({ ...coupon, couponId: 'other', kid: 'k2' })).toString('base64url');
+
+      expect(verifyQRPayload(`${prefix}.${forged}.${signature}`, { now, env }).valid).toBe(false);
+    });
+
+    it('should reject expired codes', () => {
+      const qr = signQRPayload(coupon, { now, env, expiresAt: new Date('2025-01-15T14:00:00Z') });
+
+      expect(verifyQRPayload(qr, { now, env }).valid).toBe(true);
+      expect(verifyQRPayload(qr, { now: new Date('2025-01-15T14:00:01Z'), env }).error).toMatch(/expired/);
+    });
+
+    it('should accept codes signed with a previous key until it is removed', () => {
+      const qr = signQRPayload(coupon, { now, env: { ...env, QR_SIGNING_KEY_ID: 'k1' } });
+
+      expect(verifyQRPayload(qr, { now, env }).valid).toBe(true);
+      expect(isCurrentQR(qr, env)).toBe(false);
+      expect(verifyQRPayload(qr, { now, env: { QR_SIGNING_KEYS: 'k2:second-secret' } }).valid).toBe(false);
+    });
+
+    it('should reject key IDs that are not configured keys', () => {
+      ['constructor', 'toString', '__proto__'].forEach(kid => {
+        const payload = Buffer.from(JSON.stringify({ ...coupon, kid })).toString('base64url');
+        expect(verifyQRPayload(`HV1.${payload}.abc`, { now, env })).toMatchObject({ valid: false });
+      });
+    });
+
+    it('should reject the wrong payload type', () => {
+      const qr = signQRPayload(coupon, { now, env });
+
+      expect(verifyQRPayload(qr, { type: 'business', now, env }).valid).toBe(false);
+    });
+  });
+
+  describe('legacy codes', () => {
+    const legacy = JSON.stringify({ type: 'business', id: 'b1', name: 'Cafe' });
+
+    it('should accept unsigned codes inside the compatibility window', () => {
+      const result = verifyQRPayload(legacy, { type: 'business', now, env: { ...env, QR_LEGACY_ACCEPT_UNTIL: '2025-02-01' } });
+
+      expect(result.valid).toBe(true);
+      expect(result.legacy).toBe(true);
+    });
+
+    it('should reject unsigned codes after the window closes', () => {
+      expect(verifyQRPayload(legacy, { now, env: { ...env, QR_LEGACY_ACCEPT_UNTIL: '2025-01-01' } }).valid).toBe(false);
+      expect(isLegacyAccepted(now, { QR_LEGACY_ACCEPT_UNTIL: 'never' })).toBe(false);
+      expect(isLegacyAccepted(now, {})).toBe(false);
+    });
+
+    it('should never accept unsigned coupon codes', () => {
+      const legacyCoupon = JSON.stringify({ type: 'coupon', couponId: 'c1' });
+      const openEnv = { ...env, QR_LEGACY_ACCEPT_UNTIL: '2025-02-01' };
+
+      expect(verifyQRPayload(legacyCoupon, { type: 'coupon', now, env: openEnv }).valid).toBe(false);
+      expect(verifyQRPayload(legacyCoupon, { now, env: openEnv }).valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { calculateBayesianScore, getRatingDelta } = require('../../../utils/rating');
+
+describe('Rating Utils', () => {
+  describe('calculateBayesianScore', () => {
+    it('should return the prior mean when there are no ratings', () => {
+      const score = calculateBayesianScore(0, 0, { priorMean: 3.5, priorWeight: 5 });
+
+      expect(score).toBe(3.5);
+    });
+
+    it('should pull a single 5-star rating towards the prior', () => {
+      const score = calculateBayesianScore(5, 1, { priorMean: 3.5, priorWeight: 5 });
+
+      expect(score).toBe(3.75);
+    });
+
+    it('should rank an established business above a single perfect rating', () => {
+      const single = calculateBayesianScore(5, 1, { priorMean: 3.5, priorWeight: 5 });
+      const established = calculateBayesianScore(4.6 * 200, 200, { priorMean: 3.5, priorWeight: 5 });
+
+      expect(established).toBeGreaterThan(single);
+    });
+  });
+
+  describe('getRatingDelta', () => {
+    it('should add an approved review', () => {
+      const delta = getRatingDelta(null, { status: 'approved', rating: 4 });
+
+      expect(delta).toEqual({ sum: 4, count: 1, histogram: { 4: 1 } });
+    });
+
+    it('should ignore reviews that are not approved', () => {
+      const delta = getRatingDelta(null, { status: 'flagged', rating: 4 });
+
+      expect(delta).toEqual({ sum: 0, count: 0, histogram: {} });
+    });
+
+    it('should move a rating between stars on update', () => {
+      const delta = getRatingDelta(
+        { status: 'approved', rating: 2 },
+        { status: 'approved', rating: 5 }
+      );
+
+      expect(delta).toEqual({ sum: 3, count: 0, histogram: { 2: -1, 5: 1 } });
+    });
+
+    it('should remove a review on delete', () => {
+      const delta = getRatingDelta({ status: 'approved', rating: 3 }, null);
+
+      expect(delta).toEqual({ sum: -3, count: -1, histogram: { 3: -1 } });
+    });
+
+    it('should add a flagged review when it is approved', () => {
+      const delta = getRatingDelta(
+        { status: 'flagged', rating: 5 },
+        { status: 'approved', rating: 5 }
+      );
+
+      expect(delta).toEqual({ sum: 5, count: 1, histogram: { 5: 1 } });
+    });
+
+    it('should remove an approved review when it is rejected', () => {
+      const delta = getRatingDelta(
+        { status: 'approved', rating: 1 },
+        { status: 'rejected', rating: 1 }
+      );
+
+      expect(delta).toEqual({ sum: -1, count: -1, histogram: { 1: -1 } });
+    });
+
+    it('should produce no change when nothing relevant changed', () => {
+      const delta = getRatingDelta(
+        { status: 'approved', rating: 4 },
+        { status: 'approved', rating: 4 }
+      );
+
+      expect(delta).toEqual({ sum: 0, count: 0, histogram: {} });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const {
+  REVIEW_EDIT_WINDOW_DAYS,
+  isWithinEditWindow,
+  normalizeMedia,
+  getReviewChanges
+} = require('../../../utils/reviewRevisions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Review Revision Utils', () => {
+  describe('isWithinEditWindow', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+
+    it('should allow edits inside the window', () => {
+      expect(isWithinEditWindow({ createdAt: new Date(now.getTime() - DAY_MS) }, now)).toBe(true);
+    });
+
+    it('should refuse edits once the window has passed', () => {
+      expect(isWithinEditWindow({ createdAt: new Date(now.getTime() - REVIEW_EDIT_WINDOW_DAYS * DAY_MS) }, now)).toBe(false);
+      expect(isWithinEditWindow({ createdAt: new Date(now.getTime() - 30 * DAY_MS) }, now)).toBe(false);
+    });
+  });
+
+  describe('normalizeMedia', () => {
+    it('should drop subdocument IDs and use a fixed key order', () => {
+      expect(normalizeMedia([{ publicId: 'p1', _id: 'x', url: 'https://a/1.jpg' }]))
+        .toEqual([{ url: 'https://a/1.jpg', publicId: 'p1' }]);
+      expect(JSON.stringify(normalizeMedia([{ publicId: 'p1', url: 'u' }]))).toBe('[{"url":"u","publicId":"p1"}]');
+    });
+
+    it('should handle missing lists', () => {
+      expect(normalizeMedia(undefined)).toEqual([]);
+    });
+  });
+
+  describe('getReviewChanges', () => {
+    const review = {
+      rating: 5,
+      comment: 'Lovely coffee and friendly staff',
+      images: [{ _id: 'i1', url: 'https://a/1.jpg', publicId: 'p1' }],
+      videos: []
+    };
+
+    it('should record old and new values of changed fields', () => {
+      expect(getReviewChanges(review, { rating: 1, comment: 'Lovely coffee and friendly staff' })).toEqual([
+        { field: 'rating', from: 5, to: 1 }
+      ]);
+    });
+
+    it('should ignore fields that were not sent', () => {
+      expect(getReviewChanges(review, {})).toEqual([]);
+    });
+
+    it('should compare media by content', () => {
+      expect(getReviewChanges(review, { images: [{ publicId: 'p1', url: 'https://a/1.jpg' }] })).toEqual([]);
+
+      expect(getReviewChanges(review, { images: [] })).toEqual([
+        { field: 'images', from: [{ url: 'https://a/1.jpg', publicId: 'p1' }], to: [] }
+      ]);
+    });
+  });
+});
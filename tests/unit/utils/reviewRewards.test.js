@@ -0,0 +1,97 @@
+jest.mock('../../../utils/notification', () => ({ sendPushNotification: jest.fn() }));
+jest.mock('../../../utils/qrSigning', () => ({ createCouponQRData: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Coupon = require('../../../models/Coupon.model');
+const Review = require('../../../models/Review.model');
+const { sendPushNotification } = require('../../../utils/notification');
+const { createCouponQRData } = require('../../../utils/qrSigning');
+const { isNewlyApproved, completeReviewApproval } = require('../../../utils/reviewRewards');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Review Reward Utils', () => {
+  describe('isNewlyApproved', () => {
+    it('should be true when a flagged review is approved', () => {
+      expect(isNewlyApproved({ status: 'flagged' }, { status: 'approved' })).toBe(true);
+    });
+
+    it('should be true for a review posted as approved', () => {
+      expect(isNewlyApproved(null, { status: 'approved' })).toBe(true);
+    });
+
+    it('should be false for any other transition', () => {
+      expect(isNewlyApproved({ status: 'approved' }, { status: 'approved' })).toBe(false);
+      expect(isNewlyApproved({ status: 'flagged' }, { status: 'rejected' })).toBe(false);
+      expect(isNewlyApproved({ status: 'approved' }, null)).toBe(false);
+    });
+  });
+
+  describe('completeReviewApproval', () => {
+    const business = { _id: id(), owner: id(), name: 'Chai Point' };
+    const reviewer = { _id: id(), name: 'Asha' };
+
+    let review;
+    beforeEach(() => {
+      review = { _id: id(), user: reviewer._id, business: business._id, rating: 4, status: 'approved', couponAwarded: false };
+
+      sendPushNotification.mockResolvedValue();
+      createCouponQRData.mockReturnValue('signed-qr');
+      jest.spyOn(Coupon, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Coupon, 'findByIdAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Coupon, 'create').mockImplementation(async (data) => ({ _id: id(), ...data, save: jest.fn() }));
+    });
+
+    it('should issue the coupon and notify the owner when a flagged review is approved', async () => {
+      jest.spyOn(Review, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const { coupon, limitReached } = await completeReviewApproval(review, business, reviewer);
+
+      expect(limitReached).toBe(false);
+      expect(Coupon.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'review_reward',
+        business: business._id,
+        user: reviewer._id,
+        review: review._id
+      }));
+      expect(coupon.qrCodeData).toBe('signed-qr');
+      expect(review.couponAwarded).toBe(true);
+      expect(review.coupon).toBe(coupon._id);
+      expect(sendPushNotification).toHaveBeenCalledWith(reviewer._id, 'Coupon Earned! 🎉', expect.any(String), expect.any(Object));
+      expect(sendPushNotification).toHaveBeenCalledWith(business.owner, 'New Review', 'Asha left a 4-star review for Chai Point', expect.any(Object));
+    });
+
+    it('should record the template the reward was issued from', async () => {
+      const template = { _id: id(), rewardType: 'fixed', rewardValue: 50, redemptionLimit: null };
+      jest.spyOn(Review, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      Coupon.findOne.mockResolvedValue(template);
+
+      const { coupon } = await completeReviewApproval(review, business, reviewer);
+
+      expect(coupon.template).toBe(template._id);
+      expect(coupon.rewardValue).toBe(50);
+    });
+
+    it('should not issue a second coupon for a review that already has one', async () => {
+      jest.spyOn(Review, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      const { coupon } = await completeReviewApproval(review, business, reviewer);
+
+      expect(coupon).toBeNull();
+      expect(Coupon.create).not.toHaveBeenCalled();
+      expect(sendPushNotification).toHaveBeenCalledTimes(1);
+    });
+
+    it('should release the claim when the template redemption limit is reached', async () => {
+      jest.spyOn(Review, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      Coupon.findOne.mockResolvedValue({ _id: id(), redemptionLimit: 5 });
+      jest.spyOn(Coupon, 'countDocuments').mockResolvedValue(5);
+
+      const { coupon, limitReached } = await completeReviewApproval(review, business, reviewer);
+
+      expect(coupon).toBeNull();
+      expect(limitReached).toBe(true);
+      expect(Review.updateOne).toHaveBeenLastCalledWith({ _id: review._id }, { $set: { couponAwarded: false } });
+    });
+  });
+});
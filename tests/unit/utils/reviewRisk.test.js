@@ -0,0 +1,120 @@
+const { scoreReview, registerRiskSignal, riskSignals } = require('../../../utils/reviewRisk');
+
+describe('Review Risk Utils', () => {
+  const now = new Date('2024-01-15T12:00:00Z');
+
+  const cleanContext = {
+    now,
+    latitude: 40.7128,
+    longitude: -74.0060,
+    locationAccuracy: 10,
+    verificationTime: 30,
+    isMockLocation: false,
+    locationHistoryCount: 10,
+    suspiciousActivitiesCount: 0,
+    accountCreatedAt: new Date('2023-01-01T00:00:00Z'),
+    deviceReviewsToday: 0,
+    deviceOtherAccountCount: 0,
+    actualDistance: 10,
+    businessRadius: 50,
+    previousReview: null
+  };
+
+  describe('scoreReview', () => {
+    it('should score a clean submission as zero risk', () => {
+      const result = scoreReview(cleanContext);
+
+      expect(result.score).toBe(0);
+      expect(result.flagged).toBe(false);
+      expect(result.signals.every(s => s.value === 0)).toBe(true);
+    });
+
+    it('should flag mock location submissions', () => {
+      const result = scoreReview({ ...cleanContext, isMockLocation: true });
+
+      expect(result.score).toBeGreaterThanOrEqual(60);
+      expect(result.flagged).toBe(true);
+      expect(result.signals.find(s => s.name === 'mockLocation').value).toBe(1);
+    });
+
+    it('should add partial points for poor GPS accuracy without flagging', () => {
+      const result = scoreReview({ ...cleanContext, locationAccuracy: 35 });
+      const gps = result.signals.find(s => s.name === 'gpsAccuracy');
+
+      expect(gps.value).toBeCloseTo(0.5);
+      expect(result.score).toBe(13);
+      expect(result.flagged).toBe(false);
+    });
+
+    it('should combine several weak signals into a flag', () => {
+      const result = scoreReview({
+        ...cleanContext,
+        accountCreatedAt: new Date(now.getTime() - 2 * 60 * 60 * 1000),
+        deviceOtherAccountCount: 2,
+        actualDistance: 50
+      });
+
+      // 15 (new account) + 30 (shared device) + 15 (geofence edge)
+      expect(result.score).toBe(60);
+      expect(result.flagged).toBe(true);
+    });
+
+    it('should detect impossible travel between reviews', () => {
+      const result = scoreReview({
+        ...cleanContext,
+        previousReview: {
+          coordinates: [-118.2437, 34.0522], // Los Angeles
+          createdAt: new Date(now.getTime() - 30 * 60 * 1000)
+        }
+      });
+      const velocity = result.signals.find(s => s.name === 'velocity');
+
+      expect(velocity.value).toBe(1);
+      expect(velocity.detail.speedKmh).toBeGreaterThan(900);
+    });
+
+    it('should respect a custom threshold', () => {
+      const result = scoreReview({ ...cleanContext, locationAccuracy: 35 }, { threshold: 10 });
+
+      expect(result.threshold).toBe(10);
+      expect(result.flagged).toBe(true);
+    });
+
+    it('should cap the score at 100', () => {
+      const result = scoreReview({
+        ...cleanContext,
+        isMockLocation: true,
+        locationAccuracy: 200,
+        suspiciousActivitiesCount: 5,
+        deviceOtherAccountCount: 4
+      });
+
+      expect(result.score).toBe(100);
+    });
+  });
+
+  describe('registerRiskSignal', () => {
+    afterEach(() => {
+      const index = riskSignals.findIndex(s => s.name === 'testSignal');
+      if (index !== -1) riskSignals.splice(index, 1);
+    });
+
+    it('should include registered signals in the score', () => {
+      registerRiskSignal({
+        name: 'testSignal',
+        eventType: 'TEST_SIGNAL',
+        weight: 20,
+        evaluate: () => ({ value: 1 })
+      });
+
+      const result = scoreReview(cleanContext);
+
+      expect(result.score).toBe(20);
+      expect(result.signals.find(s => s.name === 'testSignal').eventType).toBe('TEST_SIGNAL');
+    });
+
+    it('should reject invalid signals', () => {
+      expect(() => registerRiskSignal({ name: 'testSignal' })).toThrow();
+    });
+  });
+});
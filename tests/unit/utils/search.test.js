@@ -0,0 +1,199 @@
+const {
+  escapeRegExp,
+  tokenize,
+  matchToken,
+  scoreTextMatch,
+  blendScore,
+  buildBusinessFilter,
+  buildPrefixFilter,
+  buildFuzzyFilter,
+  SEARCH_FIELD_WEIGHTS
+} = require('../../../utils/search');
+const Business = require('../../../models/Business.model');
+
+describe('Search Utils', () => {
+  const pizzeria = {
+    name: 'Luigi Pizzeria',
+    category: 'Restaurant',
+    address: { city: 'London', area: 'Soho', state: 'Greater London', fullAddress: '12 Dean Street, Soho, London' },
+    description: 'Wood fired pizza and fresh pasta'
+  };
+
+  const bookshop = {
+    name: 'Pizza Books',
+    category: 'Retail',
+    address: { city: 'Leeds', area: 'Headingley' },
+    description: 'Second hand books'
+  };
+
+  describe('tokenize', () => {
+    it('should lowercase and split on non-alphanumeric characters', () => {
+      expect(tokenize('Café  Nero, London!')).toEqual(['cafe', 'nero', 'london']);
+    });
+
+    it('should drop regex special characters', () => {
+      expect(tokenize('(a+)+$ .*')).toEqual(['a']);
+    });
+
+    it('should return an empty array for empty input', () => {
+      expect(tokenize('')).toEqual([]);
+      expect(tokenize(undefined)).toEqual([]);
+      expect(tokenize({ $gt: '' })).toEqual([]);
+    });
+
+    it('should cap the number of tokens', () => {
+      expect(tokenize('a b c d e f g h i j k')).toHaveLength(8);
+    });
+  });
+
+  describe('escapeRegExp', () => {
+    it('should escape regex special characters', () => {
+      const escaped = escapeRegExp('a.b*c(d)');
+
+      expect(new RegExp(escaped).test('a.b*c(d)')).toBe(true);
+      expect(new RegExp(escaped).test('aXbbbc(d)')).toBe(false);
+    });
+  });
+
+  describe('matchToken', () => {
+    it('should score exact, prefix and typo matches in that order', () => {
+      const exact = matchToken('pizza', 'pizza');
+      const prefix = matchToken('piz', 'pizza');
+      const typo = matchToken('pizzza', 'pizza');
+
+      expect(exact).toBeGreaterThan(prefix);
+      expect(prefix).toBeGreaterThan(typo);
+      expect(typo).toBeGreaterThan(0);
+    });
+
+    it('should not allow typos in very short tokens', () => {
+      expect(matchToken('cat', 'cut')).toBe(0);
+    });
+
+    it('should return 0 for unrelated words', () => {
+      expect(matchToken('sushi', 'pizza')).toBe(0);
+    });
+  });
+
+  describe('scoreTextMatch', () => {
+    it('should weight name matches above description matches', () => {
+      const nameMatch = scoreTextMatch(bookshop, ['pizza']);
+      const descriptionMatch = scoreTextMatch(pizzeria, ['pasta']);
+
+      expect(nameMatch).toBeGreaterThan(descriptionMatch);
+    });
+
+    it('should weight category matches above city matches', () => {
+      const categoryMatch = scoreTextMatch(pizzeria, ['restaurant']);
+      const cityMatch = scoreTextMatch(pizzeria, ['london']);
+
+      expect(categoryMatch).toBeGreaterThan(cityMatch);
+    });
+
+    it('should match the state and full address below the city', () => {
+      const streetMatch = scoreTextMatch(pizzeria, ['dean']);
+      const stateMatch = scoreTextMatch(pizzeria, ['greater']);
+      const cityMatch = scoreTextMatch(pizzeria, ['london']);
+
+      expect(streetMatch).toBeGreaterThan(0);
+      expect(stateMatch).toBeGreaterThan(0);
+      expect(cityMatch).toBeGreaterThan(streetMatch);
+    });
+
+    it('should tolerate typos', () => {
+      expect(scoreTextMatch(pizzeria, ['pizeria'])).toBeGreaterThan(0);
+    });
+
+    it('should require every token to match', () => {
+      expect(scoreTextMatch(pizzeria, ['pizza', 'sushi'])).toBe(0);
+    });
+  });
+
+  describe('blendScore', () => {
+    it('should rank closer businesses higher when relevance is equal', () => {
+      const near = blendScore({ relevance: 0.8, distanceKm: 1, rating: 4 });
+      const far = blendScore({ relevance: 0.8, distanceKm: 20, rating: 4 });
+
+      expect(near).toBeGreaterThan(far);
+    });
+
+    it('should rank higher rated businesses higher when relevance and distance are equal', () => {
+      const good = blendScore({ relevance: 0.8, distanceKm: 2, rating: 4.5 });
+      const poor = blendScore({ relevance: 0.8, distanceKm: 2, rating: 2 });
+
+      expect(good).toBeGreaterThan(poor);
+    });
+
+    it('should ignore distance when no location is known', () => {
+      const score = blendScore({ relevance: 1, rating: 5 });
+
+      expect(score).toBe(1);
+    });
+  });
+
+  describe('buildPrefixFilter', () => {
+    it('should search the state and full address', () => {
+      const [{ $or }] = buildPrefixFilter(['dean']).$and;
+      const fields = $or.map(condition => Object.keys(condition)[0]);
+
+      expect(fields).toEqual(expect.arrayContaining(['address.state', 'address.fullAddress']));
+    });
+  });
+
+  describe('buildFuzzyFilter', () => {
+    // Would the regex for one token match any of the business's searchable fields?
+    const matches = (filter, business) => filter.$and.every(({ $or }) => $or.some(condition => {
+      const [[field, { $regex }]] = Object.entries(condition);
+      const value = field.split('.').reduce((v, key) => (v ? v[key] : undefined), business);
+      return typeof value === 'string' && $regex.test(value);
+    }));
+
+    it('should keep candidates that are a typo away from the search', () => {
+      expect(matches(buildFuzzyFilter(['pizeria']), pizzeria)).toBe(true);
+      expect(matches(buildFuzzyFilter(['pxza']), bookshop)).toBe(true);
+      expect(matches(buildFuzzyFilter(['restuarant']), pizzeria)).toBe(true);
+    });
+
+    it('should drop businesses with nothing in common with the search', () => {
+      expect(matches(buildFuzzyFilter(['karaoke']), pizzeria)).toBe(false);
+      expect(matches(buildFuzzyFilter(['pizeria', 'karaoke']), pizzeria)).toBe(false);
+    });
+
+    it('should escape the search input', () => {
+      const [{ $or }] = buildFuzzyFilter(['a.b']).$and;
+
+      expect($or[0].name.$regex.test('axb')).toBe(false);
+    });
+  });
+
+  describe('SEARCH_FIELD_WEIGHTS', () => {
+    it('should match the weights of the text index', () => {
+      const [, options] = Business.schema.indexes().find(([, opts]) => opts.name === 'business_text_search');
+
+      expect(options.weights).toEqual(SEARCH_FIELD_WEIGHTS);
+    });
+  });
+
+  describe('buildBusinessFilter', () => {
+    it('should only include active businesses', () => {
+      expect(buildBusinessFilter()).toEqual({ status: 'active' });
+    });
+
+    it('should escape the category', () => {
+      const filter = buildBusinessFilter({ category: 'Caf.*' });
+
+      expect(filter.category.$regex.test('Caf.*')).toBe(true);
+      expect(filter.category.$regex.test('Cafe')).toBe(false);
+    });
+
+    it('should apply the rating source filter', () => {
+      const filter = buildBusinessFilter({ ratingSource: 'google', minRating: '4' });
+
+      expect(filter['externalProfiles.googleBusiness.rating']).toEqual({ $gte: 4 });
+    });
+
+    it('should ignore the category "all"', () => {
+      expect(buildBusinessFilter({ category: 'all' }).category).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { hashToken, parseRefreshToken, getDeviceInfo, isLegacyTokenAccepted, isAccessTokenActive } = require('../../../utils/session');
+
+describe('Session Utils', () => {
+  describe('parseRefreshToken', () => {
+    it('should split a refresh token into session ID and secret', () => {
+      expect(parseRefreshToken('507f1f77bcf86cd799439011.abc123')).toEqual({
+        sessionId: '507f1f77bcf86cd799439011',
+        secret: 'abc123'
+      });
+    });
+
+    it('should reject malformed tokens', () => {
+      expect(parseRefreshToken('not-a-token')).toBeNull();
+      expect(parseRefreshToken('invalid.abc123')).toBeNull();
+      expect(parseRefreshToken('507f1f77bcf86cd799439011.abc.def')).toBeNull();
+      expect(parseRefreshToken(undefined)).toBeNull();
+    });
+  });
+
+  describe('hashToken', () => {
+    it('should hash deterministically without storing the raw token', () => {
+      expect(hashToken('secret')).toBe(hashToken('secret'));
+      expect(hashToken('secret')).not.toContain('secret');
+      expect(hashToken('secret')).toHaveLength(64);
+    });
+  });
+
+  describe('getDeviceInfo', () => {
+    const request = (headers) => ({ get: (name) => headers[name.toLowerCase()] });
+
+    it('should prefer device headers sent by the app', () => {
+      const device = getDeviceInfo(request({
+        'x-device-id': 'device-1',
+        'x-device-name': 'Pixel 8',
+        'x-device-platform': 'android',
+        'user-agent': 'okhttp/4.9'
+      }));
+
+      expect(device).toEqual({
+        deviceId: 'device-1',
+        name: 'Pixel 8',
+        platform: 'android',
+        userAgent: 'okhttp/4.9'
+      });
+    });
+
+    it('should infer the platform from the user agent', () => {
+      expect(getDeviceInfo(request({ 'user-agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0)' })).platform).toBe('ios');
+      expect(getDeviceInfo(request({ 'user-agent': 'Mozilla/5.0 (Windows NT 10.0)' })).platform).toBe('web');
+      expect(getDeviceInfo(request({})).platform).toBeNull();
+    });
+  });
+
+  describe('isLegacyTokenAccepted', () => {
+    const issuedAt = (date) => ({ iat: Math.floor(new Date(date).getTime() / 1000) });
+    const env = { LEGACY_ACCESS_TOKENS_ISSUED_BEFORE: '2026-10-20T00:00:00Z' };
+
+    it('should accept tokens issued before the cut-off', () => {
+      expect(isLegacyTokenAccepted(issuedAt('2026-10-18T12:00:00Z'), env)).toBe(true);
+    });
+
+    it('should reject tokens issued after the cut-off', () => {
+      expect(isLegacyTokenAccepted(issuedAt('2026-10-21T12:00:00Z'), env)).toBe(false);
+    });
+
+    it('should reject every sessionless token when no cut-off is set', () => {
+      expect(isLegacyTokenAccepted(issuedAt('2020-01-01T00:00:00Z'), {})).toBe(false);
+      expect(isLegacyTokenAccepted(issuedAt('2020-01-01T00:00:00Z'), { LEGACY_ACCESS_TOKENS_ISSUED_BEFORE: 'soon' })).toBe(false);
+    });
+  });
+
+  describe('isAccessTokenActive', () => {
+    it('should reject a sessionless token unless it is an impersonation token', async () => {
+      const iat = Math.floor(Date.now() / 1000);
+
+      expect(await isAccessTokenActive({ id: 'user1', iat }, {}, {})).toBe(false);
+      expect(await isAccessTokenActive({ id: 'user1', iat, imp: 'imp1' }, {}, {})).toBe(true);
+    });
+  });
+});
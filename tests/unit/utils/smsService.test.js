@@ -0,0 +1,36 @@
+const { PROVIDERS, resolveProviderName, getRetryDelaySeconds } = require('../../../utils/smsService');
+
+describe('SMS Service', () => {
+  describe('resolveProviderName', () => {
+    it('should use the provider named in SMS_PROVIDER', () => {
+      expect(resolveProviderName({ SMS_PROVIDER: 'Webhook' })).toBe('webhook');
+      expect(() => resolveProviderName({ SMS_PROVIDER: 'carrier-pigeon' })).toThrow('Unknown SMS provider');
+    });
+
+    it('should pick the first configured provider', () => {
+      expect(resolveProviderName({
+        TWILIO_ACCOUNT_SID: 'AC123',
+        TWILIO_AUTH_TOKEN: 'token',
+        TWILIO_FROM_NUMBER: '+15005550006',
+        SMS_WEBHOOK_URL: 'https://sms.example.com'
+      })).toBe('twilio');
+      expect(resolveProviderName({ TWILIO_ACCOUNT_SID: 'AC123', SMS_WEBHOOK_URL: 'https://sms.example.com' })).toBe('webhook');
+      expect(resolveProviderName({})).toBe('console');
+    });
+  });
+
+  describe('getRetryDelaySeconds', () => {
+    it('should back off exponentially', () => {
+      const first = getRetryDelaySeconds(1);
+      expect(getRetryDelaySeconds(2)).toBe(first * 2);
+      expect(getRetryDelaySeconds(4)).toBe(first * 8);
+    });
+  });
+
+  describe('console provider', () => {
+    it('should not contact any external service', async () => {
+      const result = await PROVIDERS.console.send({ id: 'abc', to: '+919876543210', body: 'Hello', purpose: 'test' });
+      expect(result.providerMessageId).toBe('abc');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const SuspiciousActivity = require('../../../models/SuspiciousActivity.model');
+const {
+  encodeActivityCursor,
+  decodeActivityCursor,
+  buildActivityFilter
+} = require('../../../utils/suspiciousActivity');
+
+describe('Suspicious Activity Utils', () => {
+  const userId = '507f1f77bcf86cd799439011';
+
+  describe('buildActivityFilter', () => {
+    it('should hide archived entries unless asked for', () => {
+      expect(buildActivityFilter({}).filter).toEqual({ archived: false });
+      expect(buildActivityFilter({ includeArchived: 'true' }).filter).toEqual({});
+    });
+
+    it('should filter on the indexed fields', () => {
+      const { filter } = buildActivityFilter({ userId, deviceId: 'device-1', ipAddress: '10.0.0.1' });
+
+      expect(filter.userId).toEqual(new mongoose.Types.ObjectId(userId));
+      expect(filter.deviceId).toBe('device-1');
+      expect(filter.ipAddress).toBe('10.0.0.1');
+    });
+
+    it('should accept one or several event types', () => {
+      expect(buildActivityFilter({ eventType: 'REVIEW_FLAGGED' }).filter.eventType).toBe('REVIEW_FLAGGED');
+      expect(buildActivityFilter({ eventType: 'REVIEW_FLAGGED, MOCK_LOCATION' }).filter.eventType)
+        .toEqual({ $in: ['REVIEW_FLAGGED', 'MOCK_LOCATION'] });
+    });
+
+    it('should build a date range', () => {
+      const { filter } = buildActivityFilter({ from: '2025-01-01', to: '2025-01-31' });
+
+      expect(filter.timestamp).toEqual({ $gte: new Date('2025-01-01'), $lte: new Date('2025-01-31') });
+    });
+
+    it('should reject repeated or bracket-syntax params', () => {
+      expect(buildActivityFilter({ eventType: ['A', 'B'] }).error).toBe('Invalid eventType');
+      expect(buildActivityFilter({ deviceId: { $ne: null } }).error).toBe('Invalid deviceId');
+    });
+
+    it('should reject malformed IDs and dates', () => {
+      expect(buildActivityFilter({ userId: 'abcdefghijkl' }).error).toBe('Invalid userId');
+      expect(buildActivityFilter({ businessId: '123' }).error).toBe('Invalid businessId');
+      expect(buildActivityFilter({ from: 'yesterday' }).error).toBe('Invalid from date');
+    });
+  });
+
+  describe('activity cursor', () => {
+    it('should round-trip the timestamp and ID', () => {
+      const activity = { _id: new mongoose.Types.ObjectId(), timestamp: new Date('2025-01-15T12:00:00Z') };
+
+      const cursor = decodeActivityCursor(encodeActivityCursor(activity));
+
+      expect(cursor.timestamp).toEqual(activity.timestamp);
+      expect(cursor.id).toEqual(activity._id);
+    });
+
+    it('should return null for a tampered or garbage cursor', () => {
+      const badId = Buffer.from(`${Date.now()}_not-an-object-id`).toString('base64url');
+
+      expect(decodeActivityCursor(badId)).toBeNull();
+      expect(decodeActivityCursor('garbage')).toBeNull();
+      expect(decodeActivityCursor('')).toBeNull();
+    });
+  });
+
+  describe('retention', () => {
+    it('should expire entries by timestamp after the retention period', () => {
+      const [, options] = SuspiciousActivity.schema.indexes().find(([fields]) => fields.timestamp === 1);
+
+      expect(options.expireAfterSeconds).toBe(90 * 24 * 60 * 60);
+    });
+  });
+});
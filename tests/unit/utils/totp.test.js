@@ -0,0 +1,31 @@
+const { generateHOTP, generateTOTP, verifyTOTP } = require('../../../utils/totp');
+
+describe('TOTP Utils', () => {
+  // RFC 4226 / RFC 6238 test secret
+  const secret = Buffer.from('12345678901234567890');
+
+  it('should match the RFC 4226 HOTP test vectors', () => {
+    expect(generateHOTP(secret, 0)).toBe('755224');
+    expect(generateHOTP(secret, 1)).toBe('287082');
+    expect(generateHOTP(secret, 9)).toBe('520489');
+  });
+
+  it('should match the RFC 6238 TOTP test vectors', () => {
+    expect(generateTOTP(secret, { now: new Date(59 * 1000), digits: 8 })).toBe('94287082');
+    expect(generateTOTP(secret, { now: new Date(1111111109 * 1000), digits: 8 })).toBe('07081804');
+  });
+
+  it('should accept codes within the drift window and return the counter', () => {
+    const now = new Date(1111111109 * 1000);
+    const previous = generateTOTP(secret, { now: new Date(now.getTime() - 30 * 1000) });
+
+    expect(verifyTOTP(previous, secret, { now })).toBe(37037035);
+    expect(verifyTOTP(previous, secret, { now, window: 0 })).toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyTOTP('12345', secret)).toBeNull();
+    expect(verifyTOTP('abcdef', secret)).toBeNull();
+    expect(verifyTOTP(null, secret)).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateTwoFactorSecret,
+  buildOtpauthUri,
+  verifyTwoFactorCode,
+  generateRecoveryCodes,
+  findRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+  generateChallengeToken,
+  verifyChallengeToken
+} = require('../../../utils/twoFactor');
+const { generateTOTP } = require('../../../utils/totp');
+
+describe('Two-Factor Utils', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  describe('base32', () => {
+    it('should match RFC 4648 test vectors and round-trip', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(base32Decode('MZXW6YTBOI').toString()).toBe('foobar');
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('should generate 32 character secrets', () => {
+      expect(generateTwoFactorSecret()).toMatch(/^[A-Z2-7]{32}$/);
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build an authenticator URI with issuer and secret', () => {
+      const uri = buildOtpauthUri('JBSWY3DPEHPK3PXP', 'jane@example.com');
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/HashView%3Ajane%40example\.com\?/);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=HashView');
+    });
+  });
+
+  describe('verifyTwoFactorCode', () => {
+    const secret = generateTwoFactorSecret();
+    const now = new Date('2025-01-15T12:00:10Z');
+    const code = generateTOTP(base32Decode(secret), { now });
+
+    it('should accept a valid code and return its counter', () => {
+      expect(verifyTwoFactorCode(code, secret, null, now)).toBe(Math.floor(now.getTime() / 30000));
+    });
+
+    it('should reject a code that was already used', () => {
+      const counter = verifyTwoFactorCode(code, secret, null, now);
+
+      expect(verifyTwoFactorCode(code, secret, counter, now)).toBeNull();
+    });
+
+    it('should reject wrong codes', () => {
+      expect(verifyTwoFactorCode('000000', generateTwoFactorSecret(), null, now)).toBeNull();
+      expect(verifyTwoFactorCode(code, null, null, now)).toBeNull();
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should match a code once, ignoring case and dashes', () => {
+      const { codes, hashed } = generateRecoveryCodes(3);
+
+      expect(codes).toHaveLength(3);
+      expect(hashed[0].hash).not.toContain(codes[0]);
+      expect(findRecoveryCode(codes[1].toUpperCase().replace('-', ''), hashed)).toBe(hashed[1]);
+
+      hashed[1].usedAt = new Date();
+      expect(findRecoveryCode(codes[1], hashed)).toBeNull();
+      expect(findRecoveryCode('', hashed)).toBeNull();
+    });
+  });
+
+  describe('secret encryption', () => {
+    it('should round-trip and reject tampering', () => {
+      const encrypted = encryptSecret('JBSWY3DPEHPK3PXP');
+
+      expect(encrypted).not.toContain('JBSWY3DPEHPK3PXP');
+      expect(decryptSecret(encrypted)).toBe('JBSWY3DPEHPK3PXP');
+      expect(decryptSecret(encrypted.slice(0, -4) + 'AAAA')).toBeNull();
+    });
+  });
+
+  describe('challenge tokens', () => {
+    it('should only accept two-factor challenge tokens', () => {
+      const token = generateChallengeToken('user1', 'customer');
+
+      expect(verifyChallengeToken(token)).toMatchObject({ sub: 'user1', userType: 'customer' });
+      expect(verifyChallengeToken('garbage')).toBeNull();
+    });
+  });
+});
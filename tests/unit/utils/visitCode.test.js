@@ -0,0 +1,65 @@
+const {
+  generateVisitSecret,
+  getCurrentVisitCode,
+  verifyVisitCode,
+  generateVisitToken,
+  verifyVisitToken,
+  resolveReviewVerification
+} = require('../../../utils/visitCode');
+
+describe('Visit Code Utils', () => {
+  const secret = generateVisitSecret();
+  const now = new Date('2025-01-15T12:00:10Z');
+
+  describe('rotating codes', () => {
+    it('should accept the current and previous code only', () => {
+      const { code, expiresAt } = getCurrentVisitCode(secret, now);
+
+      expect(code).toMatch(/^\d{6}$/);
+      expect(expiresAt.toISOString()).toBe('2025-01-15T12:00:30.000Z');
+      expect(verifyVisitCode(code, secret, now)).toBe(true);
+      expect(verifyVisitCode(code, secret, new Date('2025-01-15T12:00:45Z'))).toBe(true);
+      expect(verifyVisitCode(code, secret, new Date('2025-01-15T12:01:15Z'))).toBe(false);
+    });
+
+    it('should not accept a code from the next step', () => {
+      const { code } = getCurrentVisitCode(secret, new Date('2025-01-15T12:00:40Z'));
+
+      expect(verifyVisitCode(code, secret, now)).toBe(false);
+    });
+
+    it('should reject codes for another business', () => {
+      const { code } = getCurrentVisitCode(secret, now);
+
+      expect(verifyVisitCode(code, generateVisitSecret(), now)).toBe(false);
+      expect(verifyVisitCode(code, null, now)).toBe(false);
+    });
+  });
+
+  describe('visit tokens', () => {
+    beforeAll(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    });
+
+    it('should only verify for the same user and business', () => {
+      const { visitToken } = generateVisitToken('user1', 'business1');
+
+      expect(verifyVisitToken(visitToken, 'user1', 'business1')).not.toBeNull();
+      expect(verifyVisitToken(visitToken, 'user2', 'business1')).toBeNull();
+      expect(verifyVisitToken(visitToken, 'user1', 'business2')).toBeNull();
+      expect(verifyVisitToken('garbage', 'user1', 'business1')).toBeNull();
+    });
+  });
+
+  describe('resolveReviewVerification', () => {
+    it('should apply the business verification mode', () => {
+      expect(resolveReviewVerification('geofence', { hasVisitToken: true, withinGeofence: false }).allowed).toBe(false);
+      expect(resolveReviewVerification('geofence', { hasVisitToken: false, withinGeofence: true }).method).toBe('geofence');
+      expect(resolveReviewVerification('visit_code', { hasVisitToken: false, withinGeofence: true }).reason).toBe('visit_code_required');
+      expect(resolveReviewVerification('visit_code', { hasVisitToken: true, withinGeofence: false }).method).toBe('visit_code');
+      expect(resolveReviewVerification('either', { hasVisitToken: false, withinGeofence: true }).method).toBe('geofence');
+      expect(resolveReviewVerification('either', { hasVisitToken: true, withinGeofence: false }).method).toBe('visit_code');
+      expect(resolveReviewVerification('either', { hasVisitToken: false, withinGeofence: false }).allowed).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const zlib = require('zlib');
+const { crc32, createZipArchive } = require('../../../utils/zipArchive');
+
+// Read the entries back out of an archive using its central directory
+const readZip = (buffer) => {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    entries[name] = { data, crc: buffer.readUInt32LE(offset + 16) };
+
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+describe('ZIP Archive Utils', () => {
+  describe('crc32', () => {
+    it('should match the standard check value', () => {
+      expect(crc32(Buffer.from('123456789')).toString(16)).toBe('cbf43926');
+    });
+  });
+
+  describe('createZipArchive', () => {
+    it('should write entries that read back unchanged', () => {
+      const archive = createZipArchive([
+        { name: 'data.json', content: '{"name":"Zoë"}' },
+        { name: 'csv/reviews.csv', content: Buffer.from('rating\r\n5\r\n') }
+      ]);
+
+      expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+
+      const entries = readZip(archive);
+      expect(Object.keys(entries)).toEqual(['data.json', 'csv/reviews.csv']);
+      expect(entries['data.json'].data.toString('utf8')).toBe('{"name":"Zoë"}');
+      expect(entries['csv/reviews.csv'].crc).toBe(crc32(Buffer.from('rating\r\n5\r\n')));
+    });
+
+    it('should write a valid empty archive', () => {
+      const archive = createZipArchive([]);
+      expect(archive).toHaveLength(22);
+      expect(archive.readUInt32LE(0)).toBe(0x06054b50);
+    });
+  });
+});
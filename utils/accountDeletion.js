@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const User = require('../models/User.model');
+const Review = require('../models/Review.model');
+const ReviewRevision = require('../models/ReviewRevision.model');
+const Chat = require('../models/Chat.model');
+const Coupon = require('../models/Coupon.model');
+const Notification = require('../models/Notification.model');
+const SupportTicket = require('../models/SupportTicket.model');
+const Business = require('../models/Business.model');
+const BusinessStaff = require('../models/BusinessStaff.model');
+const ApiKey = require('../models/ApiKey.model');
+const Session = require('../models/Session.model');
+const KnownDevice = require('../models/KnownDevice.model');
+const DeletionReceipt = require('../models/DeletionReceipt.model');
+const DataExport = require('../models/DataExport.model');
+const { cloudinary } = require('../config/cloudinary');
+const { sendEmail } = require('./emailService');
+const { revokeAllSessions } = require('./session');
+const logger = require('./logger');
+
+// Days between a deletion request and the purge - signing in during this time cancels it
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// How long a purge run holds an account before another run may take over
+const PURGE_CLAIM_MINUTES = 60;
+
+// Purged accounts stay behind as a nameless placeholder so their reviews keep an author
+const FORMER_USER_NAME = 'Former HashView user';
+
+/**
+ * Check whether an account is in its deletion grace period
+ * @param {Object} user - User document
+ * @returns {Boolean}
+ */
+const isDeletionPending = (user) => !!user?.deletionScheduledFor && user.status !== 'deleted';
+
+/**
+ * Cloudinary public ID of an uploaded asset, from its delivery URL
+ * e.g. .../image/upload/c_fill,w_500/v1712345678/hashview/profiles/abc.jpg -> hashview/profiles/abc
+ * @param {String} url
+ * @returns {String|null}
+ */
+const getCloudinaryPublicId = (url) => {
+  if (typeof url !== 'string' || !/^https?:\/\/res\.cloudinary\.com\//.test(url)) return null;
+
+  const path = url.split('?')[0].split('/upload/')[1];
+  if (!path) return null;
+
+  // Drop transformations and the version - the public ID starts after the version when there is one
+  const segments = path.split('/');
+  const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+  const idSegments = versionIndex >= 0 ? segments.slice(versionIndex + 1) : segments.filter(segment => !segment.includes(','));
+
+  const publicId = idSegments.join('/').replace(/\.[a-z0-9]+$/i, '');
+  return publicId || null;
+};
+
+const sendDeletionScheduledEmail = async (user) => {
+  await sendEmail({
+    to: user.email,
+    subject: 'Your HashView account is scheduled for deletion',
+    html: `
+      <h2>Hi ${user.name},</h2>
+      <p>We've received your request to delete your HashView account.</p>
+
+      <p>Your account has been deactivated and will be permanently deleted on
+      <strong>${user.deletionScheduledFor.toUTCString()}</strong>. After that your reviews will stay up
+      as "${FORMER_USER_NAME}", and everything else - your profile, chats, coupons and photos - will be removed.</p>
+
+      <p><strong>Changed your mind?</strong> Just sign in to the app before then and your account will be restored.</p>
+    `
+  });
+};
+
+/**
+ * Start the grace period for an account deletion
+ * The account is deactivated and signed out everywhere straight away; nothing is removed until the purge.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} User document
+ */
+const scheduleAccountDeletion = async (user) => {
+  const now = new Date();
+
+  user.status = 'inactive';
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  await revokeAllSessions(user._id, 'account_deletion');
+
+  logger.info(`🗑️  Account ${user._id} scheduled for deletion on ${user.deletionScheduledFor.toISOString()}`);
+
+  try {
+    await sendDeletionScheduledEmail(user);
+  } catch (error) {
+    logger.error(`Failed to send deletion email to user ${user._id}:`, error);
+  }
+
+  return user;
+};
+
+/**
+ * Cancel a pending deletion (the user signed back in) - caller saves
+ * @param {Object} user - User document
+ * @returns {Boolean} True if a deletion was cancelled
+ */
+const cancelAccountDeletion = (user) => {
+  if (!isDeletionPending(user)) return false;
+
+  user.status = 'active';
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+
+  logger.info(`↩️  Deletion of account ${user._id} cancelled by sign-in`);
+  return true;
+};
+
+// Remove assets from Cloudinary, collecting the ones that fail for the receipt
+const deleteMedia = async (assets) => {
+  const failed = [];
+  let deleted = 0;
+
+  for (const { publicId, resourceType, type } of assets) {
+    try {
+      await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type: type || 'upload', invalidate: true });
+      deleted++;
+    } catch (error) {
+      failed.push({ publicId, resourceType, error: error.message });
+    }
+  }
+
+  return { deleted, failed };
+};
+
+// Everything the account uploaded - profile photo, review photos/videos (current and edited out), chat attachments
+// and owned business images, plus its data export archives
+const collectMedia = async (user, businesses) => {
+  const assets = [];
+  const add = (publicId, resourceType = 'image') => {
+    if (publicId) assets.push({ publicId, resourceType });
+  };
+
+  add(getCloudinaryPublicId(user.profileImage));
+
+  const reviews = await Review.find({ user: user._id }).select('images videos').lean();
+  reviews.forEach(review => {
+    (review.images || []).forEach(image => add(image.publicId || getCloudinaryPublicId(image.url)));
+    (review.videos || []).forEach(video => add(video.publicId || getCloudinaryPublicId(video.url), 'video'));
+  });
+
+  // Photos and videos that were swapped out of a review are still listed in its edit history
+  const revisions = await ReviewRevision.find({ user: user._id, 'changes.field': { $in: ['images', 'videos'] } }).select('changes').lean();
+  revisions.forEach(revision => revision.changes.forEach(change => {
+    if (change.field !== 'images' && change.field !== 'videos') return;
+    [...(change.from || []), ...(change.to || [])].forEach(media =>
+      add(media.publicId || getCloudinaryPublicId(media.url), change.field === 'videos' ? 'video' : 'image')
+    );
+  }));
+
+  const attachments = await Chat.find({ sender: user._id, fileUrl: { $ne: null } }).select('fileUrl messageType').lean();
+  attachments.forEach(chat => add(getCloudinaryPublicId(chat.fileUrl), chat.messageType === 'image' ? 'image' : 'raw'));
+
+  businesses.forEach(business => {
+    add(business.logo?.publicId);
+    add(business.coverImage?.publicId);
+    (business.images || []).forEach(image => add(image.publicId));
+  });
+
+  // Data export archives that haven't expired yet
+  const dataExports = await DataExport.find({ user: user._id, status: 'ready' }).select('publicId').lean();
+  dataExports.forEach(dataExport => {
+    if (dataExport.publicId) assets.push({ publicId: dataExport.publicId, resourceType: 'raw', type: 'authenticated' });
+  });
+
+  // The same asset can appear more than once (e.g. reused in a review)
+  return [...new Map(assets.map(asset => [`${asset.resourceType}:${asset.publicId}`, asset])).values()];
+};
+
+/**
+ * Permanently delete an account whose grace period is over
+ * Reviews are kept but attributed to a nameless placeholder; chats, coupons, notifications,
+ * support tickets, owned businesses and uploaded media are removed. Writes a DeletionReceipt.
+ * @param {Object} account - User document (status inactive, deletionScheduledFor in the past)
+ * @returns {Promise<Object|null>} Receipt, or null if the account was restored or purged by another run
+ */
+const purgeAccount = async (account) => {
+  const now = new Date();
+
+  // Claim the account - a sign-in at the last moment or another purge run wins the race cleanly.
+  // A purge that was interrupted part way is picked up again once its claim is an hour old.
+  const user = await User.findOneAndUpdate(
+    {
+      _id: account._id,
+      deletionScheduledFor: { $ne: null, $lte: now },
+      $or: [
+        { status: 'inactive' },
+        { status: 'deleted', deletedAt: { $lte: new Date(now.getTime() - PURGE_CLAIM_MINUTES * 60 * 1000) } }
+      ]
+    },
+    { $set: { status: 'deleted', deletedAt: now } },
+    { new: true }
+  );
+  if (!user) return null;
+
+  const businesses = await Business.find({ owner: user._id }).select('logo coverImage images').lean();
+  const businessIds = businesses.map(business => business._id);
+
+  const media = await deleteMedia(await collectMedia(user, businesses));
+
+  const reviews = await Review.updateMany(
+    { user: user._id },
+    { $set: { images: [], videos: [] }, $unset: { 'securityMetadata.deviceFingerprint': 1 } }
+  );
+  await Review.updateMany({ helpful: user._id }, { $pull: { helpful: user._id } });
+  // Earlier versions of the reviews would undo the anonymizing
+  await ReviewRevision.deleteMany({ user: user._id });
+
+  const chats = await Chat.deleteMany({ $or: [{ sender: user._id }, { receiver: user._id }] });
+  const coupons = await Coupon.deleteMany({ user: user._id });
+  const notifications = await Notification.deleteMany({ sentTo: user._id });
+  const tickets = await SupportTicket.deleteMany({ user: user._id });
+
+  await BusinessStaff.deleteMany({ $or: [{ user: user._id }, { business: { $in: businessIds } }] });
+  await ApiKey.updateMany({ business: { $in: businessIds }, revokedAt: null }, { revokedAt: now });
+  const deletedBusinesses = await Business.deleteMany({ _id: { $in: businessIds } });
+
+  await Session.deleteMany({ user: user._id });
+  await KnownDevice.deleteMany({ user: user._id });
+  await DataExport.deleteMany({ user: user._id });
+
+  // Counts add up across runs if an interrupted purge is picked up again
+  const receipt = await DeletionReceipt.findOneAndUpdate(
+    { user: user._id },
+    {
+      $set: {
+        emailHash: crypto.createHash('sha256').update(user.email.toLowerCase()).digest('hex'),
+        roles: user.getRoles(),
+        requestedAt: user.deletionRequestedAt,
+        scheduledFor: user.deletionScheduledFor,
+        purgedAt: now,
+        ...(media.failed.length > 0 && { status: 'completed_with_errors' })
+      },
+      $inc: {
+        reviewsAnonymized: reviews.modifiedCount,
+        chatsDeleted: chats.deletedCount,
+        couponsDeleted: coupons.deletedCount,
+        notificationsDeleted: notifications.deletedCount,
+        supportTicketsDeleted: tickets.deletedCount,
+        businessesDeleted: deletedBusinesses.deletedCount,
+        mediaDeleted: media.deleted
+      },
+      $push: { mediaFailed: { $each: media.failed } }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  // Strip the account down to a placeholder. updateOne skips validation - the
+  // stand-in email and phone only need to be unique, not deliverable.
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        name: FORMER_USER_NAME,
+        email: `deleted-${user._id}@deleted.hashview.invalid`,
+        phone: `deleted-${user._id}`,
+        passwordHash: crypto.randomBytes(32).toString('hex'),
+        role: 'customer',
+        roles: ['customer'],
+        businesses: [],
+        pushToken: null,
+        emailVerified: false,
+        phoneVerified: false,
+        'settings.twoFactorAuth': false
+      },
+      $unset: {
+        profileImage: 1,
+        deletionScheduledFor: 1,
+        address: 1,
+        location: 1,
+        adminRoles: 1,
+        legacyIds: 1,
+        twoFactor: 1,
+        resetPasswordToken: 1,
+        resetPasswordExpire: 1,
+        emailVerificationToken: 1,
+        emailVerificationExpire: 1,
+        lastLogin: 1
+      }
+    }
+  );
+
+  logger.info(`🗑️  Purged account ${user._id} (receipt ${receipt._id}, ${media.deleted} media deleted, ${media.failed.length} failed)`);
+  return receipt;
+};
+
+/**
+ * Purge every account whose grace period has ended (cron job)
+ */
+const purgeDueAccounts = async () => {
+  try {
+    // 'deleted' with a deletion date still set means an earlier purge didn't finish
+    const due = await User.find({
+      status: { $in: ['inactive', 'deleted'] },
+      deletionScheduledFor: { $ne: null, $lte: new Date() }
+    }).select('_id');
+
+    if (due.length === 0) {
+      return;
+    }
+
+    logger.info(`🗑️  Purging ${due.length} account(s) past their deletion date...`);
+
+    let purged = 0;
+    for (const account of due) {
+      try {
+        if (await purgeAccount(account)) purged++;
+      } catch (error) {
+        logger.error(`❌ Failed to purge account ${account._id}:`, error);
+      }
+    }
+
+    logger.info(`✅ Account purge job completed. Purged: ${purged}/${due.length}`);
+  } catch (error) {
+    logger.error('❌ Error in account purge job:', error);
+  }
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  FORMER_USER_NAME,
+  isDeletionPending,
+  getCloudinaryPublicId,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDueAccounts
+};
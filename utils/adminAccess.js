@@ -0,0 +1,108 @@
+// Admin sub-roles - an account with the 'admin' role holds one or more of these (User.adminRoles)
+const ADMIN_ROLES = ['super_admin', 'moderator', 'support', 'kyc_reviewer', 'finance'];
+
+// Every capability an admin route can require
+const ADMIN_PERMISSIONS = [
+  'dashboard:view',
+  'users:view',
+  'users:manage',
+  'users:unlock',
+  'users:verify',
+  'users:delete',
+  'users:impersonate',
+  'businesses:view',
+  'businesses:manage',
+  'businesses:kyc',
+  'businesses:delete',
+  'reviews:view',
+  'reviews:moderate',
+  'ratings:rebuild',
+  'fraud:view',
+  'fraud:manage',
+  'coupons:view',
+  'coupons:manage',
+  'suspensions:view',
+  'suspensions:manage',
+  'support:tickets',
+  'categories:manage',
+  'notifications:broadcast',
+  'uploads:view',
+  'admins:manage'
+];
+
+// What each admin sub-role can do - super_admin can do everything
+const ADMIN_ROLE_PERMISSIONS = {
+  moderator: [
+    'dashboard:view',
+    'users:view',
+    'businesses:view',
+    'reviews:view',
+    'reviews:moderate',
+    'fraud:view',
+    'fraud:manage',
+    'suspensions:view'
+  ],
+  support: [
+    'dashboard:view',
+    'users:view',
+    'users:unlock',
+    'users:verify',
+    'businesses:view',
+    'reviews:view',
+    'suspensions:view',
+    'support:tickets'
+  ],
+  kyc_reviewer: [
+    'dashboard:view',
+    'businesses:view',
+    'businesses:kyc'
+  ],
+  finance: [
+    'dashboard:view',
+    'businesses:view',
+    'coupons:view',
+    'coupons:manage'
+  ]
+};
+
+/**
+ * Admin sub-roles an account holds
+ * Admins from before sub-roles existed (no adminRoles set) keep full access as super_admin.
+ * @param {Object} user - User document
+ * @returns {Array<String>}
+ */
+const getAdminRoles = (user) => {
+  if (!user || typeof user.hasRole !== 'function' || !user.hasRole('admin')) return [];
+  return user.adminRoles && user.adminRoles.length > 0 ? [...user.adminRoles] : ['super_admin'];
+};
+
+/**
+ * Every permission an account's admin sub-roles grant
+ * @param {Object} user - User document
+ * @returns {Array<String>}
+ */
+const getAdminPermissions = (user) => {
+  const roles = getAdminRoles(user);
+  if (roles.includes('super_admin')) return [...ADMIN_PERMISSIONS];
+
+  return ADMIN_PERMISSIONS.filter(permission =>
+    roles.some(role => (ADMIN_ROLE_PERMISSIONS[role] || []).includes(permission))
+  );
+};
+
+/**
+ * Check whether an account may use an admin capability
+ * @param {Object} user - User document
+ * @param {String} permission - e.g. 'businesses:delete'
+ * @returns {Boolean}
+ */
+const hasAdminPermission = (user, permission) => getAdminPermissions(user).includes(permission);
+
+module.exports = {
+  ADMIN_ROLES,
+  ADMIN_PERMISSIONS,
+  ADMIN_ROLE_PERMISSIONS,
+  getAdminRoles,
+  getAdminPermissions,
+  hasAdminPermission
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// What a business API key can be allowed to do
+const API_KEY_SCOPES = ['coupons:verify', 'coupons:redeem', 'reviews:read'];
+
+// Keys look like hv_live_<48 hex chars>; the prefix makes leaked keys easy to spot in code and logs
+const API_KEY_PREFIX = 'hv_live_';
+const API_KEY_PATTERN = /^hv_live_[a-f0-9]{48}$/;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Generate a new API key
+ * The full key is only shown to the owner once - we keep its hash and a short prefix.
+ * @returns {Object} { key, keyHash, prefix }
+ */
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return {
+    key,
+    keyHash: hashApiKey(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6)
+  };
+};
+
+/**
+ * API key sent with a request - `X-API-Key: <key>` or `Authorization: ApiKey <key>`
+ * @param {Object} req - Express request
+ * @returns {String|null}
+ */
+const extractApiKey = (req) => {
+  const header = req.headers['x-api-key'];
+  if (typeof header === 'string' && header.trim()) {
+    return header.trim();
+  }
+
+  const authorization = req.headers.authorization;
+  if (typeof authorization === 'string' && /^ApiKey\s+/i.test(authorization)) {
+    return authorization.replace(/^ApiKey\s+/i, '').trim() || null;
+  }
+
+  return null;
+};
+
+/**
+ * Check a key looks like one of ours before touching the database
+ * @param {String} key
+ * @returns {Boolean}
+ */
+const isWellFormedApiKey = (key) => typeof key === 'string' && API_KEY_PATTERN.test(key);
+
+/**
+ * Check whether a key can still be used
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Boolean}
+ */
+const isApiKeyActive = (apiKey) => {
+  if (!apiKey || apiKey.revokedAt) return false;
+  return !apiKey.expiresAt || new Date(apiKey.expiresAt).getTime() > Date.now();
+};
+
+/**
+ * Check whether a key has been granted a scope
+ * @param {Object} apiKey - ApiKey document
+ * @param {String} scope - e.g. 'coupons:redeem'
+ * @returns {Boolean}
+ */
+const hasApiKeyScope = (apiKey, scope) => Array.isArray(apiKey?.scopes) && apiKey.scopes.includes(scope);
+
+module.exports = {
+  API_KEY_SCOPES,
+  hashApiKey,
+  generateApiKey,
+  extractApiKey,
+  isWellFormedApiKey,
+  isApiKeyActive,
+  hasApiKeyScope
+};
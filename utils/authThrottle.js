@@ -0,0 +1,169 @@
+const User = require('../models/User.model');
+const SuspiciousActivity = require('../models/SuspiciousActivity.model');
+const { getStore, normalizeIdentifier } = require('./otp');
+const { sendEmail } = require('./emailService');
+const logger = require('./logger');
+
+// Failed sign-in attempts are counted per email/phone over this window
+const AUTH_FAILURE_WINDOW_MINUTES = parseInt(process.env.AUTH_FAILURE_WINDOW_MINUTES) || 15;
+// Responses start slowing down after this many failures...
+const AUTH_DELAY_AFTER_FAILURES = parseInt(process.env.AUTH_DELAY_AFTER_FAILURES) || 3;
+// ...doubling each time, up to this
+const AUTH_MAX_DELAY_SECONDS = parseInt(process.env.AUTH_MAX_DELAY_SECONDS) || 8;
+// The account is locked after this many failures
+const ACCOUNT_LOCKOUT_THRESHOLD = parseInt(process.env.ACCOUNT_LOCKOUT_THRESHOLD) || 10;
+const ACCOUNT_LOCKOUT_MINUTES = parseInt(process.env.ACCOUNT_LOCKOUT_MINUTES) || 30;
+
+const failureKey = (identifier) => `auth:failures:${normalizeIdentifier(identifier)}`;
+
+/**
+ * Email or phone a sign-in request is for
+ * @param {Object} body - Request body
+ * @returns {String|null}
+ */
+const getAuthIdentifier = (body = {}) => {
+  const identifier = body.email || body.phone;
+  return typeof identifier === 'string' && identifier.trim() ? normalizeIdentifier(identifier) : null;
+};
+
+/**
+ * How long to hold a response given the recent failures for an identifier
+ * @param {Number} failures
+ * @returns {Number} Milliseconds
+ */
+const getFailureDelayMs = (failures) => {
+  if (failures < AUTH_DELAY_AFTER_FAILURES) return 0;
+  return Math.min(1000 * 2 ** (failures - AUTH_DELAY_AFTER_FAILURES), AUTH_MAX_DELAY_SECONDS * 1000);
+};
+
+/**
+ * Recent failed attempts for an identifier
+ * @param {String} identifier - Email or phone
+ * @returns {Promise<Number>}
+ */
+const getFailureCount = async (identifier) => {
+  if (!identifier) return 0;
+  return getStore().count(failureKey(identifier));
+};
+
+/**
+ * Seconds until a locked account can sign in again (0 when not locked)
+ * @param {Object} user
+ * @returns {Number}
+ */
+const getLockoutRemainingSeconds = (user) => {
+  if (!user?.lockedUntil) return 0;
+  return Math.max(Math.ceil((new Date(user.lockedUntil).getTime() - Date.now()) / 1000), 0);
+};
+
+const findAccountByIdentifier = (identifier) => {
+  const value = normalizeIdentifier(identifier);
+  if (value.includes('@')) return User.findOne({ email: value });
+  // Phones are stored as entered - try both forms
+  return User.findOne({ phone: { $in: [...new Set([String(identifier).trim(), value])] } });
+};
+
+const sendLockoutEmail = async (user, lockedUntil) => {
+  await sendEmail({
+    to: user.email,
+    subject: 'Your HashView account has been temporarily locked',
+    html: `
+      <h2>Hi ${user.name},</h2>
+      <p>We noticed ${ACCOUNT_LOCKOUT_THRESHOLD} unsuccessful attempts to sign in to your HashView account,
+      so we've locked it for ${ACCOUNT_LOCKOUT_MINUTES} minutes to keep it safe.</p>
+
+      <p><strong>Locked until:</strong> ${lockedUntil.toUTCString()}</p>
+
+      <p>If this was you, wait until then and try again - or reset your password from the app's
+      "Forgot password" screen.</p>
+
+      <p>If it wasn't you, someone may be trying to guess your password. We recommend resetting it and
+      turning on two-factor authentication in your account settings.</p>
+    `
+  });
+};
+
+/**
+ * Lock an account after too many failures and tell the account holder
+ * Only the request that actually locks it sends the email.
+ * @param {String} identifier - Email or phone
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Locked account, or null if no account / already locked
+ */
+const lockAccount = async (identifier, req) => {
+  const account = await findAccountByIdentifier(identifier);
+  if (!account) return null;
+
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + ACCOUNT_LOCKOUT_MINUTES * 60 * 1000);
+
+  const user = await User.findOneAndUpdate(
+    { _id: account._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedUntil, lockedAt: now }, $inc: { lockoutCount: 1 } },
+    { new: true }
+  );
+  if (!user) return null;
+
+  logger.warn(`🔒 Account ${user._id} locked for ${ACCOUNT_LOCKOUT_MINUTES} minutes after ${ACCOUNT_LOCKOUT_THRESHOLD} failed sign-in attempts`);
+
+  try {
+    await SuspiciousActivity.create({
+      userId: user._id,
+      eventType: 'ACCOUNT_LOCKED',
+      ipAddress: req.ip,
+      deviceId: req.get('x-device-id') || null,
+      metadata: { identifier: normalizeIdentifier(identifier), lockedUntil, lockoutCount: user.lockoutCount }
+    });
+  } catch (error) {
+    logger.error('Failed to persist suspicious activity:', error);
+  }
+
+  try {
+    await sendLockoutEmail(user, lockedUntil);
+  } catch (error) {
+    logger.error(`Failed to send lockout email to user ${user._id}:`, error);
+  }
+
+  return user;
+};
+
+/**
+ * Count a failed sign-in attempt, locking the account once the threshold is reached
+ * @param {String} identifier - Email or phone
+ * @param {Object} req - Express request
+ * @returns {Promise<Number>} Failures in the current window
+ */
+const recordAuthFailure = async (identifier, req) => {
+  if (!identifier) return 0;
+
+  const failures = await getStore().increment(failureKey(identifier), AUTH_FAILURE_WINDOW_MINUTES * 60);
+
+  if (failures >= ACCOUNT_LOCKOUT_THRESHOLD) {
+    await lockAccount(identifier, req);
+    // Start counting again once the lockout is over
+    await getStore().del(failureKey(identifier));
+  }
+
+  return failures;
+};
+
+/**
+ * Forget failures after a successful sign-in (or an admin unlock)
+ * @param {String} identifier - Email or phone
+ */
+const clearAuthFailures = async (identifier) => {
+  if (!identifier) return;
+  await getStore().del(failureKey(identifier));
+};
+
+module.exports = {
+  AUTH_FAILURE_WINDOW_MINUTES,
+  ACCOUNT_LOCKOUT_THRESHOLD,
+  ACCOUNT_LOCKOUT_MINUTES,
+  getAuthIdentifier,
+  getFailureDelayMs,
+  getFailureCount,
+  getLockoutRemainingSeconds,
+  recordAuthFailure,
+  clearAuthFailures
+};
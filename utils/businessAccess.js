@@ -0,0 +1,85 @@
+const Business = require('../models/Business.model');
+const BusinessStaff = require('../models/BusinessStaff.model');
+const { hasAdminPermission } = require('./adminAccess');
+
+const STAFF_ROLES = ['manager', 'cashier', 'marketer'];
+
+// What each business role can do - the owner (and admins) can do everything
+const ROLE_PERMISSIONS = {
+  manager: [
+    'coupons:view',
+    'coupons:manage',
+    'coupons:redeem',
+    'updates:manage',
+    'dashboard:view',
+    'reviews:reply',
+    'staff:view',
+    'visits:display'
+  ],
+  cashier: ['coupons:redeem', 'visits:display'],
+  marketer: [
+    'coupons:view',
+    'coupons:manage',
+    'updates:manage',
+    'dashboard:view'
+  ]
+};
+
+/**
+ * Check whether a business role grants a permission
+ * @param {String} role - owner | admin | manager | cashier | marketer
+ * @param {String} permission - e.g. 'coupons:redeem'
+ * @returns {Boolean}
+ */
+const hasBusinessPermission = (role, permission) => {
+  if (role === 'owner' || role === 'admin') return true;
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Resolve a user's role on a business and check a permission
+ * @param {Object|String} businessOrId - Business document (with owner) or ID
+ * @param {Object} user - req.user
+ * @param {String} permission - Permission required (optional)
+ * @returns {Promise<Object|null>} { business, role, staff } or null if not allowed
+ */
+const getBusinessAccess = async (businessOrId, user, permission = null) => {
+  if (!businessOrId || !user) return null;
+
+  const business = businessOrId.owner
+    ? businessOrId
+    : await Business.findById(businessOrId._id || businessOrId);
+
+  if (!business) return null;
+
+  const userId = (user._id || user.id).toString();
+  const ownerId = (business.owner._id || business.owner).toString();
+
+  let role = null;
+  let staff = null;
+
+  if (ownerId === userId) {
+    role = 'owner';
+  } else if (hasAdminPermission(user, 'businesses:manage')) {
+    role = 'admin';
+  } else {
+    staff = await BusinessStaff.findOne({
+      business: business._id,
+      user: userId,
+      status: 'active'
+    });
+    role = staff ? staff.role : null;
+  }
+
+  if (!role) return null;
+  if (permission && !hasBusinessPermission(role, permission)) return null;
+
+  return { business, role, staff };
+};
+
+module.exports = {
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  hasBusinessPermission,
+  getBusinessAccess
+};
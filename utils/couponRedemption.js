@@ -0,0 +1,141 @@
+const Coupon = require('../models/Coupon.model');
+const User = require('../models/User.model');
+const { isEmailVerificationRequired } = require('./emailVerification');
+const logger = require('./logger');
+
+/**
+ * Conditions a coupon must meet at the moment it is redeemed
+ * Used as the filter of a single findOneAndUpdate, so the check and the write are atomic.
+ * @param {String} type - 'review_reward' or 'business'
+ * @param {Date} now
+ * @returns {Object} Mongo filter (without _id)
+ */
+const buildRedeemableFilter = (type, now = new Date()) => {
+  const filter = {
+    type,
+    isActive: { $ne: false },
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+      { $or: [{ validUntil: null }, { validUntil: { $gt: now } }] }
+    ]
+  };
+
+  if (type === 'review_reward') {
+    // Single-use: only an active coupon can move to redeemed
+    filter.status = 'active';
+  } else {
+    // Multi-use template: stay under the usage limit
+    filter.status = { $nin: ['inactive', 'cancelled', 'expired'] };
+    filter.$and.push({
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    });
+  }
+
+  return filter;
+};
+
+// Work out why a coupon could not be redeemed (after the atomic update matched nothing)
+const getRejection = async (couponId, now) => {
+  const coupon = await Coupon.findById(couponId);
+
+  if (!coupon) {
+    return { status: 404, message: 'Coupon not found' };
+  }
+
+  const summary = {
+    _id: coupon._id,
+    code: coupon.code,
+    status: coupon.status,
+    redeemedAt: coupon.redeemedAt,
+    validUntil: coupon.validUntil
+  };
+
+  if (coupon.status === 'redeemed') {
+    return { status: 400, message: 'This coupon has already been redeemed', coupon: summary };
+  }
+
+  if (coupon.status === 'expired' || (coupon.validUntil && now > coupon.validUntil)) {
+    // Auto-expire if not already expired
+    if (coupon.status === 'active' && coupon.type === 'review_reward') {
+      await Coupon.updateOne({ _id: coupon._id, status: 'active' }, { status: 'expired' });
+      summary.status = 'expired';
+    }
+    return { status: 400, message: 'This coupon has expired', coupon: summary };
+  }
+
+  if (coupon.type === 'business' && coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+    return { status: 400, message: 'This coupon has reached its usage limit', coupon: summary };
+  }
+
+  return { status: 400, message: 'This coupon is not valid', coupon: summary };
+};
+
+/**
+ * Redeem a coupon in a single conditional update
+ * Two tills scanning the same coupon at the same time can't both succeed.
+ * @param {Object} coupon - Coupon document (used for its _id and type)
+ * @param {Object} redeemer - { redeemedBy, redeemedByModel, redeemedByRole, redeemedByStaff, redeemedByApiKey }
+ * @returns {Promise<Object>} { coupon } on success, { error: { status, message, coupon } } otherwise
+ */
+const redeemCouponAtomically = async (coupon, redeemer = {}) => {
+  // Review rewards are only paid out to customers with a verified email
+  if (coupon.type === 'review_reward' && coupon.user && isEmailVerificationRequired()) {
+    const holder = await User.findById(coupon.user._id || coupon.user).select('emailVerified');
+    if (holder && !holder.emailVerified) {
+      return {
+        error: {
+          status: 403,
+          message: 'The customer needs to verify their email address before this reward can be redeemed'
+        }
+      };
+    }
+  }
+
+  const now = new Date();
+  const redemption = {
+    redeemedAt: now,
+    redeemedBy: redeemer.redeemedBy,
+    redeemedByModel: redeemer.redeemedByModel || 'User',
+    redeemedByRole: redeemer.redeemedByRole || null,
+    redeemedByStaff: redeemer.redeemedByStaff || null,
+    redeemedByApiKey: redeemer.redeemedByApiKey || null
+  };
+
+  const update = coupon.type === 'review_reward'
+    ? { $set: { status: 'redeemed', ...redemption } }
+    : { $set: redemption, $inc: { usageCount: 1 } };
+
+  const redeemed = await Coupon.findOneAndUpdate(
+    { _id: coupon._id, ...buildRedeemableFilter(coupon.type, now) },
+    update,
+    { new: true }
+  );
+
+  if (!redeemed) {
+    return { error: await getRejection(coupon._id, now) };
+  }
+
+  // Count the redemption against the template the reward was issued from (even if another is active now).
+  // Rewards issued before coupons recorded their template can't be attributed and are not counted.
+  if (redeemed.type === 'review_reward' && redeemed.template) {
+    const template = await Coupon.findByIdAndUpdate(
+      redeemed.template,
+      { $inc: { redemptionCount: 1 } },
+      { new: true }
+    );
+
+    if (template) {
+      logger.info(`🎟️  Template ${template._id} redemptions: ${template.redemptionCount}/${template.redemptionLimit || '∞'}`);
+    }
+  }
+
+  return { coupon: redeemed };
+};
+
+module.exports = {
+  buildRedeemableFilter,
+  redeemCouponAtomically
+};
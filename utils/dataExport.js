@@ -0,0 +1,371 @@
+const User = require('../models/User.model');
+const Review = require('../models/Review.model');
+const Coupon = require('../models/Coupon.model');
+const Notification = require('../models/Notification.model');
+const Chat = require('../models/Chat.model');
+const SupportTicket = require('../models/SupportTicket.model');
+const Session = require('../models/Session.model');
+const Business = require('../models/Business.model');
+const BusinessUpdate = require('../models/BusinessUpdate.model');
+const DataExport = require('../models/DataExport.model');
+const { cloudinary } = require('../config/cloudinary');
+const { createZipArchive } = require('./zipArchive');
+const { sendEmail } = require('./emailService');
+const { generateDataExportToken } = require('./jwt');
+const logger = require('./logger');
+
+// Exports a user can request per window
+const DATA_EXPORT_LIMIT = parseInt(process.env.DATA_EXPORT_LIMIT) || 3;
+const DATA_EXPORT_WINDOW_HOURS = parseInt(process.env.DATA_EXPORT_WINDOW_HOURS) || 24;
+// How long the download link works before the archive is removed
+const DATA_EXPORT_LINK_TTL_HOURS = parseInt(process.env.DATA_EXPORT_LINK_TTL_HOURS) || 72;
+// Export builds that fail are retried by the queue job up to this many times
+const DATA_EXPORT_MAX_ATTEMPTS = 3;
+// A build still "processing" after this long is assumed to have died with its server
+const DATA_EXPORT_STALE_MINUTES = 30;
+
+// Never exported - credentials and one-time tokens
+const PROFILE_SECRET_FIELDS = [
+  'passwordHash',
+  'legacyIds',
+  'twoFactor',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'emailVerificationToken',
+  'emailVerificationExpire',
+  'sessionsInvalidatedAt'
+];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Flatten a record into dot-notation columns (arrays are kept as JSON)
+ * @param {Object} record - Plain object (already JSON-safe)
+ * @param {String} prefix
+ * @returns {Object}
+ */
+const flattenRecord = (record, prefix = '') => {
+  const flat = {};
+
+  Object.entries(record || {}).forEach(([key, value]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenRecord(value, column));
+    } else {
+      flat[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  });
+
+  return flat;
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render records as CSV - one column per field found in any record
+ * @param {Array<Object>} records - Plain objects
+ * @returns {String}
+ */
+const toCsv = (records) => {
+  const rows = records.map(record => flattenRecord(record));
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  if (columns.length === 0) return '';
+
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => escapeCsvValue(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Files that go in the archive - everything in data.json, and a CSV per section
+ * @param {Object} sections - { profile: {...}, reviews: [...], ... } (plain, JSON-safe)
+ * @param {Date} generatedAt
+ * @returns {Array<Object>} [{ name, content }]
+ */
+const buildExportFiles = (sections, generatedAt = new Date()) => {
+  const files = [{
+    name: 'data.json',
+    content: JSON.stringify({ generatedAt: generatedAt.toISOString(), ...sections }, null, 2)
+  }];
+
+  Object.entries(sections).forEach(([section, data]) => {
+    files.push({ name: `csv/${section}.csv`, content: toCsv(Array.isArray(data) ? data : [data]) });
+  });
+
+  files.push({
+    name: 'README.txt',
+    content: [
+      'Your HashView data',
+      `Generated: ${generatedAt.toUTCString()}`,
+      '',
+      'data.json      Everything we hold about your account, in one machine-readable file',
+      'csv/           The same data as spreadsheets, one file per section:',
+      ...Object.keys(sections).map(section => `                - ${section}.csv`),
+      '',
+      'Photos and videos are listed in media.csv with links to the original files.'
+    ].join('\r\n')
+  });
+
+  return files;
+};
+
+// Make Mongoose documents plain JSON (ObjectIds and dates as strings)
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Gather everything held about an account
+ * @param {String} userId
+ * @returns {Promise<Object>} Sections, keyed by name
+ */
+const collectUserData = async (userId) => {
+  const profile = await User.findById(userId).lean();
+  if (!profile) throw new Error('Account not found');
+  PROFILE_SECRET_FIELDS.forEach(field => delete profile[field]);
+
+  const [reviews, coupons, notifications, chats, supportTickets, sessions] = await Promise.all([
+    // Fraud scoring internals stay out of the export
+    Review.find({ user: userId })
+      .select('-securityMetadata.riskSignals -securityMetadata.riskScore -securityMetadata.riskThreshold')
+      .populate('business', 'name')
+      .lean(),
+    Coupon.find({ user: userId }).select('-qrCodeData').populate('business', 'name').lean(),
+    Notification.find({ sentTo: userId }).select('-expoTicketId').lean(),
+    Chat.find({ $or: [{ sender: userId }, { receiver: userId }] })
+      .populate('sender receiver', 'name')
+      .sort({ createdAt: 1 })
+      .lean(),
+    SupportTicket.find({ user: userId }).lean(),
+    Session.find({ user: userId }).lean()
+  ]);
+
+  const media = [];
+  if (profile.profileImage) media.push({ source: 'profile', url: profile.profileImage });
+  reviews.forEach(review => {
+    (review.images || []).forEach(image => media.push({ source: 'review', reviewId: review._id, type: 'image', url: image.url }));
+    (review.videos || []).forEach(video => media.push({ source: 'review', reviewId: review._id, type: 'video', url: video.url }));
+  });
+  chats.filter(chat => chat.fileUrl && String(chat.sender?._id) === String(userId))
+    .forEach(chat => media.push({ source: 'chat', chatId: chat._id, type: chat.messageType, url: chat.fileUrl }));
+
+  const sections = { profile, reviews, coupons, notifications, chats, supportTickets, sessions, media };
+
+  // Business owners also get their businesses, posted updates and redemption history
+  const businesses = await Business.find({ owner: userId }).lean();
+  if (businesses.length > 0) {
+    const businessIds = businesses.map(business => business._id);
+
+    const [businessUpdates, redemptions] = await Promise.all([
+      BusinessUpdate.find({ business: { $in: businessIds } }).lean(),
+      // Redemption details only - the customers' own data isn't part of this export
+      Coupon.find({ business: { $in: businessIds }, redeemedAt: { $ne: null } })
+        .select('business code type status redeemedAt redeemedByRole usageCount redemptionCount')
+        .sort({ redeemedAt: -1 })
+        .lean()
+    ]);
+
+    businesses.forEach(business => {
+      [business.logo, business.coverImage, ...(business.images || [])]
+        .filter(image => image?.url)
+        .forEach(image => media.push({ source: 'business', businessId: business._id, type: 'image', url: image.url }));
+    });
+
+    Object.assign(sections, { businesses, businessUpdates, redemptions });
+  }
+
+  return plain(sections);
+};
+
+// Store the archive where only a signed URL can reach it
+const uploadArchive = (buffer, publicId) => {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { resource_type: 'raw', type: 'authenticated', public_id: publicId, overwrite: true },
+      (error, result) => (error ? reject(error) : resolve(result))
+    );
+    stream.end(buffer);
+  });
+};
+
+/**
+ * Link for downloading an export (works until the export expires)
+ * @param {Object} dataExport - DataExport document
+ * @returns {String}
+ */
+const buildDownloadUrl = (dataExport) => {
+  const token = generateDataExportToken(dataExport.user, dataExport._id, dataExport.expiresAt);
+  return `${process.env.BACKEND_URL || ''}/api/users/data-exports/${dataExport._id}/download?token=${token}`;
+};
+
+/**
+ * Short-lived Cloudinary URL for the archive itself (the download endpoint redirects here)
+ * @param {Object} dataExport - DataExport document
+ * @returns {String}
+ */
+const getArchiveUrl = (dataExport) => {
+  return cloudinary.utils.private_download_url(dataExport.publicId, '', {
+    resource_type: 'raw',
+    type: 'authenticated',
+    attachment: true,
+    expires_at: Math.floor(Date.now() / 1000) + 60
+  });
+};
+
+const sendExportReadyEmail = async (user, dataExport) => {
+  const downloadUrl = buildDownloadUrl(dataExport);
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Your HashView data export is ready',
+    html: `
+      <h2>Hi ${user.name},</h2>
+      <p>The copy of your HashView data you asked for is ready to download.</p>
+
+      <p><a href="${downloadUrl}" style="background-color: #4F46E5; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none;">Download my data</a></p>
+
+      <p>The ZIP file contains your data as JSON (for moving it to another service) and as CSV spreadsheets.</p>
+
+      <p style="color: #6b7280; font-size: 12px;">The link expires on ${dataExport.expiresAt.toUTCString()}.
+      If you didn't ask for this export, please change your password and contact support.</p>
+    `
+  });
+};
+
+/**
+ * Check an account may request another export
+ * @param {String} userId
+ * @returns {Promise<Object>} {} or { error: { status, message, retryAfter } }
+ */
+const checkExportAllowed = async (userId) => {
+  const inProgress = await DataExport.exists({ user: userId, status: { $in: ['pending', 'processing'] } });
+  if (inProgress) {
+    return { error: { status: 409, message: 'Your previous export is still being prepared - we\'ll email you when it\'s ready' } };
+  }
+
+  const windowStart = new Date(Date.now() - DATA_EXPORT_WINDOW_HOURS * 60 * 60 * 1000);
+  const recent = await DataExport.find({ user: userId, createdAt: { $gte: windowStart } })
+    .sort({ createdAt: 1 })
+    .select('createdAt')
+    .lean();
+
+  if (recent.length >= DATA_EXPORT_LIMIT) {
+    const retryAfter = Math.ceil((recent[0].createdAt.getTime() - windowStart.getTime()) / 1000);
+    return {
+      error: {
+        status: 429,
+        message: `You can request up to ${DATA_EXPORT_LIMIT} data exports every ${DATA_EXPORT_WINDOW_HOURS} hours`,
+        retryAfter
+      }
+    };
+  }
+
+  return {};
+};
+
+/**
+ * Build an export's archive, store it and email the download link
+ * Safe to call more than once - only one caller can claim a pending export.
+ * @param {String} exportId
+ * @returns {Promise<Object|null>} The finished export, or null if someone else has it
+ */
+const processDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!dataExport) return null;
+
+  try {
+    const sections = await collectUserData(dataExport.user);
+    const generatedAt = new Date();
+    const archive = createZipArchive(buildExportFiles(sections, generatedAt), generatedAt);
+
+    const publicId = `hashview/exports/${dataExport.user}/${dataExport._id}.zip`;
+    await uploadArchive(archive, publicId);
+
+    dataExport.status = 'ready';
+    dataExport.publicId = publicId;
+    dataExport.fileSize = archive.length;
+    dataExport.counts = Object.fromEntries(
+      Object.entries(sections).map(([section, data]) => [section, Array.isArray(data) ? data.length : 1])
+    );
+    dataExport.completedAt = generatedAt;
+    dataExport.expiresAt = new Date(generatedAt.getTime() + DATA_EXPORT_LINK_TTL_HOURS * 60 * 60 * 1000);
+    dataExport.error = null;
+    await dataExport.save();
+
+    logger.info(`📦 Data export ${dataExport._id} ready for user ${dataExport.user} (${archive.length} bytes)`);
+
+    const user = await User.findById(dataExport.user).select('name email');
+    try {
+      await sendExportReadyEmail(user, dataExport);
+    } catch (error) {
+      logger.error(`Failed to send data export email for export ${dataExport._id}:`, error);
+    }
+
+    return dataExport;
+  } catch (error) {
+    // Back in the queue for another go, unless it has failed too often
+    const retry = dataExport.attempts < DATA_EXPORT_MAX_ATTEMPTS;
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { status: retry ? 'pending' : 'failed', error: error.message }
+    );
+    logger.error(`❌ Data export ${dataExport._id} failed (attempt ${dataExport.attempts}):`, error);
+    return null;
+  }
+};
+
+/**
+ * Queue job - retry exports that failed or whose server died mid-build, and remove expired archives
+ */
+const processDataExportQueue = async () => {
+  const now = new Date();
+
+  // Builds left "processing" by a server that went away go back in the queue
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lt: new Date(now.getTime() - DATA_EXPORT_STALE_MINUTES * 60 * 1000) } },
+    { status: 'pending' }
+  );
+
+  // New requests are built straight away - only pick up ones that have waited a while
+  const pending = await DataExport.find({
+    status: 'pending',
+    updatedAt: { $lt: new Date(now.getTime() - 2 * 60 * 1000) }
+  }).select('_id').limit(10);
+
+  for (const { _id } of pending) {
+    await processDataExport(_id);
+  }
+
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: now } });
+  for (const dataExport of expired) {
+    try {
+      await cloudinary.uploader.destroy(dataExport.publicId, { resource_type: 'raw', type: 'authenticated', invalidate: true });
+      dataExport.status = 'expired';
+      await dataExport.save();
+    } catch (error) {
+      logger.error(`Failed to remove expired data export ${dataExport._id}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  DATA_EXPORT_LIMIT,
+  DATA_EXPORT_WINDOW_HOURS,
+  DATA_EXPORT_LINK_TTL_HOURS,
+  flattenRecord,
+  toCsv,
+  buildExportFiles,
+  checkExportAllowed,
+  processDataExport,
+  processDataExportQueue,
+  buildDownloadUrl,
+  getArchiveUrl
+};
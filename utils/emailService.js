@@ -407,8 +407,49 @@ const sendPasswordResetEmail = async (to, otp, name = 'User') => {
   }
 };
 
+// Send a generic email (used for notifications from controllers)
+const sendEmail = async ({ to, subject, html }) => {
+  try {
+    const fromEmail = process.env.FROM_EMAIL || process.env.SMTP_USER || 'noreply@gmail.com';
+
+    if (useSendGridAPI) {
+      const response = await sendGridClient.send({
+        to,
+        from: {
+          email: fromEmail,
+          name: 'HashView'
+        },
+        subject,
+        html
+      });
+      logger.info(`✅ Email "${subject}" sent to ${to} via SendGrid API`);
+      return { messageId: response[0].headers['x-message-id'] || 'sent' };
+    }
+
+    if (!transporter) {
+      throw new Error('Email service is not configured');
+    }
+
+    const info = await transporter.sendMail({
+      from: {
+        name: 'HashView',
+        address: fromEmail
+      },
+      to,
+      subject,
+      html
+    });
+    logger.info(`✅ Email "${subject}" sent to ${to}`);
+    return info;
+  } catch (error) {
+    logger.error(`❌ Error sending email "${subject}":`, error);
+    throw error;
+  }
+};
+
 // Export functions
 module.exports = {
+  sendEmail,
   sendOTPEmail,
   sendPasswordResetEmail
 };
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const User = require('../models/User.model');
+const { sendEmail } = require('./emailService');
+const { getStore } = require('./otp');
+const logger = require('./logger');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const EMAIL_VERIFICATION_RESEND_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+// Reviews and reward redemption need a verified email (set EMAIL_VERIFICATION_REQUIRED=false to turn off)
+const isEmailVerificationRequired = () => process.env.EMAIL_VERIFICATION_REQUIRED !== 'false';
+
+// Phone sign-ups get a placeholder address until they add a real one
+const isPlaceholderEmail = (email) => /@hashview\.temp$/i.test(email || '');
+
+const hashVerificationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// The app/website page when configured, otherwise the API's own page
+const buildVerificationUrl = (token) => {
+  if (process.env.EMAIL_VERIFICATION_URL) {
+    return `${process.env.EMAIL_VERIFICATION_URL}?token=${token}`;
+  }
+  return `${process.env.BACKEND_URL || ''}/api/auth/verify-email?token=${token}`;
+};
+
+/**
+ * Issue a verification link for an account and email it
+ * A new link replaces any earlier one. The token itself is only ever in the email - the account stores its hash.
+ * @param {Object} user - User document
+ * @param {Object} options - { force: skip the resend cooldown (signup) }
+ * @returns {Promise<Object>} { sent, expiresAt } or { error: { status, message, retryAfter } }
+ */
+const sendVerificationEmail = async (user, options = {}) => {
+  if (user.emailVerified) {
+    return { error: { status: 400, message: 'Email is already verified' } };
+  }
+
+  if (isPlaceholderEmail(user.email)) {
+    return { error: { status: 400, message: 'Please add an email address to your account first' } };
+  }
+
+  const cooldownKey = `verification:cooldown:${user._id}`;
+  if (!options.force && !(await getStore().setIfAbsent(cooldownKey, 1, EMAIL_VERIFICATION_RESEND_SECONDS))) {
+    const retryAfter = await getStore().ttl(cooldownKey);
+    return {
+      error: {
+        status: 429,
+        message: `Please wait ${retryAfter || EMAIL_VERIFICATION_RESEND_SECONDS} seconds before requesting another email`,
+        retryAfter: retryAfter || EMAIL_VERIFICATION_RESEND_SECONDS
+      }
+    };
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+  await User.updateOne(
+    { _id: user._id },
+    { emailVerificationToken: hashVerificationToken(token), emailVerificationExpire: expiresAt }
+  );
+
+  const verificationUrl = buildVerificationUrl(token);
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your HashView email address',
+    html: `
+      <h2>Welcome to HashView, ${user.name}!</h2>
+      <p>Please confirm this is your email address so you can post reviews and redeem rewards.</p>
+
+      <p><a href="${verificationUrl}" style="background-color: #4F46E5; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none;">Verify my email</a></p>
+
+      <p style="color: #6b7280; font-size: 12px;">Or paste this link into your browser: ${verificationUrl}</p>
+      <p style="color: #6b7280; font-size: 12px;">The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.
+      If you didn't create a HashView account, you can ignore this email.</p>
+    `
+  });
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`📧 Verification link for ${user.email}: ${verificationUrl}`);
+  }
+
+  return { sent: true, expiresAt };
+};
+
+/**
+ * Verify an email address from a link token (single use)
+ * @param {String} token
+ * @returns {Promise<Object>} { user } or { error: { status, message } }
+ */
+const verifyEmailToken = async (token) => {
+  if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+    return { error: { status: 400, message: 'Invalid or expired verification link' } };
+  }
+
+  const user = await User.findOneAndUpdate(
+    {
+      emailVerificationToken: hashVerificationToken(token),
+      emailVerificationExpire: { $gt: new Date() }
+    },
+    {
+      $set: { emailVerified: true },
+      $unset: { emailVerificationToken: 1, emailVerificationExpire: 1 }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    return { error: { status: 400, message: 'Invalid or expired verification link' } };
+  }
+
+  logger.info(`✅ Email verified for user ${user._id}`);
+  return { user };
+};
+
+module.exports = {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  isEmailVerificationRequired,
+  isPlaceholderEmail,
+  hashVerificationToken,
+  sendVerificationEmail,
+  verifyEmailToken
+};
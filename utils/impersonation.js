@@ -0,0 +1,120 @@
+const Impersonation = require('../models/Impersonation.model');
+const { generateImpersonationToken } = require('./jwt');
+const { hasAdminPermission } = require('./adminAccess');
+const logger = require('./logger');
+
+// Default and maximum lifetime of an impersonation token - there is no refresh token, so it just runs out
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+const IMPERSONATION_MAX_MINUTES = parseInt(process.env.IMPERSONATION_MAX_MINUTES) || 60;
+
+/**
+ * Check whether an admin may impersonate an account
+ * @param {Object} admin - Admin's User document
+ * @param {Object} target - Target User document (or null if not found)
+ * @returns {Object|null} { status, message } or null when allowed
+ */
+const getImpersonationError = (admin, target) => {
+  if (!target || target.status === 'deleted') {
+    return { status: 404, message: 'User not found' };
+  }
+
+  if (target._id.toString() === admin._id.toString()) {
+    return { status: 400, message: 'You cannot impersonate yourself' };
+  }
+
+  // Admin access is never handed out through an impersonation token
+  if (target.hasRole('admin')) {
+    return { status: 403, message: 'Admin accounts cannot be impersonated' };
+  }
+
+  if (target.status !== 'active') {
+    return { status: 400, message: 'Only active accounts can be impersonated' };
+  }
+
+  return null;
+};
+
+/**
+ * Issue an impersonation token for an account
+ * @param {Object} admin - Super admin's User document
+ * @param {Object} target - Account to act as
+ * @param {Object} options - { reason, userType, durationMinutes }
+ * @param {Object} req - Express request (IP and user agent for the record)
+ * @returns {Promise<Object>} { token, impersonation } or { error: { status, message } }
+ */
+const startImpersonation = async (admin, target, options, req) => {
+  const error = getImpersonationError(admin, target);
+  if (error) return { error };
+
+  const minutes = Math.min(options.durationMinutes || IMPERSONATION_TTL_MINUTES, IMPERSONATION_MAX_MINUTES);
+  const userType = target.resolveRole(options.userType) === 'business' ? 'business' : 'customer';
+
+  const impersonation = await Impersonation.create({
+    admin: admin._id,
+    user: target._id,
+    userType,
+    reason: options.reason,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+
+  const token = generateImpersonationToken(target._id, userType, impersonation._id, admin._id, minutes * 60);
+
+  logger.warn(`🎭 ${admin.email} started impersonating ${target.email} as ${userType} for ${minutes} minutes (${impersonation._id}): ${options.reason}`);
+
+  return { token, impersonation };
+};
+
+/**
+ * Load the impersonation behind a token, if it can still be used (called from protect)
+ * The admin must still be active and allowed to impersonate.
+ * @param {Object} decoded - Verified JWT payload with imp and act claims
+ * @param {Object} account - Account the token acts as
+ * @returns {Promise<Object|null>} Impersonation document (admin populated) or null
+ */
+const getActiveImpersonation = async (decoded, account) => {
+  if (!decoded.imp || !decoded.act?.sub) return null;
+
+  const impersonation = await Impersonation.findOne({
+    _id: decoded.imp,
+    admin: decoded.act.sub,
+    user: account._id,
+    endedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).populate('admin');
+
+  if (!impersonation || !impersonation.admin || impersonation.admin.status !== 'active') return null;
+  if (!hasAdminPermission(impersonation.admin, 'users:impersonate')) return null;
+
+  return impersonation;
+};
+
+/**
+ * End an impersonation early (admin signs out of it, or another super admin cuts it off)
+ * @param {String} impersonationId
+ * @param {String} endedBy - Admin who ended it
+ * @returns {Promise<Object|null>} Ended impersonation, or null if it had already ended
+ */
+const endImpersonation = async (impersonationId, endedBy) => {
+  const impersonation = await Impersonation.findOneAndUpdate(
+    { _id: impersonationId, endedAt: null },
+    { endedAt: new Date(), endedBy },
+    { new: true }
+  );
+
+  if (impersonation) {
+    logger.info(`🎭 Impersonation ${impersonationId} ended by ${endedBy}`);
+  }
+
+  return impersonation;
+};
+
+module.exports = {
+  IMPERSONATION_TTL_MINUTES,
+  IMPERSONATION_MAX_MINUTES,
+  getImpersonationError,
+  startImpersonation,
+  getActiveImpersonation,
+  endImpersonation
+};
@@ -1,9 +1,15 @@
 const jwt = require('jsonwebtoken');
 
 // Generate JWT token
-exports.generateToken = (id, userType = 'customer') => {
-  return jwt.sign({ id, userType }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Every access token belongs to a session (sid), is short-lived and is renewed with the session's refresh token,
+// so logging out or revoking the session ends it
+exports.generateToken = (id, userType = 'customer', sessionId) => {
+  if (!sessionId) {
+    throw new Error('Access tokens must belong to a session');
+  }
+
+  return jwt.sign({ id, userType, sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
   });
 };
 
@@ -30,3 +36,52 @@ exports.generatePasswordResetToken = () => {
   );
 };
 
+
+// Generate magic link sign-in token
+// The account goes in `sub`, not `id`, so the link can't be used as an access token
+exports.generateMagicLinkToken = (userId, linkId, userType, expiresIn) => {
+  return jwt.sign(
+    { purpose: 'magic_link', sub: userId.toString(), jti: linkId, userType },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+// Verify magic link sign-in token - returns the payload, or null if invalid or expired
+exports.verifyMagicLinkToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'magic_link' && decoded.jti ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate data export download token (link in the "your export is ready" email)
+exports.generateDataExportToken = (userId, exportId, expiresAt) => {
+  return jwt.sign(
+    { purpose: 'data_export', sub: userId.toString(), jti: exportId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000), 1) }
+  );
+};
+
+// Verify data export download token - returns the payload, or null if invalid or expired
+exports.verifyDataExportToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'data_export' && decoded.jti ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate impersonation access token (super admin acting as another account for support)
+// Marked with the impersonation ID (imp) and the real admin (act) so protect can check and audit it
+exports.generateImpersonationToken = (userId, userType, impersonationId, adminId, expiresIn) => {
+  return jwt.sign(
+    { id: userId.toString(), userType, imp: impersonationId.toString(), act: { sub: adminId.toString() } },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
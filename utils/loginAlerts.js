@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const net = require('net');
+const KnownDevice = require('../models/KnownDevice.model');
+const User = require('../models/User.model');
+const SuspiciousActivity = require('../models/SuspiciousActivity.model');
+const { sendEmail } = require('./emailService');
+const { sendPushNotification } = require('./notification');
+const { getDeviceInfo, hashToken, revokeAllSessions } = require('./session');
+const logger = require('./logger');
+
+// How long the "this wasn't me" link in an alert works
+const LOGIN_ALERT_LINK_TTL_HOURS = parseInt(process.env.LOGIN_ALERT_LINK_TTL_HOURS) || 72;
+
+/**
+ * Network an IP belongs to (/24 for IPv4, /48 for IPv6)
+ * Addresses move around inside a home or mobile network - the subnet is steadier.
+ * @param {String} ip
+ * @returns {String|null}
+ */
+const getIpSubnet = (ip) => {
+  if (!ip) return null;
+  const address = ip.replace(/^::ffff:/i, '');
+
+  if (net.isIPv4(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  if (net.isIPv6(address)) {
+    // Expand :: so the first three groups are always the routing prefix
+    const [head, tail = ''] = address.toLowerCase().split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = address.includes('::')
+      ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+      : headGroups;
+    return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::/48`;
+  }
+
+  return null;
+};
+
+/**
+ * User agent with version numbers removed, so browser and OS updates don't look like a new device
+ * @param {String} userAgent
+ * @returns {String}
+ */
+const normalizeUserAgent = (userAgent) => {
+  return String(userAgent || '')
+    .toLowerCase()
+    .replace(/\d+([._]\d+)*/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Fingerprint the device behind a request
+ * @param {Object} req - Express request
+ * @returns {Object} { deviceId, userAgentHash, ipSubnet, name, platform, userAgent, ip }
+ */
+const getDeviceFingerprint = (req) => {
+  const device = getDeviceInfo(req);
+
+  return {
+    deviceId: device.deviceId,
+    userAgentHash: crypto.createHash('sha256').update(normalizeUserAgent(device.userAgent)).digest('hex'),
+    ipSubnet: getIpSubnet(req.ip),
+    name: device.name,
+    platform: device.platform,
+    userAgent: device.userAgent,
+    ip: req.ip || null
+  };
+};
+
+/**
+ * Find the known device a fingerprint belongs to
+ * The app sends a stable device ID, so that alone identifies it (on any network).
+ * Browsers don't - they match on browser and network together.
+ * @param {Object} fingerprint - From getDeviceFingerprint
+ * @param {Array<Object>} devices - Trusted known devices
+ * @returns {Object|null}
+ */
+const matchKnownDevice = (fingerprint, devices) => {
+  return devices.find(device => {
+    if (fingerprint.deviceId && device.deviceId) {
+      return device.deviceId === fingerprint.deviceId;
+    }
+    return device.userAgentHash === fingerprint.userAgentHash && device.ipSubnet === fingerprint.ipSubnet;
+  }) || null;
+};
+
+/**
+ * Short description of a device for alerts ("iPhone (ios)", "web browser")
+ * @param {Object} fingerprint
+ * @returns {String}
+ */
+const describeDevice = (fingerprint) => {
+  if (fingerprint.name) {
+    return fingerprint.platform ? `${fingerprint.name} (${fingerprint.platform})` : fingerprint.name;
+  }
+  if (fingerprint.platform === 'web') return 'web browser';
+  return fingerprint.platform ? `${fingerprint.platform} device` : 'unknown device';
+};
+
+// Device names and user agents come from the client - escape before putting them in an email
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// Where the "this wasn't me" link points - the app/website page when configured, otherwise the API's own page
+const buildDenyUrl = (token) => {
+  if (process.env.LOGIN_ALERT_URL) {
+    return `${process.env.LOGIN_ALERT_URL}?token=${token}`;
+  }
+  return `${process.env.BACKEND_URL || ''}/api/auth/login-alerts/deny?token=${token}`;
+};
+
+const sendAlertEmail = async (user, fingerprint, denyUrl, loginAt) => {
+  await sendEmail({
+    to: user.email,
+    subject: 'New sign-in to your HashView account',
+    html: `
+      <h2>Hi ${escapeHtml(user.name)},</h2>
+      <p>Your HashView account was just signed in to from a device we haven't seen before.</p>
+
+      <p><strong>Device:</strong> ${escapeHtml(describeDevice(fingerprint))}<br>
+      <strong>Network:</strong> ${fingerprint.ipSubnet || 'unknown'}<br>
+      <strong>Time:</strong> ${loginAt.toUTCString()}</p>
+
+      <p>If this was you, you don't need to do anything.</p>
+
+      <p>If this <strong>wasn't</strong> you, someone may know your password. Use the link below to sign that device out
+      straight away - you'll then need to reset your password before signing in with it again.</p>
+
+      <p><a href="${denyUrl}" style="background-color: #EF4444; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none;">This wasn't me</a></p>
+
+      <p style="color: #6b7280; font-size: 12px;">This link expires in ${LOGIN_ALERT_LINK_TTL_HOURS} hours.
+      You can turn off sign-in alerts in your account settings.</p>
+    `
+  });
+};
+
+/**
+ * Record a successful login and alert the account holder if it came from a new device
+ * The first device an account is seen on is trusted silently. Called without awaiting -
+ * alerting never holds up the login response.
+ * @param {Object} user - User document
+ * @param {Object} session - Session created for the login
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { known, alerted }
+ */
+const recordLogin = async (user, session, req) => {
+  const fingerprint = getDeviceFingerprint(req);
+  const now = new Date();
+
+  const devices = await KnownDevice.find({ user: user._id, status: 'trusted' });
+  const known = matchKnownDevice(fingerprint, devices);
+
+  if (known) {
+    await KnownDevice.updateOne(
+      { _id: known._id },
+      {
+        $set: {
+          lastSeenAt: now,
+          lastIp: fingerprint.ip,
+          ipSubnet: fingerprint.ipSubnet,
+          ...(fingerprint.deviceId && !known.deviceId && { deviceId: fingerprint.deviceId })
+        },
+        $inc: { loginCount: 1 }
+      }
+    );
+    return { known: true, alerted: false };
+  }
+
+  const firstDevice = devices.length === 0 && !(await KnownDevice.exists({ user: user._id }));
+  const shouldAlert = !firstDevice && user.settings?.loginAlerts !== false;
+
+  const token = shouldAlert ? crypto.randomBytes(32).toString('hex') : null;
+
+  await KnownDevice.create({
+    user: user._id,
+    deviceId: fingerprint.deviceId,
+    userAgentHash: fingerprint.userAgentHash,
+    ipSubnet: fingerprint.ipSubnet,
+    name: fingerprint.name,
+    platform: fingerprint.platform,
+    userAgent: fingerprint.userAgent,
+    lastIp: fingerprint.ip,
+    lastSeenAt: now,
+    ...(shouldAlert && {
+      alert: {
+        tokenHash: hashToken(token),
+        session: session?._id || null,
+        sentAt: now,
+        expiresAt: new Date(now.getTime() + LOGIN_ALERT_LINK_TTL_HOURS * 60 * 60 * 1000)
+      }
+    })
+  });
+
+  if (!shouldAlert) {
+    return { known: false, alerted: false };
+  }
+
+  logger.info(`🔔 New device login for user ${user._id} (${describeDevice(fingerprint)}, ${fingerprint.ipSubnet})`);
+
+  const denyUrl = buildDenyUrl(token);
+
+  try {
+    await sendAlertEmail(user, fingerprint, denyUrl, now);
+  } catch (error) {
+    logger.error(`Failed to send new device email to user ${user._id}:`, error);
+  }
+
+  // Push goes to the devices the account already uses - the app can call the deny endpoint with the token
+  if (user.settings?.pushNotifications !== false) {
+    await sendPushNotification(
+      user._id,
+      'New sign-in to your account',
+      `Signed in from ${describeDevice(fingerprint)}. Wasn't you? Tap to secure your account.`,
+      { type: 'system', action: 'login_alert', alertToken: token, denyUrl }
+    );
+  }
+
+  return { known: false, alerted: true };
+};
+
+/**
+ * "This wasn't me" - distrust the device, end every session and require a password reset
+ * @param {String} token - Token from the alert link
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user } or { error: { status, message } }
+ */
+const denyLogin = async (token, req) => {
+  if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+    return { error: { status: 400, message: 'Invalid or expired link' } };
+  }
+
+  // Single use - only the first click gets the device back
+  const device = await KnownDevice.findOneAndUpdate(
+    {
+      'alert.tokenHash': hashToken(token),
+      'alert.usedAt': null,
+      'alert.expiresAt': { $gt: new Date() }
+    },
+    { $set: { status: 'denied', 'alert.usedAt': new Date() } },
+    { new: true }
+  );
+
+  if (!device) {
+    return { error: { status: 400, message: 'Invalid or expired link' } };
+  }
+
+  await revokeAllSessions(device.user, 'login_not_recognized');
+  const user = await User.findByIdAndUpdate(device.user, { passwordResetRequired: true }, { new: true });
+
+  logger.warn(`🚨 User ${device.user} reported a login they didn't make (device ${device._id})`);
+  try {
+    await SuspiciousActivity.create({
+      userId: device.user,
+      eventType: 'LOGIN_NOT_RECOGNIZED',
+      ipAddress: device.lastIp,
+      deviceId: device.deviceId,
+      metadata: {
+        knownDeviceId: device._id,
+        sessionId: device.alert?.session,
+        userAgent: device.userAgent,
+        reportedFromIp: req.ip
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to persist suspicious activity:', error);
+  }
+
+  return { user };
+};
+
+module.exports = {
+  LOGIN_ALERT_LINK_TTL_HOURS,
+  getIpSubnet,
+  normalizeUserAgent,
+  getDeviceFingerprint,
+  matchKnownDevice,
+  describeDevice,
+  recordLogin,
+  denyLogin
+};
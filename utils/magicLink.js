@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { sendEmail } = require('./emailService');
+const { getStore } = require('./otp');
+const { generateMagicLinkToken, verifyMagicLinkToken } = require('./jwt');
+const logger = require('./logger');
+
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+const MAGIC_LINK_RESEND_SECONDS = parseInt(process.env.MAGIC_LINK_RESEND_SECONDS) || 60;
+
+// Outstanding links live in the OTP store until used or expired - deleting the entry is what makes a link single use
+const linkKey = (linkId) => `magiclink:${linkId}`;
+// The newest link for an account - requesting another one cancels the previous
+const latestKey = (userId) => `magiclink:latest:${userId}`;
+
+// Opens the app (deep link / universal link); MAGIC_LINK_URL points it at a website page instead
+const buildMagicLinkUrl = (token) => {
+  return `${process.env.MAGIC_LINK_URL || 'hashview://auth/magic-link'}?token=${token}`;
+};
+
+/**
+ * Start the resend cooldown for an email address
+ * Applied whether or not an account exists, so the response doesn't reveal which addresses are registered.
+ * @param {String} email
+ * @returns {Promise<Object>} {} or { error: { status, message, retryAfter } }
+ */
+const startMagicLinkCooldown = async (email) => {
+  const cooldownKey = `magiclink:cooldown:${String(email).trim().toLowerCase()}`;
+  if (await getStore().setIfAbsent(cooldownKey, 1, MAGIC_LINK_RESEND_SECONDS)) {
+    return {};
+  }
+
+  const retryAfter = (await getStore().ttl(cooldownKey)) || MAGIC_LINK_RESEND_SECONDS;
+  return {
+    error: {
+      status: 429,
+      message: `Please wait ${retryAfter} seconds before requesting another sign-in link`,
+      retryAfter
+    }
+  };
+};
+
+/**
+ * Email a single-use sign-in link to an account
+ * @param {Object} user - User document
+ * @param {String} userType - Role the link signs in as
+ * @returns {Promise<Object>} { sent, expiresAt }
+ */
+const sendMagicLink = async (user, userType) => {
+  const store = getStore();
+  const linkId = crypto.randomBytes(16).toString('hex');
+  const ttlSeconds = MAGIC_LINK_TTL_MINUTES * 60;
+
+  const previous = await store.get(latestKey(user._id));
+  if (previous) {
+    await store.del(linkKey(previous));
+  }
+
+  await store.set(linkKey(linkId), user._id.toString(), ttlSeconds);
+  await store.set(latestKey(user._id), linkId, ttlSeconds);
+
+  const token = generateMagicLinkToken(user._id, linkId, userType, ttlSeconds);
+  const magicLinkUrl = buildMagicLinkUrl(token);
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Your HashView sign-in link',
+    html: `
+      <h2>Hi ${user.name},</h2>
+      <p>Tap the button below on your phone to sign in to HashView - no password needed.</p>
+
+      <p><a href="${magicLinkUrl}" style="background-color: #4F46E5; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none;">Sign in to HashView</a></p>
+
+      <p style="color: #6b7280; font-size: 12px;">The link works once and expires in ${MAGIC_LINK_TTL_MINUTES} minutes.
+      If you didn't ask to sign in, you can ignore this email - nobody can sign in without it.</p>
+    `
+  });
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`📧 Magic link for ${user.email}: ${magicLinkUrl}`);
+  }
+
+  return { sent: true, expiresAt: new Date(Date.now() + ttlSeconds * 1000) };
+};
+
+/**
+ * Use a sign-in link (single use - a replayed or superseded link is rejected)
+ * @param {String} token - Token from the link
+ * @returns {Promise<Object>} { userId, userType } or { error: { status, message } }
+ */
+const consumeMagicLink = async (token) => {
+  const decoded = typeof token === 'string' ? verifyMagicLinkToken(token) : null;
+  if (!decoded) {
+    return { error: { status: 400, message: 'Invalid or expired sign-in link' } };
+  }
+
+  // Only one request can delete the entry - that one gets to sign in
+  if (!(await getStore().del(linkKey(decoded.jti)))) {
+    logger.warn(`🔗 Rejected reused or cancelled magic link for user ${decoded.sub}`);
+    return { error: { status: 400, message: 'This sign-in link has already been used or replaced by a newer one' } };
+  }
+
+  return { userId: decoded.sub, userType: decoded.userType };
+};
+
+module.exports = {
+  MAGIC_LINK_TTL_MINUTES,
+  startMagicLinkCooldown,
+  sendMagicLink,
+  consumeMagicLink
+};
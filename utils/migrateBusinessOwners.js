@@ -0,0 +1,247 @@
+/**
+ * Utility script to fold the legacy businessowners collection into users
+ * Every person ends up with one account holding a set of roles (customer, business, admin).
+ *
+ * - Owners with no matching account are copied across with the same _id (password hash untouched)
+ * - Owners whose email or phone already has an account are merged into it: the account gains the
+ *   'business' role, keeps its own password, and remembers the old owner ID in legacyIds so
+ *   tokens and records issued under that ID keep working
+ * - References to merged owner IDs are rewritten, and refPath values of 'BusinessOwner' become 'User'
+ *
+ * Usage: node utils/migrateBusinessOwners.js [--dry-run]
+ * The businessowners collection is left in place - drop it once the result has been checked.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User.model');
+const Business = require('../models/Business.model');
+const BusinessStaff = require('../models/BusinessStaff.model');
+const BusinessUpdate = require('../models/BusinessUpdate.model');
+const Review = require('../models/Review.model');
+const Coupon = require('../models/Coupon.model');
+const Session = require('../models/Session.model');
+const Notification = require('../models/Notification.model');
+const Chat = require('../models/Chat.model');
+const SupportTicket = require('../models/SupportTicket.model');
+const SuspiciousActivity = require('../models/SuspiciousActivity.model');
+const SuspendedAccount = require('../models/SuspendedAccount.model');
+const IdempotencyKey = require('../models/IdempotencyKey.model');
+const ApiKey = require('../models/ApiKey.model');
+const ReviewRevision = require('../models/ReviewRevision.model');
+const KnownDevice = require('../models/KnownDevice.model');
+const DataExport = require('../models/DataExport.model');
+const DeletionReceipt = require('../models/DeletionReceipt.model');
+const Impersonation = require('../models/Impersonation.model');
+const ImpersonationRequest = require('../models/ImpersonationRequest.model');
+
+const LEGACY_COLLECTION = 'businessowners';
+
+// Single-value fields that can hold a business owner's ID
+const OWNER_REFERENCES = [
+  [Business, 'owner'],
+  [BusinessStaff, 'user'],
+  [BusinessStaff, 'invitedBy'],
+  [BusinessUpdate, 'createdBy'],
+  [Review, 'businessReply.repliedBy'],
+  [ReviewRevision, 'editor'],
+  [ApiKey, 'createdBy'],
+  [ApiKey, 'revokedBy'],
+  [Coupon, 'redeemedBy'],
+  [Session, 'user'],
+  [Notification, 'sentTo'],
+  [Chat, 'sender'],
+  [Chat, 'receiver'],
+  [SupportTicket, 'user'],
+  [SuspiciousActivity, 'userId'],
+  [SuspendedAccount, 'originalAccountId'],
+  [IdempotencyKey, 'user'],
+  [KnownDevice, 'user'],
+  [DataExport, 'user'],
+  [DeletionReceipt, 'user'],
+  [Impersonation, 'user'],
+  [ImpersonationRequest, 'user']
+];
+
+// refPath fields that named the old model. Their schemas still accept 'BusinessOwner' so documents
+// written before accounts were merged stay valid; the alias model in User.model.js resolves them to users.
+const MODEL_NAME_FIELDS = [
+  [Coupon, 'redeemedByModel'],
+  [Session, 'userModel'],
+  [Notification, 'sentToModel']
+];
+
+/**
+ * Decide what to do with one legacy owner
+ * @param {Object} owner - Legacy business owner document
+ * @param {Object|null} byEmail - Account with the same email
+ * @param {Object|null} byPhone - Account with the same phone
+ * @returns {Object} { action: 'insert' | 'merge' | 'conflict', target }
+ */
+const planOwnerMigration = (owner, byEmail, byPhone) => {
+  if (byEmail && byPhone && !byEmail._id.equals(byPhone._id)) {
+    return { action: 'conflict', reason: 'email and phone belong to different accounts' };
+  }
+
+  const target = byEmail || byPhone;
+  if (!target) return { action: 'insert' };
+
+  return { action: 'merge', target };
+};
+
+/**
+ * Fields to set on an existing account when an owner is merged into it
+ * @param {Object} owner
+ * @param {Object} target
+ * @returns {Object} MongoDB update
+ */
+const buildMergeUpdate = (owner, target) => {
+  const set = {};
+  if (owner.emailVerified && !target.emailVerified) set.emailVerified = true;
+  if (owner.phoneVerified && !target.phoneVerified) set.phoneVerified = true;
+  if (owner.pushToken && !target.pushToken) set.pushToken = owner.pushToken;
+
+  return {
+    ...(Object.keys(set).length > 0 && { $set: set }),
+    $addToSet: {
+      roles: { $each: [target.role || 'customer', 'business'] },
+      legacyIds: owner._id,
+      businesses: { $each: owner.businesses || [] }
+    }
+  };
+};
+
+// Point every reference to a merged owner ID at the account it was merged into
+const rewriteReferences = async (fromId, toId) => {
+  for (const [Model, field] of OWNER_REFERENCES) {
+    await Model.collection.updateMany({ [field]: fromId }, { $set: { [field]: toId } });
+  }
+
+  await SupportTicket.collection.updateMany(
+    { 'responses.author': fromId },
+    { $set: { 'responses.$[response].author': toId } },
+    { arrayFilters: [{ 'response.author': fromId }] }
+  );
+};
+
+async function migrateBusinessOwners(options = {}) {
+  const dryRun = options.dryRun || process.argv.includes('--dry-run');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run - nothing will be written)' : ''}`);
+
+    const users = User.collection;
+    const legacyOwners = mongoose.connection.collection(LEGACY_COLLECTION);
+
+    // Accounts saved before roles existed get roles = [role]
+    const missingRoles = await users.countDocuments({ roles: { $exists: false } });
+    if (!dryRun && missingRoles > 0) {
+      await users.updateMany({ roles: { $exists: false } }, [{ $set: { roles: ['$role'] } }]);
+    }
+    console.log(`📊 Backfilled roles on ${missingRoles} accounts`);
+
+    const total = await legacyOwners.countDocuments();
+    console.log(`📊 Found ${total} legacy business owners`);
+
+    let insertedCount = 0;
+    let mergedCount = 0;
+    let skippedCount = 0;
+    let errorCount = 0;
+    const conflicts = [];
+    const merged = [];
+
+    for await (const owner of legacyOwners.find()) {
+      try {
+        // Already migrated (copied with the same _id, or merged)
+        const existing = await users.findOne(
+          { $or: [{ _id: owner._id }, { legacyIds: owner._id }] },
+          { projection: { _id: 1 } }
+        );
+        if (existing) {
+          // Rewriting again is a no-op for references already moved, and picks up any added to OWNER_REFERENCES since
+          if (!dryRun && !existing._id.equals(owner._id)) {
+            await rewriteReferences(owner._id, existing._id);
+          }
+          skippedCount++;
+          continue;
+        }
+
+        const byEmail = await users.findOne({ email: owner.email });
+        const byPhone = owner.phone ? await users.findOne({ phone: owner.phone }) : null;
+        const plan = planOwnerMigration(owner, byEmail, byPhone);
+
+        if (plan.action === 'conflict') {
+          console.log(`⚠️  Skipping ${owner.email} - ${plan.reason}`);
+          conflicts.push(owner.email);
+          continue;
+        }
+
+        if (plan.action === 'insert') {
+          if (!dryRun) {
+            await users.insertOne({ ...owner, role: 'business', roles: ['business'] });
+          }
+          console.log(`✅ Copied ${owner.email}`);
+          insertedCount++;
+          continue;
+        }
+
+        if (!dryRun) {
+          await users.updateOne({ _id: plan.target._id }, buildMergeUpdate(owner, plan.target));
+          await rewriteReferences(owner._id, plan.target._id);
+        }
+        console.log(`🔗 Merged ${owner.email} into account ${plan.target._id} (${plan.target.email})`);
+        merged.push(`${owner.email} -> ${plan.target.email}`);
+        mergedCount++;
+      } catch (error) {
+        console.error(`❌ Error migrating ${owner.email}:`, error.message);
+        errorCount++;
+      }
+    }
+
+    if (!dryRun) {
+      for (const [Model, field] of MODEL_NAME_FIELDS) {
+        await Model.collection.updateMany({ [field]: 'BusinessOwner' }, { $set: { [field]: 'User' } });
+      }
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`✅ Copied: ${insertedCount}`);
+    console.log(`🔗 Merged: ${mergedCount}`);
+    console.log(`⏭️  Already migrated: ${skippedCount}`);
+    console.log(`⚠️  Conflicts: ${conflicts.length}`);
+    console.log(`❌ Errors: ${errorCount}`);
+
+    if (merged.length > 0) {
+      console.log('\n🔑 Merged owners now sign in with their existing account password:');
+      merged.forEach(line => console.log(`   ${line}`));
+    }
+    if (conflicts.length > 0) {
+      console.log('\n⚠️  Resolve these by hand, then run the script again:');
+      conflicts.forEach(email => console.log(`   ${email}`));
+    }
+
+    await mongoose.connection.close();
+    console.log('\n✅ Migration completed');
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrateBusinessOwners()
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateBusinessOwners;
+module.exports.planOwnerMigration = planOwnerMigration;
+module.exports.buildMergeUpdate = buildMergeUpdate;
+module.exports.rewriteReferences = rewriteReferences;
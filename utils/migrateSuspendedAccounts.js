@@ -7,7 +7,6 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 const User = require('../models/User.model');
-const BusinessOwner = require('../models/BusinessOwner.model');
 const SuspendedAccount = require('../models/SuspendedAccount.model');
 
 async function migrateSuspendedAccounts() {
@@ -16,9 +15,9 @@ async function migrateSuspendedAccounts() {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('✅ Connected to MongoDB');
 
-    // Find all suspended users
+    // Find all suspended accounts (business owners live in the users collection too)
     const suspendedUsers = await User.find({ status: 'suspended' });
-    console.log(`📊 Found ${suspendedUsers.length} suspended users`);
+    console.log(`📊 Found ${suspendedUsers.length} suspended accounts`);
 
     let migratedCount = 0;
     let skippedCount = 0;
@@ -40,7 +39,7 @@ async function migrateSuspendedAccounts() {
         // Create SuspendedAccount record
         await SuspendedAccount.create({
           email: user.email.toLowerCase(),
-          accountType: 'user',
+          accountType: user.role === 'business' ? 'businessOwner' : 'user',
           originalAccountId: user._id,
           suspendedBy: new mongoose.Types.ObjectId(), // Dummy admin ID for migration
           reason: 'Migrated from existing suspended account',
@@ -55,41 +54,6 @@ async function migrateSuspendedAccounts() {
       }
     }
 
-    // Find all suspended business owners
-    const suspendedBusinessOwners = await BusinessOwner.find({ status: 'suspended' });
-    console.log(`📊 Found ${suspendedBusinessOwners.length} suspended business owners`);
-
-    for (const owner of suspendedBusinessOwners) {
-      try {
-        // Check if SuspendedAccount record already exists
-        const existing = await SuspendedAccount.findOne({
-          email: owner.email.toLowerCase()
-        });
-
-        if (existing) {
-          console.log(`⏭️  Skipping ${owner.email} - already has SuspendedAccount record`);
-          skippedCount++;
-          continue;
-        }
-
-        // Create SuspendedAccount record
-        await SuspendedAccount.create({
-          email: owner.email.toLowerCase(),
-          accountType: 'businessOwner',
-          originalAccountId: owner._id,
-          suspendedBy: new mongoose.Types.ObjectId(), // Dummy admin ID for migration
-          reason: 'Migrated from existing suspended account',
-          status: 'suspended'
-        });
-
-        console.log(`✅ Migrated ${owner.email}`);
-        migratedCount++;
-      } catch (error) {
-        console.error(`❌ Error migrating ${owner.email}:`, error.message);
-        errorCount++;
-      }
-    }
-
     console.log('\n📊 Migration Summary:');
     console.log(`✅ Migrated: ${migratedCount}`);
     console.log(`⏭️  Skipped: ${skippedCount}`);
@@ -0,0 +1,334 @@
+// Timezone-aware opening hours engine
+// Weekly hours live in Business.openingHours, exceptions in specialHours / holidayClosures.
+// All local dates are 'YYYY-MM-DD' strings in the business timezone.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_BUSINESS_TIMEZONE || 'Asia/Kolkata';
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check an IANA timezone name (e.g. 'Asia/Kolkata')
+ * @param {String} timezone
+ * @returns {Boolean}
+ */
+const isValidTimeZone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Parse a time string into minutes since midnight
+ * Accepts "09:00", "9:00 AM", "21:30", "24:00"; returns null for "Closed" or invalid input
+ * @param {String} timeStr
+ * @returns {Number|null}
+ */
+const parseTime = (timeStr) => {
+  if (!timeStr || typeof timeStr !== 'string') return null;
+
+  const match = timeStr.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const period = match[3] ? match[3].toUpperCase() : null;
+
+  if (minutes > 59) return null;
+  if (period) {
+    if (hours < 1 || hours > 12) return null;
+    if (period === 'PM' && hours !== 12) hours += 12;
+    if (period === 'AM' && hours === 12) hours = 0;
+  } else if (hours > 24 || (hours === 24 && minutes !== 0)) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+};
+
+// Format minutes since midnight as "HH:MM"
+const formatMinutes = (minutes) => {
+  const normalised = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = Math.floor(normalised / 60);
+  return `${String(hours).padStart(2, '0')}:${String(normalised % 60).padStart(2, '0')}`;
+};
+
+// Local calendar parts of an instant in a timezone
+const getLocalParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+};
+
+// Offset (ms) between local wall-clock time and UTC at a given instant
+const getTimezoneOffset = (date, timezone) => {
+  const { date: localDate, minutes } = getLocalParts(date, timezone);
+  const [year, month, day] = localDate.split('-').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+  const truncated = Math.floor(date.getTime() / 60000) * 60000;
+  return asUtc - truncated;
+};
+
+// Absolute instant for a local date + minutes in a timezone (handles DST changes)
+const localToInstant = (localDate, minutes, timezone) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const firstPass = guess - getTimezoneOffset(new Date(guess), timezone);
+  return new Date(guess - getTimezoneOffset(new Date(firstPass), timezone));
+};
+
+// Shift a 'YYYY-MM-DD' date by a number of days
+const addDays = (localDate, days) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().substring(0, 10);
+};
+
+const getWeekday = (localDate) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  return DAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+/**
+ * Hours that apply on a local date, after holiday and special-hours exceptions
+ * @param {Object} business - { openingHours, specialHours, holidayClosures }
+ * @param {String} localDate - 'YYYY-MM-DD'
+ * @returns {Object|null} { open, close, closed, source }
+ */
+const getHoursForDate = (business, localDate) => {
+  const holiday = (business.holidayClosures || []).find(closure =>
+    closure.startDate <= localDate && localDate <= (closure.endDate || closure.startDate)
+  );
+  if (holiday) {
+    return { closed: true, source: 'holiday', reason: holiday.reason || null };
+  }
+
+  const special = (business.specialHours || []).find(entry => entry.date === localDate);
+  if (special) {
+    return { open: special.open, close: special.close, closed: !!special.closed, source: 'special', reason: special.note || null };
+  }
+
+  const weekly = business.openingHours ? business.openingHours[getWeekday(localDate)] : null;
+  if (!weekly) return null;
+
+  return { open: weekly.open, close: weekly.close, closed: !!weekly.closed, source: 'weekly' };
+};
+
+// Opening interval for a local date, in minutes (close > 1440 for overnight hours)
+const getIntervalForDate = (business, localDate) => {
+  const hours = getHoursForDate(business, localDate);
+  if (!hours || hours.closed) return null;
+
+  const open = parseTime(hours.open);
+  let close = parseTime(hours.close);
+  if (open === null || close === null) return null;
+
+  // Overnight (18:00-02:00) or round the clock (00:00-00:00)
+  if (close <= open) close += MINUTES_PER_DAY;
+
+  return { localDate, open, close };
+};
+
+const hasAnyHours = (business) => {
+  const weekly = business.openingHours || {};
+  return DAYS.some(day => weekly[day] && (weekly[day].closed || parseTime(weekly[day].open) !== null)) ||
+    (business.specialHours || []).length > 0;
+};
+
+/**
+ * Opening state of a business at an instant
+ * @param {Object} business - Business document or plain object
+ * @param {Date} at - Instant to evaluate (defaults to now)
+ * @returns {Object} { isOpen, closesAt, nextOpen, timezone, status, localCloseTime, localOpenTime }
+ */
+const getOpeningStatus = (business, at = new Date()) => {
+  const timezone = isValidTimeZone(business.timezone) ? business.timezone : DEFAULT_TIMEZONE;
+
+  if (!hasAnyHours(business)) {
+    return { isOpen: null, closesAt: null, nextOpen: null, timezone, status: 'Hours not set' };
+  }
+
+  const { date: today } = getLocalParts(at, timezone);
+
+  // Yesterday covers overnight hours still running; look ahead a week (+ exceptions) for the next opening
+  const intervals = [];
+  for (let offset = -1; offset <= 14; offset++) {
+    const localDate = addDays(today, offset);
+    const interval = getIntervalForDate(business, localDate);
+    if (interval) {
+      intervals.push({
+        ...interval,
+        start: localToInstant(localDate, interval.open, timezone),
+        end: localToInstant(localDate, interval.close, timezone)
+      });
+    }
+  }
+
+  const current = intervals.find(interval => interval.start <= at && at < interval.end);
+
+  if (current) {
+    // Merge back-to-back intervals (e.g. open until 24:00 and again from 00:00)
+    let closing = current;
+    for (const interval of intervals) {
+      if (interval.start.getTime() === closing.end.getTime()) closing = interval;
+    }
+
+    const localCloseTime = formatMinutes(closing.close);
+    const roundTheClock = closing.end - current.start >= 7 * MINUTES_PER_DAY * 60000;
+
+    return {
+      isOpen: true,
+      closesAt: roundTheClock ? null : closing.end,
+      nextOpen: null,
+      timezone,
+      localCloseTime: roundTheClock ? null : localCloseTime,
+      status: roundTheClock ? 'Open 24 hours' : `Open • Closes at ${localCloseTime}`
+    };
+  }
+
+  const next = intervals.find(interval => interval.start > at);
+  if (!next) {
+    return { isOpen: false, closesAt: null, nextOpen: null, timezone, status: 'Closed' };
+  }
+
+  const localOpenTime = formatMinutes(next.open);
+  const opensToday = next.localDate === today;
+  const dayName = getWeekday(next.localDate);
+
+  return {
+    isOpen: false,
+    closesAt: null,
+    nextOpen: next.start,
+    timezone,
+    localOpenTime,
+    status: opensToday
+      ? `Closed • Opens at ${localOpenTime}`
+      : `Closed • Opens ${dayName.charAt(0).toUpperCase() + dayName.slice(1)} at ${localOpenTime}`
+  };
+};
+
+/**
+ * Resolve an `opensAt` filter value to an instant for a business
+ * Accepts an ISO datetime, or "HH:MM" meaning that time today in the business timezone.
+ * @returns {Date|null}
+ */
+const resolveOpensAt = (opensAt, business, now = new Date()) => {
+  if (!opensAt || typeof opensAt !== 'string') return null;
+
+  const minutes = parseTime(opensAt);
+  if (minutes !== null) {
+    const timezone = isValidTimeZone(business.timezone) ? business.timezone : DEFAULT_TIMEZONE;
+    return localToInstant(getLocalParts(now, timezone).date, minutes, timezone);
+  }
+
+  const instant = new Date(opensAt);
+  return Number.isNaN(instant.getTime()) ? null : instant;
+};
+
+/**
+ * Add isOpen / closesAt / nextOpen to a plain business object
+ * @param {Object} business - Plain business object
+ * @param {Date} now
+ * @returns {Object} The same object with opening fields
+ */
+const withOpeningStatus = (business, now = new Date()) => {
+  const status = getOpeningStatus(business, now);
+  business.isOpen = status.isOpen;
+  business.closesAt = status.closesAt;
+  business.nextOpen = status.nextOpen;
+  business.openStatus = status.status;
+  return business;
+};
+
+/**
+ * Decorate businesses with opening fields and apply openNow / opensAt filters
+ * @param {Object[]} businesses - Plain business objects
+ * @param {Object} filters - { openNow, opensAt }
+ * @returns {Object[]}
+ */
+const applyOpeningHoursFilters = (businesses, { openNow, opensAt } = {}, now = new Date()) => {
+  const onlyOpenNow = openNow === true || openNow === 'true';
+
+  return businesses
+    .map(business => withOpeningStatus(business, now))
+    .filter(business => {
+      if (onlyOpenNow && business.isOpen !== true) return false;
+
+      if (opensAt) {
+        const at = resolveOpensAt(opensAt, business, now);
+        if (!at || getOpeningStatus(business, at).isOpen !== true) return false;
+      }
+
+      return true;
+    });
+};
+
+/**
+ * Validate owner-supplied special hours and holiday closures
+ * @param {Object} input - { specialHours, holidayClosures }
+ * @returns {String|null} Error message, or null when valid
+ */
+const validateHoursExceptions = ({ specialHours, holidayClosures } = {}) => {
+  if (specialHours !== undefined) {
+    if (!Array.isArray(specialHours)) return 'specialHours must be an array';
+
+    const seen = new Set();
+    for (const entry of specialHours) {
+      if (!entry || !DATE_PATTERN.test(entry.date || '')) {
+        return 'Each special hours entry needs a date in YYYY-MM-DD format';
+      }
+      if (seen.has(entry.date)) return `Duplicate special hours for ${entry.date}`;
+      seen.add(entry.date);
+
+      if (!entry.closed && (parseTime(entry.open) === null || parseTime(entry.close) === null)) {
+        return `Special hours for ${entry.date} need valid open and close times, or closed: true`;
+      }
+    }
+  }
+
+  if (holidayClosures !== undefined) {
+    if (!Array.isArray(holidayClosures)) return 'holidayClosures must be an array';
+
+    for (const closure of holidayClosures) {
+      if (!closure || !DATE_PATTERN.test(closure.startDate || '')) {
+        return 'Each holiday closure needs a startDate in YYYY-MM-DD format';
+      }
+      if (closure.endDate && (!DATE_PATTERN.test(closure.endDate) || closure.endDate < closure.startDate)) {
+        return `Holiday closure starting ${closure.startDate} has an invalid endDate`;
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DATE_PATTERN,
+  isValidTimeZone,
+  parseTime,
+  getHoursForDate,
+  getOpeningStatus,
+  resolveOpensAt,
+  withOpeningStatus,
+  applyOpeningHoursFilters,
+  validateHoursExceptions
+};
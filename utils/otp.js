@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const OtpEntry = require('../models/OtpEntry.model');
+const { getRedisClient } = require('../config/redis');
+const logger = require('./logger');
+
+const OTP_LENGTH = 6;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+// How long each kind of code stays valid
+const OTP_PURPOSES = {
+  phone_login: { ttlSeconds: 5 * 60 },
+  email_verification: { ttlSeconds: 10 * 60 }
+};
+
+// A verified email code unlocks password reset for this long
+const VERIFIED_TTL_SECONDS = 5 * 60;
+
+const KEY_PREFIX = 'otp';
+
+/**
+ * Generate a numeric one-time code (crypto-secure)
+ * @param {Number} length
+ * @returns {String} Zero-padded code
+ */
+const generateOtpCode = (length = OTP_LENGTH) => {
+  return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+};
+
+/**
+ * Normalise phone numbers and emails so the same identifier always maps to the same key
+ * @param {String} identifier
+ * @returns {String}
+ */
+const normalizeIdentifier = (identifier) => {
+  const value = String(identifier || '').trim().toLowerCase();
+  return value.includes('@') ? value : value.replace(/[\s\-()]/g, '');
+};
+
+/**
+ * Hash a code for storage - bound to purpose and identifier so a code can't be replayed elsewhere
+ * @param {String} purpose
+ * @param {String} identifier
+ * @param {String} code
+ * @returns {String}
+ */
+const hashOtpCode = (purpose, identifier, code) => {
+  const pepper = process.env.OTP_SECRET || process.env.JWT_SECRET || '';
+  return crypto
+    .createHmac('sha256', pepper)
+    .update(`${purpose}:${normalizeIdentifier(identifier)}:${String(code || '').trim()}`)
+    .digest('hex');
+};
+
+const buildKey = (kind, purpose, identifier) => `${KEY_PREFIX}:${kind}:${purpose}:${normalizeIdentifier(identifier)}`;
+
+// Redis when connected, otherwise MongoDB - both expire entries on their own
+const redisStore = (client) => ({
+  async get(key) {
+    const value = await client.get(key);
+    return value ? JSON.parse(value) : null;
+  },
+  async set(key, value, ttlSeconds) {
+    await client.setEx(key, ttlSeconds, JSON.stringify(value));
+  },
+  async setIfAbsent(key, value, ttlSeconds) {
+    const result = await client.set(key, JSON.stringify(value), { EX: ttlSeconds, NX: true });
+    return result === 'OK';
+  },
+  async del(key) {
+    return (await client.del(key)) > 0;
+  },
+  async increment(key, ttlSeconds) {
+    const count = await client.incr(key);
+    if (count === 1) await client.expire(key, ttlSeconds);
+    return count;
+  },
+  async decrement(key) {
+    if (await client.exists(key)) await client.decr(key);
+  },
+  async count(key) {
+    return parseInt(await client.get(key)) || 0;
+  },
+  async ttl(key) {
+    return Math.max(await client.ttl(key), 0);
+  }
+});
+
+const mongoStore = {
+  async get(key) {
+    const entry = await OtpEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return entry ? entry.value : null;
+  },
+  async set(key, value, ttlSeconds) {
+    await OtpEntry.updateOne(
+      { key },
+      { $set: { value, count: 0, expiresAt: new Date(Date.now() + ttlSeconds * 1000) } },
+      { upsert: true }
+    );
+  },
+  async setIfAbsent(key, value, ttlSeconds) {
+    await OtpEntry.deleteOne({ key, expiresAt: { $lte: new Date() } });
+    try {
+      await OtpEntry.create({ key, value, expiresAt: new Date(Date.now() + ttlSeconds * 1000) });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  },
+  async del(key) {
+    const result = await OtpEntry.deleteOne({ key, expiresAt: { $gt: new Date() } });
+    return result.deletedCount > 0;
+  },
+  async increment(key, ttlSeconds) {
+    await OtpEntry.deleteOne({ key, expiresAt: { $lte: new Date() } });
+    try {
+      const entry = await OtpEntry.findOneAndUpdate(
+        { key },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(Date.now() + ttlSeconds * 1000) } },
+        { upsert: true, new: true }
+      );
+      return entry.count;
+    } catch (error) {
+      // Two parallel upserts - the other one created the entry
+      if (error.code !== 11000) throw error;
+      const entry = await OtpEntry.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true });
+      return entry.count;
+    }
+  },
+  async decrement(key) {
+    await OtpEntry.updateOne({ key, expiresAt: { $gt: new Date() }, count: { $gt: 0 } }, { $inc: { count: -1 } });
+  },
+  async count(key) {
+    const entry = await OtpEntry.findOne({ key, expiresAt: { $gt: new Date() } }).select('count').lean();
+    return entry ? entry.count : 0;
+  },
+  async ttl(key) {
+    const entry = await OtpEntry.findOne({ key }).select('expiresAt').lean();
+    return entry ? Math.max(Math.ceil((entry.expiresAt - Date.now()) / 1000), 0) : 0;
+  }
+};
+
+// Also used for auth throttling counters (utils/authThrottle.js, middleware/rateLimit.middleware.js)
+const getStore = () => {
+  const client = getRedisClient();
+  return client ? redisStore(client) : mongoStore;
+};
+
+const getPurposeConfig = (purpose) => {
+  const config = OTP_PURPOSES[purpose];
+  if (!config) throw new Error(`Unknown OTP purpose: ${purpose}`);
+  return config;
+};
+
+const lockedError = (retryAfter) => ({
+  status: 429,
+  message: `Too many incorrect codes. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+  retryAfter
+});
+
+/**
+ * Issue a new code for an identifier (replaces any previous code)
+ * @param {String} purpose - Key of OTP_PURPOSES
+ * @param {String} identifier - Phone number or email
+ * @returns {Promise<Object>} { code, expiresIn } or { error: { status, message, retryAfter } }
+ */
+const issueOtp = async (purpose, identifier) => {
+  const { ttlSeconds } = getPurposeConfig(purpose);
+  const store = getStore();
+
+  const lockKey = buildKey('lock', purpose, identifier);
+  if (await store.get(lockKey)) {
+    return { error: lockedError(await store.ttl(lockKey)) };
+  }
+
+  // Claiming the cooldown slot first means parallel requests can't send two codes
+  const cooldownKey = buildKey('cooldown', purpose, identifier);
+  if (!(await store.setIfAbsent(cooldownKey, true, OTP_RESEND_COOLDOWN_SECONDS))) {
+    const retryAfter = await store.ttl(cooldownKey);
+    return {
+      error: {
+        status: 429,
+        message: `Please wait ${retryAfter} second(s) before requesting another code.`,
+        retryAfter
+      }
+    };
+  }
+
+  const code = generateOtpCode();
+  await store.set(
+    buildKey('code', purpose, identifier),
+    { hash: hashOtpCode(purpose, identifier, code), issuedAt: Date.now() },
+    ttlSeconds
+  );
+
+  return { code, expiresIn: ttlSeconds };
+};
+
+/**
+ * Check a code and consume it on success
+ * Wrong guesses count towards OTP_MAX_ATTEMPTS; reaching it locks the identifier and burns the code.
+ * @param {String} purpose
+ * @param {String} identifier
+ * @param {String} code
+ * @returns {Promise<Object>} { valid: true } or { valid: false, status, message, attemptsRemaining?, retryAfter? }
+ */
+const verifyOtp = async (purpose, identifier, code) => {
+  getPurposeConfig(purpose);
+  const store = getStore();
+
+  const lockKey = buildKey('lock', purpose, identifier);
+  if (await store.get(lockKey)) {
+    return { valid: false, ...lockedError(await store.ttl(lockKey)) };
+  }
+
+  const codeKey = buildKey('code', purpose, identifier);
+  const record = await store.get(codeKey);
+  if (!record) {
+    return { valid: false, status: 400, message: 'OTP not found or expired. Please request a new one.' };
+  }
+
+  const expected = Buffer.from(record.hash, 'hex');
+  const actual = Buffer.from(hashOtpCode(purpose, identifier, code), 'hex');
+
+  if (crypto.timingSafeEqual(expected, actual)) {
+    // Only the request that deletes the code wins - a code can't be used twice in parallel
+    if (!(await store.del(codeKey))) {
+      return { valid: false, status: 400, message: 'OTP not found or expired. Please request a new one.' };
+    }
+    await store.del(buildKey('attempts', purpose, identifier));
+    return { valid: true };
+  }
+
+  const attemptsKey = buildKey('attempts', purpose, identifier);
+  const attempts = await store.increment(attemptsKey, OTP_LOCKOUT_MINUTES * 60);
+
+  if (attempts >= OTP_MAX_ATTEMPTS) {
+    await store.set(lockKey, true, OTP_LOCKOUT_MINUTES * 60);
+    await store.del(codeKey);
+    await store.del(attemptsKey);
+
+    logger.warn(`🚫 OTP locked for ${purpose}:${normalizeIdentifier(identifier)} after ${attempts} failed attempts`);
+    return { valid: false, ...lockedError(OTP_LOCKOUT_MINUTES * 60) };
+  }
+
+  return {
+    valid: false,
+    status: 400,
+    message: 'Invalid OTP',
+    attemptsRemaining: OTP_MAX_ATTEMPTS - attempts
+  };
+};
+
+/**
+ * Remember that an identifier passed verification (e.g. email code before password reset)
+ * @param {String} purpose
+ * @param {String} identifier
+ */
+const markVerified = async (purpose, identifier) => {
+  await getStore().set(buildKey('verified', purpose, identifier), { verifiedAt: Date.now() }, VERIFIED_TTL_SECONDS);
+};
+
+/**
+ * Use up a verification made by markVerified
+ * @param {String} purpose
+ * @param {String} identifier
+ * @returns {Promise<Boolean>} true if the identifier was verified (and hasn't been used since)
+ */
+const consumeVerified = async (purpose, identifier) => {
+  return getStore().del(buildKey('verified', purpose, identifier));
+};
+
+module.exports = {
+  OTP_LENGTH,
+  OTP_MAX_ATTEMPTS,
+  OTP_LOCKOUT_MINUTES,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_PURPOSES,
+  generateOtpCode,
+  normalizeIdentifier,
+  hashOtpCode,
+  issueOtp,
+  verifyOtp,
+  markVerified,
+  consumeVerified,
+  getStore
+};
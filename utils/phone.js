@@ -0,0 +1,103 @@
+// Accepted phone format across the app (models and Joi schemas) - optional +, 7 to 15 digits
+const PHONE_REGEX = /^\+?[0-9]{7,15}$/;
+
+// Country used for numbers entered without a country code
+const DEFAULT_COUNTRY = (process.env.SMS_DEFAULT_COUNTRY || 'IN').toUpperCase();
+
+// Dial code and national number rules for the countries we operate in
+// Numbers for other countries are accepted if they are valid E.164 (8 to 15 digits)
+const COUNTRY_RULES = {
+  IN: { dialCode: '91', pattern: /^[6-9]\d{9}$/ },
+  US: { dialCode: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/ },
+  CA: { dialCode: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/ },
+  GB: { dialCode: '44', pattern: /^7\d{9}$/ },
+  AE: { dialCode: '971', pattern: /^5\d{8}$/ },
+  SG: { dialCode: '65', pattern: /^[89]\d{7}$/ },
+  AU: { dialCode: '61', pattern: /^4\d{8}$/ }
+};
+
+// Country whose dial code starts the number (E.164 dial codes are prefix-free)
+const findCountryByDialCode = (digits) => {
+  return Object.keys(COUNTRY_RULES).find(country => digits.startsWith(COUNTRY_RULES[country].dialCode)) || null;
+};
+
+const matchesCountry = (digits, country) => {
+  const { dialCode, pattern } = COUNTRY_RULES[country];
+  return digits.startsWith(dialCode) && pattern.test(digits.slice(dialCode.length));
+};
+
+/**
+ * Normalise a phone number to E.164 (+<country code><number>)
+ * Numbers without a country code are treated as national numbers of the default country.
+ * @param {String} phone
+ * @param {String} defaultCountry - ISO 3166 alpha-2 code
+ * @returns {Object} { valid, e164, country } or { valid: false, error }
+ */
+const parsePhoneNumber = (phone, defaultCountry = DEFAULT_COUNTRY) => {
+  const raw = String(phone || '').trim().replace(/[\s\-().]/g, '');
+
+  if (!PHONE_REGEX.test(raw.replace(/^00/, '+'))) {
+    return { valid: false, error: 'Please provide a valid phone number with country code' };
+  }
+
+  let digits;
+  if (raw.startsWith('+') || raw.startsWith('00')) {
+    digits = raw.replace(/^(\+|00)/, '');
+  } else {
+    const rule = COUNTRY_RULES[defaultCountry];
+    const national = raw.replace(/^0/, '');
+    const prefixed = findCountryByDialCode(raw);
+
+    if (rule && rule.pattern.test(national)) {
+      digits = rule.dialCode + national;
+    } else if (prefixed && matchesCountry(raw, prefixed)) {
+      // Country code typed without the +
+      digits = raw;
+    } else {
+      return { valid: false, error: 'Please provide a valid phone number with country code' };
+    }
+  }
+
+  if (digits.length < 8 || digits.length > 15) {
+    return { valid: false, error: 'Please provide a valid phone number with country code' };
+  }
+
+  // Countries we know the numbering plan for get a stricter check
+  const country = findCountryByDialCode(digits);
+  if (country && !matchesCountry(digits, country)) {
+    return { valid: false, error: `Invalid phone number for ${country}` };
+  }
+
+  return { valid: true, e164: `+${digits}`, country };
+};
+
+/**
+ * Format a phone number for sending (E.164), or null if it can't be delivered to
+ * @param {String} phone
+ * @param {String} defaultCountry
+ * @returns {String|null}
+ */
+const formatPhoneNumber = (phone, defaultCountry = DEFAULT_COUNTRY) => {
+  const result = parsePhoneNumber(phone, defaultCountry);
+  return result.valid ? result.e164 : null;
+};
+
+/**
+ * Mask a phone number for logs (+91******3210)
+ * @param {String} phone
+ * @returns {String}
+ */
+const maskPhoneNumber = (phone) => {
+  const value = String(phone || '');
+  if (value.length <= 6) return '*'.repeat(value.length);
+  return `${value.slice(0, 3)}${'*'.repeat(value.length - 7)}${value.slice(-4)}`;
+};
+
+module.exports = {
+  PHONE_REGEX,
+  DEFAULT_COUNTRY,
+  COUNTRY_RULES,
+  parsePhoneNumber,
+  formatPhoneNumber,
+  maskPhoneNumber
+};
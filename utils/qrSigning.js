@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Signed QR payloads look like: HV1.<base64url JSON payload>.<base64url HMAC-SHA256>
+const QR_TOKEN_PREFIX = 'HV1';
+
+/**
+ * Load signing keys from the environment
+ * QR_SIGNING_KEYS="2025a:secret-one,2025b:secret-two" - every listed key is accepted when verifying
+ * QR_SIGNING_KEY_ID="2025b" - the key used to sign new codes (defaults to the last one listed)
+ * To rotate: add the new key, switch QR_SIGNING_KEY_ID, and drop the old key once its codes are re-issued.
+ * Without configured keys a key derived from JWT_SECRET is used (kid "default").
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { keys: { kid: secret }, activeKid }
+ */
+const loadSigningKeys = (env = process.env) => {
+  const keys = {};
+
+  (env.QR_SIGNING_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator > 0 && separator < entry.length - 1) {
+        keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+      }
+    });
+
+  const kids = Object.keys(keys);
+
+  if (kids.length === 0) {
+    if (!env.JWT_SECRET) return { keys: {}, activeKid: null };
+    keys.default = crypto.createHmac('sha256', env.JWT_SECRET).update('hashview-qr').digest('hex');
+    return { keys, activeKid: 'default' };
+  }
+
+  const activeKid = env.QR_SIGNING_KEY_ID && Object.hasOwn(keys, env.QR_SIGNING_KEY_ID)
+    ? env.QR_SIGNING_KEY_ID
+    : kids[kids.length - 1];
+
+  return { keys, activeKid };
+};
+
+/**
+ * Whether unsigned (legacy) business and visit QR codes are still accepted
+ * QR_LEGACY_ACCEPT_UNTIL="2025-06-30T00:00:00Z" - accepted until this date
+ * Unset, "never" or not a date - rejected (the compatibility window has to be opened on purpose)
+ * Legacy coupon codes are never accepted - anyone could craft one for any coupon ID.
+ * @param {Date} now
+ * @param {Object} env
+ * @returns {Boolean}
+ */
+const isLegacyAccepted = (now = new Date(), env = process.env) => {
+  const until = env.QR_LEGACY_ACCEPT_UNTIL;
+
+  if (!until || until === 'never') return false;
+
+  const cutoff = new Date(until);
+  if (isNaN(cutoff.getTime())) return false;
+
+  return now < cutoff;
+};
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const computeSignature = (encodedPayload, secret) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${QR_TOKEN_PREFIX}.${encodedPayload}`)
+    .digest('base64url');
+};
+
+/**
+ * Check whether a QR string is in the signed format
+ * @param {String} qrData
+ * @returns {Boolean}
+ */
+const isSignedQR = (qrData) => {
+  return typeof qrData === 'string' && qrData.startsWith(`${QR_TOKEN_PREFIX}.`);
+};
+
+/**
+ * Check whether a QR string is signed with the current signing key
+ * Stored codes that fail this (legacy or signed with a rotated-out key) should be re-issued.
+ * @param {String} qrData
+ * @param {Object} env
+ * @returns {Boolean}
+ */
+const isCurrentQR = (qrData, env = process.env) => {
+  if (!isSignedQR(qrData)) return false;
+
+  try {
+    const payload = JSON.parse(Buffer.from(qrData.split('.')[1], 'base64url').toString('utf8'));
+    return payload.kid === loadSigningKeys(env).activeKid;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Sign a QR payload
+ * @param {Object} data - Payload (must include type)
+ * @param {Object} options - { expiresAt: Date, now: Date, env }
+ * @returns {String} Signed QR string
+ */
+const signQRPayload = (data, options = {}) => {
+  const { expiresAt = null, now = new Date(), env = process.env } = options;
+  const { keys, activeKid } = loadSigningKeys(env);
+
+  if (!activeKid) {
+    throw new Error('QR signing key is not configured');
+  }
+
+  const payload = {
+    ...data,
+    kid: activeKid,
+    iat: Math.floor(now.getTime() / 1000)
+  };
+
+  if (expiresAt) {
+    payload.exp = Math.floor(new Date(expiresAt).getTime() / 1000);
+  }
+
+  const encodedPayload = base64url(JSON.stringify(payload));
+  return `${QR_TOKEN_PREFIX}.${encodedPayload}.${computeSignature(encodedPayload, keys[activeKid])}`;
+};
+
+/**
+ * Verify a scanned QR code
+ * @param {String|Object} qrData - Signed QR string, or legacy JSON (string or object)
+ * @param {Object} options - { type: expected payload type, now: Date, env }
+ * @returns {Object} { valid, data, legacy } or { valid: false, error }
+ */
+const verifyQRPayload = (qrData, options = {}) => {
+  const { type = null, now = new Date(), env = process.env } = options;
+
+  if (!qrData) {
+    return { valid: false, error: 'QR code data is required' };
+  }
+
+  // Legacy unsigned JSON codes
+  if (!isSignedQR(qrData)) {
+    let parsed;
+    try {
+      parsed = typeof qrData === 'string' ? JSON.parse(qrData) : qrData;
+    } catch (error) {
+      return { valid: false, error: 'Invalid QR code format' };
+    }
+
+    if (!parsed || typeof parsed !== 'object' || (type && parsed.type !== type)) {
+      return { valid: false, error: 'Invalid QR code' };
+    }
+
+    if (type === 'coupon' || parsed.type === 'coupon' || !isLegacyAccepted(now, env)) {
+      return { valid: false, error: 'This QR code is no longer supported. Please ask for a new one.' };
+    }
+
+    logger.warn(`⚠️ Legacy unsigned ${parsed.type} QR code accepted`);
+    return { valid: true, data: parsed, legacy: true };
+  }
+
+  const parts = qrData.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, error: 'Invalid QR code format' };
+  }
+
+  const [, encodedPayload, signature] = parts;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'Invalid QR code format' };
+  }
+
+  const { keys } = loadSigningKeys(env);
+  // kid comes from the scanned code - only look up the object's own keys (not e.g. "constructor")
+  const secret = payload && typeof payload.kid === 'string' && Object.hasOwn(keys, payload.kid) ? keys[payload.kid] : null;
+
+  if (!secret) {
+    return { valid: false, error: 'QR code was signed with an unknown or retired key' };
+  }
+
+  const expected = Buffer.from(computeSignature(encodedPayload, secret));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, error: 'QR code signature is invalid' };
+  }
+
+  if (payload.exp && Math.floor(now.getTime() / 1000) >= payload.exp) {
+    return { valid: false, error: 'This QR code has expired' };
+  }
+
+  if (type && payload.type !== type) {
+    return { valid: false, error: 'Invalid QR code' };
+  }
+
+  return { valid: true, data: payload, legacy: false };
+};
+
+/**
+ * Build the signed QR string for a coupon (expires with the coupon)
+ * @param {Object} coupon - Coupon document
+ * @returns {String}
+ */
+const createCouponQRData = (coupon) => {
+  // Works with populated or unpopulated references
+  const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+  const businessId = idOf(coupon.business);
+  const userId = idOf(coupon.user);
+  const reviewId = idOf(coupon.review);
+
+  return signQRPayload({
+    type: 'coupon',
+    couponId: coupon._id.toString(),
+    code: coupon.code,
+    businessId: businessId ? businessId.toString() : '',
+    userId: userId ? userId.toString() : '',
+    ...(reviewId && { reviewId: reviewId.toString() })
+  }, { expiresAt: coupon.validUntil || null });
+};
+
+module.exports = {
+  QR_TOKEN_PREFIX,
+  loadSigningKeys,
+  isLegacyAccepted,
+  isSignedQR,
+  isCurrentQR,
+  signQRPayload,
+  verifyQRPayload,
+  createCouponQRData
+};
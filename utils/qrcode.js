@@ -2,6 +2,7 @@ const QRCode = require('qrcode');
 const { createCanvas, loadImage } = require('canvas');
 const fs = require('fs');
 const path = require('path');
+const { signQRPayload, verifyQRPayload } = require('./qrSigning');
 
 // HashView Brand Colors
 const BRAND_COLORS = {
@@ -16,15 +17,15 @@ const BRAND_COLORS = {
 // Generate QR code for business with logo and branding
 exports.generateBusinessQRCode = async (businessId, businessName) => {
   try {
-    const qrData = {
+    // Signed payload - business QR codes are printed, so they don't expire
+    const qrData = signQRPayload({
       type: 'business',
       id: businessId,
-      name: businessName,
-      timestamp: new Date().toISOString()
-    };
+      name: businessName
+    });
 
     // Step 1: Generate base QR code with brand colors
-    const qrCodeBuffer = await QRCode.toBuffer(JSON.stringify(qrData), {
+    const qrCodeBuffer = await QRCode.toBuffer(qrData, {
       errorCorrectionLevel: 'H', // High error correction to allow logo overlay
       type: 'png',
       width: 800,
@@ -142,11 +143,10 @@ exports.generateBusinessQRCode = async (businessId, businessName) => {
     console.error('Error generating styled QR code:', error);
     // Fallback to simple QR code if styling fails
     try {
-      const qrCodeString = await QRCode.toDataURL(JSON.stringify({
+      const qrCodeString = await QRCode.toDataURL(signQRPayload({
         type: 'business',
         id: businessId,
-        name: businessName,
-        timestamp: new Date().toISOString()
+        name: businessName
       }), {
         errorCorrectionLevel: 'H',
         type: 'image/png',
@@ -164,41 +164,37 @@ exports.generateBusinessQRCode = async (businessId, businessName) => {
   }
 };
 
-// Parse QR code data (for mobile app)
+// Parse and verify business QR code data (for mobile app)
 exports.parseQRCodeData = (qrDataString) => {
-  try {
-    const parsed = JSON.parse(qrDataString);
-    if (parsed.type === 'business' && parsed.id) {
-      return {
-        valid: true,
-        businessId: parsed.id,
-        businessName: parsed.name,
-        data: parsed
-      };
-    }
-    return {
-      valid: false,
-      error: 'Invalid QR code format'
-    };
-  } catch (error) {
+  const verification = verifyQRPayload(qrDataString, { type: 'business' });
+
+  if (!verification.valid || !verification.data.id) {
     return {
       valid: false,
-      error: 'Invalid QR code data'
+      error: verification.error || 'Invalid QR code format'
     };
   }
+
+  return {
+    valid: true,
+    businessId: verification.data.id,
+    businessName: verification.data.name,
+    legacy: verification.legacy,
+    data: verification.data
+  };
 };
 
 // Generate QR code for coupon
 exports.generateCouponQRCode = async (couponCode, couponData) => {
   try {
-    const qrData = {
+    const { validUntil, ...data } = couponData || {};
+    const qrData = signQRPayload({
       type: 'coupon',
       code: couponCode,
-      ...couponData,
-      timestamp: new Date().toISOString()
-    };
+      ...data
+    }, { expiresAt: validUntil || null });
 
-    const qrCodeString = await QRCode.toDataURL(JSON.stringify(qrData), {
+    const qrCodeString = await QRCode.toDataURL(qrData, {
       errorCorrectionLevel: 'H',
       type: 'image/png',
       width: 300,
@@ -215,18 +211,20 @@ exports.generateCouponQRCode = async (couponCode, couponData) => {
   }
 };
 
-// Verify QR code data
+// Verify QR code data (signature, expiry and legacy compatibility window)
 exports.verifyQRCode = (qrData) => {
-  try {
-    const parsed = JSON.parse(qrData);
-    return {
-      valid: true,
-      data: parsed
-    };
-  } catch (error) {
+  const verification = verifyQRPayload(qrData);
+
+  if (!verification.valid) {
     return {
       valid: false,
-      error: 'Invalid QR code data'
+      error: verification.error
     };
   }
+
+  return {
+    valid: true,
+    legacy: verification.legacy,
+    data: verification.data
+  };
 };
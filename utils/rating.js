@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Business = require('../models/Business.model');
+const Review = require('../models/Review.model');
+const logger = require('./logger');
+
+// Bayesian prior: a business with few reviews is pulled towards PRIOR_MEAN
+// as if it already had PRIOR_WEIGHT reviews at that rating
+const PRIOR_MEAN = parseFloat(process.env.RATING_PRIOR_MEAN) || 3.5;
+const PRIOR_WEIGHT = parseInt(process.env.RATING_PRIOR_WEIGHT) || 5;
+
+const STARS = [1, 2, 3, 4, 5];
+
+// Only approved reviews count towards the business rating
+const countsTowardsRating = (review) => !!review && review.status === 'approved' && STARS.includes(review.rating);
+
+/**
+ * Bayesian-weighted score used for ranking
+ * @param {Number} sum - Sum of all ratings
+ * @param {Number} count - Number of ratings
+ * @param {Object} options - { priorMean, priorWeight }
+ * @returns {Number} Score between 1 and 5 (rounded to 2 decimals)
+ */
+const calculateBayesianScore = (sum, count, options = {}) => {
+  const priorMean = options.priorMean ?? PRIOR_MEAN;
+  const priorWeight = options.priorWeight ?? PRIOR_WEIGHT;
+
+  const score = (priorWeight * priorMean + (sum || 0)) / (priorWeight + (count || 0));
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Work out the aggregate change between two states of a review
+ * @param {Object|null} previous - { status, rating } before the change (null when created)
+ * @param {Object|null} current - { status, rating } after the change (null when deleted)
+ * @returns {Object} { sum, count, histogram: { [star]: delta } }
+ */
+const getRatingDelta = (previous, current) => {
+  const delta = { sum: 0, count: 0, histogram: {} };
+
+  if (countsTowardsRating(previous)) {
+    delta.sum -= previous.rating;
+    delta.count -= 1;
+    delta.histogram[previous.rating] = (delta.histogram[previous.rating] || 0) - 1;
+  }
+
+  if (countsTowardsRating(current)) {
+    delta.sum += current.rating;
+    delta.count += 1;
+    delta.histogram[current.rating] = (delta.histogram[current.rating] || 0) + 1;
+  }
+
+  // Drop zero entries so unchanged stars are not touched
+  Object.keys(delta.histogram).forEach(star => {
+    if (delta.histogram[star] === 0) delete delta.histogram[star];
+  });
+
+  return delta;
+};
+
+// Recompute derived fields from the stored counters in a single atomic update
+const refreshDerivedRating = (businessId) => {
+  const count = { $max: ['$rating.count', 0] };
+
+  return Business.updateOne({ _id: businessId }, [
+    {
+      $set: {
+        'rating.average': {
+          $cond: [
+            { $gt: [count, 0] },
+            { $round: [{ $divide: ['$rating.sum', count] }, 2] },
+            0
+          ]
+        },
+        'rating.bayesian': {
+          $round: [
+            {
+              $divide: [
+                { $add: [PRIOR_WEIGHT * PRIOR_MEAN, { $ifNull: ['$rating.sum', 0] }] },
+                { $add: [PRIOR_WEIGHT, count] }
+              ]
+            },
+            2
+          ]
+        },
+        reviewCount: count
+      }
+    }
+  ]);
+};
+
+/**
+ * Apply a review change to the business rating aggregate
+ * Counters are updated with $inc so concurrent reviews never overwrite each other.
+ * @param {String} businessId - Business ID
+ * @param {Object|null} previous - { status, rating } before the change
+ * @param {Object|null} current - { status, rating } after the change
+ */
+const applyReviewRatingChange = async (businessId, previous, current) => {
+  const delta = getRatingDelta(previous, current);
+
+  if (delta.count === 0 && delta.sum === 0 && Object.keys(delta.histogram).length === 0) {
+    return;
+  }
+
+  const inc = {
+    'rating.sum': delta.sum,
+    'rating.count': delta.count
+  };
+  Object.entries(delta.histogram).forEach(([star, value]) => {
+    inc[`rating.histogram.${star}`] = value;
+  });
+
+  // Businesses created before running totals existed are rebuilt from their reviews instead
+  const result = await Business.updateOne(
+    { _id: businessId, 'rating.sum': { $exists: true } },
+    { $inc: inc }
+  );
+
+  if (result.matchedCount === 0) {
+    await rebuildBusinessRatings(businessId);
+    return;
+  }
+
+  await refreshDerivedRating(businessId);
+};
+
+/**
+ * Rebuild rating aggregates from scratch (admin maintenance)
+ * @param {String} businessId - Rebuild a single business, or all businesses when omitted
+ * @returns {Number} Number of businesses rebuilt
+ */
+const rebuildBusinessRatings = async (businessId = null) => {
+  const match = { status: 'approved' };
+  if (businessId) match.business = new mongoose.Types.ObjectId(businessId);
+
+  const stats = await Review.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { business: '$business', rating: '$rating' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  // Fold per-star counts into one aggregate per business
+  const aggregates = new Map();
+  stats.forEach(({ _id, count }) => {
+    const key = _id.business.toString();
+    if (!aggregates.has(key)) {
+      aggregates.set(key, { sum: 0, count: 0, histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } });
+    }
+    const aggregate = aggregates.get(key);
+    if (STARS.includes(_id.rating)) {
+      aggregate.sum += _id.rating * count;
+      aggregate.count += count;
+      aggregate.histogram[_id.rating] += count;
+    }
+  });
+
+  const businessIds = businessId
+    ? [businessId]
+    : (await Business.find().select('_id')).map(b => b._id.toString());
+
+  for (const id of businessIds) {
+    const aggregate = aggregates.get(id.toString()) || {
+      sum: 0,
+      count: 0,
+      histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+    };
+
+    await Business.updateOne({ _id: id }, {
+      $set: {
+        'rating.sum': aggregate.sum,
+        'rating.count': aggregate.count,
+        'rating.histogram': aggregate.histogram
+      }
+    });
+    await refreshDerivedRating(id);
+  }
+
+  logger.info(`⭐ Rebuilt rating aggregates for ${businessIds.length} businesses`);
+
+  return businessIds.length;
+};
+
+module.exports = {
+  PRIOR_MEAN,
+  PRIOR_WEIGHT,
+  calculateBayesianScore,
+  getRatingDelta,
+  applyReviewRatingChange,
+  rebuildBusinessRatings
+};
@@ -0,0 +1,125 @@
+const Review = require('../models/Review.model');
+const ReviewRevision = require('../models/ReviewRevision.model');
+const { applyReviewRatingChange } = require('./rating');
+const logger = require('./logger');
+
+// Authors can edit a review for this many days after posting it (admins can always edit)
+const REVIEW_EDIT_WINDOW_DAYS = parseInt(process.env.REVIEW_EDIT_WINDOW_DAYS) || 7;
+
+const EDITABLE_FIELDS = ['rating', 'comment', 'images', 'videos'];
+const MEDIA_FIELDS = ['images', 'videos'];
+const MEDIA_KEYS = ['url', 'publicId', 'thumbnail', 'duration'];
+
+/**
+ * When an author can no longer edit a review
+ * @param {Object} review - Review document
+ * @returns {Date}
+ */
+const getEditWindowEndsAt = (review) =>
+  new Date(new Date(review.createdAt).getTime() + REVIEW_EDIT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Check whether a review is still inside its edit window
+ * @param {Object} review - Review document
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+const isWithinEditWindow = (review, now = new Date()) => now < getEditWindowEndsAt(review);
+
+// Media as plain { url, publicId, ... } objects with a fixed key order, so lists compare reliably
+const normalizeMedia = (media) => (media || []).map(item => {
+  const plain = typeof item.toObject === 'function' ? item.toObject() : item;
+  return MEDIA_KEYS.reduce((result, key) => {
+    if (plain[key] !== undefined && plain[key] !== null) result[key] = plain[key];
+    return result;
+  }, {});
+});
+
+/**
+ * Work out which fields an edit changes
+ * @param {Object} review - Review before the edit
+ * @param {Object} updates - { rating, comment, images, videos } (missing fields are left alone)
+ * @returns {Array<Object>} [{ field, from, to }]
+ */
+const getReviewChanges = (review, updates) => {
+  const changes = [];
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (updates[field] === undefined) return;
+
+    if (MEDIA_FIELDS.includes(field)) {
+      const from = normalizeMedia(review[field]);
+      const to = normalizeMedia(updates[field]);
+      if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+      return;
+    }
+
+    if (review[field] !== updates[field]) {
+      changes.push({ field, from: review[field], to: updates[field] });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Edit a review and store what changed as a new revision
+ * The update only applies if nobody else edited or moderated the review in the meantime, so the
+ * rating change applied to the business aggregate is always from the state that was replaced.
+ * @param {Object} review - Review document
+ * @param {Object} updates - { rating, comment, images, videos }
+ * @param {Object} editor - { user, role: 'user' | 'admin', reason, ipAddress }
+ * @returns {Promise<Object>} { review, revision } (revision null if nothing changed) or { error: { status, message } }
+ */
+const editReview = async (review, updates, editor) => {
+  const changes = getReviewChanges(review, updates);
+  if (changes.length === 0) {
+    return { review, revision: null };
+  }
+
+  const $set = { editedAt: new Date() };
+  changes.forEach(change => {
+    $set[change.field] = change.to;
+  });
+
+  // Reviews from before edit history have no editCount stored
+  const editCount = review.editCount ? review.editCount : { $in: [0, null] };
+
+  const updated = await Review.findOneAndUpdate(
+    { _id: review._id, editCount, status: review.status, rating: review.rating },
+    { $set, $inc: { editCount: 1 } },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    return { error: { status: 409, message: 'This review was edited at the same time. Please reload it and try again.' } };
+  }
+
+  const revision = await ReviewRevision.create({
+    review: updated._id,
+    business: updated.business,
+    user: updated.user,
+    revision: updated.editCount,
+    editor: editor.user._id,
+    editorRole: editor.role,
+    changes,
+    reason: editor.reason || null,
+    ipAddress: editor.ipAddress || null
+  });
+
+  await applyReviewRatingChange(updated.business, { status: review.status, rating: review.rating }, updated);
+
+  const ratingChange = changes.find(change => change.field === 'rating');
+  logger.info(`✏️  Review ${updated._id} edited by ${editor.role} ${editor.user._id} (revision ${revision.revision}: ${changes.map(change => change.field).join(', ')}${ratingChange ? `, rating ${ratingChange.from} -> ${ratingChange.to}` : ''})`);
+
+  return { review: updated, revision };
+};
+
+module.exports = {
+  REVIEW_EDIT_WINDOW_DAYS,
+  getEditWindowEndsAt,
+  isWithinEditWindow,
+  normalizeMedia,
+  getReviewChanges,
+  editReview
+};
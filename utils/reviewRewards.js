@@ -0,0 +1,144 @@
+const Coupon = require('../models/Coupon.model');
+const Review = require('../models/Review.model');
+const { generateCouponCode } = require('./coupon');
+const { createCouponQRData } = require('./qrSigning');
+const { sendPushNotification } = require('./notification');
+const logger = require('./logger');
+
+// Reward coupons are valid for this long after they are issued
+const REWARD_VALIDITY_HOURS = 2;
+
+// A review earns its reward the first time it becomes approved (on posting, or when a moderator approves a flagged one)
+const isNewlyApproved = (previous, current) => {
+  return !!current && current.status === 'approved' && (!previous || previous.status !== 'approved');
+};
+
+const getCouponMessage = (rewardType, rewardValue) => {
+  if (rewardType === 'percentage') return `You've earned a ${rewardValue}% discount coupon! Valid for ${REWARD_VALIDITY_HOURS} hours.`;
+  if (rewardType === 'fixed') return `You've earned a ₹${rewardValue} discount coupon! Valid for ${REWARD_VALIDITY_HOURS} hours.`;
+  if (rewardType === 'buy1get1') return `You've earned a Buy 1 Get 1 coupon! Valid for ${REWARD_VALIDITY_HOURS} hours.`;
+  return `You've earned a free drink coupon! Valid for ${REWARD_VALIDITY_HOURS} hours.`;
+};
+
+const notify = async (userId, title, body, data) => {
+  try {
+    await sendPushNotification(userId, title, body, data);
+  } catch (error) {
+    logger.error('Failed to send review notification:', error);
+  }
+};
+
+/**
+ * Issue the reward coupon for an approved review (at most once per review)
+ * Uses the business's active coupon template, or the default 10% reward.
+ * @param {Object} review - Approved review document
+ * @param {Object} business - Business document
+ * @returns {Promise<Object>} { coupon, limitReached }
+ */
+const awardReviewCoupon = async (review, business) => {
+  // Claim the reward first so a retried or concurrent approval can't issue a second coupon
+  const claimed = await Review.updateOne(
+    { _id: review._id, couponAwarded: { $ne: true } },
+    { $set: { couponAwarded: true } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return { coupon: null, limitReached: false };
+  }
+
+  const couponTemplate = await Coupon.findOne({
+    business: business._id,
+    type: 'business',
+    isActive: true
+  });
+
+  // Check if redemption limit is reached
+  if (couponTemplate && couponTemplate.redemptionLimit !== null) {
+    const redeemedCount = await Coupon.countDocuments({
+      business: business._id,
+      type: 'review_reward',
+      status: 'redeemed'
+    });
+
+    if (redeemedCount >= couponTemplate.redemptionLimit) {
+      logger.info(`Redemption limit reached for business ${business._id}. Template limit: ${couponTemplate.redemptionLimit}, Redeemed: ${redeemedCount}`);
+      await Review.updateOne({ _id: review._id }, { $set: { couponAwarded: false } });
+      return { coupon: null, limitReached: true };
+    }
+  }
+
+  const validUntil = new Date();
+  validUntil.setHours(validUntil.getHours() + REWARD_VALIDITY_HOURS);
+
+  // Use template values or defaults
+  const rewardType = couponTemplate?.rewardType || 'percentage';
+  const rewardValue = couponTemplate?.rewardValue || 10;
+
+  const coupon = await Coupon.create({
+    type: 'review_reward',
+    business: business._id,
+    user: review.user,
+    review: review._id,
+    template: couponTemplate ? couponTemplate._id : null,
+    code: generateCouponCode(),
+    rewardType,
+    rewardValue,
+    description: couponTemplate?.description || 'Thank you for your review! Enjoy your reward. Valid for 2 hours.',
+    validFrom: new Date(),
+    validUntil,
+    minPurchaseAmount: couponTemplate?.minPurchaseAmount || 0,
+    maxDiscountAmount: couponTemplate?.maxDiscountAmount || null,
+    status: 'active',
+    terms: 'Valid for 2 hours from time of issue. Can be used once.'
+  });
+
+  // Signed QR code needs the coupon ID, so it is added after creation
+  coupon.qrCodeData = createCouponQRData(coupon);
+  await coupon.save();
+
+  // Increment template usage count (for analytics)
+  if (couponTemplate) {
+    await Coupon.findByIdAndUpdate(couponTemplate._id, { $inc: { usageCount: 1 } });
+  }
+
+  await Review.updateOne({ _id: review._id }, { $set: { coupon: coupon._id } });
+  review.couponAwarded = true;
+  review.coupon = coupon._id;
+
+  return { coupon, limitReached: false };
+};
+
+/**
+ * Everything that follows a review being approved: the reviewer's reward coupon and the owner's notification
+ * @param {Object} review - Approved review document
+ * @param {Object} business - Business document
+ * @param {Object} reviewer - { _id, name }
+ * @returns {Promise<Object>} { coupon, limitReached }
+ */
+const completeReviewApproval = async (review, business, reviewer) => {
+  const result = await awardReviewCoupon(review, business);
+
+  if (result.coupon) {
+    await notify(
+      reviewer._id,
+      'Coupon Earned! 🎉',
+      getCouponMessage(result.coupon.rewardType, result.coupon.rewardValue),
+      { type: 'coupon', couponId: result.coupon._id.toString() }
+    );
+  }
+
+  await notify(
+    business.owner,
+    'New Review',
+    `${reviewer.name} left a ${review.rating}-star review for ${business.name}`,
+    { type: 'review', reviewId: review._id.toString() }
+  );
+
+  return result;
+};
+
+module.exports = {
+  REWARD_VALIDITY_HOURS,
+  isNewlyApproved,
+  awardReviewCoupon,
+  completeReviewApproval
+};
@@ -0,0 +1,212 @@
+const { calculateDistance } = require('./geolocation');
+
+// Reviews scoring at or above this are saved with status 'flagged' for moderation
+const DEFAULT_RISK_THRESHOLD = parseInt(process.env.REVIEW_RISK_THRESHOLD) || 50;
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Risk signals
+ * Each signal returns a value between 0 (no risk) and 1 (maximum risk), optionally with details.
+ * A signal contributes `weight * value` points to the total score (capped at 100).
+ * `eventType` is used when logging the signal to the SuspiciousActivity collection.
+ */
+const riskSignals = [
+  {
+    name: 'mockLocation',
+    eventType: 'MOCK_LOCATION_DETECTED',
+    weight: 60,
+    evaluate: (ctx) => ({
+      value: ctx.isMockLocation === true ? 1 : 0,
+      detail: { devicePlatform: ctx.devicePlatform }
+    })
+  },
+  {
+    name: 'gpsAccuracy',
+    eventType: 'POOR_GPS_ACCURACY',
+    weight: 25,
+    evaluate: (ctx) => {
+      if (!ctx.locationAccuracy) return { value: 0 };
+      // Up to 20m is normal, 50m+ is poor
+      return {
+        value: clamp((ctx.locationAccuracy - 20) / 30),
+        detail: { accuracy: ctx.locationAccuracy }
+      };
+    }
+  },
+  {
+    name: 'locationHistory',
+    eventType: 'INSUFFICIENT_LOCATION_HISTORY',
+    weight: 10,
+    evaluate: (ctx) => {
+      if (ctx.locationHistoryCount === undefined || ctx.locationHistoryCount === null) return { value: 0 };
+      return {
+        value: clamp((5 - ctx.locationHistoryCount) / 5),
+        detail: { locationHistoryCount: ctx.locationHistoryCount }
+      };
+    }
+  },
+  {
+    name: 'verificationTime',
+    eventType: 'VERIFICATION_TIME_MISMATCH',
+    weight: 5,
+    evaluate: (ctx) => ({
+      value: ctx.verificationTime !== undefined && ctx.verificationTime !== 30 ? 1 : 0,
+      detail: { verificationTime: ctx.verificationTime }
+    })
+  },
+  {
+    name: 'frontendSuspiciousActivities',
+    eventType: 'FRONTEND_SUSPICIOUS_ACTIVITIES',
+    weight: 40,
+    evaluate: (ctx) => {
+      const count = ctx.suspiciousActivitiesCount || 0;
+      return {
+        value: clamp(count / 3),
+        detail: { count }
+      };
+    }
+  },
+  {
+    name: 'accountAge',
+    eventType: 'NEW_ACCOUNT',
+    weight: 15,
+    evaluate: (ctx) => {
+      if (!ctx.accountCreatedAt) return { value: 0 };
+      const ageHours = (ctx.now - new Date(ctx.accountCreatedAt)) / (60 * 60 * 1000);
+      // Accounts younger than 1 day are highest risk, older than 7 days carry none
+      let value = 0;
+      if (ageHours < 24) value = 1;
+      else if (ageHours < 7 * 24) value = 0.5;
+      return { value, detail: { ageHours: Math.round(ageHours) } };
+    }
+  },
+  {
+    name: 'deviceSharedAccounts',
+    eventType: 'DEVICE_SHARED_ACROSS_ACCOUNTS',
+    weight: 30,
+    evaluate: (ctx) => {
+      const otherAccounts = ctx.deviceOtherAccountCount || 0;
+      return {
+        value: clamp(otherAccounts / 2),
+        detail: { otherAccounts }
+      };
+    }
+  },
+  {
+    name: 'deviceDailyVolume',
+    eventType: 'MULTIPLE_DEVICE_REVIEWS',
+    weight: 10,
+    evaluate: (ctx) => ({
+      value: (ctx.deviceReviewsToday || 0) >= 3 ? 1 : 0,
+      detail: { reviewCount: ctx.deviceReviewsToday || 0 }
+    })
+  },
+  {
+    name: 'distanceRatio',
+    eventType: 'GEOFENCE_EDGE',
+    weight: 15,
+    evaluate: (ctx) => {
+      if (!ctx.businessRadius || ctx.actualDistance === undefined) return { value: 0 };
+      const ratio = ctx.actualDistance / ctx.businessRadius;
+      // Inside half the radius is normal, right at the boundary is suspicious
+      return {
+        value: clamp((ratio - 0.5) / 0.5),
+        detail: { ratio: Number(ratio.toFixed(2)) }
+      };
+    }
+  },
+  {
+    name: 'velocity',
+    eventType: 'IMPOSSIBLE_TRAVEL',
+    weight: 50,
+    evaluate: (ctx) => {
+      const previous = ctx.previousReview;
+      if (!previous || !previous.coordinates || !previous.createdAt) return { value: 0 };
+
+      const [prevLon, prevLat] = previous.coordinates;
+      const distance = calculateDistance(ctx.latitude, ctx.longitude, prevLat, prevLon);
+      const hours = Math.max((ctx.now - new Date(previous.createdAt)) / (60 * 60 * 1000), 1 / 60);
+      const speedKmh = (distance / 1000) / hours;
+
+      // Faster than a car is suspicious, faster than a plane is impossible
+      let value = 0;
+      if (speedKmh > 900) value = 1;
+      else if (speedKmh > 150) value = 0.5;
+
+      return {
+        value,
+        detail: { speedKmh: Math.round(speedKmh), distance: Math.round(distance) }
+      };
+    }
+  }
+];
+
+/**
+ * Register an additional risk signal
+ * @param {Object} signal - { name, eventType, weight, evaluate(ctx) => { value, detail } }
+ */
+const registerRiskSignal = (signal) => {
+  if (!signal || !signal.name || typeof signal.evaluate !== 'function' || typeof signal.weight !== 'number') {
+    throw new Error('Risk signal requires a name, numeric weight and evaluate function');
+  }
+
+  const existingIndex = riskSignals.findIndex(s => s.name === signal.name);
+  if (existingIndex !== -1) {
+    riskSignals[existingIndex] = signal;
+  } else {
+    riskSignals.push(signal);
+  }
+};
+
+/**
+ * Combine all registered signals into a single weighted risk score
+ * @param {Object} context - Review submission context (see signals above for fields)
+ * @param {Object} options - { threshold }
+ * @returns {Object} { score, threshold, flagged, signals }
+ */
+const scoreReview = (context, options = {}) => {
+  const threshold = options.threshold || DEFAULT_RISK_THRESHOLD;
+  const ctx = { now: new Date(), ...context };
+
+  const signals = [];
+  let total = 0;
+
+  for (const signal of riskSignals) {
+    let result;
+    try {
+      result = signal.evaluate(ctx) || { value: 0 };
+    } catch (error) {
+      result = { value: 0, detail: { error: error.message } };
+    }
+
+    const value = clamp(Number(result.value) || 0);
+    const points = signal.weight * value;
+    total += points;
+
+    signals.push({
+      name: signal.name,
+      eventType: signal.eventType,
+      weight: signal.weight,
+      value,
+      points: Number(points.toFixed(2)),
+      detail: result.detail || {}
+    });
+  }
+
+  const score = Math.min(100, Math.round(total));
+
+  return {
+    score,
+    threshold,
+    flagged: score >= threshold,
+    signals
+  };
+};
+
+module.exports = {
+  DEFAULT_RISK_THRESHOLD,
+  riskSignals,
+  registerRiskSignal,
+  scoreReview
+};
@@ -0,0 +1,370 @@
+const Business = require('../models/Business.model');
+const { calculateDistance } = require('./geolocation');
+const logger = require('./logger');
+
+// Field weights for in-memory relevance scoring - the same weights as the text index
+const SEARCH_FIELD_WEIGHTS = Business.TEXT_SEARCH_WEIGHTS;
+
+// How relevance, distance and rating are blended into the final ranking score
+const RANKING_WEIGHTS = {
+  relevance: 0.6,
+  distance: 0.25,
+  rating: 0.15
+};
+
+// Distance (km) at which the distance score drops to half
+const DISTANCE_HALF_SCORE_KM = 5;
+
+// Match strength for a single search token against a single word
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.8,
+  typo: 0.5
+};
+
+const MAX_TOKENS = 8;
+const MAX_TOKEN_LENGTH = 40;
+
+// When exact/prefix retrieval finds fewer results than this, fall back to typo-tolerant matching
+const FUZZY_FALLBACK_MIN_RESULTS = 5;
+const FUZZY_CANDIDATE_LIMIT = 300;
+
+// Escape user input before it is used inside a RegExp
+const escapeRegExp = (string) => {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+// Split text into lowercase words (letters/numbers only, accents stripped)
+const splitWords = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+/**
+ * Split a raw search string into safe, normalised tokens
+ * @param {String} term - Raw user input
+ * @returns {String[]} Lowercase tokens (letters/numbers only)
+ */
+const tokenize = (term) => {
+  if (!term || typeof term !== 'string') return [];
+
+  return splitWords(term)
+    .map(token => token.substring(0, MAX_TOKEN_LENGTH))
+    .slice(0, MAX_TOKENS);
+};
+
+// Levenshtein distance with an early exit once `max` is exceeded
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Typos allowed for a token of this length
+const allowedTypos = (token) => {
+  if (token.length < 4) return 0;
+  if (token.length < 8) return 1;
+  return 2;
+};
+
+/**
+ * How well a token matches a word
+ * @returns {Number} 0 (no match) to 1 (exact match)
+ */
+const matchToken = (token, word) => {
+  if (word === token) return MATCH_SCORES.exact;
+  if (token.length >= 2 && word.startsWith(token)) return MATCH_SCORES.prefix;
+
+  const typos = allowedTypos(token);
+  if (typos === 0) return 0;
+
+  // Compare against the whole word and against a prefix of the same length (typo while still typing)
+  if (editDistance(token, word, typos) <= typos) return MATCH_SCORES.typo;
+  if (word.length > token.length && editDistance(token, word.substring(0, token.length), typos) <= typos) {
+    return MATCH_SCORES.typo * 0.8;
+  }
+
+  return 0;
+};
+
+const getFieldValue = (doc, path) => path.split('.').reduce((value, key) => (value ? value[key] : undefined), doc);
+
+/**
+ * Weighted text relevance of a business for a set of tokens
+ * Each token takes its best weighted match across all fields.
+ * @param {Object} business - Plain business object
+ * @param {String[]} tokens - Output of tokenize()
+ * @returns {Number} Relevance between 0 and 1
+ */
+const scoreTextMatch = (business, tokens) => {
+  if (!tokens.length) return 0;
+
+  const maxWeight = Math.max(...Object.values(SEARCH_FIELD_WEIGHTS));
+  const fieldWords = Object.keys(SEARCH_FIELD_WEIGHTS).map(field => ({
+    weight: SEARCH_FIELD_WEIGHTS[field],
+    words: splitWords(getFieldValue(business, field))
+  }));
+
+  let total = 0;
+  let matchedTokens = 0;
+  for (const token of tokens) {
+    let best = 0;
+    for (const { weight, words } of fieldWords) {
+      for (const word of words) {
+        const score = matchToken(token, word) * weight;
+        if (score > best) best = score;
+      }
+    }
+    if (best > 0) matchedTokens++;
+    total += best;
+  }
+
+  // Every token must match something (AND semantics)
+  if (matchedTokens < tokens.length) return 0;
+
+  return Number((total / (tokens.length * maxWeight)).toFixed(4));
+};
+
+/**
+ * Blend relevance, distance and rating into one ranking score
+ * @param {Object} input - { relevance (0-1), distanceKm, rating (bayesian 0-5) }
+ * @returns {Number} Score between 0 and 1
+ */
+const blendScore = ({ relevance = 0, distanceKm, rating }) => {
+  const hasDistance = typeof distanceKm === 'number' && !Number.isNaN(distanceKm);
+  const weights = { ...RANKING_WEIGHTS };
+
+  // Without a user location the distance weight goes to relevance
+  if (!hasDistance) {
+    weights.relevance += weights.distance;
+    weights.distance = 0;
+  }
+
+  const distanceScore = hasDistance ? 1 / (1 + distanceKm / DISTANCE_HALF_SCORE_KM) : 0;
+  const ratingScore = rating ? Math.max(0, Math.min(1, (rating - 1) / 4)) : 0;
+
+  const score = weights.relevance * relevance +
+    weights.distance * distanceScore +
+    weights.rating * ratingScore;
+
+  return Number(score.toFixed(4));
+};
+
+/**
+ * Build the shared business filter (status, category, city and rating source)
+ * @param {Object} options - { category, city, ratingSource, minRating }
+ * @returns {Object} Mongo filter
+ */
+const buildBusinessFilter = ({ category, city, ratingSource, minRating } = {}) => {
+  // Show only active businesses to users
+  const filter = { status: 'active' };
+
+  if (category && category !== 'all') {
+    filter.category = {
+      $regex: new RegExp(`^${escapeRegExp(category.trim())}$`, 'i')
+    };
+  }
+
+  if (city && city.trim() !== '') {
+    filter['address.city'] = { $regex: new RegExp(escapeRegExp(city.trim()), 'i') };
+  }
+
+  // Server-side star-based rating filters
+  if (ratingSource && minRating) {
+    const minRatingValue = parseFloat(minRating);
+
+    if (!Number.isNaN(minRatingValue)) {
+      if (ratingSource === 'hashview') {
+        filter['rating.average'] = { $gte: minRatingValue };
+      } else if (ratingSource === 'google') {
+        filter['externalProfiles.googleBusiness.rating'] = { $gte: minRatingValue };
+      } else if (ratingSource === 'tripadvisor') {
+        filter['externalProfiles.tripAdvisor.rating'] = { $gte: minRatingValue };
+      }
+    }
+  }
+
+  return filter;
+};
+
+// Word-prefix regex filter over the searchable fields (input is escaped)
+const buildPrefixFilter = (tokens) => ({
+  $and: tokens.map(token => ({
+    $or: Object.keys(SEARCH_FIELD_WEIGHTS).map(field => ({
+      [field]: { $regex: new RegExp(`(^|\\W)${escapeRegExp(token)}`, 'i') }
+    }))
+  }))
+});
+
+// Substrings of a token that survive its allowed typos - each edit breaks at most `size` n-grams,
+// so trigrams are used only when there are enough of them for one to be left intact
+const getTokenGrams = (token) => {
+  const typos = allowedTypos(token);
+  const size = Math.min(token.length - 2 > typos * 3 ? 3 : 2, token.length);
+  const grams = new Set();
+  for (let i = 0; i + size <= token.length; i++) {
+    grams.add(token.substring(i, i + size));
+  }
+  return [...grams];
+};
+
+/**
+ * Candidate filter for typo-tolerant matching: every token must share an n-gram with some searchable field
+ * Narrows the fallback to businesses that could plausibly match before they are scored in memory.
+ * @param {String[]} tokens - Output of tokenize()
+ * @returns {Object} MongoDB filter
+ */
+const buildFuzzyFilter = (tokens) => ({
+  $and: tokens.map(token => {
+    const grams = new RegExp(getTokenGrams(token).map(escapeRegExp).join('|'), 'i');
+    return {
+      $or: Object.keys(SEARCH_FIELD_WEIGHTS).map(field => ({ [field]: { $regex: grams } }))
+    };
+  })
+});
+
+// Add distance (km) to a business when the user location is known
+const withDistance = (business, location) => {
+  const businessObj = typeof business.toObject === 'function' ? business.toObject() : business;
+
+  if (location && businessObj.location && businessObj.location.coordinates) {
+    businessObj.distance = calculateDistance(
+      location.latitude,
+      location.longitude,
+      businessObj.location.coordinates[1],
+      businessObj.location.coordinates[0]
+    ) / 1000;
+  }
+
+  return businessObj;
+};
+
+/**
+ * Find businesses matching a search term, ranked by relevance blended with distance and rating
+ * Used by the nearby, all and search endpoints.
+ * @param {Object} options
+ * @param {Object} options.filter - Base filter from buildBusinessFilter()
+ * @param {String} options.term - Raw search input (optional)
+ * @param {Object} options.location - { latitude, longitude, maxDistance (m) } (optional)
+ * @param {Number} options.limit - Maximum results
+ * @param {Object} options.sort - Sort used when there is no search term
+ * @returns {Promise<Object[]>} Plain business objects with `distance` (km) and `relevance`
+ */
+const findBusinesses = async ({ filter = {}, term, location, limit = 50, sort } = {}) => {
+  const tokens = tokenize(term);
+  const query = { ...filter };
+
+  // No search term - plain filtered listing
+  if (!tokens.length) {
+    if (location && location.maxDistance) {
+      query.location = {
+        $near: {
+          $geometry: { type: 'Point', coordinates: [location.longitude, location.latitude] },
+          $maxDistance: location.maxDistance
+        }
+      };
+    }
+
+    let listing = Business.find(query).select('-documents').limit(limit);
+    if (sort && !query.location) listing = listing.sort(sort);
+
+    return (await listing).map(business => withDistance(business, location));
+  }
+
+  // $near can't be combined with $text, so restrict the area with $geoWithin instead
+  if (location && location.maxDistance) {
+    query.location = {
+      $geoWithin: {
+        $centerSphere: [[location.longitude, location.latitude], location.maxDistance / 6378100]
+      }
+    };
+  }
+
+  const candidateLimit = Math.max(limit * 4, 100);
+  const candidates = new Map();
+  const textMatched = new Set();
+
+  // 1. Weighted text index (whole words, stemmed)
+  try {
+    const textResults = await Business.find({ ...query, $text: { $search: tokens.join(' ') } })
+      .select('-documents')
+      .limit(candidateLimit);
+    textResults.forEach(business => {
+      candidates.set(business._id.toString(), business);
+      textMatched.add(business._id.toString());
+    });
+  } catch (error) {
+    // Text index not built yet - prefix matching below still works
+    logger.warn(`⚠️  Text search unavailable: ${error.message}`);
+  }
+
+  // 2. Word-prefix matching (search-as-you-type)
+  const prefixResults = await Business.find({ ...query, ...buildPrefixFilter(tokens) })
+    .select('-documents')
+    .limit(candidateLimit);
+  prefixResults.forEach(business => candidates.set(business._id.toString(), business));
+
+  // 3. Typo tolerance - score businesses sharing n-grams with the search in memory when few results were found
+  if (candidates.size < FUZZY_FALLBACK_MIN_RESULTS) {
+    const fuzzyResults = await Business.find({ ...query, ...buildFuzzyFilter(tokens) })
+      .select('-documents')
+      .sort({ 'rating.bayesian': -1 })
+      .limit(FUZZY_CANDIDATE_LIMIT);
+    fuzzyResults.forEach(business => {
+      if (!candidates.has(business._id.toString())) {
+        candidates.set(business._id.toString(), business);
+      }
+    });
+  }
+
+  const ranked = [];
+  for (const [id, business] of candidates) {
+    const businessObj = withDistance(business, location);
+    let relevance = scoreTextMatch(businessObj, tokens);
+
+    // Stemmed text index matches (e.g. "cafes" -> "cafe") always count as relevant
+    if (relevance === 0 && textMatched.has(id)) relevance = MATCH_SCORES.typo / 2;
+    if (relevance === 0) continue;
+
+    businessObj.relevance = relevance;
+    businessObj.searchScore = blendScore({
+      relevance,
+      distanceKm: businessObj.distance,
+      rating: businessObj.rating?.bayesian || businessObj.rating?.average
+    });
+    ranked.push(businessObj);
+  }
+
+  ranked.sort((a, b) => b.searchScore - a.searchScore);
+
+  return ranked.slice(0, limit);
+};
+
+module.exports = {
+  SEARCH_FIELD_WEIGHTS,
+  RANKING_WEIGHTS,
+  escapeRegExp,
+  tokenize,
+  matchToken,
+  scoreTextMatch,
+  blendScore,
+  buildBusinessFilter,
+  buildPrefixFilter,
+  buildFuzzyFilter,
+  findBusinesses
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session.model');
+const User = require('../models/User.model');
+const SuspiciousActivity = require('../models/SuspiciousActivity.model');
+const { generateToken } = require('./jwt');
+const logger = require('./logger');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Don't write lastSeenAt on every request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Split a refresh token into its session ID and secret
+ * Refresh tokens look like: <sessionId>.<random hex>
+ * @param {String} refreshToken
+ * @returns {Object|null} { sessionId, secret }
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret, ...rest] = refreshToken.split('.');
+  if (rest.length > 0 || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  return { sessionId, secret };
+};
+
+const newRefreshSecret = () => crypto.randomBytes(40).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Device details sent by the app (headers) or inferred from the user agent
+ * @param {Object} req - Express request
+ * @returns {Object}
+ */
+const getDeviceInfo = (req) => {
+  const userAgent = req.get('user-agent') || null;
+  let platform = req.get('x-device-platform') || null;
+
+  if (!platform && userAgent) {
+    if (/android/i.test(userAgent)) platform = 'android';
+    else if (/iphone|ipad|ios|darwin/i.test(userAgent)) platform = 'ios';
+    else platform = 'web';
+  }
+
+  return {
+    deviceId: req.get('x-device-id') || null,
+    name: req.get('x-device-name') || null,
+    platform,
+    userAgent: userAgent ? userAgent.slice(0, 300) : null
+  };
+};
+
+/**
+ * Start a session at login and issue an access + refresh token pair
+ * @param {Object} user - Account (User document)
+ * @param {String} userType - Role the session acts as: customer | business | admin
+ * @param {Object} req - Express request (device info and IP)
+ * @returns {Promise<Object>} { token, refreshToken, session }
+ */
+const createSession = async (user, userType, req) => {
+  const secret = newRefreshSecret();
+  const sessionId = new mongoose.Types.ObjectId();
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    userType,
+    refreshTokenHash: hashToken(secret),
+    device: getDeviceInfo(req),
+    createdIp: req.ip,
+    lastSeenIp: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: generateToken(user._id, userType, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (the refresh token is rotated)
+ * Presenting an already-rotated refresh token means it was copied - the session is revoked.
+ * @param {String} refreshToken
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { token, refreshToken, session } or { error: { status, message } }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { error: { status: 401, message: 'Invalid refresh token' } };
+  }
+
+  const secret = newRefreshSecret();
+  const now = new Date();
+
+  // Conditional update - only the holder of the current token can rotate it
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        lastSeenAt: now,
+        lastSeenIp: req.ip,
+        expiresAt: refreshExpiry()
+      },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      token: generateToken(session.user, session.userType, session._id),
+      refreshToken: `${session._id}.${secret}`,
+      session
+    };
+  }
+
+  const existing = await Session.findById(parsed.sessionId);
+
+  if (!existing || existing.revokedAt || existing.expiresAt <= now) {
+    return { error: { status: 401, message: 'Session has expired. Please log in again.' } };
+  }
+
+  // Valid session but an old token - treat as theft and kill the session
+  await revokeSession(existing._id, 'refresh_token_reuse');
+
+  logger.warn(`🚨 Refresh token reuse detected for session ${existing._id} (user ${existing.user})`);
+  try {
+    await SuspiciousActivity.create({
+      userId: existing.user,
+      eventType: 'REFRESH_TOKEN_REUSE',
+      ipAddress: req.ip,
+      deviceId: existing.device?.deviceId || null,
+      metadata: { sessionId: existing._id, rotationCount: existing.rotationCount }
+    });
+  } catch (error) {
+    logger.error('Failed to persist suspicious activity:', error);
+  }
+
+  return { error: { status: 401, message: 'Session has been revoked. Please log in again.' } };
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId
+ * @param {String} reason
+ * @param {String} userId - Only revoke if the session belongs to this user (optional)
+ * @returns {Promise<Object|null>} Revoked session or null
+ */
+const revokeSession = async (sessionId, reason, userId = null) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+
+  return Session.findOneAndUpdate(
+    filter,
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke every session for a user and reject access tokens issued before now
+ * Used on password change/reset and suspension.
+ * @param {String} userId
+ * @param {String} reason
+ * @param {Object} options - { exceptSessionId: keep this one (e.g. "log out other devices") }
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, options = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (options.exceptSessionId) filter._id = { $ne: options.exceptSessionId };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+
+  // Legacy tokens without a session can only be cut off by issue time
+  if (!options.exceptSessionId) {
+    await User.updateOne({ _id: userId }, { sessionsInvalidatedAt: new Date() });
+  }
+
+  logger.info(`🔒 Revoked ${result.modifiedCount} session(s) for user ${userId} (${reason})`);
+  return result.modifiedCount;
+};
+
+/**
+ * Whether an access token without a session (issued before sessions existed) is still accepted
+ * LEGACY_ACCESS_TOKENS_ISSUED_BEFORE="2026-10-20T00:00:00Z" - set to the deploy time; tokens issued earlier
+ * keep working until they expire, anything issued later must belong to a session
+ * Unset or not a date - rejected
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Object} env
+ * @returns {Boolean}
+ */
+const isLegacyTokenAccepted = (decoded, env = process.env) => {
+  const cutoff = new Date(env.LEGACY_ACCESS_TOKENS_ISSUED_BEFORE);
+  if (isNaN(cutoff.getTime())) return false;
+
+  return decoded.iat < Math.floor(cutoff.getTime() / 1000);
+};
+
+/**
+ * Check the session behind an access token is still live (called from protect)
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Object} user - Loaded user
+ * @param {Object} req - Express request
+ * @returns {Promise<Boolean>}
+ */
+const isAccessTokenActive = async (decoded, user, req) => {
+  if (user.sessionsInvalidatedAt && decoded.iat < Math.floor(user.sessionsInvalidatedAt.getTime() / 1000)) {
+    return false;
+  }
+
+  // Impersonation tokens are checked against their impersonation record instead (see attachImpersonation)
+  if (!decoded.sid) return !!decoded.imp || isLegacyTokenAccepted(decoded);
+
+  const session = await Session.findById(decoded.sid).select('revokedAt expiresAt lastSeenAt lastSeenIp').lean();
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return false;
+
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_UPDATE_INTERVAL_MS || session.lastSeenIp !== req.ip) {
+    Session.updateOne({ _id: decoded.sid }, { lastSeenAt: new Date(), lastSeenIp: req.ip })
+      .catch(error => logger.error('Failed to update session last seen:', error));
+  }
+
+  return true;
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  hashToken,
+  parseRefreshToken,
+  getDeviceInfo,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isLegacyTokenAccepted,
+  isAccessTokenActive
+};
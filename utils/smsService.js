@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const SmsMessage = require('../models/SmsMessage.model');
+const { formatPhoneNumber, maskPhoneNumber } = require('./phone');
+const logger = require('./logger');
+
+const SMS_MAX_ATTEMPTS = parseInt(process.env.SMS_MAX_ATTEMPTS) || 5;
+const SMS_RETRY_BASE_SECONDS = parseInt(process.env.SMS_RETRY_BASE_SECONDS) || 15;
+const SMS_SENDER_NAME = process.env.SMS_SENDER_NAME || 'HashView';
+
+// A message left in "sending" this long (e.g. the process died mid-send) is picked up again
+const SENDING_TIMEOUT_SECONDS = 120;
+const PROVIDER_TIMEOUT_MS = 15000;
+
+// Errors the provider will keep returning (bad number, bad credentials) aren't retried
+const markPermanent = (error, status) => {
+  error.permanent = !!status && status >= 400 && status < 500 && status !== 408 && status !== 429;
+  return error;
+};
+
+const providerError = (error) => {
+  const status = error.response?.status;
+  const detail = error.response?.data?.message || error.message;
+  return markPermanent(new Error(status ? `HTTP ${status}: ${detail}` : detail), status);
+};
+
+/**
+ * Twilio Programmable Messaging (REST API, no SDK)
+ * Env: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER or TWILIO_MESSAGING_SERVICE_SID
+ */
+const twilioProvider = {
+  name: 'twilio',
+  isConfigured: (env) => !!(env.TWILIO_ACCOUNT_SID && env.TWILIO_AUTH_TOKEN &&
+    (env.TWILIO_FROM_NUMBER || env.TWILIO_MESSAGING_SERVICE_SID)),
+  async send({ to, body }) {
+    const env = process.env;
+    const params = new URLSearchParams({ To: to, Body: body });
+    if (env.TWILIO_MESSAGING_SERVICE_SID) {
+      params.append('MessagingServiceSid', env.TWILIO_MESSAGING_SERVICE_SID);
+    } else {
+      params.append('From', env.TWILIO_FROM_NUMBER);
+    }
+
+    try {
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${env.TWILIO_ACCOUNT_SID}/Messages.json`,
+        params.toString(),
+        {
+          auth: { username: env.TWILIO_ACCOUNT_SID, password: env.TWILIO_AUTH_TOKEN },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: PROVIDER_TIMEOUT_MS
+        }
+      );
+      return { providerMessageId: response.data.sid };
+    } catch (error) {
+      throw providerError(error);
+    }
+  }
+};
+
+/**
+ * Generic HTTP webhook - POSTs { id, to, message, sender, purpose } as JSON
+ * Use it for any gateway (MSG91, Gupshup, an internal relay...) without code changes.
+ * Env: SMS_WEBHOOK_URL, optional SMS_WEBHOOK_TOKEN (sent as a Bearer token)
+ */
+const webhookProvider = {
+  name: 'webhook',
+  isConfigured: (env) => !!env.SMS_WEBHOOK_URL,
+  async send({ id, to, body, purpose }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.SMS_WEBHOOK_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.SMS_WEBHOOK_TOKEN}`;
+    }
+
+    try {
+      const response = await axios.post(
+        process.env.SMS_WEBHOOK_URL,
+        { id, to, message: body, sender: SMS_SENDER_NAME, purpose },
+        { headers, timeout: PROVIDER_TIMEOUT_MS }
+      );
+      return { providerMessageId: response.data?.id ? String(response.data.id) : String(id) };
+    } catch (error) {
+      throw providerError(error);
+    }
+  }
+};
+
+/**
+ * Local development / tests - nothing leaves the machine
+ * Logs the message (text only in development) and appends it to SMS_LOG_FILE when set.
+ */
+const consoleProvider = {
+  name: 'console',
+  isConfigured: () => true,
+  async send({ id, to, body, purpose }) {
+    if (process.env.SMS_LOG_FILE) {
+      const line = JSON.stringify({ id, to, body, purpose, sentAt: new Date().toISOString() });
+      await fs.promises.appendFile(path.resolve(process.env.SMS_LOG_FILE), `${line}\n`);
+    }
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`📱 SMS to ${to}: ${body}`);
+    } else {
+      logger.info(`📱 SMS (console provider) to ${maskPhoneNumber(to)} - not delivered`);
+    }
+
+    return { providerMessageId: String(id) };
+  }
+};
+
+const PROVIDERS = {
+  twilio: twilioProvider,
+  webhook: webhookProvider,
+  console: consoleProvider
+};
+
+/**
+ * Work out which provider to use
+ * SMS_PROVIDER picks one explicitly; otherwise the first configured of twilio, webhook, console.
+ * @param {Object} env
+ * @returns {String} Provider name
+ */
+const resolveProviderName = (env = process.env) => {
+  const requested = (env.SMS_PROVIDER || '').toLowerCase();
+  if (requested) {
+    if (!PROVIDERS[requested]) throw new Error(`Unknown SMS provider: ${env.SMS_PROVIDER}`);
+    return requested;
+  }
+
+  return ['twilio', 'webhook'].find(name => PROVIDERS[name].isConfigured(env)) || 'console';
+};
+
+const getProvider = () => PROVIDERS[resolveProviderName()];
+
+/**
+ * Delay before the next attempt (exponential backoff)
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Seconds
+ */
+const getRetryDelaySeconds = (attempts) => SMS_RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0);
+
+/**
+ * Queue a text message - delivery happens in the background with retries
+ * @param {String} phone - Any accepted format; normalised to E.164
+ * @param {String} body
+ * @param {Object} options - { purpose, expiresAt: don't deliver after this }
+ * @returns {Promise<Object>} { message } or { error }
+ */
+const queueSms = async (phone, body, options = {}) => {
+  const to = formatPhoneNumber(phone);
+  if (!to) {
+    return { error: 'Please provide a valid phone number with country code' };
+  }
+
+  const message = await SmsMessage.create({
+    to,
+    body,
+    purpose: options.purpose || 'general',
+    expiresAt: options.expiresAt || null
+  });
+
+  setImmediate(() => {
+    processSmsQueue().catch(error => logger.error('SMS queue processing failed:', error));
+  });
+
+  return { message };
+};
+
+// Claim the next due message so only one worker sends it
+const claimNextMessage = () => {
+  const now = new Date();
+  return SmsMessage.findOneAndUpdate(
+    { status: { $in: ['queued', 'sending'] }, nextAttemptAt: { $lte: now } },
+    {
+      $set: { status: 'sending', nextAttemptAt: new Date(now.getTime() + SENDING_TIMEOUT_SECONDS * 1000) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const deliverMessage = async (message) => {
+  if (message.expiresAt && message.expiresAt <= new Date()) {
+    await SmsMessage.updateOne({ _id: message._id }, { status: 'expired', body: null });
+    return 'expired';
+  }
+
+  const provider = getProvider();
+
+  try {
+    const result = await provider.send({
+      id: message._id.toString(),
+      to: message.to,
+      body: message.body,
+      purpose: message.purpose
+    });
+
+    await SmsMessage.updateOne(
+      { _id: message._id },
+      {
+        status: 'sent',
+        body: null,
+        provider: provider.name,
+        providerMessageId: result.providerMessageId,
+        sentAt: new Date(),
+        lastError: null
+      }
+    );
+    return 'sent';
+  } catch (error) {
+    const giveUp = error.permanent || message.attempts >= SMS_MAX_ATTEMPTS;
+
+    await SmsMessage.updateOne(
+      { _id: message._id },
+      giveUp
+        ? { status: 'failed', body: null, provider: provider.name, lastError: error.message }
+        : {
+          status: 'queued',
+          provider: provider.name,
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + getRetryDelaySeconds(message.attempts) * 1000)
+        }
+    );
+
+    if (giveUp) {
+      logger.error(`❌ SMS to ${maskPhoneNumber(message.to)} failed after ${message.attempts} attempt(s): ${error.message}`);
+      return 'failed';
+    }
+
+    logger.warn(`⚠️  SMS to ${maskPhoneNumber(message.to)} failed (attempt ${message.attempts}), retrying: ${error.message}`);
+    return 'retry';
+  }
+};
+
+let processing = false;
+
+/**
+ * Send every message that is due (called after queueing and by the cron job for retries)
+ * @param {Object} options - { limit: max messages per run }
+ * @returns {Promise<Object>} Counts by outcome
+ */
+const processSmsQueue = async (options = {}) => {
+  const { limit = 50 } = options;
+  const counts = { sent: 0, retry: 0, failed: 0, expired: 0 };
+
+  // One run at a time per process; other instances are kept apart by claimNextMessage
+  if (processing) return counts;
+  processing = true;
+
+  try {
+    for (let i = 0; i < limit; i++) {
+      const message = await claimNextMessage();
+      if (!message) break;
+      counts[await deliverMessage(message)]++;
+    }
+  } finally {
+    processing = false;
+  }
+
+  return counts;
+};
+
+module.exports = {
+  SMS_MAX_ATTEMPTS,
+  PROVIDERS,
+  resolveProviderName,
+  getRetryDelaySeconds,
+  queueSms,
+  processSmsQueue
+};
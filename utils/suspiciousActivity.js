@@ -0,0 +1,79 @@
+// Admin suspicious activity feed - query filters and cursor pagination
+
+const mongoose = require('mongoose');
+
+// 24 hex characters - ObjectId.isValid also accepts any 12-character string
+const isObjectIdString = (value) => /^[a-f0-9]{24}$/i.test(value);
+
+// Cursor helpers for suspicious activity pagination (timestamp + _id, newest first)
+const encodeActivityCursor = (activity) => {
+  return Buffer.from(`${activity.timestamp.getTime()}_${activity._id}`).toString('base64url');
+};
+
+const decodeActivityCursor = (cursor) => {
+  try {
+    const [time, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('_');
+    const timestamp = new Date(parseInt(time));
+    if (isNaN(timestamp.getTime()) || !isObjectIdString(id)) {
+      return null;
+    }
+    return { timestamp, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+const ACTIVITY_QUERY_PARAMS = ['userId', 'businessId', 'eventType', 'deviceId', 'ipAddress', 'from', 'to', 'includeArchived', 'cursor'];
+
+// Build SuspiciousActivity filter from admin query params
+const buildActivityFilter = (query) => {
+  // Repeated params arrive as arrays (and bracket syntax as objects) - only single strings are accepted
+  const invalidParam = ACTIVITY_QUERY_PARAMS.find(param => query[param] !== undefined && typeof query[param] !== 'string');
+  if (invalidParam) return { error: `Invalid ${invalidParam}` };
+
+  const { userId, businessId, eventType, deviceId, ipAddress, from, to, includeArchived } = query;
+  const filter = {};
+
+  if (includeArchived !== 'true') filter.archived = false;
+
+  if (userId) {
+    if (!isObjectIdString(userId)) return { error: 'Invalid userId' };
+    filter.userId = new mongoose.Types.ObjectId(userId);
+  }
+
+  if (businessId) {
+    if (!isObjectIdString(businessId)) return { error: 'Invalid businessId' };
+    filter.businessId = new mongoose.Types.ObjectId(businessId);
+  }
+
+  if (eventType) {
+    const eventTypes = eventType.split(',').map(t => t.trim()).filter(Boolean);
+    filter.eventType = eventTypes.length > 1 ? { $in: eventTypes } : eventTypes[0];
+  }
+
+  if (deviceId) filter.deviceId = deviceId;
+  if (ipAddress) filter.ipAddress = ipAddress;
+
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (isNaN(fromDate.getTime())) return { error: 'Invalid from date' };
+      filter.timestamp.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (isNaN(toDate.getTime())) return { error: 'Invalid to date' };
+      filter.timestamp.$lte = toDate;
+    }
+  }
+
+  return { filter };
+};
+
+module.exports = {
+  ACTIVITY_QUERY_PARAMS,
+  encodeActivityCursor,
+  decodeActivityCursor,
+  buildActivityFilter
+};
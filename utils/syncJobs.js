@@ -2,6 +2,9 @@ const cron = require('node-cron');
 const Business = require('../models/Business.model');
 const Coupon = require('../models/Coupon.model');
 const { syncGoogleRatingsForBusiness } = require('../controllers/externalReviews.controller');
+const { processSmsQueue, resolveProviderName } = require('./smsService');
+const { purgeDueAccounts } = require('./accountDeletion');
+const { processDataExportQueue } = require('./dataExport');
 const logger = require('./logger');
 
 /**
@@ -122,6 +125,39 @@ const initializeSyncJobs = () => {
 
   logger.info('✅ Automatic coupon expiration job scheduled (Every 5 minutes)');
 
+  // Retry SMS that failed to send (new messages are sent straight away)
+  cron.schedule('* * * * *', () => {
+    processSmsQueue().catch(error => logger.error('❌ Error in SMS retry job:', error));
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
+  const smsProvider = resolveProviderName();
+  logger.info(`✅ SMS retry job scheduled (Every minute, provider: ${smsProvider})`);
+  if (smsProvider === 'console' && process.env.NODE_ENV === 'production') {
+    logger.warn('⚠️  No SMS provider configured - phone OTPs will not be delivered');
+  }
+
+  // Purge accounts whose deletion grace period has ended
+  // '0 3 * * *' = At 03:00 every day
+  cron.schedule('0 3 * * *', purgeDueAccounts, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
+  logger.info('✅ Account deletion purge job scheduled (Daily at 3:00 AM)');
+
+  // Retry data exports that didn't finish and remove expired export archives
+  cron.schedule('*/10 * * * *', () => {
+    processDataExportQueue().catch(error => logger.error('❌ Error in data export job:', error));
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
+  logger.info('✅ Data export job scheduled (Every 10 minutes)');
+
   // Optional: Also run sync every 6 hours for more frequent updates
   // Uncomment the lines below if you want more frequent syncing:
   // cron.schedule('0 */6 * * *', syncAllGoogleRatings, {
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+
+/**
+ * Time step counter for a moment in time (RFC 6238)
+ * @param {Date} now
+ * @param {Number} step - Step length in seconds
+ * @returns {Number}
+ */
+const getCounter = (now = new Date(), step = DEFAULT_STEP_SECONDS) => {
+  return Math.floor(now.getTime() / 1000 / step);
+};
+
+/**
+ * HMAC-based one-time password for a counter (RFC 4226)
+ * @param {Buffer} secret - Shared secret bytes
+ * @param {Number} counter
+ * @param {Object} options - { digits, algorithm }
+ * @returns {String} Zero-padded code
+ */
+const generateHOTP = (secret, counter, options = {}) => {
+  const { digits = DEFAULT_DIGITS, algorithm = 'sha1' } = options;
+
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, secret).update(buffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % (10 ** digits)).toString().padStart(digits, '0');
+};
+
+/**
+ * Time-based one-time password (RFC 6238)
+ * @param {Buffer} secret
+ * @param {Object} options - { now, step, digits, algorithm }
+ * @returns {String}
+ */
+const generateTOTP = (secret, options = {}) => {
+  const { now = new Date(), step = DEFAULT_STEP_SECONDS } = options;
+  return generateHOTP(secret, getCounter(now, step), options);
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {String} code - Code entered by the user
+ * @param {Buffer} secret
+ * @param {Object} options - { now, step, digits, algorithm, window: steps either side to accept }
+ * @returns {Number|null} Matching counter (use it to stop replays) or null
+ */
+const verifyTOTP = (code, secret, options = {}) => {
+  const { now = new Date(), step = DEFAULT_STEP_SECONDS, window = 1, digits = DEFAULT_DIGITS } = options;
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) return null;
+
+  const current = getCounter(now, step);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHOTP(secret, current + offset, options);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_STEP_SECONDS,
+  DEFAULT_DIGITS,
+  getCounter,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP
+};
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getCounter, verifyTOTP } = require('./totp');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'HashView';
+const CHALLENGE_TOKEN_TTL = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Admin accounts must enrol before they can use admin routes (set ADMIN_2FA_REQUIRED=false to turn off)
+const isAdminTwoFactorRequired = () => process.env.ADMIN_2FA_REQUIRED !== 'false';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Base32 encode (RFC 4648, no padding) - the format authenticator apps expect
+ * @param {Buffer} buffer
+ * @returns {String}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Base32 decode (case-insensitive, ignores spaces and padding)
+ * @param {String} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new base32 TOTP secret (160 bits, as recommended by RFC 4226)
+ * @returns {String}
+ */
+const generateTwoFactorSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * otpauth:// URI for authenticator apps (Google Authenticator, Authy, 1Password...)
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Usually the email address
+ * @returns {String}
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TWO_FACTOR_ISSUER,
+    algorithm: 'SHA1',
+    digits: '6',
+    period: '30'
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Verify an authenticator code
+ * @param {String} code
+ * @param {String} secret - Base32 secret
+ * @param {Number|null} lastUsedCounter - Counter of the last accepted code (replay protection)
+ * @param {Date} now
+ * @returns {Number|null} Counter to store as lastUsedCounter, or null if invalid
+ */
+const verifyTwoFactorCode = (code, secret, lastUsedCounter = null, now = new Date()) => {
+  if (!secret) return null;
+
+  const counter = verifyTOTP(code, base32Decode(secret), { now, window: 1 });
+  if (counter === null) return null;
+  if (lastUsedCounter !== null && lastUsedCounter !== undefined && counter <= lastUsedCounter) return null;
+  if (counter > getCounter(now) + 1) return null;
+
+  return counter;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Hash a recovery code for storage
+ * @param {String} code
+ * @returns {String}
+ */
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+/**
+ * Generate one-time recovery codes
+ * @param {Number} count
+ * @returns {Object} { codes: plain codes to show once, hashed: [{ hash }] to store }
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashed: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+/**
+ * Find an unused recovery code
+ * @param {String} code
+ * @param {Array} recoveryCodes - Stored [{ hash, usedAt }]
+ * @returns {Object|null} Matching entry
+ */
+const findRecoveryCode = (code, recoveryCodes = []) => {
+  if (!normalizeRecoveryCode(code)) return null;
+
+  const hash = hashRecoveryCode(code);
+  return recoveryCodes.find(entry => !entry.usedAt && entry.hash === hash) || null;
+};
+
+// TOTP secrets are encrypted at rest (AES-256-GCM)
+const getEncryptionKey = () => {
+  const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!source) throw new Error('Two-factor encryption key is not configured');
+  return crypto.createHash('sha256').update(source).digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {String} secret
+ * @returns {String} iv:tag:ciphertext (base64)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {String} stored
+ * @returns {String|null}
+ */
+const decryptSecret = (stored) => {
+  if (!stored) return null;
+
+  try {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Short-lived token proving the password step of a two-step login
+ * The account goes in `sub`, not `id`, so the challenge can't be used as an access token
+ * @param {String} userId
+ * @param {String} userType
+ * @returns {String}
+ */
+const generateChallengeToken = (userId, userType) => {
+  return jwt.sign(
+    { purpose: 'two_factor_challenge', sub: userId.toString(), userType },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_TTL }
+  );
+};
+
+/**
+ * Verify a challenge token
+ * @param {String} token
+ * @returns {Object|null} { sub, userType } or null
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor_challenge' && decoded.sub ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  TWO_FACTOR_ISSUER,
+  RECOVERY_CODE_COUNT,
+  isAdminTwoFactorRequired,
+  base32Encode,
+  base32Decode,
+  generateTwoFactorSecret,
+  buildOtpauthUri,
+  verifyTwoFactorCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  findRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+  generateChallengeToken,
+  verifyChallengeToken
+};
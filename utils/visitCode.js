@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getCounter, generateTOTP, verifyTOTP } = require('./totp');
+
+// How often the on-premise code changes, and how long a scanned visit stays valid for reviewing
+const VISIT_CODE_STEP_SECONDS = parseInt(process.env.VISIT_CODE_STEP_SECONDS) || 30;
+const VISIT_TOKEN_TTL_MINUTES = parseInt(process.env.VISIT_TOKEN_TTL_MINUTES) || 60;
+
+// How a business requires customers to prove they were there before reviewing
+const REVIEW_VERIFICATION_MODES = ['geofence', 'visit_code', 'either'];
+
+/**
+ * Generate a new per-business visit code secret
+ * @returns {String} Hex encoded secret
+ */
+const generateVisitSecret = () => crypto.randomBytes(20).toString('hex');
+
+/**
+ * Current rotating code for a business
+ * @param {String} secret - Business visitCodeSecret
+ * @param {Date} now
+ * @returns {Object} { code, counter, expiresAt }
+ */
+const getCurrentVisitCode = (secret, now = new Date()) => {
+  const counter = getCounter(now, VISIT_CODE_STEP_SECONDS);
+
+  return {
+    code: generateTOTP(Buffer.from(secret, 'hex'), { now, step: VISIT_CODE_STEP_SECONDS }),
+    counter,
+    expiresAt: new Date((counter + 1) * VISIT_CODE_STEP_SECONDS * 1000)
+  };
+};
+
+/**
+ * Check a code entered or scanned by a customer
+ * The previous code is still accepted so a scan right at the rotation boundary works.
+ * @param {String} code
+ * @param {String} secret
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+const verifyVisitCode = (code, secret, now = new Date()) => {
+  if (!secret) return false;
+
+  const counter = verifyTOTP(code, Buffer.from(secret, 'hex'), {
+    now,
+    step: VISIT_CODE_STEP_SECONDS,
+    window: 1
+  });
+
+  // Never accept a code from the future
+  return counter !== null && counter <= getCounter(now, VISIT_CODE_STEP_SECONDS);
+};
+
+/**
+ * Issue a short-lived visit token bound to the user and business
+ * @param {String} userId
+ * @param {String} businessId
+ * @returns {Object} { visitToken, expiresAt }
+ */
+const generateVisitToken = (userId, businessId) => {
+  const visitToken = jwt.sign(
+    { purpose: 'proof_of_visit', user: userId.toString(), business: businessId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: `${VISIT_TOKEN_TTL_MINUTES}m` }
+  );
+
+  return {
+    visitToken,
+    expiresAt: new Date(Date.now() + VISIT_TOKEN_TTL_MINUTES * 60 * 1000)
+  };
+};
+
+/**
+ * Check a visit token was issued to this user for this business
+ * @param {String} token
+ * @param {String} userId
+ * @param {String} businessId
+ * @returns {Object|null} Decoded token or null if invalid, expired or issued to someone else
+ */
+const verifyVisitToken = (token, userId, businessId) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (
+      decoded.purpose !== 'proof_of_visit' ||
+      decoded.user !== userId.toString() ||
+      decoded.business !== businessId.toString()
+    ) {
+      return null;
+    }
+
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Work out whether the submitted evidence satisfies the business's verification mode
+ * @param {String} mode - geofence | visit_code | either
+ * @param {Object} evidence - { hasVisitToken, withinGeofence }
+ * @returns {Object} { allowed, method, reason }
+ */
+const resolveReviewVerification = (mode, evidence) => {
+  const { hasVisitToken, withinGeofence } = evidence;
+
+  if (mode === 'visit_code') {
+    return hasVisitToken
+      ? { allowed: true, method: 'visit_code' }
+      : { allowed: false, reason: 'visit_code_required' };
+  }
+
+  if (mode === 'either') {
+    if (hasVisitToken) return { allowed: true, method: 'visit_code' };
+    if (withinGeofence) return { allowed: true, method: 'geofence' };
+    return { allowed: false, reason: 'no_evidence' };
+  }
+
+  return withinGeofence
+    ? { allowed: true, method: 'geofence' }
+    : { allowed: false, reason: 'outside_geofence' };
+};
+
+module.exports = {
+  VISIT_CODE_STEP_SECONDS,
+  VISIT_TOKEN_TTL_MINUTES,
+  REVIEW_VERIFICATION_MODES,
+  generateVisitSecret,
+  getCurrentVisitCode,
+  verifyVisitCode,
+  generateVisitToken,
+  verifyVisitToken,
+  resolveReviewVerification
+};